@@ -5,19 +5,65 @@
 
 // Import utility functions
 import {
-  sanitizeFilename,
   extractDomain,
-  getFormattedDate,
-  getFormattedTime,
-  getFormattedTimestamp,
   splitFilename,
-  getCategoryForFile,
-  processPattern
+  createDatePlaceholders,
+  parsePlaceholderToken,
+  resolvePlaceholderValue,
+  applyCounterFormat,
+  CONFLICT_ACTIONS,
+  DEFAULT_CONFLICT_ACTION,
+  DEFAULT_COUNTER_FORMAT
 } from '../utils/filenameUtils.js';
+import {
+  COUNTER_SCOPES,
+  normalizeCounterState,
+  peekCounterValue,
+  nextCounterValue,
+  resetCounterState
+} from '../utils/counterUtils.js';
+import { DEFAULT_PATTERN, DEFAULT_SEPARATOR, GLOBAL_PATTERN_ID, renameDownload } from '../utils/renameEngine.js';
+import { EXTENSION_FIX_MODES, DEFAULT_EXTENSION_FIX_MODE } from '../utils/mimeUtils.js';
+import { normalizeSiteFilter, checkSiteFilter, setSiteExcluded } from '../utils/siteFilterUtils.js';
+import { resolveCustomPlaceholders } from '../utils/customPlaceholderUtils.js';
+import { AUTOMATIC_CHOICE_ID, normalizeConfirmSettings, cleanEditedFilename } from '../utils/confirmUtils.js';
+import {
+  SHORTCUT_COMMANDS,
+  getNextActiveProfileId,
+  isActiveProfileAvailable,
+  getActiveProfileLabel,
+  getRenamerStatus
+} from '../utils/shortcutUtils.js';
+import {
+  SYNCED_SETTINGS,
+  getSyncMetaKey,
+  getSettingForSyncKey,
+  buildSyncItems,
+  readSyncedSetting,
+  getStaleChunkKeys
+} from '../utils/syncUtils.js';
+
+// Maximum number of entries kept in the rename history log
+const MAX_HISTORY_ENTRIES = 500;
+
+// Settings changes are pushed to chrome.storage.sync after this delay, batching quick edits
+// (chrome.storage.sync allows only a limited number of writes per minute)
+const SYNC_PUSH_DELAY_MS = 2000;
+
+// Highest counter tried before the counter conflict mode gives up and lets Chrome uniquify
+const MAX_CONFLICT_COUNTER = 9999;
 
-// Default renaming pattern
-const DEFAULT_PATTERN = '{date}{originalFilename}{ext}';
-const DEFAULT_SEPARATOR = '_';
+// Page elements the "Download with" context menu items appear on
+const CONTEXT_MENU_CONTEXTS = ['link', 'image', 'video', 'audio'];
+
+// Context menu item IDs; profile items are CONTEXT_MENU_PROFILE_PREFIX + the profile ID (or GLOBAL_PATTERN_ID)
+const CONTEXT_MENU_PROFILES_ID = 'download-with-profile';
+const CONTEXT_MENU_PROFILE_PREFIX = 'download-with-profile:';
+const CONTEXT_MENU_ORIGINAL_ID = 'download-keep-original';
+const CONTEXT_MENU_CUSTOM_ID = 'download-custom-name';
+
+// A custom name typed after "Download with custom name…" gets at least this long before the automatic name is used
+const MIN_CUSTOM_NAME_TIMEOUT = 60;
 
 // Default category rules (will be used on first install)
 const DEFAULT_CATEGORY_RULES = [
@@ -38,55 +84,146 @@ const DEFAULT_CATEGORY_RULES = [
 let isEnabled = true;
 let userPattern = DEFAULT_PATTERN;
 let userSeparator = DEFAULT_SEPARATOR;
+let userFolderPattern = ''; // Optional subfolder template (e.g., '{category}/{domain}')
+let useUtc = false; // Format date/time placeholders in UTC instead of local time
 let categoryRules = []; // Will be loaded from storage
 let customPlaceholders = []; // User-defined custom placeholders
+let profiles = []; // Ordered conditional rename profiles (first match wins)
+let conflictAction = DEFAULT_CONFLICT_ACTION; // How existing filenames are handled (uniquify, overwrite, prompt, counter)
+let counterFormat = DEFAULT_COUNTER_FORMAT; // Counter format for the counter conflict mode (e.g., ' ({n})' or '_{n:3}')
+let historyWriteQueue = Promise.resolve(); // Serializes history writes so concurrent downloads don't drop entries
+let counterNameQueue = Promise.resolve(); // Serializes counter lookups so two downloads never get the same name
+const issuedFilenames = new Map(); // Download ID -> counter-mode name suggested but not yet written to disk
+let counterSettings = {}; // Padding and start value per counter scope
+let sanitizeOptions = {}; // Filename safety options (target platform, replacement, whitespace, NFC, ASCII, emoji)
+let extensionFixMode = DEFAULT_EXTENSION_FIX_MODE; // Add or correct extensions that contradict the MIME type (off, append, fix)
+let siteFilter = normalizeSiteFilter(); // Sites where downloads are (allowlist) or aren't (blocklist) renamed
+let confirmSettings = normalizeConfirmSettings(); // Show the proposed name for confirmation before saving
+const pendingConfirmations = new Map(); // Request ID -> prompt waiting for an answer ({request, finish, tabId, windowId})
+const pendingMenuDownloads = new Map(); // URL -> overrides of context menu downloads not named yet (oldest first)
+let activeProfileId = ''; // Profile picked with the cycle shortcut ('' matches profiles as usual)
+let skipNextDownload = false; // The next download keeps its original name (skip shortcut)
+let replaceRules = []; // Ordered find-and-replace rules run on the generated filename
+let counterState = normalizeCounterState(); // Last issued value of every counter sequence (owned by this worker)
+let counterWriteQueue = Promise.resolve(); // Serializes counter state writes
+let syncEnabled = false; // Mirror the rename configuration to chrome.storage.sync
+let syncMeta = {}; // Setting -> when its local value was last changed (ms), used for last-writer-wins
+const knownSyncValues = new Map(); // Setting -> JSON of the value last pushed or pulled, to ignore our own echoes
+const pendingSyncPushes = new Set(); // Settings waiting to be pushed
+let syncPushTimer = null;
 
-// Initialize extension state from storage
-chrome.storage.local.get(['enabled', 'pattern', 'separator', 'categoryRules', 'customPlaceholders'], (result) => {
-  isEnabled = result.enabled !== undefined ? result.enabled : true;
-  userPattern = result.pattern || DEFAULT_PATTERN;
-  userSeparator = result.separator !== undefined ? result.separator : DEFAULT_SEPARATOR;
+// Initialize extension state from storage; downloads wait for this so counters never restart from scratch
+const settingsReady = new Promise((resolve) => {
+  chrome.storage.local.get(['enabled', 'pattern', 'separator', 'folderPattern', 'useUtc', 'categoryRules', 'customPlaceholders', 'profiles', 'conflictAction', 'counterFormat', 'counterSettings', 'counterState', 'sanitizeOptions', 'extensionFixMode', 'siteFilter', 'confirmSettings', 'activeProfileId', 'skipNextDownload', 'replaceRules', 'syncEnabled', 'syncMeta'], (result) => {
+    isEnabled = result.enabled !== undefined ? result.enabled : true;
+    userPattern = result.pattern || DEFAULT_PATTERN;
+    userSeparator = result.separator !== undefined ? result.separator : DEFAULT_SEPARATOR;
+    userFolderPattern = result.folderPattern || '';
+    useUtc = result.useUtc === true;
 
-  // Load category rules (use defaults if none saved yet)
-  if (result.categoryRules) {
-    categoryRules = result.categoryRules;
-  } else {
-    // First time setup - save default rules to storage
-    categoryRules = [...DEFAULT_CATEGORY_RULES];
-    chrome.storage.local.set({ categoryRules: categoryRules });
-  }
+    // Load category rules (use defaults if none saved yet)
+    if (result.categoryRules) {
+      categoryRules = result.categoryRules;
+    } else {
+      // First time setup - save default rules to storage
+      categoryRules = [...DEFAULT_CATEGORY_RULES];
+      chrome.storage.local.set({ categoryRules: categoryRules });
+    }
+
+    // Load custom placeholders
+    customPlaceholders = Array.isArray(result.customPlaceholders) ? result.customPlaceholders : [];
+
+    // Load rename profiles
+    profiles = Array.isArray(result.profiles) ? result.profiles : [];
+
+    // Load filename conflict handling
+    conflictAction = CONFLICT_ACTIONS.includes(result.conflictAction) ? result.conflictAction : DEFAULT_CONFLICT_ACTION;
+    counterFormat = result.counterFormat || DEFAULT_COUNTER_FORMAT;
+
+    // Load counter settings and the last issued counter values
+    counterSettings = result.counterSettings || {};
+    counterState = normalizeCounterState(result.counterState);
+
+    // Load filename safety options
+    sanitizeOptions = result.sanitizeOptions || {};
+
+    // Load the extension repair mode
+    extensionFixMode = EXTENSION_FIX_MODES.includes(result.extensionFixMode) ? result.extensionFixMode : DEFAULT_EXTENSION_FIX_MODE;
+
+    // Load the site allowlist/blocklist
+    siteFilter = normalizeSiteFilter(result.siteFilter);
+
+    // Load the confirm-and-edit mode
+    confirmSettings = normalizeConfirmSettings(result.confirmSettings);
+
+    // Load the find-and-replace rules
+    replaceRules = Array.isArray(result.replaceRules) ? result.replaceRules : [];
+
+    // Load the state set by the keyboard shortcuts
+    activeProfileId = typeof result.activeProfileId === 'string' ? result.activeProfileId : '';
+    skipNextDownload = result.skipNextDownload === true;
 
-  // Load custom placeholders
-  customPlaceholders = Array.isArray(result.customPlaceholders) ? result.customPlaceholders : [];
+    // Load the sync opt-in and the change times of the synced settings
+    syncEnabled = result.syncEnabled === true;
+    syncMeta = result.syncMeta || {};
 
-  console.log('Extension initialized:', {
-    isEnabled,
-    userPattern,
-    userSeparator,
-    categoryRulesCount: categoryRules.length,
-    customPlaceholdersCount: customPlaceholders.length
+    console.log('Extension initialized:', {
+      isEnabled,
+      userPattern,
+      userSeparator,
+      userFolderPattern,
+      useUtc,
+      categoryRulesCount: categoryRules.length,
+      customPlaceholdersCount: customPlaceholders.length,
+      profilesCount: profiles.length,
+      conflictAction,
+      counterFormat,
+      syncEnabled
+    });
+    resolve();
+    updateBadge();
+
+    // Catch up on changes made on other devices while this worker wasn't running
+    if (syncEnabled) {
+      runFullSync();
+    }
   });
 });
 
+// Mirror settings to and from chrome.storage.sync when sync is turned on
+chrome.storage.onChanged.addListener(handleSyncStorageChange);
+
 // Listen for storage changes to update settings dynamically
 chrome.storage.onChanged.addListener((changes) => {
   if (changes.enabled !== undefined) {
-    isEnabled = changes.enabled.newValue;
+    isEnabled = changes.enabled.newValue !== undefined ? changes.enabled.newValue : true;
     console.log('Extension enabled state changed:', isEnabled);
+    updateBadge();
   }
 
   if (changes.pattern !== undefined) {
-    userPattern = changes.pattern.newValue;
+    userPattern = changes.pattern.newValue || DEFAULT_PATTERN;
     console.log('Renaming pattern changed:', userPattern);
   }
 
   if (changes.separator !== undefined) {
-    userSeparator = changes.separator.newValue;
+    userSeparator = changes.separator.newValue !== undefined ? changes.separator.newValue : DEFAULT_SEPARATOR;
     console.log('Separator changed:', userSeparator);
   }
 
+  if (changes.folderPattern !== undefined) {
+    userFolderPattern = changes.folderPattern.newValue || '';
+    console.log('Folder pattern changed:', userFolderPattern);
+  }
+
+  if (changes.useUtc !== undefined) {
+    useUtc = changes.useUtc.newValue === true;
+    console.log('UTC date formatting changed:', useUtc);
+  }
+
   if (changes.categoryRules !== undefined) {
-    categoryRules = changes.categoryRules.newValue;
+    // Rules removed from storage (e.g., by a replace import) fall back to the defaults
+    categoryRules = Array.isArray(changes.categoryRules.newValue) ? changes.categoryRules.newValue : [...DEFAULT_CATEGORY_RULES];
     console.log('Category rules updated:', categoryRules.length, 'rules');
   }
 
@@ -94,115 +231,972 @@ chrome.storage.onChanged.addListener((changes) => {
     customPlaceholders = Array.isArray(changes.customPlaceholders.newValue) ? changes.customPlaceholders.newValue : [];
     console.log('Custom placeholders updated:', customPlaceholders.length);
   }
+
+  if (changes.profiles !== undefined) {
+    profiles = Array.isArray(changes.profiles.newValue) ? changes.profiles.newValue : [];
+    console.log('Rename profiles updated:', profiles.length);
+    buildContextMenus();
+    // A deleted or disabled profile can't stay active
+    if (!isActiveProfileAvailable(profiles, activeProfileId)) {
+      chrome.storage.local.set({ activeProfileId: '' });
+    }
+    updateBadge();
+  }
+
+  if (changes.conflictAction !== undefined) {
+    conflictAction = CONFLICT_ACTIONS.includes(changes.conflictAction.newValue) ? changes.conflictAction.newValue : DEFAULT_CONFLICT_ACTION;
+    console.log('Conflict action changed:', conflictAction);
+  }
+
+  if (changes.counterFormat !== undefined) {
+    counterFormat = changes.counterFormat.newValue || DEFAULT_COUNTER_FORMAT;
+    console.log('Counter format changed:', counterFormat);
+  }
+
+  if (changes.counterSettings !== undefined) {
+    counterSettings = changes.counterSettings.newValue || {};
+    console.log('Counter settings changed:', counterSettings);
+  }
+
+  if (changes.sanitizeOptions !== undefined) {
+    sanitizeOptions = changes.sanitizeOptions.newValue || {};
+    console.log('Filename safety options changed:', sanitizeOptions);
+  }
+
+  if (changes.extensionFixMode !== undefined) {
+    const newMode = changes.extensionFixMode.newValue;
+    extensionFixMode = EXTENSION_FIX_MODES.includes(newMode) ? newMode : DEFAULT_EXTENSION_FIX_MODE;
+    console.log('Extension repair mode changed:', extensionFixMode);
+  }
+
+  if (changes.siteFilter !== undefined) {
+    siteFilter = normalizeSiteFilter(changes.siteFilter.newValue);
+    console.log('Site filter changed:', siteFilter);
+  }
+
+  if (changes.confirmSettings !== undefined) {
+    confirmSettings = normalizeConfirmSettings(changes.confirmSettings.newValue);
+    console.log('Confirmation settings changed:', confirmSettings);
+  }
+
+  if (changes.replaceRules !== undefined) {
+    replaceRules = Array.isArray(changes.replaceRules.newValue) ? changes.replaceRules.newValue : [];
+    console.log('Replace rules updated:', replaceRules.length);
+  }
+
+  if (changes.activeProfileId !== undefined) {
+    activeProfileId = typeof changes.activeProfileId.newValue === 'string' ? changes.activeProfileId.newValue : '';
+    console.log('Active profile changed:', activeProfileId || '(automatic)');
+    updateBadge();
+  }
+
+  if (changes.skipNextDownload !== undefined) {
+    skipNextDownload = changes.skipNextDownload.newValue === true;
+    console.log('Skip next download changed:', skipNextDownload);
+    updateBadge();
+  }
 });
 
 /**
- * Processes a download and suggests a new filename based on the current pattern and separator
- * @param {Object} downloadItem - The Chrome download item object
- * @param {Function} suggest - Callback to suggest the new filename
+ * Appends an entry to the capped rename history log in storage.
+ * Writes are chained so that downloads finishing at the same time don't overwrite each other.
+ * @param {Object} entry - The history entry ({ time, originalFilename, finalFilename, url, referrer, domain, matchedRules })
  */
-function processDownload(downloadItem, suggest) {
-  // If extension is disabled, keep original filename
-  if (!isEnabled) {
-    suggest({ filename: downloadItem.filename });
+function recordRenameHistory(entry) {
+  historyWriteQueue = historyWriteQueue
+    .then(() => new Promise((resolve) => {
+      chrome.storage.local.get(['renameHistory'], (result) => {
+        const history = Array.isArray(result.renameHistory) ? result.renameHistory : [];
+        history.unshift(entry);
+        chrome.storage.local.set({ renameHistory: history.slice(0, MAX_HISTORY_ENTRIES) }, resolve);
+      });
+    }))
+    .catch((error) => {
+      console.error('Error recording rename history:', error);
+    });
+}
+
+/**
+ * Records the outcome of a sync run so the options page can show it
+ * @param {string} [error] - The error message, when the sync failed
+ */
+function setSyncStatus(error) {
+  chrome.storage.local.set({ syncStatus: { time: Date.now(), error: error || '' } });
+}
+
+/**
+ * Handles changes to the settings sync: local edits are queued for upload, remote edits are pulled in
+ * @param {Object} changes - The changed storage items
+ * @param {string} areaName - 'local' or 'sync'
+ */
+function handleSyncStorageChange(changes, areaName) {
+  if (areaName === 'local' && changes.syncEnabled !== undefined) {
+    syncEnabled = changes.syncEnabled.newValue === true;
+    console.log('Settings sync changed:', syncEnabled);
+    if (syncEnabled) {
+      runFullSync();
+    }
     return;
   }
 
-  try {
-    // Get the original filename and split it
-    const originalFilename = downloadItem.filename;
-    const { name: nameWithoutExt, ext } = splitFilename(originalFilename);
-
-    // Get download source URL and extract domain
-    const sourceUrl = downloadItem.url || '';
-    const domain = extractDomain(sourceUrl);
-
-    // Get referrer/tab URL if available
-    const tabUrl = downloadItem.referrer || '';
-
-    // Get current date and time
-    const date = getFormattedDate();
-    const time = getFormattedTime();
-    const timestamp = getFormattedTimestamp();
-
-    // Determine file category using custom rules
-    const category = getCategoryForFile(originalFilename, categoryRules);
-    console.log(`File category determined: ${originalFilename} -> ${category} (using ${categoryRules.length} custom rules)`);
-
-    // Create placeholder values object
-    const placeholders = {
-      domain: domain,
-      timestamp: timestamp,
-      date: date,
-      time: time,
-      originalFilename: nameWithoutExt,
-      category: category,
-      sourceUrl: sourceUrl,
-      tabUrl: tabUrl,
-      ext: ext
-    };
+  if (!syncEnabled) {
+    return;
+  }
+
+  if (areaName === 'local') {
+    const edited = Object.keys(changes).filter(key => {
+      return SYNCED_SETTINGS.includes(key) && JSON.stringify(changes[key].newValue) !== knownSyncValues.get(key);
+    });
+    if (edited.length > 0) {
+      const now = Date.now();
+      edited.forEach(key => {
+        syncMeta[key] = now;
+        pendingSyncPushes.add(key);
+      });
+      chrome.storage.local.set({ syncMeta: syncMeta });
+      clearTimeout(syncPushTimer);
+      syncPushTimer = setTimeout(pushPendingSettings, SYNC_PUSH_DELAY_MS);
+    }
+  } else if (areaName === 'sync') {
+    const settings = new Set(Object.keys(changes).map(getSettingForSyncKey).filter(Boolean));
+    if (settings.size > 0) {
+      pullSyncedSettings(Array.from(settings));
+    }
+  }
+}
 
-    // Apply custom placeholders derived from existing placeholders
-    if (Array.isArray(customPlaceholders) && customPlaceholders.length > 0) {
-      for (const def of customPlaceholders) {
-        const name = (def && def.name) ? String(def.name) : '';
-        const from = (def && def.base) ? String(def.base) : '';
-        const regexStr = (def && def.regex) ? String(def.regex) : '';
-        const keywordsRaw = def && def.keywords !== undefined ? String(def.keywords) : '';
+/**
+ * Uploads the settings edited on this device
+ */
+function pushPendingSettings() {
+  const settings = Array.from(pendingSyncPushes);
+  pendingSyncPushes.clear();
+  if (settings.length > 0) {
+    pushSettings(settings);
+  }
+}
 
-        if (!name || !from || !regexStr) {
-          continue;
-        }
+/**
+ * Writes settings to chrome.storage.sync, each as a metadata item plus as many chunks as needed
+ * @param {Array<string>} settings - The setting names to upload
+ */
+function pushSettings(settings) {
+  chrome.storage.local.get(settings, (local) => {
+    chrome.storage.sync.get(settings.map(getSyncMetaKey), (remoteMeta) => {
+      let items = {};
+      let staleKeys = [];
+      settings.forEach(setting => {
+        syncMeta[setting] = syncMeta[setting] || Date.now();
+        const settingItems = buildSyncItems(setting, local[setting], syncMeta[setting]);
+        const chunkCount = settingItems[getSyncMetaKey(setting)].chunks;
+        items = { ...items, ...settingItems };
+        staleKeys = staleKeys.concat(getStaleChunkKeys(setting, remoteMeta[getSyncMetaKey(setting)], chunkCount));
+        knownSyncValues.set(setting, JSON.stringify(local[setting]));
+      });
 
-        const sourceValue = placeholders[from] || '';
-        if (!sourceValue) {
-          placeholders[name] = '';
-          continue;
+      chrome.storage.local.set({ syncMeta: syncMeta });
+      chrome.storage.sync.set(items, () => {
+        if (chrome.runtime.lastError) {
+          console.error('Error syncing settings:', chrome.runtime.lastError.message);
+          setSyncStatus(chrome.runtime.lastError.message);
+          return;
         }
+        if (staleKeys.length > 0) {
+          chrome.storage.sync.remove(staleKeys);
+        }
+        console.log('Settings pushed to sync:', settings);
+        setSyncStatus();
+      });
+    });
+  });
+}
+
+/**
+ * Reads settings from chrome.storage.sync and keeps whichever side changed last.
+ * Remote values that are newer are written to chrome.storage.local; newer local values are uploaded.
+ * @param {Array<string>} settings - The setting names to compare
+ */
+function pullSyncedSettings(settings) {
+  chrome.storage.sync.get(null, (items) => {
+    if (chrome.runtime.lastError) {
+      console.error('Error reading synced settings:', chrome.runtime.lastError.message);
+      setSyncStatus(chrome.runtime.lastError.message);
+      return;
+    }
+    chrome.storage.local.get(settings, (local) => {
+      mergeSyncedSettings(settings, items, local);
+    });
+  });
+}
+
+/**
+ * Applies last-writer-wins per setting between the synced items and this device
+ * @param {Array<string>} settings - The setting names to compare
+ * @param {Object} items - All items read from chrome.storage.sync
+ * @param {Object} local - The current local values of the settings
+ */
+function mergeSyncedSettings(settings, items, local) {
+  const toSet = {};
+  const toRemove = [];
+  const toPush = [];
+  settings.forEach(setting => {
+    const remote = readSyncedSetting(items, setting);
+    const localUpdatedAt = syncMeta[setting] || 0;
+    if (remote && remote.updatedAt > localUpdatedAt) {
+      knownSyncValues.set(setting, JSON.stringify(remote.value));
+      syncMeta[setting] = remote.updatedAt;
+      if (remote.deleted && setting === 'categoryRules') {
+        // Category rules are always stored (see settingsReady), so a deletion brings back the defaults
+        toSet[setting] = [...DEFAULT_CATEGORY_RULES];
+        knownSyncValues.set(setting, JSON.stringify(toSet[setting]));
+      } else if (remote.deleted) {
+        toRemove.push(setting);
+      } else {
+        toSet[setting] = remote.value;
+      }
+    } else if (remote ? remote.updatedAt < localUpdatedAt : local[setting] !== undefined || syncMeta[setting]) {
+      toPush.push(setting);
+    }
+  });
+
+  chrome.storage.local.remove(toRemove, () => {
+    chrome.storage.local.set({ ...toSet, syncMeta: syncMeta }, () => {
+      const pulled = Object.keys(toSet).concat(toRemove);
+      if (pulled.length > 0) {
+        console.log('Settings pulled from sync:', pulled);
+      }
+      setSyncStatus();
+    });
+  });
+  if (toPush.length > 0) {
+    pushSettings(toPush);
+  }
+}
 
-        // Keyword gating: if keywords provided, ensure at least one keyword appears
-        const keywords = keywordsRaw
-          .split(',')
-          .map(k => k.trim())
-          .filter(k => k.length > 0);
+/**
+ * Compares every synced setting with chrome.storage.sync (when sync is turned on or the worker starts).
+ * Settings never changed here while sync was on count as oldest, so an existing synced setup wins.
+ */
+function runFullSync() {
+  pullSyncedSettings(SYNCED_SETTINGS);
+}
 
-        const gatePass = keywords.length === 0
-          ? true
-          : keywords.some(k => sourceValue.toLowerCase().includes(k.toLowerCase()));
+/**
+ * Saves the counter state. The in-memory state is the source of truth, so each write stores a snapshot
+ * and writes are chained to keep them in order.
+ */
+function persistCounterState() {
+  const snapshot = JSON.parse(JSON.stringify(counterState));
+  counterWriteQueue = counterWriteQueue
+    .then(() => new Promise((resolve) => {
+      chrome.storage.local.set({ counterState: snapshot }, resolve);
+    }))
+    .catch((error) => {
+      console.error('Error saving counter state:', error);
+    });
+}
 
-        if (!gatePass) {
-          placeholders[name] = '';
-          continue;
+/**
+ * Advances a counter sequence for the rename engine.
+ * Incrementing happens synchronously on the in-memory state, which keeps concurrent downloads
+ * from ever receiving the same value; the new state is then saved in the background.
+ * @param {string} scope - The counter scope
+ * @param {string} key - The sequence key within the scope
+ * @param {Object} settings - The {padding, start} of the scope
+ * @returns {number} The next counter value
+ */
+function advanceCounter(scope, key, settings) {
+  const value = nextCounterValue(counterState, scope, key, settings);
+  persistCounterState();
+  return value;
+}
+
+/**
+ * Gets the value a counter would give next without advancing it, for the names shown in a confirmation prompt
+ * @param {string} scope - The counter scope
+ * @param {string} key - The sequence key within the scope
+ * @param {Object} settings - The {padding, start} of the scope
+ * @returns {number} The next counter value
+ */
+function peekCounter(scope, key, settings) {
+  return peekCounterValue(counterState, scope, key, settings);
+}
+
+/**
+ * Collects the settings the rename engine needs from the worker's current state
+ * @returns {Object} The settings, shaped like chrome.storage.local
+ */
+function getCurrentSettings() {
+  return {
+    enabled: isEnabled,
+    pattern: userPattern,
+    separator: userSeparator,
+    folderPattern: userFolderPattern,
+    useUtc: useUtc,
+    categoryRules: categoryRules,
+    customPlaceholders: customPlaceholders,
+    profiles: profiles,
+    conflictAction: conflictAction,
+    counterFormat: counterFormat,
+    counterSettings: counterSettings,
+    sanitizeOptions: sanitizeOptions,
+    extensionFixMode: extensionFixMode,
+    siteFilter: siteFilter,
+    activeProfileId: activeProfileId,
+    replaceRules: replaceRules
+  };
+}
+
+/**
+ * Builds a history entry for a download
+ * @param {Object} downloadItem - The Chrome download item object
+ * @param {string} finalFilename - The filename that was suggested
+ * @param {Array<string>} matchedRules - Descriptions of the rules that shaped the name
+ * @returns {Object} The history entry
+ */
+function createHistoryEntry(downloadItem, finalFilename, matchedRules) {
+  return {
+    id: downloadItem.id,
+    time: Date.now(),
+    originalFilename: downloadItem.filename || '',
+    finalFilename: finalFilename,
+    url: downloadItem.url || '',
+    referrer: downloadItem.referrer || '',
+    domain: extractDomain(downloadItem.url || ''),
+    matchedRules: matchedRules
+  };
+}
+
+/**
+ * Escapes a string for use inside a regular expression
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Finds the first free name for the counter conflict mode: the name itself, then name (2), name (3), ...
+ * Existing downloads (via chrome.downloads.search) and names already issued to downloads that are still
+ * being written count as taken. Lookups are queued so concurrent downloads see each other's names.
+ * @param {number} downloadId - The ID of the download being named
+ * @param {string} filename - The generated filename, optionally with a relative folder path
+ * @param {string} format - The counter format (e.g., ' ({n})' or '_{n:3}')
+ * @returns {Promise<Object>} Resolves to {filename, counter}; counter is 0 when the name was free
+ */
+function findAvailableCounterFilename(downloadId, filename, format) {
+  const lookup = counterNameQueue.then(() => new Promise((resolve) => {
+    const stem = splitFilename(filename.substring(filename.lastIndexOf('/') + 1)).name;
+    chrome.downloads.search({ filenameRegex: `(?i)${escapeRegExp(stem)}`, exists: true }, (items) => {
+      const existing = (items || []).map(item => (item.filename || '').replace(/\\/g, '/').toLowerCase());
+      const issued = Array.from(issuedFilenames.values()).map(name => name.toLowerCase());
+      const isTaken = (candidate) => {
+        const lower = candidate.toLowerCase();
+        return issued.includes(lower) || existing.some(path => path.endsWith(`/${lower}`));
+      };
+
+      let result = { filename, counter: 0 };
+      if (isTaken(filename)) {
+        result = null;
+        for (let counter = 2; counter <= MAX_CONFLICT_COUNTER; counter++) {
+          const candidate = applyCounterFormat(filename, format, counter, sanitizeOptions);
+          if (!isTaken(candidate)) {
+            result = { filename: candidate, counter };
+            break;
+          }
         }
+        if (!result) {
+          console.error('No free counter name found, leaving it to Chrome:', filename);
+          result = { filename, counter: 0 };
+        }
+      }
+      issuedFilenames.set(downloadId, result.filename);
+      resolve(result);
+    });
+  }));
+  counterNameQueue = lookup.catch(() => { });
+  return lookup;
+}
+
+/**
+ * Download listener: waits until the settings are loaded, then names the download
+ * @param {Object} downloadItem - The Chrome download item object
+ * @param {Function} suggest - Callback to suggest the new filename
+ * @returns {boolean} Always true, as the filename is suggested asynchronously
+ */
+function processDownload(downloadItem, suggest) {
+  // Chrome keeps the download waiting until suggest is called, so a failure anywhere below still answers once
+  let suggested = false;
+  const suggestOnce = (suggestion) => {
+    if (suggested) return;
+    suggested = true;
+    suggest(suggestion);
+  };
 
+  // The menu choice is taken right away (inside the chain, so a throw is caught), keeping downloads matched to
+  // menu clicks in the order they start
+  new Promise(resolve => resolve(takeMenuDownloadOverride(downloadItem)))
+    .then(override => settingsReady
+      .then(() => (override ? override.tab : findOriginatingTab(downloadItem)))
+      .then((tab) => (override
+        ? handleMenuDownload(downloadItem, suggestOnce, tab, override)
+        : handleDownload(downloadItem, suggestOnce, tab))))
+    .catch((error) => {
+      console.error('Error processing download:', error);
+      if (!suggested) {
+        suggestOnce({ filename: downloadItem.filename });
+        recordRenameHistory(createHistoryEntry(downloadItem, downloadItem.filename, ['Error: original name kept']));
+      }
+    });
+  return true;
+}
+
+/**
+ * Finds the tab a download was started from, for {pageTitle} and {tabDomain}.
+ * Downloads don't carry a tab ID, so the referrer is matched against open tabs: an exact URL match first,
+ * then a tab on the same origin (referrers are often cut down to the origin), preferring active tabs.
+ * Incognito downloads and tabs are never looked at.
+ * @param {Object} downloadItem - The Chrome download item object
+ * @returns {Promise<Object|null>} The {id, title, url} of the tab, or null when it can't be found
+ */
+function findOriginatingTab(downloadItem) {
+  return new Promise((resolve) => {
+    const referrer = downloadItem.referrer || '';
+    if (downloadItem.incognito || !referrer) {
+      resolve(null);
+      return;
+    }
+
+    chrome.tabs.query({}, (tabs) => {
+      if (chrome.runtime.lastError || !Array.isArray(tabs)) {
+        resolve(null);
+        return;
+      }
+
+      const withoutHash = (url) => url.split('#')[0];
+      const candidates = tabs.filter(tab => !tab.incognito && tab.url);
+      let matches = candidates.filter(tab => withoutHash(tab.url) === withoutHash(referrer));
+      if (matches.length === 0) {
         try {
-          const re = new RegExp(regexStr);
-          const m = sourceValue.match(re);
-          placeholders[name] = (m && m[1]) ? String(m[1]) : '';
+          const origin = new URL(referrer).origin;
+          matches = candidates.filter(tab => tab.url === origin || tab.url.startsWith(`${origin}/`));
         } catch (e) {
-          console.error('Invalid custom placeholder regex:', name, regexStr, e);
-          placeholders[name] = '';
+          matches = [];
         }
       }
+
+      matches.sort((a, b) => (b.active - a.active) || ((b.lastAccessed || 0) - (a.lastAccessed || 0)));
+      resolve(matches.length > 0 ? { id: matches[0].id, title: matches[0].title || '', url: matches[0].url } : null);
+    });
+  });
+}
+
+/**
+ * Works out the names offered in a confirmation prompt: the automatic name, the global pattern and every
+ * enabled profile. Counters are only peeked, so names that aren't picked don't use up numbers.
+ * @param {Object} downloadItem - The Chrome download item object
+ * @param {Object} settings - The current settings
+ * @param {Date} now - The download time
+ * @param {Object|null} tab - The originating tab, if found
+ * @returns {Object} {proposals, previews}: proposals are {id, label, filename} for the prompt,
+ *   previews maps each proposal ID to its rename result
+ */
+function createConfirmationProposals(downloadItem, settings, now, tab) {
+  const proposals = [];
+  const previews = new Map();
+  const addProposal = (id, label) => {
+    const profileId = id === AUTOMATIC_CHOICE_ID ? undefined : id;
+    const result = renameDownload(downloadItem, settings, { now, nextCounter: peekCounter, tab, profileId });
+    if (!result.renamed) return;
+    previews.set(id, result);
+    proposals.push({ id, label: typeof label === 'function' ? label(result) : label, filename: result.filename });
+  };
+
+  addProposal(AUTOMATIC_CHOICE_ID, result => `Automatic (${result.profile ? result.profile.name || 'Untitled' : 'global pattern'})`);
+  addProposal(GLOBAL_PATTERN_ID, 'Global pattern');
+  (Array.isArray(settings.profiles) ? settings.profiles : [])
+    .filter(profile => profile && profile.id && profile.enabled !== false)
+    .forEach(profile => addProposal(profile.id, `Profile: ${profile.name || 'Untitled'}`));
+
+  return { proposals, previews };
+}
+
+/**
+ * Shows the confirmation prompt and waits for the answer.
+ * The prompt appears on the originating tab when possible and in a popup window otherwise; when nobody
+ * answers before the timeout, the automatic name is used so the download never hangs.
+ * @param {Object} downloadItem - The Chrome download item object
+ * @param {Array<Object>} proposals - The names to offer ({id, label, filename})
+ * @param {Object|null} tab - The originating tab, if found
+ * @param {Object} [options] - {target, timeout} to use instead of the confirmation settings
+ * @returns {Promise<Object>} Resolves to the answer: {choice, filename, keepOriginal, timedOut}
+ */
+function requestConfirmation(downloadItem, proposals, tab, options = {}) {
+  const target = options.target || confirmSettings.target;
+  const timeout = options.timeout || confirmSettings.timeout;
+  return new Promise((resolve) => {
+    const requestId = `${downloadItem.id}-${Date.now()}`;
+    const timeoutMs = timeout * 1000;
+    const entry = {
+      request: {
+        requestId: requestId,
+        originalFilename: downloadItem.filename || '',
+        domain: extractDomain(downloadItem.url || ''),
+        proposals: proposals,
+        expiresAt: Date.now() + timeoutMs
+      },
+      tabId: null,
+      windowId: null,
+      timer: null,
+      finish: (answer) => {
+        if (!pendingConfirmations.has(requestId)) return;
+        pendingConfirmations.delete(requestId);
+        clearTimeout(entry.timer);
+        closeConfirmationPrompt(entry);
+        resolve(answer);
+      }
+    };
+
+    entry.timer = setTimeout(() => entry.finish({ choice: AUTOMATIC_CHOICE_ID, timedOut: true }), timeoutMs);
+    pendingConfirmations.set(requestId, entry);
+
+    if (target === 'tab' && tab && Number.isInteger(tab.id)) {
+      showConfirmationInTab(entry, tab.id);
+    } else {
+      openConfirmationWindow(entry);
     }
+  });
+}
+
+/**
+ * Asks the content script of a tab to show the prompt, falling back to a window when it can't
+ * (no content script on chrome:// pages, or the tab navigated away)
+ * @param {Object} entry - The pending confirmation
+ * @param {number} tabId - The tab to show the prompt in
+ */
+function showConfirmationInTab(entry, tabId) {
+  chrome.tabs.sendMessage(tabId, { action: 'confirmDownloadName', request: entry.request }, { frameId: 0 }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.shown) {
+      if (pendingConfirmations.has(entry.request.requestId)) {
+        openConfirmationWindow(entry);
+      }
+      return;
+    }
+    entry.tabId = tabId;
+  });
+}
+
+/**
+ * Opens the confirmation popup window for a pending confirmation
+ * @param {Object} entry - The pending confirmation
+ */
+function openConfirmationWindow(entry) {
+  const url = chrome.runtime.getURL(`confirm/confirm.html?request=${encodeURIComponent(entry.request.requestId)}`);
+  chrome.windows.create({ url: url, type: 'popup', width: 520, height: 400, focused: true }, (win) => {
+    if (chrome.runtime.lastError || !win) {
+      console.error('Error opening the confirmation window:', chrome.runtime.lastError);
+      entry.finish({ choice: AUTOMATIC_CHOICE_ID });
+      return;
+    }
+    entry.windowId = win.id;
+    // The prompt may have timed out while the window was opening
+    if (!pendingConfirmations.has(entry.request.requestId)) {
+      closeConfirmationPrompt(entry);
+    }
+  });
+}
 
-    // Process the user's pattern, passing the separator
-    let newFilename = processPattern(userPattern, placeholders, userSeparator);
+/**
+ * Closes the prompt of a confirmation that was answered or timed out
+ * @param {Object} entry - The confirmation
+ */
+function closeConfirmationPrompt(entry) {
+  if (entry.tabId !== null) {
+    chrome.tabs.sendMessage(entry.tabId, { action: 'closeDownloadConfirmation', requestId: entry.request.requestId }, { frameId: 0 }, () => {
+      void chrome.runtime.lastError; // The tab may be gone
+    });
+  }
+  if (entry.windowId !== null) {
+    chrome.windows.remove(entry.windowId, () => {
+      void chrome.runtime.lastError; // The user may have closed it already
+    });
+  }
+}
 
-    // Sanitize the new filename to remove invalid characters
-    newFilename = sanitizeFilename(newFilename);
+/**
+ * Applies the answer to a confirmation prompt. An unchanged proposal is renamed again with real counters;
+ * an edited name is cleaned up and used as typed.
+ * @param {Object} downloadItem - The Chrome download item object
+ * @param {Function} suggest - Callback to suggest the new filename
+ * @param {Object} context - {now, tab, previews, answer}, plus the settings the proposals were made with when
+ *   they must not follow changes made while the prompt was open
+ */
+function finishConfirmedDownload(downloadItem, suggest, context) {
+  const { now, tab, previews, answer } = context;
+  try {
+    if (answer.keepOriginal) {
+      suggest({ filename: downloadItem.filename });
+      recordRenameHistory(createHistoryEntry(downloadItem, downloadItem.filename, ['Confirmation: original name kept']));
+      return;
+    }
 
-    console.log(`Renaming: ${originalFilename} -> ${newFilename}`);
+    const choiceId = previews.has(answer.choice) ? answer.choice : AUTOMATIC_CHOICE_ID;
+    const preview = previews.get(choiceId);
+    const edited = answer.filename ? cleanEditedFilename(answer.filename, sanitizeOptions) : '';
+    if (edited && edited !== preview.filename) {
+      suggestRename(downloadItem, suggest, edited, preview.conflict, [...preview.matchedRules, 'Confirmation: name edited']);
+      return;
+    }
 
-    // Suggest the new filename
-    suggest({ filename: newFilename });
+    const result = renameDownload(downloadItem, context.settings || getCurrentSettings(), {
+      now: now,
+      nextCounter: advanceCounter,
+      tab: tab,
+      profileId: choiceId === AUTOMATIC_CHOICE_ID ? undefined : choiceId
+    });
+    result.warnings.forEach(warning => console.error(warning));
+    if (!result.renamed) {
+      // Renaming was turned off while the prompt was open
+      suggest({ filename: downloadItem.filename });
+      recordRenameHistory(createHistoryEntry(downloadItem, downloadItem.filename, result.matchedRules));
+      return;
+    }
+
+    result.matchedRules.push(answer.timedOut ? 'Confirmation: timed out, automatic name used' : 'Confirmation: accepted');
+    suggestRename(downloadItem, suggest, result.filename, result.conflict, result.matchedRules);
+  } catch (error) {
+    console.error('Error applying the confirmation:', error);
+    suggest({ filename: downloadItem.filename });
+    recordRenameHistory(createHistoryEntry(downloadItem, downloadItem.filename, ['Error: original name kept']));
+  }
+}
+
+/**
+ * Suggests a generated filename to Chrome and records it in the history.
+ * The counter conflict mode picks a free name first, so Chrome waits for that lookup.
+ * @param {Object} downloadItem - The Chrome download item object
+ * @param {Function} suggest - Callback to suggest the new filename
+ * @param {string} newFilename - The generated filename (relative path)
+ * @param {Object} conflict - The {action, counterFormat} conflict handling
+ * @param {Array<string>} matchedRules - Descriptions of the rules that shaped the name (appended to)
+ */
+function suggestRename(downloadItem, suggest, newFilename, conflict, matchedRules) {
+  if (conflict.action === 'counter') {
+    findAvailableCounterFilename(downloadItem.id, newFilename, conflict.counterFormat)
+      .then(({ filename, counter }) => {
+        if (counter > 0) {
+          matchedRules.push(`Name conflict: counter ${counter}`);
+        }
+        console.log(`Renaming: ${downloadItem.filename} -> ${filename}`);
+        suggest({ filename: filename, conflictAction: 'uniquify' });
+        recordRenameHistory(createHistoryEntry(downloadItem, filename, matchedRules));
+      })
+      .catch((error) => {
+        console.error('Error finding a free filename:', error);
+        suggest({ filename: newFilename, conflictAction: 'uniquify' });
+        recordRenameHistory(createHistoryEntry(downloadItem, newFilename, matchedRules));
+      });
+    return;
+  }
+
+  console.log(`Renaming: ${downloadItem.filename} -> ${newFilename}`);
+
+  // Suggest the new filename
+  suggest({ filename: newFilename, conflictAction: conflict.action });
+  recordRenameHistory(createHistoryEntry(downloadItem, newFilename, matchedRules));
+}
+
+/**
+ * Suggests a new filename for a download based on the current pattern and separator
+ * @param {Object} downloadItem - The Chrome download item object
+ * @param {Function} suggest - Callback to suggest the new filename
+ * @param {Object|null} tab - The {id, title, url} of the originating tab, if found
+ * @returns {Promise|undefined} The pending confirmation, when the name is confirmed first
+ */
+function handleDownload(downloadItem, suggest, tab) {
+  try {
+    // Files saved by the extension itself (e.g., history exports) keep the name they were given
+    if (downloadItem.byExtensionId && downloadItem.byExtensionId === chrome.runtime.id) {
+      suggest({ filename: downloadItem.filename });
+      return;
+    }
+
+    // The skip shortcut covers exactly one download, so it is cleared before anything else can see it
+    if (skipNextDownload && isEnabled) {
+      skipNextDownload = false;
+      chrome.storage.local.set({ skipNextDownload: false });
+      suggest({ filename: downloadItem.filename });
+      recordRenameHistory(createHistoryEntry(downloadItem, downloadItem.filename, ['Shortcut: renaming skipped for this download']));
+      return;
+    }
+
+    const settings = getCurrentSettings();
+    const now = new Date();
+
+    // Confirm-and-edit mode: offer the proposed names first (never for incognito downloads)
+    if (confirmSettings.enabled && !downloadItem.incognito) {
+      const { proposals, previews } = createConfirmationProposals(downloadItem, settings, now, tab);
+      if (previews.has(AUTOMATIC_CHOICE_ID)) {
+        return requestConfirmation(downloadItem, proposals, tab)
+          .then(answer => finishConfirmedDownload(downloadItem, suggest, { now, tab, previews, answer }));
+      }
+    }
+
+    const result = renameDownload(downloadItem, settings, {
+      now: now,
+      nextCounter: advanceCounter,
+      tab: tab
+    });
+    result.warnings.forEach(warning => console.error(warning));
+
+    // If extension is disabled, keep original filename
+    if (!result.renamed) {
+      suggest({ filename: downloadItem.filename });
+      recordRenameHistory(createHistoryEntry(downloadItem, downloadItem.filename, result.matchedRules));
+      return;
+    }
+
+    console.log(`Rename profile: ${result.profile ? result.profile.name : '(global pattern)'}`);
+    suggestRename(downloadItem, suggest, result.filename, result.conflict, result.matchedRules);
   } catch (error) {
     console.error('Error processing download:', error);
     // In case of error, use the original filename
     suggest({ filename: downloadItem.filename });
+    recordRenameHistory(createHistoryEntry(downloadItem, downloadItem.filename, ['Error: original name kept']));
   }
 }
 
+/**
+ * Rebuilds the "Download with" context menu items from the current profiles
+ */
+function buildContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    const create = (properties) => chrome.contextMenus.create({ contexts: CONTEXT_MENU_CONTEXTS, ...properties }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Error creating a context menu item:', chrome.runtime.lastError);
+      }
+    });
+
+    create({ id: CONTEXT_MENU_PROFILES_ID, title: 'Download and rename with profile' });
+    create({ id: CONTEXT_MENU_PROFILE_PREFIX + GLOBAL_PATTERN_ID, parentId: CONTEXT_MENU_PROFILES_ID, title: 'Global pattern' });
+    profiles
+      .filter(profile => profile && profile.id && profile.enabled !== false)
+      .forEach(profile => create({
+        id: CONTEXT_MENU_PROFILE_PREFIX + profile.id,
+        parentId: CONTEXT_MENU_PROFILES_ID,
+        title: profile.name || 'Untitled'
+      }));
+    create({ id: CONTEXT_MENU_ORIGINAL_ID, title: 'Download keeping original name' });
+    create({ id: CONTEXT_MENU_CUSTOM_ID, title: 'Download with custom name…' });
+  });
+}
+
+/**
+ * Starts a download from a context menu item, remembering how it should be named
+ * @param {Object} info - The clicked menu item and the element it was opened on
+ * @param {Object} [tab] - The tab the menu was opened in
+ */
+function handleContextMenuClick(info, tab) {
+  let override = null;
+  if (info.menuItemId === CONTEXT_MENU_ORIGINAL_ID) {
+    override = { mode: 'original' };
+  } else if (info.menuItemId === CONTEXT_MENU_CUSTOM_ID) {
+    override = { mode: 'custom' };
+  } else if (typeof info.menuItemId === 'string' && info.menuItemId.startsWith(CONTEXT_MENU_PROFILE_PREFIX)) {
+    override = { mode: 'profile', profileId: info.menuItemId.slice(CONTEXT_MENU_PROFILE_PREFIX.length) };
+  }
+  if (!override) return;
+
+  // On images and media, the element's own file is downloaded rather than the link around it
+  const url = (info.mediaType && info.srcUrl) || info.linkUrl || info.srcUrl;
+  if (!url) return;
+
+  // Incognito page titles and URLs never reach names of regular downloads
+  override.tab = tab && !tab.incognito && tab.id >= 0 ? { id: tab.id, title: tab.title || '', url: tab.url || info.pageUrl || '' } : null;
+
+  const queue = pendingMenuDownloads.get(url) || [];
+  queue.push(override);
+  pendingMenuDownloads.set(url, queue);
+
+  chrome.downloads.download({ url: url }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Error starting the context menu download:', chrome.runtime.lastError);
+      removeMenuDownloadOverride(url, override);
+    }
+  });
+}
+
+/**
+ * Forgets a queued context menu override
+ * @param {string} url - The download URL
+ * @param {Object} override - The override to remove
+ */
+function removeMenuDownloadOverride(url, override) {
+  const queue = (pendingMenuDownloads.get(url) || []).filter(item => item !== override);
+  if (queue.length > 0) {
+    pendingMenuDownloads.set(url, queue);
+  } else {
+    pendingMenuDownloads.delete(url);
+  }
+}
+
+/**
+ * Takes the context menu override of a download, if it was started from the context menu.
+ * Overrides are matched by URL because Chrome may ask for the filename before downloads.download
+ * reports the download ID.
+ * @param {Object} downloadItem - The Chrome download item object
+ * @returns {Object|null} The override ({mode, profileId, tab}), or null for other downloads
+ */
+function takeMenuDownloadOverride(downloadItem) {
+  if (downloadItem.byExtensionId !== chrome.runtime.id) {
+    return null;
+  }
+  const queue = pendingMenuDownloads.get(downloadItem.url);
+  if (!queue || queue.length === 0) {
+    return null;
+  }
+  const override = queue[0];
+  removeMenuDownloadOverride(downloadItem.url, override);
+  return override;
+}
+
+/**
+ * Names a download started from the context menu. The chosen item applies even when renaming is
+ * turned off or the site is filtered out, and the confirm-and-edit mode is skipped.
+ * @param {Object} downloadItem - The Chrome download item object
+ * @param {Function} suggest - Callback to suggest the new filename
+ * @param {Object|null} tab - The {id, title, url} of the tab the menu was opened in
+ * @param {Object} override - The menu choice ({mode, profileId})
+ * @returns {Promise|undefined} The pending prompt, when a custom name is asked for
+ */
+function handleMenuDownload(downloadItem, suggest, tab, override) {
+  try {
+    if (override.mode === 'original') {
+      suggest({ filename: downloadItem.filename });
+      recordRenameHistory(createHistoryEntry(downloadItem, downloadItem.filename, ['Context menu: original name kept']));
+      return;
+    }
+
+    const settings = { ...getCurrentSettings(), enabled: true, siteFilter: undefined };
+    const now = new Date();
+
+    if (override.mode === 'custom') {
+      const { proposals, previews } = createConfirmationProposals(downloadItem, settings, now, tab);
+      const options = { target: 'tab', timeout: Math.max(confirmSettings.timeout, MIN_CUSTOM_NAME_TIMEOUT) };
+      return requestConfirmation(downloadItem, proposals, tab, options)
+        .then(answer => finishConfirmedDownload(downloadItem, suggest, { now, tab, previews, answer, settings }));
+    }
+
+    const result = renameDownload(downloadItem, settings, {
+      now: now,
+      nextCounter: advanceCounter,
+      tab: tab,
+      profileId: override.profileId
+    });
+    result.warnings.forEach(warning => console.error(warning));
+    result.matchedRules.push(`Context menu: ${result.profile ? `profile ${result.profile.name || 'Untitled'}` : 'global pattern'}`);
+    suggestRename(downloadItem, suggest, result.filename, result.conflict, result.matchedRules);
+  } catch (error) {
+    console.error('Error processing context menu download:', error);
+    suggest({ filename: downloadItem.filename });
+    recordRenameHistory(createHistoryEntry(downloadItem, downloadItem.filename, ['Error: original name kept']));
+  }
+}
+
+/**
+ * Builds the content of the floating icon's popup for a page. It is worked out here and sent to the content
+ * script, so web pages can't load the extension's modules.
+ * @param {Object} settings - The settings read from storage (enabled, pattern, separator, useUtc,
+ *   customPlaceholders, siteFilter, profiles, activeProfileId, skipNextDownload)
+ * @param {Object} page - The {url, hostname, title} of the page the popup is open on
+ * @returns {Object} {enabled, skipNextDownload, pattern, preview, activeProfileLabel, domain, siteExcluded,
+ *   siteToggleLocked, siteNote}: pattern lists the pattern's placeholders and preview resolves the ones known
+ *   from the page (the others stay as {placeholder})
+ */
+function createFloatingPreview(settings, page) {
+  const pattern = settings.pattern || DEFAULT_PATTERN;
+  const separator = settings.separator !== undefined ? settings.separator : DEFAULT_SEPARATOR;
+  const tokens = (pattern.match(/\{([^}]+)\}/g) || [])
+    .map(p => p.slice(1, -1))
+    .filter(p => parsePlaceholderToken(p).name !== 'ext');
+
+  const tabUrl = page.url || '';
+  const domain = page.hostname || 'unknown';
+  const baseValues = {
+    domain,
+    ...createDatePlaceholders(new Date(), settings.useUtc === true),
+    tabUrl,
+    pageTitle: page.title || '',
+    tabDomain: domain
+  };
+  // Custom placeholders that resolve to nothing here stay as {name} in the preview
+  const custom = resolveCustomPlaceholders(baseValues, settings.customPlaceholders);
+  const resolvedValues = { ...baseValues };
+  Object.keys(custom.values).forEach(name => {
+    if (custom.values[name]) resolvedValues[name] = custom.values[name];
+  });
+  const preview = tokens
+    .map(p => {
+      const value = resolvePlaceholderValue(resolvedValues, p);
+      return value.length > 0 ? value : `{${p}}`;
+    })
+    .join(separator);
+
+  // Site toggle: only offered when flipping this site's own list entry changes the outcome
+  const siteCheck = checkSiteFilter(settings.siteFilter, [domain]);
+  const siteExcluded = !siteCheck.allowed;
+  const toggledFilter = setSiteExcluded(settings.siteFilter, domain, !siteExcluded);
+  const siteToggleLocked = checkSiteFilter(toggledFilter, [domain]).allowed !== siteExcluded;
+  const siteNote = siteToggleLocked && siteCheck.pattern
+    ? `${siteExcluded ? 'Blocked' : 'Allowed'} by ${siteCheck.pattern}; change it in Options`
+    : siteToggleLocked ? 'Not on the allowlist; change it in Options' : '';
+
+  return {
+    enabled: settings.enabled !== undefined ? settings.enabled : true,
+    skipNextDownload: settings.skipNextDownload === true,
+    pattern: tokens.map(p => `{${p}}`).join(separator),
+    preview,
+    activeProfileLabel: getActiveProfileLabel(settings.profiles, settings.activeProfileId),
+    domain,
+    siteExcluded,
+    siteToggleLocked,
+    siteNote
+  };
+}
+
+/**
+ * Shows the renamer state on the toolbar badge: OFF, SKIP for a pending skip, or the active profile
+ */
+function updateBadge() {
+  const status = getRenamerStatus({ enabled: isEnabled, skipNextDownload, activeProfileId, profiles });
+  chrome.action.setBadgeText({ text: status.badge });
+  chrome.action.setBadgeBackgroundColor({ color: status.color });
+  chrome.action.setTitle({ title: `General Download Renamer - ${status.title}` });
+}
+
+/**
+ * Runs a keyboard shortcut. The new state is stored, and the storage listeners here and in the
+ * floating icon update the badge and the icon.
+ * @param {string} command - The command name from manifest.json
+ */
+function handleCommand(command) {
+  settingsReady.then(() => {
+    if (command === SHORTCUT_COMMANDS.toggle) {
+      chrome.storage.local.set({ enabled: !isEnabled });
+      console.log('Shortcut: renaming turned', isEnabled ? 'off' : 'on');
+    } else if (command === SHORTCUT_COMMANDS.cycleProfile) {
+      const nextProfileId = getNextActiveProfileId(profiles, activeProfileId);
+      chrome.storage.local.set({ activeProfileId: nextProfileId });
+      console.log('Shortcut: active profile', getActiveProfileLabel(profiles, nextProfileId));
+    } else if (command === SHORTCUT_COMMANDS.skipNext) {
+      // Pressing it again cancels the skip
+      chrome.storage.local.set({ skipNextDownload: !skipNextDownload });
+      console.log('Shortcut: skip next download', !skipNextDownload);
+    }
+  });
+}
+
 // Handle toolbar icon click - open options page
 chrome.action.onClicked.addListener((tab) => {
   chrome.runtime.openOptionsPage();
@@ -234,8 +1228,17 @@ chrome.runtime.onInstalled.addListener((details) => {
       });
     }
   });
+
+  // Context menu items persist across browser restarts, so they are only rebuilt here and when profiles change
+  settingsReady.then(buildContextMenus);
 });
 
+// Download links, images and media with a chosen profile, the original name or a custom name
+chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
+
+// Keyboard shortcuts (configurable at chrome://extensions/shortcuts)
+chrome.commands.onCommand.addListener(handleCommand);
+
 // Listen for messages from popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   console.log('Received message:', message);
@@ -244,12 +1247,94 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     chrome.runtime.openOptionsPage();
   }
 
+  // Counters are reset here rather than by the options page so the in-memory state stays authoritative
+  if (message.action === 'resetCounters') {
+    settingsReady.then(() => {
+      const scope = COUNTER_SCOPES.includes(message.scope) ? message.scope : undefined;
+      resetCounterState(counterState, scope);
+      persistCounterState();
+      console.log('Counters reset:', scope || 'all scopes');
+      sendResponse({ success: true });
+    });
+  }
+
+  // The floating icon asks for its popup content, icon state and site toggle here rather than loading the utils
+  if (message.action === 'getFloatingPreview') {
+    chrome.storage.local.get(['enabled', 'pattern', 'separator', 'useUtc', 'customPlaceholders', 'siteFilter', 'profiles', 'activeProfileId', 'skipNextDownload'], (result) => {
+      sendResponse({ preview: createFloatingPreview(result, message.page || {}) });
+    });
+  }
+
+  if (message.action === 'getRenamerStatus') {
+    sendResponse({ status: getRenamerStatus(message.state || {}) });
+  }
+
+  if (message.action === 'setSiteExcluded') {
+    chrome.storage.local.get(['siteFilter'], (result) => {
+      chrome.storage.local.set({ siteFilter: setSiteExcluded(result.siteFilter, message.host, message.exclude === true) }, () => {
+        sendResponse({ success: !chrome.runtime.lastError });
+      });
+    });
+  }
+
+  // The confirmation prompt (content script or popup window) reads its request and answers through these
+  if (message.action === 'getDownloadConfirmation') {
+    const entry = pendingConfirmations.get(message.requestId);
+    sendResponse({ request: entry ? entry.request : null });
+  }
+
+  if (message.action === 'resolveDownloadConfirmation') {
+    const entry = pendingConfirmations.get(message.requestId);
+    if (entry) {
+      entry.finish({
+        choice: message.choice,
+        filename: typeof message.filename === 'string' ? message.filename : '',
+        keepOriginal: message.keepOriginal === true
+      });
+    }
+    sendResponse({ success: Boolean(entry) });
+  }
+
+  // Sent every few seconds while a prompt is open, which also keeps this worker from being suspended
+  if (message.action === 'downloadConfirmationPing') {
+    sendResponse({ pending: pendingConfirmations.has(message.requestId) });
+  }
+
   // Always return true if you're sending a response asynchronously
   return true;
 });
 
+// A closed confirmation window or tab counts as "use the automatic name"
+chrome.windows.onRemoved.addListener((windowId) => {
+  pendingConfirmations.forEach(entry => {
+    if (entry.windowId === windowId) {
+      entry.windowId = null;
+      entry.finish({ choice: AUTOMATIC_CHOICE_ID });
+    }
+  });
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  pendingConfirmations.forEach(entry => {
+    if (entry.tabId === tabId) {
+      entry.tabId = null;
+      entry.finish({ choice: AUTOMATIC_CHOICE_ID });
+    }
+  });
+});
+
 // Implement the download listener
 chrome.downloads.onDeterminingFilename.addListener(processDownload);
 
+// Once a download completes or fails, downloads.search reports the file on disk, so stop tracking its name
+chrome.downloads.onChanged.addListener((delta) => {
+  if (issuedFilenames.has(delta.id) && (delta.state || delta.error)) {
+    issuedFilenames.delete(delta.id);
+  }
+});
+chrome.downloads.onErased.addListener((downloadId) => {
+  issuedFilenames.delete(downloadId);
+});
+
 // Log that the service worker has started
 console.log('General Download Renamer service worker initialized'); 
@@ -0,0 +1,104 @@
+/**
+ * Confirmation window for the confirm-and-edit mode
+ * Shown when the prompt can't appear on the originating tab; sends the chosen name back to the service worker
+ */
+
+import { AUTOMATIC_CHOICE_ID } from '../utils/confirmUtils.js';
+
+// Keeps the service worker awake while the prompt is open
+const PING_INTERVAL = 10000;
+
+document.addEventListener('DOMContentLoaded', () => {
+  // --- DOM Elements ---
+  const originalName = document.getElementById('original-name');
+  const confirmForm = document.getElementById('confirm-form');
+  const proposalSelect = document.getElementById('proposal-select');
+  const filenameInput = document.getElementById('filename-input');
+  const countdown = document.getElementById('countdown');
+  const saveBtn = document.getElementById('save-btn');
+  const keepOriginalBtn = document.getElementById('keep-original-btn');
+  const expiredMessage = document.getElementById('expired-message');
+
+  const requestId = new URLSearchParams(window.location.search).get('request') || '';
+  let request = null;
+  let lastProposal = '';
+
+  // --- Functions ---
+
+  /**
+   * Shows that the download no longer waits for an answer, then closes the window
+   */
+  function showExpired() {
+    confirmForm.hidden = true;
+    expiredMessage.hidden = false;
+    setTimeout(() => window.close(), 1500);
+  }
+
+  /**
+   * Fills the form from the confirmation request
+   */
+  function renderRequest() {
+    originalName.textContent = `${request.originalFilename} from ${request.domain}`;
+    proposalSelect.innerHTML = '';
+    request.proposals.forEach(proposal => {
+      const opt = document.createElement('option');
+      opt.value = proposal.id;
+      opt.textContent = proposal.label;
+      proposalSelect.appendChild(opt);
+    });
+    filenameInput.value = request.proposals.length > 0 ? request.proposals[0].filename : '';
+    lastProposal = filenameInput.value;
+    updateCountdown();
+    filenameInput.focus();
+    filenameInput.select();
+  }
+
+  /**
+   * Updates the time left before the automatic name is used
+   */
+  function updateCountdown() {
+    const seconds = Math.max(0, Math.ceil((request.expiresAt - Date.now()) / 1000));
+    countdown.textContent = `Saving with the automatic name in ${seconds}s`;
+    if (seconds === 0) showExpired();
+  }
+
+  /**
+   * Sends the answer to the service worker, which closes this window
+   * @param {Object} answer - {choice, filename} or {keepOriginal: true}
+   */
+  function sendAnswer(answer) {
+    chrome.runtime.sendMessage({ action: 'resolveDownloadConfirmation', requestId, choice: proposalSelect.value, ...answer }, () => {
+      window.close();
+    });
+  }
+
+  // --- Initialization ---
+  chrome.runtime.sendMessage({ action: 'getDownloadConfirmation', requestId }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.request) {
+      showExpired();
+      return;
+    }
+    request = response.request;
+    renderRequest();
+    setInterval(updateCountdown, 1000);
+    setInterval(() => chrome.runtime.sendMessage({ action: 'downloadConfirmationPing', requestId }), PING_INTERVAL);
+  });
+
+  // Picking another profile replaces the name unless it was edited by hand
+  proposalSelect.addEventListener('change', () => {
+    const proposal = request.proposals.find(p => p.id === proposalSelect.value);
+    if (proposal && filenameInput.value === lastProposal) {
+      filenameInput.value = proposal.filename;
+    }
+    lastProposal = proposal ? proposal.filename : lastProposal;
+  });
+
+  saveBtn.addEventListener('click', () => sendAnswer({ filename: filenameInput.value }));
+  keepOriginalBtn.addEventListener('click', () => sendAnswer({ keepOriginal: true }));
+  document.addEventListener('keydown', (e) => {
+    if (!request) return;
+    // Enter on a focused button is that button's click, not a save
+    if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') sendAnswer({ filename: filenameInput.value });
+    if (e.key === 'Escape') sendAnswer({ choice: AUTOMATIC_CHOICE_ID, filename: '' });
+  });
+});
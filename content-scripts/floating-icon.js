@@ -6,12 +6,112 @@
   // --- Constants and State ---
   const ICON_ID = 'dr-floating-icon';
   const POPUP_ID = 'dr-popup-panel';
+  const CONFIRM_STACK_ID = 'dr-confirm-stack';
+  const CONFIRM_PING_INTERVAL = 10000; // Keeps the service worker awake while a prompt is open
+  // Styles of the download confirmations, which live in a shadow root where the page's styles (and the
+  // floating icon's stylesheet) don't reach
+  const CONFIRM_DIALOG_STYLES = `
+    :host {
+      all: initial;
+      position: fixed;
+      right: 20px;
+      bottom: 20px;
+      display: flex;
+      flex-direction: column;
+      gap: 10px;
+      z-index: 2147483647;
+    }
+
+    .dr-confirm-dialog {
+      width: 380px;
+      max-width: 90vw;
+      background-color: white;
+      border-radius: 8px;
+      box-shadow: 0 4px 15px rgba(0, 0, 0, 0.25);
+      border: 1px solid #bbb;
+      border-left: 3px solid #4caf50;
+      padding: 15px;
+      font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+      font-size: 14px;
+      color: #333;
+      box-sizing: border-box;
+    }
+
+    h3 {
+      margin: 0 0 8px 0;
+      font-size: 15px;
+      font-weight: 600;
+      color: #2e7d32;
+    }
+
+    .dr-confirm-original {
+      margin-bottom: 8px;
+      font-size: 12px;
+      color: #666;
+      word-break: break-all;
+    }
+
+    select,
+    input[type='text'] {
+      display: block;
+      width: 100%;
+      box-sizing: border-box;
+      margin-bottom: 8px;
+      padding: 6px 8px;
+      border: 1px solid #ddd;
+      border-radius: 4px;
+      font-size: 13px;
+      color: #333;
+      background-color: white;
+    }
+
+    input[type='text'] {
+      font-family: monospace;
+    }
+
+    .dr-confirm-countdown {
+      margin-bottom: 10px;
+      font-size: 12px;
+      color: #666;
+    }
+
+    .dr-confirm-buttons {
+      display: flex;
+      gap: 8px;
+    }
+
+    .dr-button {
+      flex: 1;
+      padding: 8px 12px;
+      background-color: #5a9a5d;
+      color: white;
+      border: none;
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 13px;
+    }
+
+    .dr-button:hover {
+      background-color: #2e7d32;
+    }
+
+    .dr-button-secondary {
+      background-color: #eee;
+      color: #333;
+    }
+
+    .dr-button-secondary:hover {
+      background-color: #ddd;
+    }
+  `;
   const DEFAULT_PATTERN = '{date}_{originalFilename}{ext}';
   let floatingIcon = null;
   let popupPanel = null;
   let isDragging = false;
   let offsetX, offsetY;
-  let currentSettings = { enabled: true, pattern: DEFAULT_PATTERN };
+  let currentSettings = { enabled: true, pattern: DEFAULT_PATTERN, skipNextDownload: false, activeProfileId: '', profiles: [] };
+  const confirmDialogs = new Map(); // Request ID -> {element, timers} of open download confirmations
+  let confirmRoot = null; // Closed shadow root holding the download confirmations, out of the page's reach
 
   // --- Core Functions ---
 
@@ -44,8 +144,13 @@
     hideButton.title = 'Hide floating icon';
     hideButton.setAttribute('aria-label', 'Hide floating icon');
 
+    // Shows SKIP or the active profile set with the keyboard shortcuts
+    const statusTag = document.createElement('span');
+    statusTag.className = 'dr-icon-status';
+
     floatingIcon.appendChild(iconImage);
     floatingIcon.appendChild(hideButton);
+    floatingIcon.appendChild(statusTag);
     document.body.appendChild(floatingIcon);
 
     updateIconAppearance();
@@ -65,91 +170,82 @@
   }
 
   /**
-   * Fetches settings and updates the popup's content and visibility.
+   * Asks the service worker for the popup content, then updates the popup and shows it.
+   * The preview is worked out there so the page never gets access to the extension's modules.
    */
   function showPopup() {
     if (!popupPanel || !floatingIcon) return;
 
-    // Fetch pattern AND separator
-    chrome.storage.local.get(['enabled', 'pattern', 'separator', 'customPlaceholders'], (result) => {
-      currentSettings.enabled = result.enabled !== undefined ? result.enabled : true;
-      currentSettings.pattern = result.pattern || DEFAULT_PATTERN;
-      // Use underscore as default separator if none is saved
-      currentSettings.separator = result.separator !== undefined ? result.separator : '_';
-
-      // --- Construct Preview String ---
-      const placeholdersInPattern = (currentSettings.pattern.match(/\{([^}]+)\}/g) || [])
-        .map(p => p.slice(1, -1)) // Extract name from {name}
-        .filter(p => p !== 'ext'); // Exclude {ext}
-      const previewString = placeholdersInPattern
-        .map(p => `{${p}}`)
-        .join(currentSettings.separator);
-      const currentPatternDisplay = previewString;
-      const now = new Date();
-      const date = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
-      const time = `${String(now.getHours()).padStart(2, '0')}${String(now.getMinutes()).padStart(2, '0')}${String(now.getSeconds()).padStart(2, '0')}`;
-      const timestamp = `${date}-${time}`;
-      const tabUrl = window.location && window.location.href ? window.location.href : '';
-      const domain = window.location && window.location.hostname ? window.location.hostname : 'unknown';
-      const baseValues = { domain, date, time, timestamp, tabUrl };
-      const customDefs = Array.isArray(result.customPlaceholders) ? result.customPlaceholders : [];
-      const resolvedValues = { ...baseValues };
-      if (customDefs.length > 0) {
-        customDefs.forEach(def => {
-          const name = def && def.name ? String(def.name) : '';
-          const from = def && def.base ? String(def.base) : '';
-          const regexStr = def && def.regex ? String(def.regex) : '';
-          const keywordsRaw = def && def.keywords !== undefined ? String(def.keywords) : '';
-          if (!name || !from || !regexStr) return;
-          const sourceValue = resolvedValues[from] || '';
-          const keywords = keywordsRaw.split(',').map(k => k.trim()).filter(k => k.length > 0);
-          const gatePass = keywords.length === 0 ? true : keywords.some(k => sourceValue.toLowerCase().includes(k.toLowerCase()));
-          if (!gatePass) return;
-          try {
-            const re = new RegExp(regexStr);
-            const m = sourceValue.match(re);
-            if (m && m[1]) resolvedValues[name] = String(m[1]);
-          } catch (_) { }
-        });
-      }
-      const previewResolvedString = placeholdersInPattern
-        .map(p => {
-          const v = resolvedValues[p];
-          return v !== undefined && v !== null && String(v).length > 0 ? String(v) : `{${p}}`;
-        })
-        .join(currentSettings.separator);
-
-      // Build popup HTML
-      popupPanel.innerHTML = `
-        <h3>Download Renamer</h3>
-        <div class="dr-toggle-container">
-          <label class="dr-toggle-label">
-            <span>Enable Renaming</span>
-            <div class="dr-toggle-switch">
-              <input type="checkbox" id="dr-popup-enabled" ${currentSettings.enabled ? 'checked' : ''}>
-              <span class="dr-toggle-slider"></span>
-            </div>
-          </label>
-        </div>
-        <div class="dr-button-container">
-          <button id="dr-popup-options-btn" class="dr-button">Options</button>
-        </div>
-        <div class="dr-footer">
-          Current pattern:
-          <span class="dr-current-pattern">${escapeHtml(currentPatternDisplay)}<code>.{ext}</code></span>
-          <br>
-          Preview pattern:
-          <span class="dr-current-pattern">${escapeHtml(previewResolvedString)}<code>.{ext}</code></span>
-        </div>
-      `;
-
-      // Add event listeners *after* innerHTML is set
-      addPopupEventListeners();
-
-      // Position and show
-      positionPopup();
-      popupPanel.classList.add('visible');
-    });
+    const page = {
+      url: window.location && window.location.href ? window.location.href : '',
+      hostname: window.location && window.location.hostname ? window.location.hostname : '',
+      title: document.title || ''
+    };
+    chrome.runtime.sendMessage({ action: 'getFloatingPreview', page })
+      .then(response => renderPopup(response.preview))
+      .catch(error => console.error('[DR Icon] Error loading the preview:', error));
+  }
+
+  /**
+   * Builds the popup content, then positions and shows it.
+   * @param {Object} preview - The popup content from the service worker ({enabled, skipNextDownload, pattern,
+   *   preview, activeProfileLabel, domain, siteExcluded, siteToggleLocked, siteNote}).
+   */
+  function renderPopup(preview) {
+    if (!popupPanel || !floatingIcon || !preview) return;
+
+    currentSettings.enabled = preview.enabled;
+
+    const { domain, siteExcluded, siteToggleLocked, siteNote } = preview;
+    const siteToggleHtml = domain !== 'unknown' && domain !== '' ? `
+      <div class="dr-toggle-container dr-site-toggle">
+        <label class="dr-toggle-label">
+          <span>Don't rename on this site</span>
+          <div class="dr-toggle-switch">
+            <input type="checkbox" id="dr-popup-site-excluded" ${siteExcluded ? 'checked' : ''} ${siteToggleLocked ? 'disabled' : ''}>
+            <span class="dr-toggle-slider"></span>
+          </div>
+        </label>
+        ${siteNote ? `<div class="dr-site-note">${escapeHtml(siteNote)}</div>` : ''}
+      </div>` : '';
+
+    // State set with the keyboard shortcuts
+    const skipNoteHtml = preview.skipNextDownload
+      ? '<div class="dr-shortcut-note">The next download keeps its original name</div>'
+      : '';
+
+    // Build popup HTML
+    popupPanel.innerHTML = `
+      <h3>Download Renamer</h3>
+      <div class="dr-toggle-container">
+        <label class="dr-toggle-label">
+          <span>Enable Renaming</span>
+          <div class="dr-toggle-switch">
+            <input type="checkbox" id="dr-popup-enabled" ${currentSettings.enabled ? 'checked' : ''}>
+            <span class="dr-toggle-slider"></span>
+          </div>
+        </label>
+      </div>${siteToggleHtml}
+      <div class="dr-button-container">
+        <button id="dr-popup-options-btn" class="dr-button">Options</button>
+      </div>
+      <div class="dr-footer">
+        Active profile: <strong>${escapeHtml(preview.activeProfileLabel)}</strong>
+        <br>${skipNoteHtml}
+        Current pattern:
+        <span class="dr-current-pattern">${escapeHtml(preview.pattern)}<code>.{ext}</code></span>
+        <br>
+        Preview pattern:
+        <span class="dr-current-pattern">${escapeHtml(preview.preview)}<code>.{ext}</code></span>
+      </div>
+    `;
+
+    // Add event listeners *after* innerHTML is set
+    addPopupEventListeners();
+
+    // Position and show
+    positionPopup();
+    popupPanel.classList.add('visible');
   }
 
   /**
@@ -168,11 +264,15 @@
    */
   function addPopupEventListeners() {
     const toggle = popupPanel.querySelector('#dr-popup-enabled');
+    const siteToggle = popupPanel.querySelector('#dr-popup-site-excluded');
     const optionsBtn = popupPanel.querySelector('#dr-popup-options-btn');
 
     if (toggle) {
       toggle.addEventListener('change', handleToggleChange);
     }
+    if (siteToggle) {
+      siteToggle.addEventListener('change', handleSiteToggleChange);
+    }
     if (optionsBtn) {
       optionsBtn.addEventListener('click', handleOptionsClick);
     }
@@ -188,6 +288,18 @@
     // No need to call updateIconAppearance, storage listener will handle it
   }
 
+  /**
+   * Handles the "Don't rename on this site" toggle by editing the site lists in storage.
+   * @param {Event} event - The change event.
+   */
+  function handleSiteToggleChange(event) {
+    const exclude = event.target.checked;
+    const host = window.location.hostname;
+    chrome.runtime.sendMessage({ action: 'setSiteExcluded', host, exclude })
+      .catch(error => console.error('[DR Icon] Error updating the site lists:', error));
+    // The storage listener rebuilds the popup
+  }
+
   /**
    * Handles the click on the options button.
    */
@@ -239,11 +351,15 @@
 
   /**
    * Updates the icon's appearance based on the enabled state.
-   * (Adds/removes .active/.inactive classes)
+   * (Adds/removes .active/.inactive classes, and shows a pending skip or the active profile)
    */
   function updateIconAppearance() {
     if (!floatingIcon) return;
 
+    chrome.runtime.sendMessage({ action: 'getRenamerStatus', state: currentSettings })
+      .then(response => updateIconStatus(response.status))
+      .catch(error => console.error('[DR Icon] Error loading the renamer state:', error));
+
     if (currentSettings.enabled) {
       floatingIcon.classList.add('active');
       floatingIcon.classList.remove('inactive');
@@ -258,6 +374,24 @@
     // Opacity is now handled by the CSS classes, so direct style manipulation is removed.
   }
 
+  /**
+   * Shows the shortcut state on the icon: an orange ring while the next download is skipped, and the
+   * same short label as the toolbar badge.
+   * @param {Object} status - The state from getRenamerStatus ({status, badge, title}).
+   */
+  function updateIconStatus(status) {
+    if (!floatingIcon) return;
+
+    const statusTag = floatingIcon.querySelector('.dr-icon-status');
+    const showTag = status.status === 'skip' || status.status === 'profile';
+    floatingIcon.classList.toggle('skip-next', status.status === 'skip');
+    if (statusTag) {
+      statusTag.textContent = showTag ? status.badge : '';
+      statusTag.classList.toggle('visible', showTag);
+    }
+    floatingIcon.title = `Download Renamer - ${status.title} (Click for menu, drag to move)`;
+  }
+
   /**
    * Sets up dragging functionality for the icon.
    */
@@ -387,9 +521,12 @@
    * Loads initial settings from storage.
    */
   function loadInitialSettings() {
-    chrome.storage.local.get(['enabled', 'pattern'], (result) => {
+    chrome.storage.local.get(['enabled', 'pattern', 'skipNextDownload', 'activeProfileId', 'profiles'], (result) => {
       currentSettings.enabled = result.enabled !== undefined ? result.enabled : true;
       currentSettings.pattern = result.pattern || DEFAULT_PATTERN;
+      currentSettings.skipNextDownload = result.skipNextDownload === true;
+      currentSettings.activeProfileId = result.activeProfileId || '';
+      currentSettings.profiles = Array.isArray(result.profiles) ? result.profiles : [];
       updateIconAppearance();
     });
   }
@@ -408,6 +545,22 @@
         currentSettings.pattern = changes.pattern.newValue;
         // No visual change needed on icon for pattern change
       }
+      if (changes.siteFilter !== undefined) {
+        changed = true; // Refreshes the site toggle in an open popup
+      }
+      // Keyboard shortcut state
+      if (changes.skipNextDownload !== undefined) {
+        currentSettings.skipNextDownload = changes.skipNextDownload.newValue === true;
+        changed = true;
+      }
+      if (changes.activeProfileId !== undefined) {
+        currentSettings.activeProfileId = changes.activeProfileId.newValue || '';
+        changed = true;
+      }
+      if (changes.profiles !== undefined) {
+        currentSettings.profiles = Array.isArray(changes.profiles.newValue) ? changes.profiles.newValue : [];
+        changed = true;
+      }
       // Handle showFloatingIcon changes for real-time sync across tabs
       if (changes.showFloatingIcon !== undefined) {
         const shouldShow = changes.showFloatingIcon.newValue;
@@ -454,6 +607,160 @@
       .replace(/'/g, "&#039;");
   }
 
+  // --- Download Confirmation ---
+
+  /**
+   * Sends a message to the service worker. Once the extension is reloaded or updated, sendMessage throws
+   * instead of rejecting, so both end up as a rejected promise.
+   * @param {Object} message - The message
+   * @returns {Promise<*>} The response
+   */
+  function sendRuntimeMessage(message) {
+    try {
+      return chrome.runtime.sendMessage(message);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  /**
+   * Gets the closed shadow root the confirmations are shown in, creating its host element when needed.
+   * The page can't read the proposed names from it, edit them or reach its buttons.
+   * @returns {ShadowRoot} The shadow root
+   */
+  function getConfirmRoot() {
+    if (confirmRoot && confirmRoot.host.isConnected) return confirmRoot;
+
+    const host = document.createElement('div');
+    host.id = CONFIRM_STACK_ID;
+    document.body.appendChild(host);
+    confirmRoot = host.attachShadow({ mode: 'closed' });
+    const style = document.createElement('style');
+    style.textContent = CONFIRM_DIALOG_STYLES;
+    confirmRoot.appendChild(style);
+    return confirmRoot;
+  }
+
+  /**
+   * Shows the confirm-and-edit prompt for a download started from this tab.
+   * Works whether or not the floating icon is shown.
+   * @param {Object} request - The request from the service worker
+   *   ({requestId, originalFilename, domain, proposals: [{id, label, filename}], expiresAt})
+   */
+  function showConfirmDialog(request) {
+    if (!request || confirmDialogs.has(request.requestId)) return;
+
+    const stack = getConfirmRoot();
+
+    const dialog = document.createElement('div');
+    dialog.className = 'dr-confirm-dialog';
+    dialog.setAttribute('role', 'dialog');
+
+    const title = document.createElement('h3');
+    title.textContent = 'Save download as';
+    const original = document.createElement('div');
+    original.className = 'dr-confirm-original';
+    original.textContent = `${request.originalFilename} from ${request.domain}`;
+
+    const select = document.createElement('select');
+    request.proposals.forEach(proposal => {
+      const opt = document.createElement('option');
+      opt.value = proposal.id;
+      opt.textContent = proposal.label;
+      select.appendChild(opt);
+    });
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.spellcheck = false;
+    input.value = request.proposals.length > 0 ? request.proposals[0].filename : '';
+
+    const countdown = document.createElement('div');
+    countdown.className = 'dr-confirm-countdown';
+
+    const buttons = document.createElement('div');
+    buttons.className = 'dr-confirm-buttons';
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'dr-button';
+    saveBtn.textContent = 'Save';
+    const originalBtn = document.createElement('button');
+    originalBtn.className = 'dr-button dr-button-secondary';
+    originalBtn.textContent = 'Keep original name';
+    buttons.appendChild(saveBtn);
+    buttons.appendChild(originalBtn);
+
+    [title, original, select, input, countdown, buttons].forEach(el => dialog.appendChild(el));
+    stack.appendChild(dialog);
+
+    // Picking another profile replaces the name unless it was edited by hand
+    let lastProposal = input.value;
+    select.addEventListener('change', () => {
+      const proposal = request.proposals.find(p => p.id === select.value);
+      if (proposal && input.value === lastProposal) {
+        input.value = proposal.filename;
+      }
+      lastProposal = proposal ? proposal.filename : lastProposal;
+    });
+
+    const answer = (extra) => {
+      sendRuntimeMessage({ action: 'resolveDownloadConfirmation', requestId: request.requestId, choice: select.value, ...extra })
+        .catch(error => console.error('[DR Icon] Error sending the confirmation answer:', error));
+      closeConfirmDialog(request.requestId);
+    };
+    // Only real clicks and key presses count, not events the page makes up
+    saveBtn.addEventListener('click', (e) => {
+      if (e.isTrusted) answer({ filename: input.value });
+    });
+    originalBtn.addEventListener('click', (e) => {
+      if (e.isTrusted) answer({ keepOriginal: true });
+    });
+    dialog.addEventListener('keydown', (e) => {
+      e.stopPropagation(); // Keep page shortcuts from reacting while typing
+      if (!e.isTrusted) return;
+      // Enter on a focused button is that button's click, not a save
+      if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') answer({ filename: input.value });
+      if (e.key === 'Escape') answer({ choice: 'auto', filename: '' });
+    });
+
+    const updateCountdown = () => {
+      const seconds = Math.max(0, Math.ceil((request.expiresAt - Date.now()) / 1000));
+      countdown.textContent = `Saving with the automatic name in ${seconds}s`;
+      if (seconds === 0) closeConfirmDialog(request.requestId);
+    };
+    updateCountdown();
+    // The prompt closes when the service worker no longer knows the request or can't be reached
+    const ping = () => {
+      sendRuntimeMessage({ action: 'downloadConfirmationPing', requestId: request.requestId })
+        .then(response => {
+          if (!response || !response.pending) closeConfirmDialog(request.requestId);
+        })
+        .catch(error => {
+          console.error('[DR Icon] Error reaching the service worker, closing the prompt:', error);
+          closeConfirmDialog(request.requestId);
+        });
+    };
+    const timers = [
+      setInterval(updateCountdown, 1000),
+      setInterval(ping, CONFIRM_PING_INTERVAL)
+    ];
+    confirmDialogs.set(request.requestId, { element: dialog, timers });
+
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Removes a download confirmation prompt
+   * @param {string} requestId - The request the prompt belongs to
+   */
+  function closeConfirmDialog(requestId) {
+    const dialog = confirmDialogs.get(requestId);
+    if (!dialog) return;
+    dialog.timers.forEach(timer => clearInterval(timer));
+    dialog.element.remove();
+    confirmDialogs.delete(requestId);
+  }
+
   // --- Message Handling ---
 
   /**
@@ -468,6 +775,11 @@
       }
     } else if (message.action === 'hideFloatingIcon') {
       hideFloatingIcon();
+    } else if (message.action === 'confirmDownloadName') {
+      showConfirmDialog(message.request);
+      sendResponse({ shown: true });
+    } else if (message.action === 'closeDownloadConfirmation') {
+      closeConfirmDialog(message.requestId);
     }
   }
 
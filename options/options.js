@@ -2,17 +2,141 @@
  * Options page script for the General Download Renamer extension
  * Handles drag-and-drop pattern building and settings persistence.
  */
+
+// Import utility functions shared with the service worker
+import {
+  createDatePlaceholders,
+  parsePlaceholderToken,
+  formatPlaceholderToken,
+  resolvePlaceholderValue,
+  DATE_PLACEHOLDER_FORMATS,
+  TEXT_PLACEHOLDER,
+  applyCounterFormat,
+  sanitizeFilename,
+  extractDomain,
+  getCategoryForFile,
+  DEFAULT_SANITIZE_OPTIONS,
+  DEFAULT_CONFLICT_ACTION,
+  DEFAULT_COUNTER_FORMAT
+} from '../utils/filenameUtils.js';
+import {
+  COUNTER_PLACEHOLDER,
+  COUNTER_SCOPES,
+  getCounterScope,
+  getCounterSettings,
+  normalizeCounterState,
+  formatCounterValue
+} from '../utils/counterUtils.js';
+import {
+  SETTINGS_KEYS,
+  createSettingsExport,
+  validateSettingsImport,
+  applySettingsImport,
+  diffSettings
+} from '../utils/settingsTransfer.js';
+import { SYNCED_SETTINGS, DEVICE_LOCAL_SETTINGS } from '../utils/syncUtils.js';
+import { URL_PLACEHOLDERS, TAB_URL_ARG, createUrlPlaceholders } from '../utils/urlUtils.js';
+import { normalizeSiteFilter } from '../utils/siteFilterUtils.js';
+import { normalizeConfirmSettings } from '../utils/confirmUtils.js';
+import { getActiveProfileCycle, getActiveProfileLabel } from '../utils/shortcutUtils.js';
+import { createReplaceRule, getReplaceRuleError, normalizeReplaceFlags, applyReplaceRules } from '../utils/replaceRulesUtils.js';
+import { normalizeCustomPlaceholder, orderCustomPlaceholders, resolveCustomPlaceholders } from '../utils/customPlaceholderUtils.js';
+import { DEFAULT_EXTENSION_FIX_MODE, EXTENSION_FIX_MODES, createMimePlaceholder, fixFileExtension } from '../utils/mimeUtils.js';
+import { createPlaceholderValues, renameDownload } from '../utils/renameEngine.js';
+import { GLOBAL_PATTERN_ID } from '../utils/profileUtils.js';
+import {
+  SIZE_UNITS,
+  SIZE_UNIT_AUTO,
+  START_TIME_FORMAT,
+  FINAL_DOMAIN_PARTS,
+  createDownloadInfoPlaceholders
+} from '../utils/downloadInfoUtils.js';
+
 document.addEventListener('DOMContentLoaded', () => {
   // --- DOM Elements ---
   const saveButton = document.getElementById('save-btn');
   const statusMessage = document.getElementById('status-message');
   const availableBlocksList = document.getElementById('available-blocks-list');
   const patternSequence = document.getElementById('pattern-sequence');
+  const folderSequence = document.getElementById('folder-sequence');
   const patternPreviewText = document.getElementById('pattern-preview-text');
-  const placeholderText = patternSequence.querySelector('.placeholder-text');
+  const folderPreviewText = document.getElementById('folder-preview-text');
+  const samplePreviewBody = document.getElementById('sample-preview-body');
+  // Drop zones of the builder: the folder lane and the filename lane
+  const builderLanes = [folderSequence, patternSequence];
   const placeholderDescriptionsList = document.querySelector('#placeholder-descriptions ul');
   const separatorSelect = document.getElementById('separator-select');
+  const useUtcCheckbox = document.getElementById('use-utc-checkbox');
   const floatingIconToggle = document.getElementById('floating-icon-toggle');
+  const patternTargetSelect = document.getElementById('pattern-target-select');
+  const conflictActionSelect = document.getElementById('conflict-action-select');
+  const counterFormatLabel = document.getElementById('counter-format-label');
+  const counterFormatInput = document.getElementById('counter-format-input');
+  const counterFormatExample = document.getElementById('counter-format-example');
+  const sanitizeProfileSelect = document.getElementById('sanitize-profile-select');
+  const sanitizeReplacementInput = document.getElementById('sanitize-replacement-input');
+  const sanitizeWhitespaceCheckbox = document.getElementById('sanitize-whitespace-checkbox');
+  const sanitizeNormalizeCheckbox = document.getElementById('sanitize-normalize-checkbox');
+  const sanitizeTransliterateCheckbox = document.getElementById('sanitize-transliterate-checkbox');
+  const sanitizeEmojiCheckbox = document.getElementById('sanitize-emoji-checkbox');
+  const transliterateExampleInput = document.getElementById('transliterate-example-input');
+  const transliterateExampleOutput = document.getElementById('transliterate-example-output');
+  const sanitizeExampleInput = document.getElementById('sanitize-example-input');
+  const sanitizeExampleOutput = document.getElementById('sanitize-example-output');
+  const extensionFixSelect = document.getElementById('extension-fix-select');
+  const extensionFixExamples = document.getElementById('extension-fix-examples');
+  const replaceRulesBody = document.getElementById('replace-rules-body');
+  const replaceRulesEmpty = document.getElementById('replace-rules-empty');
+  const addReplaceRuleBtn = document.getElementById('add-replace-rule-btn');
+  const replaceTestNameInput = document.getElementById('replace-test-name-input');
+  const replaceTestDomainInput = document.getElementById('replace-test-domain-input');
+  const replaceRulesExamples = document.getElementById('replace-rules-examples');
+  const siteBlocklistInput = document.getElementById('site-blocklist-input');
+  const siteAllowlistInput = document.getElementById('site-allowlist-input');
+  const siteBlocklistLabel = document.getElementById('site-blocklist-label');
+  const siteAllowlistLabel = document.getElementById('site-allowlist-label');
+  const siteFilterWarning = document.getElementById('site-filter-warning');
+  const confirmEnabledCheckbox = document.getElementById('confirm-enabled-checkbox');
+  const confirmTargetSelect = document.getElementById('confirm-target-select');
+  const confirmTimeoutInput = document.getElementById('confirm-timeout-input');
+  const countersTableBody = document.getElementById('counters-table-body');
+  const resetAllCountersBtn = document.getElementById('reset-all-counters-btn');
+
+  // Sync DOM elements
+  const syncEnabledCheckbox = document.getElementById('sync-enabled-checkbox');
+  const syncStatus = document.getElementById('sync-status');
+  const syncedSettingsList = document.getElementById('synced-settings-list');
+  const deviceLocalSettingsList = document.getElementById('device-local-settings-list');
+
+  // Import/export DOM elements
+  const exportSettingsBtn = document.getElementById('export-settings-btn');
+  const importSettingsBtn = document.getElementById('import-settings-btn');
+  const importSettingsFile = document.getElementById('import-settings-file');
+  const importPreview = document.getElementById('import-preview');
+  const importMessages = document.getElementById('import-messages');
+  const importDiffBody = document.getElementById('import-diff-body');
+  const applyImportBtn = document.getElementById('apply-import-btn');
+  const cancelImportBtn = document.getElementById('cancel-import-btn');
+
+  // History DOM elements
+  const tabButtons = document.querySelectorAll('.tab-btn');
+  const historySearch = document.getElementById('history-search');
+  const historyDomainFilter = document.getElementById('history-domain-filter');
+  const historyDateFrom = document.getElementById('history-date-from');
+  const historyDateTo = document.getElementById('history-date-to');
+  const historyTableBody = document.getElementById('history-table-body');
+  const historyEmpty = document.getElementById('history-empty');
+  const historyCount = document.getElementById('history-count');
+  const exportHistoryCsvBtn = document.getElementById('export-history-csv-btn');
+  const exportHistoryJsonBtn = document.getElementById('export-history-json-btn');
+  const clearHistoryBtn = document.getElementById('clear-history-btn');
+
+  // Profiles DOM elements
+  const profilesContainer = document.getElementById('profiles-container');
+  const addProfileBtn = document.getElementById('add-profile-btn');
+  const activeProfileSelect = document.getElementById('active-profile-select');
+  const shortcutList = document.getElementById('shortcut-list');
+  const changeShortcutsBtn = document.getElementById('change-shortcuts-btn');
 
   // Categories DOM elements
   const categoryRulesContainer = document.getElementById('category-rules-container');
@@ -22,47 +146,258 @@ document.addEventListener('DOMContentLoaded', () => {
   // --- Constants ---
   const DEFAULT_PATTERN = '{date}{originalFilename}{ext}';
   const DEFAULT_SEPARATOR = '_';
+  // Token of the block that starts a new subfolder in the folder lane
+  const FOLDER_BREAK = '/';
+  // Filename conflict modes offered in the UI
+  const CONFLICT_ACTION_LABELS = {
+    uniquify: 'Let Chrome add a number, e.g. report (1).pdf',
+    overwrite: 'Overwrite the existing file',
+    prompt: 'Ask where to save',
+    counter: 'Add a counter in my own format'
+  };
+  // Readable names of the stored settings, used by the sync section
+  const SETTING_LABELS = {
+    enabled: 'Renaming on/off switch',
+    pattern: 'Global pattern',
+    separator: 'Separator',
+    folderPattern: 'Folder path',
+    useUtc: 'UTC date option',
+    showFloatingIcon: 'Floating icon visibility',
+    conflictAction: 'Filename conflict mode',
+    counterFormat: 'Conflict counter format',
+    counterSettings: 'Counter digits and start values',
+    sanitizeOptions: 'Filename safety options',
+    extensionFixMode: 'Extension repair mode',
+    siteFilter: 'Site allowlist and blocklist',
+    confirmSettings: 'Confirm before saving',
+    categoryRules: 'File categories',
+    customPlaceholders: 'Custom placeholders',
+    profiles: 'Rename profiles',
+    replaceRules: 'Find-and-replace rules'
+  };
+  // Local data that is never synced, in addition to the device-local settings
+  const DEVICE_LOCAL_DATA_LABELS = ['Rename history', 'Counter values'];
+  // Labels of the counter scopes in the block settings and the Counters section
+  const COUNTER_SCOPE_LABELS = {
+    global: '{counter} - one sequence for all downloads',
+    daily: '{counter:daily} - restarts every day',
+    domain: '{counter:domain} - one sequence per domain',
+    category: '{counter:category} - one sequence per category'
+  };
   // Built-in placeholders with their descriptions
   const BUILTIN_PLACEHOLDERS_INFO = {
     'domain': 'The domain name of the download source',
-    'timestamp': 'Full date and time (YYYYMMDD-HHMMSS)',
-    'date': 'Date only (YYYYMMDD)',
-    'time': 'Time only (HHMMSS)',
+    'timestamp': 'Full date and time (YYYYMMDD-HHMMSS, or a custom format like {timestamp:YYYY-MM-DD_HH.mm})',
+    'date': 'Date only (YYYYMMDD, or a custom format like {date:YYYY-MM-DD})',
+    'time': 'Time only (HHMMSS, or a custom format like {time:HH.mm})',
+    'year': 'Four-digit year (YYYY)',
+    'month': 'Two-digit month (MM)',
+    'day': 'Two-digit day of the month (DD)',
+    'weekday': 'Day of the week (e.g., Monday)',
+    'isoWeek': 'ISO 8601 week number (WW)',
     'originalFilename': 'The original filename without extension',
     'category': 'Auto-detected file category (Documents, Images, etc.)',
     'sourceUrl': 'Full download URL',
-    'tabUrl': 'Referrer/tab URL when available'
+    'tabUrl': 'Referrer/tab URL when available',
+    'pageTitle': 'Title of the page the download started from (empty if the tab is closed or incognito)',
+    'tabDomain': 'Domain of the page the download started from (rather than the file host)',
+    'urlPath': 'Path of the download URL (e.g., reports/2024/report.pdf); {urlPath:tab} reads the referrer/tab URL',
+    'urlLastSegment': 'Last path segment of the download URL (e.g., report.pdf)',
+    'urlParentSegment': 'Path segment before the last one (e.g., 2024)',
+    'subdomain': 'Subdomain of the download host, without www (e.g., docs for www.docs.example.co.uk)',
+    'registrableDomain': 'Domain without subdomains or www (e.g., example.co.uk)',
+    'query': 'Query parameter of the download URL, e.g. {query:id}; {query:tab:id} reads the referrer/tab URL',
+    'mime': 'MIME type sent by the server (e.g., application/pdf); {mime:type} and {mime:subtype} give one part',
+    'size': 'File size (e.g., 12MB); {size:KB} or {size:MB:2} pick the unit and decimals; empty when the size is not known yet',
+    'sizeBytes': 'File size in bytes (e.g., 12582912); {sizeBytes:,} groups the digits; empty when the size is not known yet',
+    'startTime': 'Time Chrome started the download (YYYYMMDD-HHMMSS, or a custom format like {startTime:YYYY-MM-DD_HH.mm})',
+    'finalDomain': 'Domain of the download URL after redirects; {finalDomain:registrable} or {finalDomain:subdomain} give one part',
+    'counter': 'Persistent counter (e.g., 0001); use {counter:daily}, {counter:domain} or {counter:category} for separate sequences'
   };
   const BUILTIN_PLACEHOLDERS = Object.keys(BUILTIN_PLACEHOLDERS_INFO);
   // Dynamic placeholders (built-in + custom)
   let PLACEHOLDERS_INFO = { ...BUILTIN_PLACEHOLDERS_INFO };
   let PLACEHOLDERS = Object.keys(PLACEHOLDERS_INFO);
   let currentlyDraggedItem = null;
-  let currentSettings = { pattern: DEFAULT_PATTERN, separator: DEFAULT_SEPARATOR };
+  let currentSettings = { pattern: DEFAULT_PATTERN, separator: DEFAULT_SEPARATOR, folderPattern: '' };
   const customPlaceholdersContainer = document.getElementById('custom-placeholders-container');
   const addCustomPlaceholderBtn = document.getElementById('add-custom-placeholder-btn');
+  const customTestUrlInput = document.getElementById('custom-test-url-input');
+  const customTestFilenameInput = document.getElementById('custom-test-filename-input');
+  const customTestReferrerInput = document.getElementById('custom-test-referrer-input');
+  const customTestBody = document.getElementById('custom-test-body');
+  const customTestEmpty = document.getElementById('custom-test-empty');
   let currentCustomPlaceholders = [];
+  let currentProfiles = [];
+  let currentActiveProfileId = ''; // Profile picked with the cycle shortcut or the Active profile select
+  let currentReplaceRules = []; // Ordered find-and-replace rules
+  let savedCategoryRules = null; // Category rules for the replace examples and the test bench (null = defaults)
+  let editingProfileId = ''; // Empty when the builder edits the global pattern
+  let currentHistory = [];
+  let currentCounterSettings = {}; // Padding and start value per counter scope
+  let currentCounterState = normalizeCounterState(); // Last issued counter values, as saved by the service worker
+  let recentDownloadSamples = []; // The most recent downloads, as download items, for the preview
+  let pendingImport = null; // Validated {settings, warnings} of the file being imported
+  let blockSettingsPopover = null; // Popover for editing a block's placeholder options
+  // Common format presets offered in the block settings popover
+  const DATE_FORMAT_PRESETS = ['YYYYMMDD', 'YYYY-MM-DD', 'DD.MM.YYYY', 'YYYY-MM', 'HHmmss', 'HH.mm', 'HH-mm-ss',
+    'YYYYMMDD-HHmmss', 'YYYY-MM-DD_HH.mm', 'GGGG-[W]WW', 'dddd', 'ddd', 'MMMM'];
+  // Shown in the settings of the size blocks, which are empty until Chrome knows the size
+  const SIZE_FALLBACK_HINT = 'Empty while the size is not known yet; add a "Default if empty" filter for a fallback.';
+  // Labels of the parts {finalDomain} can give in the block settings
+  const FINAL_DOMAIN_PART_LABELS = {
+    '': 'Whole host (e.g., cdn.files.example.co.uk)',
+    registrable: 'Registrable domain (e.g., example.co.uk)',
+    subdomain: 'Subdomain (e.g., cdn.files)'
+  };
+  // Transform filters offered in the block settings popover, with labels for their arguments
+  const FILTER_OPTIONS = {
+    upper: { label: 'UPPERCASE', args: [] },
+    lower: { label: 'lowercase', args: [] },
+    title: { label: 'Title Case', args: [] },
+    slug: { label: 'slug-format', args: [] },
+    trim: { label: 'Trim spaces', args: [] },
+    truncate: { label: 'Truncate', args: ['Max length'] },
+    replace: { label: 'Replace', args: ['Find', 'Replace with'] },
+    padStart: { label: 'Pad start', args: ['Length', 'Pad character'] },
+    default: { label: 'Default if empty', args: ['Fallback value'] },
+    ascii: { label: 'ASCII (transliterate)', args: ['Replace other characters with'] },
+    noEmoji: { label: 'Remove emoji', args: [] }
+  };
+  // Awkward name used to show what the filename safety options do
+  const SANITIZE_SAMPLE = ' CON:  Re\u0301sume\u0301\t\tdraft?.';
+  // Name used to show what transliteration and emoji removal do
+  const TRANSLITERATE_SAMPLE = 'Отчёт 北京 Café \u{1F389} Ωmega.pdf';
+  // Sample values used to demonstrate filters on placeholders that are only known at download time
+  const SAMPLE_SOURCE_URL = 'https://files.example.com/reports/2024/report.pdf?id=42';
+  const SAMPLE_TAB_URL = 'https://www.example.com/reports?page=2';
+  const SAMPLE_DOWNLOAD_INFO = { totalBytes: 12582912, finalUrl: 'https://cdn.files.example.co.uk/u/42/report.pdf' };
+  const SAMPLE_VALUES = {
+    domain: 'files.example.com',
+    originalFilename: 'Quarterly Report (Final)',
+    category: 'Documents',
+    sourceUrl: SAMPLE_SOURCE_URL,
+    tabUrl: SAMPLE_TAB_URL,
+    pageTitle: 'Quarterly Reports - Example Corp',
+    tabDomain: 'www.example.com',
+    mime: createMimePlaceholder('application/pdf'),
+    ...createUrlPlaceholders(SAMPLE_SOURCE_URL, SAMPLE_TAB_URL),
+    ...createDownloadInfoPlaceholders(SAMPLE_DOWNLOAD_INFO, new Date())
+  };
+  // Downloads shown as examples of the extension repair modes
+  const EXTENSION_FIX_SAMPLES = [
+    { filename: 'download.php', mime: 'application/pdf' },
+    { filename: 'photo', mime: 'image/jpeg' },
+    { filename: 'report.docx', mime: 'application/zip' }
+  ];
+  // How many of the most recent downloads the builder preview renames
+  const PREVIEW_RECENT_DOWNLOADS = 5;
+  // Sample downloads the builder preview always renames, after the recent ones
+  const PREVIEW_SAMPLE_DOWNLOADS = [
+    {
+      filename: 'Quarterly Report.pdf',
+      url: 'https://docs.example.com/files/quarterly-report.pdf',
+      referrer: 'https://docs.example.com/reports',
+      mime: 'application/pdf',
+      totalBytes: 482304
+    },
+    {
+      filename: 'IMG_2048.jpg',
+      url: 'https://cdn.photos.example.org/u/42/IMG_2048.jpg',
+      referrer: 'https://photos.example.org/album/summer',
+      mime: 'image/jpeg',
+      totalBytes: 3407872
+    },
+    {
+      filename: 'setup (1).exe',
+      url: 'https://downloads.example.net/app/setup.exe',
+      finalUrl: 'https://mirror.example-cdn.com/releases/setup.exe',
+      referrer: '',
+      mime: 'application/octet-stream'
+    }
+  ];
+  // Names shown as before/after examples of the find-and-replace rules
+  const REPLACE_RULE_SAMPLES = [
+    { filename: 'Copy of report (1).pdf', domain: 'files.example.com' },
+    { filename: 'invoice-2024-03_utm_source-newsletter.pdf', domain: 'billing.example.com' },
+    { filename: 'IMG_2041 - Copy.jpg', domain: 'photos.example.com' }
+  ];
 
   // --- Functions ---
 
+  /**
+   * Gets the placeholder name of a token (e.g., 'date' for 'date:YYYY-MM-DD').
+   * @param {string} token - The placeholder token.
+   * @returns {string} The placeholder name.
+   */
+  function getPlaceholderName(token) {
+    return parsePlaceholderToken(token).name;
+  }
+
+  /**
+   * Checks whether a placeholder name can be used in the builder (a known placeholder or a text block).
+   * @param {string} name - The placeholder name.
+   * @returns {boolean} Whether the placeholder is usable.
+   */
+  function isKnownPlaceholder(name) {
+    return name === TEXT_PLACEHOLDER || PLACEHOLDERS.includes(name);
+  }
+
+  /**
+   * Checks whether a block token is the folder break, which only belongs in the folder lane.
+   * @param {string} token - The block's placeholder token.
+   * @returns {boolean} Whether the token starts a new subfolder.
+   */
+  function isFolderBreak(token) {
+    return token === FOLDER_BREAK;
+  }
+
+  /**
+   * Gets the label shown on a block: the quoted literal for text blocks, {token} otherwise.
+   * @param {string} token - The placeholder token.
+   * @returns {string} The block label.
+   */
+  function getBlockLabel(token) {
+    if (isFolderBreak(token)) {
+      return '/ New folder';
+    }
+    const { name, arg, filters } = parsePlaceholderToken(token);
+    if (name !== TEXT_PLACEHOLDER) {
+      return `{${token}}`;
+    }
+    const filterSuffix = filters.map(f => `|${f.name}`).join('');
+    return arg !== undefined ? `"${arg}"${filterSuffix}` : 'Text';
+  }
+
   /**
    * Creates a draggable placeholder block.
-   * @param {string} placeholder - The placeholder name (e.g., 'date').
+   * @param {string} placeholder - The placeholder token (e.g., 'date' or 'date:YYYY-MM-DD').
    * @param {boolean} isInSequence - If true, adds a remove button.
    * @returns {HTMLElement} The created block element.
    */
   function createBlock(placeholder, isInSequence = false) {
     const block = document.createElement('div');
     block.className = 'placeholder-block';
-    block.textContent = `{${placeholder}}`;
     block.dataset.placeholder = placeholder;
     block.draggable = true;
     // block.title = PLACEHOLDERS_INFO[placeholder] || 'Placeholder block'; // Remove title tooltip
 
+    const label = document.createElement('span');
+    label.className = 'block-label';
+    label.textContent = getBlockLabel(placeholder);
+    block.appendChild(label);
+
+    if (isFolderBreak(placeholder)) {
+      block.classList.add('folder-break-block');
+    } else if (getPlaceholderName(placeholder) === TEXT_PLACEHOLDER) {
+      block.classList.add('text-block');
+    }
+
     block.addEventListener('dragstart', handleDragStart);
     block.addEventListener('dragend', handleDragEnd);
 
     if (isInSequence) {
+      addSettingsButton(block);
       addRemoveButton(block);
       // Blocks in the sequence also need drop handling for reordering
       block.addEventListener('dragover', handleDragOverBlock);
@@ -90,14 +425,370 @@ document.addEventListener('DOMContentLoaded', () => {
     block.appendChild(removeBtn);
   }
 
+  /**
+   * Adds a settings button to a block whose placeholder has options (e.g., a date format).
+   * @param {HTMLElement} block - The block element.
+   */
+  function addSettingsButton(block) {
+    if (block.querySelector('.block-settings-btn') || isFolderBreak(block.dataset.placeholder)) return;
+
+    const settingsBtn = document.createElement('button');
+    settingsBtn.className = 'block-settings-btn';
+    settingsBtn.innerHTML = '&#9881;'; // Gear icon
+    settingsBtn.title = 'Block settings';
+    settingsBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openBlockSettings(block);
+    });
+    block.appendChild(settingsBtn);
+  }
+
+  /**
+   * Updates a block's placeholder token and label.
+   * @param {HTMLElement} block - The block element.
+   * @param {string} token - The new placeholder token.
+   */
+  function setBlockToken(block, token) {
+    block.dataset.placeholder = token;
+    block.querySelector('.block-label').textContent = getBlockLabel(token);
+    updatePreview();
+  }
+
+  /**
+   * Opens the settings popover for a block in the sequence.
+   * Lets the user pick a date format (for date/time placeholders) and attach transform filters.
+   * @param {HTMLElement} block - The block element.
+   */
+  function openBlockSettings(block) {
+    closeBlockSettings();
+
+    const { name, arg, filters } = parsePlaceholderToken(block.dataset.placeholder);
+    const defaultFormat = name === 'startTime' ? START_TIME_FORMAT : DATE_PLACEHOLDER_FORMATS[name];
+
+    blockSettingsPopover = document.createElement('div');
+    blockSettingsPopover.className = 'block-settings-popover';
+
+    const title = document.createElement('h4');
+    title.textContent = `{${name}} settings`;
+    blockSettingsPopover.appendChild(title);
+
+    let formatInput = null;
+    let textInput = null;
+    let scopeSelect = null;
+    let urlSourceSelect = null;
+    let paramInput = null;
+    let unitSelect = null;
+    let decimalsInput = null;
+    let groupSeparatorInput = null;
+    let domainPartSelect = null;
+    if (URL_PLACEHOLDERS.includes(name)) {
+      const argText = arg || '';
+      const usesTabUrl = argText === TAB_URL_ARG || argText.startsWith(`${TAB_URL_ARG}:`);
+
+      const sourceLabel = document.createElement('label');
+      sourceLabel.textContent = 'URL';
+      urlSourceSelect = document.createElement('select');
+      [['', 'Download URL ({sourceUrl})'], [TAB_URL_ARG, 'Referrer/tab URL ({tabUrl})']].forEach(([value, label]) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = label;
+        urlSourceSelect.appendChild(opt);
+      });
+      urlSourceSelect.value = usesTabUrl ? TAB_URL_ARG : '';
+      sourceLabel.appendChild(urlSourceSelect);
+      blockSettingsPopover.appendChild(sourceLabel);
+
+      if (name === 'query') {
+        const paramLabel = document.createElement('label');
+        paramLabel.textContent = 'Parameter';
+        paramInput = document.createElement('input');
+        paramInput.type = 'text';
+        paramInput.placeholder = 'e.g., id';
+        paramInput.value = usesTabUrl ? argText.slice(TAB_URL_ARG.length + 1) : argText;
+        paramLabel.appendChild(paramInput);
+        blockSettingsPopover.appendChild(paramLabel);
+      }
+    } else if (name === COUNTER_PLACEHOLDER) {
+      const scopeLabel = document.createElement('label');
+      scopeLabel.textContent = 'Sequence';
+      scopeSelect = document.createElement('select');
+      COUNTER_SCOPES.forEach(scope => {
+        const opt = document.createElement('option');
+        opt.value = scope;
+        opt.textContent = COUNTER_SCOPE_LABELS[scope];
+        scopeSelect.appendChild(opt);
+      });
+      scopeSelect.value = getCounterScope(arg);
+      scopeLabel.appendChild(scopeSelect);
+      blockSettingsPopover.appendChild(scopeLabel);
+
+      const hint = document.createElement('small');
+      hint.textContent = 'Digits and start values are set in the Counters section.';
+      blockSettingsPopover.appendChild(hint);
+    } else if (name === 'size') {
+      const [unitArg = '', decimalsArg = ''] = String(arg || '').split(':');
+
+      const unitLabel = document.createElement('label');
+      unitLabel.textContent = 'Unit';
+      unitSelect = document.createElement('select');
+      [SIZE_UNIT_AUTO, ...SIZE_UNITS].forEach(unit => {
+        const opt = document.createElement('option');
+        opt.value = unit;
+        opt.textContent = unit === SIZE_UNIT_AUTO ? 'Automatic (B, KB, MB, GB or TB)' : unit;
+        unitSelect.appendChild(opt);
+      });
+      unitSelect.value = SIZE_UNITS.includes(unitArg.toUpperCase()) ? unitArg.toUpperCase() : SIZE_UNIT_AUTO;
+      unitLabel.appendChild(unitSelect);
+      blockSettingsPopover.appendChild(unitLabel);
+
+      const decimalsLabel = document.createElement('label');
+      decimalsLabel.textContent = 'Decimals';
+      decimalsInput = document.createElement('input');
+      decimalsInput.type = 'number';
+      decimalsInput.min = '0';
+      decimalsInput.max = '10';
+      decimalsInput.placeholder = 'Automatic';
+      decimalsInput.value = decimalsArg;
+      decimalsLabel.appendChild(decimalsInput);
+      blockSettingsPopover.appendChild(decimalsLabel);
+
+      const hint = document.createElement('small');
+      hint.textContent = SIZE_FALLBACK_HINT;
+      blockSettingsPopover.appendChild(hint);
+    } else if (name === 'sizeBytes') {
+      const separatorLabel = document.createElement('label');
+      separatorLabel.textContent = 'Digit group separator';
+      groupSeparatorInput = document.createElement('input');
+      groupSeparatorInput.type = 'text';
+      groupSeparatorInput.placeholder = 'e.g., , or .';
+      groupSeparatorInput.value = arg || '';
+      separatorLabel.appendChild(groupSeparatorInput);
+      blockSettingsPopover.appendChild(separatorLabel);
+
+      const hint = document.createElement('small');
+      hint.textContent = SIZE_FALLBACK_HINT;
+      blockSettingsPopover.appendChild(hint);
+    } else if (name === 'finalDomain') {
+      const partLabel = document.createElement('label');
+      partLabel.textContent = 'Part';
+      domainPartSelect = document.createElement('select');
+      ['', ...FINAL_DOMAIN_PARTS].forEach(part => {
+        const opt = document.createElement('option');
+        opt.value = part;
+        opt.textContent = FINAL_DOMAIN_PART_LABELS[part];
+        domainPartSelect.appendChild(opt);
+      });
+      domainPartSelect.value = FINAL_DOMAIN_PARTS.includes(arg) ? arg : '';
+      partLabel.appendChild(domainPartSelect);
+      blockSettingsPopover.appendChild(partLabel);
+    } else if (name === TEXT_PLACEHOLDER) {
+      const textLabel = document.createElement('label');
+      textLabel.textContent = 'Text';
+      textInput = document.createElement('input');
+      textInput.type = 'text';
+      textInput.placeholder = 'e.g., Invoice';
+      textInput.value = arg || '';
+      textLabel.appendChild(textInput);
+      blockSettingsPopover.appendChild(textLabel);
+    } else if (defaultFormat) {
+      const formatLabel = document.createElement('label');
+      formatLabel.textContent = 'Format';
+      formatInput = document.createElement('input');
+      formatInput.type = 'text';
+      formatInput.placeholder = defaultFormat;
+      formatInput.value = arg || '';
+      formatInput.setAttribute('list', 'date-format-presets');
+      formatLabel.appendChild(formatInput);
+      blockSettingsPopover.appendChild(formatLabel);
+
+      const presets = document.createElement('datalist');
+      presets.id = 'date-format-presets';
+      DATE_FORMAT_PRESETS.forEach(preset => {
+        const opt = document.createElement('option');
+        opt.value = preset;
+        presets.appendChild(opt);
+      });
+      blockSettingsPopover.appendChild(presets);
+
+      const hint = document.createElement('small');
+      hint.textContent = 'Tokens: YYYY YY MMMM MMM MM M DD D dddd ddd HH H hh h mm ss A WW W GGGG; [text] is kept as-is.';
+      blockSettingsPopover.appendChild(hint);
+    }
+
+    // Filters are applied top to bottom
+    const filtersLabel = document.createElement('label');
+    filtersLabel.textContent = 'Filters';
+    blockSettingsPopover.appendChild(filtersLabel);
+
+    const filterList = document.createElement('div');
+    filterList.className = 'block-filter-list';
+    blockSettingsPopover.appendChild(filterList);
+
+    const addFilterBtn = document.createElement('button');
+    addFilterBtn.className = 'secondary-btn add-filter-btn';
+    addFilterBtn.textContent = '+ Add filter';
+    blockSettingsPopover.appendChild(addFilterBtn);
+
+    const example = document.createElement('div');
+    example.className = 'block-settings-example';
+    blockSettingsPopover.appendChild(example);
+
+    const readFilters = () => {
+      return Array.from(filterList.querySelectorAll('.block-filter-row')).map(row => ({
+        name: row.querySelector('select').value,
+        args: Array.from(row.querySelectorAll('input')).map(input => input.value)
+      }));
+    };
+    const buildToken = () => {
+      if (textInput) {
+        return formatPlaceholderToken(name, textInput.value, readFilters());
+      }
+      if (scopeSelect) {
+        return formatPlaceholderToken(name, scopeSelect.value !== 'global' ? scopeSelect.value : undefined, readFilters());
+      }
+      if (unitSelect) {
+        const decimals = decimalsInput.value.trim();
+        const sizeArg = decimals ? `${unitSelect.value}:${decimals}` : unitSelect.value;
+        return formatPlaceholderToken(name, sizeArg !== SIZE_UNIT_AUTO ? sizeArg : undefined, readFilters());
+      }
+      if (groupSeparatorInput) {
+        return formatPlaceholderToken(name, groupSeparatorInput.value || undefined, readFilters());
+      }
+      if (domainPartSelect) {
+        return formatPlaceholderToken(name, domainPartSelect.value || undefined, readFilters());
+      }
+      if (urlSourceSelect) {
+        const param = paramInput ? paramInput.value.trim() : '';
+        const urlArg = [urlSourceSelect.value, param].filter(part => part).join(':');
+        return formatPlaceholderToken(name, urlArg || undefined, readFilters());
+      }
+      const format = formatInput ? formatInput.value.trim() : arg;
+      return formatPlaceholderToken(name, format && format !== defaultFormat ? format : undefined, readFilters());
+    };
+    const updateExample = () => {
+      const values = { ...SAMPLE_VALUES, ...getPreviewValues() };
+      if (values[name] === undefined) values[name] = 'Sample Value';
+      example.textContent = `Example: ${resolvePlaceholderValue(values, buildToken()) || '(empty)'}`;
+    };
+
+    /**
+     * Adds one filter row (filter select plus its argument inputs) to the popover
+     * @param {Object} filter - The {name, args} filter to show
+     */
+    const addFilterRow = (filter) => {
+      const row = document.createElement('div');
+      row.className = 'block-filter-row';
+
+      const select = document.createElement('select');
+      Object.keys(FILTER_OPTIONS).forEach(filterName => {
+        const opt = document.createElement('option');
+        opt.value = filterName;
+        opt.textContent = FILTER_OPTIONS[filterName].label;
+        select.appendChild(opt);
+      });
+      select.value = FILTER_OPTIONS[filter.name] ? filter.name : 'lower';
+
+      const argsContainer = document.createElement('span');
+      argsContainer.className = 'block-filter-args';
+      const renderArgs = (args) => {
+        argsContainer.innerHTML = '';
+        FILTER_OPTIONS[select.value].args.forEach((argLabel, i) => {
+          const input = document.createElement('input');
+          input.type = 'text';
+          input.placeholder = argLabel;
+          input.value = args[i] !== undefined ? args[i] : '';
+          input.addEventListener('input', updateExample);
+          argsContainer.appendChild(input);
+        });
+      };
+      renderArgs(filter.args || []);
+      select.addEventListener('change', () => {
+        renderArgs([]);
+        updateExample();
+      });
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'remove-block-btn';
+      removeBtn.innerHTML = '&times;';
+      removeBtn.title = 'Remove filter';
+      removeBtn.addEventListener('click', () => {
+        row.remove();
+        updateExample();
+      });
+
+      row.appendChild(select);
+      row.appendChild(argsContainer);
+      row.appendChild(removeBtn);
+      filterList.appendChild(row);
+    };
+
+    filters.forEach(addFilterRow);
+    addFilterBtn.addEventListener('click', () => {
+      addFilterRow({ name: 'lower', args: [] });
+      updateExample();
+    });
+    if (formatInput) formatInput.addEventListener('input', updateExample);
+    if (textInput) textInput.addEventListener('input', updateExample);
+    if (scopeSelect) scopeSelect.addEventListener('change', updateExample);
+    if (urlSourceSelect) urlSourceSelect.addEventListener('change', updateExample);
+    if (paramInput) paramInput.addEventListener('input', updateExample);
+    if (unitSelect) unitSelect.addEventListener('change', updateExample);
+    if (decimalsInput) decimalsInput.addEventListener('input', updateExample);
+    if (groupSeparatorInput) groupSeparatorInput.addEventListener('input', updateExample);
+    if (domainPartSelect) domainPartSelect.addEventListener('change', updateExample);
+    updateExample();
+
+    const buttons = document.createElement('div');
+    buttons.className = 'block-settings-buttons';
+    const applyBtn = document.createElement('button');
+    applyBtn.className = 'primary-btn';
+    applyBtn.textContent = 'Apply';
+    applyBtn.addEventListener('click', () => {
+      setBlockToken(block, buildToken());
+      closeBlockSettings();
+    });
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'secondary-btn';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', closeBlockSettings);
+    buttons.appendChild(applyBtn);
+    buttons.appendChild(cancelBtn);
+    blockSettingsPopover.appendChild(buttons);
+
+    // Position below the block
+    const rect = block.getBoundingClientRect();
+    blockSettingsPopover.style.top = `${rect.bottom + window.scrollY + 6}px`;
+    blockSettingsPopover.style.left = `${rect.left + window.scrollX}px`;
+    document.body.appendChild(blockSettingsPopover);
+    if (textInput) textInput.focus();
+    if (formatInput) formatInput.focus();
+    if (paramInput) paramInput.focus();
+  }
+
+  /**
+   * Closes the block settings popover if it is open.
+   */
+  function closeBlockSettings() {
+    if (blockSettingsPopover) {
+      blockSettingsPopover.remove();
+      blockSettingsPopover = null;
+    }
+  }
+
   /**
    * Populates the list of available placeholder blocks, 
    * excluding any that are already in the current pattern sequence.
+   * Blocks used in the folder lane stay available so they can also appear in the filename.
    */
   function populateAvailableBlocks() {
     availableBlocksList.innerHTML = ''; // Clear existing
+
+    // The Text and New folder blocks can be used any number of times, so they are always available
+    availableBlocksList.appendChild(createBlock(TEXT_PLACEHOLDER, false));
+    availableBlocksList.appendChild(createBlock(FOLDER_BREAK, false));
+
     const sequencePlaceholders = Array.from(patternSequence.querySelectorAll('.placeholder-block'))
-      .map(block => block.dataset.placeholder);
+      .map(block => getPlaceholderName(block.dataset.placeholder));
 
     PLACEHOLDERS.forEach(p => {
       // Only add if NOT already in the sequence
@@ -108,6 +799,20 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  /**
+   * Adds an entry to the placeholder descriptions list. Custom placeholder names and bases can come from
+   * imported or synced settings, so they are set as text, never as markup.
+   * @param {string} token - The placeholder as written in a pattern (e.g., '{date}').
+   * @param {string} description - What the placeholder gives.
+   */
+  function addPlaceholderDescription(token, description) {
+    const li = document.createElement('li');
+    const code = document.createElement('code');
+    code.textContent = token;
+    li.append(code, ` - ${description}`);
+    placeholderDescriptionsList.appendChild(li);
+  }
+
   /**
    * Populates the placeholder descriptions list.
    */
@@ -115,11 +820,9 @@ document.addEventListener('DOMContentLoaded', () => {
     if (!placeholderDescriptionsList) return;
     placeholderDescriptionsList.innerHTML = ''; // Clear existing
     PLACEHOLDERS.forEach(p => {
-      const li = document.createElement('li');
-      const description = PLACEHOLDERS_INFO[p] || 'No description available.';
-      li.innerHTML = `<code>{${p}}</code> - ${description}`;
-      placeholderDescriptionsList.appendChild(li);
+      addPlaceholderDescription(`{${p}}`, PLACEHOLDERS_INFO[p] || 'No description available.');
     });
+    addPlaceholderDescription('{text:...}', 'Static text you type yourself (e.g., "Invoice"); can be used any number of times');
   }
 
   /**
@@ -139,44 +842,128 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  /**
+   * Fills the base dropdown of a custom placeholder with the built-in placeholders and the other custom ones
+   * @param {HTMLSelectElement} select - The dropdown
+   * @param {string} ownName - The name of the custom placeholder being edited (not offered as its own base)
+   * @param {string} value - The base to select
+   */
+  function populateCustomBaseSelect(select, ownName, value) {
+    select.innerHTML = '';
+    BUILTIN_PLACEHOLDERS.forEach(ph => {
+      const opt = document.createElement('option');
+      opt.value = ph;
+      opt.textContent = `{${ph}}`;
+      select.appendChild(opt);
+    });
+
+    const customNames = getCustomPlaceholderRulesFromUI()
+      .map(rule => rule.name)
+      .filter(name => name && name !== ownName && !BUILTIN_PLACEHOLDERS.includes(name));
+    // Keep a base that no longer exists visible instead of silently switching it
+    if (value && !BUILTIN_PLACEHOLDERS.includes(value) && !customNames.includes(value)) {
+      customNames.push(value);
+    }
+    if (customNames.length > 0) {
+      const group = document.createElement('optgroup');
+      group.label = 'Custom placeholders';
+      Array.from(new Set(customNames)).forEach(name => {
+        const opt = document.createElement('option');
+        opt.value = name;
+        opt.textContent = `{${name}}`;
+        group.appendChild(opt);
+      });
+      select.appendChild(group);
+    }
+    select.value = value || BUILTIN_PLACEHOLDERS[0];
+  }
+
+  /**
+   * Refreshes every base dropdown (after a custom placeholder was renamed, added or deleted) and flags
+   * custom placeholders that depend on each other
+   */
+  function refreshCustomPlaceholderRows() {
+    const { cycles } = orderCustomPlaceholders(getCustomPlaceholderRulesFromUI());
+    customPlaceholdersContainer.querySelectorAll('.custom-placeholder-rule').forEach(row => {
+      const name = row.querySelector('.custom-name-input').value.trim();
+      const baseSelect = row.querySelector('.custom-base-select');
+      populateCustomBaseSelect(baseSelect, name, baseSelect.value);
+      const inCycle = cycles.includes(name);
+      baseSelect.classList.toggle('error', inCycle);
+      baseSelect.title = inCycle ? 'Built from a loop of custom placeholders; the fallback is used' : '';
+    });
+  }
+
   /**
    * Creates a custom placeholder rule element in the UI
    */
   function createCustomPlaceholderElement(rule, index) {
+    const custom = normalizeCustomPlaceholder(rule);
     const div = document.createElement('div');
     div.className = 'custom-placeholder-rule';
     div.dataset.index = index;
 
-    const nameInput = document.createElement('input');
-    nameInput.type = 'text';
-    nameInput.placeholder = 'Name (e.g., productId)';
-    nameInput.value = rule.name || '';
+    const createInput = (className, value, placeholder) => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = className;
+      input.placeholder = placeholder;
+      input.value = value;
+      input.spellcheck = false;
+      return input;
+    };
+
+    const nameInput = createInput('custom-name-input', custom.name, 'Name (e.g., productId)');
 
     const baseSelect = document.createElement('select');
-    BUILTIN_PLACEHOLDERS.forEach(ph => {
+    baseSelect.className = 'custom-base-select';
+    baseSelect.title = 'Placeholder the regex reads from';
+
+    const regexInput = createInput('custom-regex-input', custom.regex, 'Regex, e.g. (\\d{4})-(\\d{2}) or (?<id>\\d+)');
+
+    const ignoreCaseLabel = document.createElement('label');
+    ignoreCaseLabel.className = 'custom-ignore-case';
+    const ignoreCaseInput = document.createElement('input');
+    ignoreCaseInput.type = 'checkbox';
+    ignoreCaseInput.className = 'custom-ignore-case-checkbox';
+    ignoreCaseInput.checked = custom.ignoreCase;
+    ignoreCaseLabel.appendChild(ignoreCaseInput);
+    ignoreCaseLabel.appendChild(document.createTextNode(' Ignore case'));
+
+    const templateInput = createInput('custom-template-input', custom.template, 'Value (default $1), e.g. $1-$2 or $<id>');
+
+    const keywordModeSelect = document.createElement('select');
+    keywordModeSelect.className = 'custom-keyword-mode-select';
+    [['any', 'Any keyword'], ['all', 'All keywords']].forEach(([value, label]) => {
       const opt = document.createElement('option');
-      opt.value = ph;
-      opt.textContent = `{${ph}}`;
-      baseSelect.appendChild(opt);
+      opt.value = value;
+      opt.textContent = label;
+      keywordModeSelect.appendChild(opt);
     });
-    baseSelect.value = rule.base || BUILTIN_PLACEHOLDERS[0];
-
-    const regexInput = document.createElement('input');
-    regexInput.type = 'text';
-    regexInput.placeholder = 'Regex with one capture group';
-    regexInput.value = rule.regex || '';
+    keywordModeSelect.value = custom.keywordMode;
 
-    const keywordsInput = document.createElement('input');
-    keywordsInput.type = 'text';
-    keywordsInput.placeholder = 'Keywords (comma-separated, optional)';
-    keywordsInput.value = rule.keywords || '';
+    const keywordsInput = createInput('custom-keywords-input', custom.keywords, 'Keywords (comma-separated, optional)');
+    const fallbackInput = createInput('custom-fallback-input', custom.fallback, 'Fallback when nothing matches (optional)');
 
     const deleteBtn = document.createElement('button');
     deleteBtn.className = 'delete-custom-placeholder-btn';
     deleteBtn.textContent = 'Delete';
 
+    const showRegexError = () => {
+      let error = '';
+      try {
+        new RegExp(regexInput.value.trim());
+      } catch (e) {
+        error = e.message;
+      }
+      regexInput.classList.toggle('error', error !== '');
+      regexInput.title = error;
+    };
+
     function save() {
+      showRegexError();
       saveCustomPlaceholders();
+      updateCustomPlaceholderBench();
       // Update lists for builder/descriptions when names change
       loadCustomPlaceholdersAndUpdateLists(() => {
         populateAvailableBlocks();
@@ -184,271 +971,1942 @@ document.addEventListener('DOMContentLoaded', () => {
       });
     }
 
-    nameInput.addEventListener('input', save);
-    baseSelect.addEventListener('change', save);
-    regexInput.addEventListener('input', save);
-    keywordsInput.addEventListener('input', save);
+    // Renaming changes what the other rows can be built from
+    nameInput.addEventListener('input', () => {
+      save();
+      refreshCustomPlaceholderRows();
+    });
+    baseSelect.addEventListener('change', () => {
+      save();
+      refreshCustomPlaceholderRows();
+    });
+    [regexInput, templateInput, keywordsInput, fallbackInput].forEach(input => input.addEventListener('input', save));
+    [ignoreCaseInput, keywordModeSelect].forEach(input => input.addEventListener('change', save));
     deleteBtn.addEventListener('click', () => {
       div.remove();
       saveCustomPlaceholders();
+      refreshCustomPlaceholderRows();
+      updateCustomPlaceholderBench();
       loadCustomPlaceholdersAndUpdateLists(() => {
         populateAvailableBlocks();
         populateDescriptions();
       });
     });
 
-    div.appendChild(nameInput);
-    div.appendChild(baseSelect);
-    div.appendChild(regexInput);
-    div.appendChild(keywordsInput);
-    div.appendChild(deleteBtn);
-    return div;
+    [nameInput, baseSelect, regexInput, ignoreCaseLabel, deleteBtn, templateInput, keywordModeSelect, keywordsInput, fallbackInput]
+      .forEach(el => div.appendChild(el));
+    // Lists the custom placeholders already on the page; refreshCustomPlaceholderRows adds later ones
+    populateCustomBaseSelect(baseSelect, custom.name, custom.base);
+    showRegexError();
+    return div;
+  }
+
+  /**
+   * Loads and renders custom placeholders in the options UI, with the test bench (which needs the category rules)
+   */
+  function loadCustomPlaceholderRules() {
+    chrome.storage.local.get(['customPlaceholders', 'categoryRules'], (result) => {
+      const rules = Array.isArray(result.customPlaceholders) ? result.customPlaceholders : [];
+      savedCategoryRules = Array.isArray(result.categoryRules) ? result.categoryRules : null;
+      customPlaceholdersContainer.innerHTML = '';
+      rules.forEach((rule, idx) => {
+        const el = createCustomPlaceholderElement(rule, idx);
+        customPlaceholdersContainer.appendChild(el);
+      });
+      refreshCustomPlaceholderRows();
+      updateCustomPlaceholderBench();
+    });
+  }
+
+  /**
+   * Reads the custom placeholder rows as typed, including incomplete ones
+   * @returns {Array<Object>} The definitions in row order
+   */
+  function getCustomPlaceholderRulesFromUI() {
+    return Array.from(customPlaceholdersContainer.querySelectorAll('.custom-placeholder-rule')).map(el => ({
+      name: el.querySelector('.custom-name-input').value.trim(),
+      base: el.querySelector('.custom-base-select').value,
+      regex: el.querySelector('.custom-regex-input').value.trim(),
+      template: el.querySelector('.custom-template-input').value.trim(),
+      fallback: el.querySelector('.custom-fallback-input').value,
+      keywords: el.querySelector('.custom-keywords-input').value.trim(),
+      keywordMode: el.querySelector('.custom-keyword-mode-select').value,
+      ignoreCase: el.querySelector('.custom-ignore-case-checkbox').checked
+    }));
+  }
+
+  /**
+   * Saves current custom placeholders to storage
+   */
+  function saveCustomPlaceholders() {
+    const rules = getCustomPlaceholderRulesFromUI().filter(rule => rule.name && rule.base && rule.regex);
+    chrome.storage.local.set({ customPlaceholders: rules }, () => {
+      // no-op
+    });
+  }
+
+  /**
+   * Adds a new custom placeholder row
+   */
+  function addNewCustomPlaceholder() {
+    const rule = { name: '', base: BUILTIN_PLACEHOLDERS[0], regex: '', keywords: '' };
+    const idx = customPlaceholdersContainer.children.length;
+    const el = createCustomPlaceholderElement(rule, idx);
+    customPlaceholdersContainer.appendChild(el);
+    const nameInput = el.querySelector('input');
+    if (nameInput) nameInput.focus();
+  }
+
+  /**
+   * Gets the sample download of the test bench; when nothing is typed, the example shown in the inputs is used
+   * @returns {Object} The sample {url, filename, referrer}
+   */
+  function getCustomTestSample() {
+    const inputs = [customTestUrlInput, customTestFilenameInput, customTestReferrerInput];
+    const typed = inputs.some(input => input.value.trim() !== '');
+    const read = (input) => (typed ? input.value.trim() : input.placeholder);
+    return {
+      url: read(customTestUrlInput),
+      filename: read(customTestFilenameInput),
+      referrer: read(customTestReferrerInput)
+    };
+  }
+
+  /**
+   * Creates a test bench table cell
+   * @param {string} className - The cell's class
+   * @param {string} [text] - Its text
+   * @returns {HTMLTableCellElement} The cell
+   */
+  function createCustomTestCell(className, text) {
+    const td = document.createElement('td');
+    td.className = className;
+    if (text !== undefined) td.textContent = text;
+    return td;
+  }
+
+  /**
+   * Adds a short grey note under the content of a test bench cell
+   * @param {HTMLElement} cell - The cell
+   * @param {string} text - The note
+   */
+  function appendCustomTestNote(cell, text) {
+    const note = document.createElement('span');
+    note.className = 'custom-test-note';
+    note.textContent = text;
+    cell.appendChild(note);
+  }
+
+  /**
+   * Creates the test bench row of one custom placeholder
+   * @param {Object} detail - Its entry in the resolveCustomPlaceholders details
+   * @param {Object} custom - Its normalized definition
+   * @returns {HTMLTableRowElement} The row
+   */
+  function createCustomTestRow(detail, custom) {
+    const tr = document.createElement('tr');
+
+    const nameCell = createCustomTestCell('custom-test-name', `{${detail.name}}`);
+    appendCustomTestNote(nameCell, `reads {${custom.base}}`);
+
+    const hasKeywords = custom.keywords.split(',').some(k => k.trim() !== '');
+    const gateCell = createCustomTestCell('custom-test-gate');
+    if (detail.inLoop || !hasKeywords) {
+      gateCell.textContent = '\u2014';
+    } else {
+      gateCell.textContent = detail.gatePassed ? '\u2713 Passes' : '\u2717 Blocked';
+      gateCell.classList.add(detail.gatePassed ? 'custom-test-pass' : 'custom-test-fail');
+      appendCustomTestNote(gateCell, custom.keywordMode === 'all' ? 'all keywords' : 'any keyword');
+    }
+
+    // The value the regex reads, with the matched span highlighted
+    const sourceCell = createCustomTestCell('custom-test-source');
+    const source = String(detail.source || '');
+    if (detail.match) {
+      const end = detail.match.index + detail.match.text.length;
+      const mark = document.createElement('mark');
+      mark.textContent = detail.match.text;
+      sourceCell.append(source.slice(0, detail.match.index), mark, source.slice(end));
+    } else {
+      sourceCell.textContent = source;
+    }
+    if (detail.inLoop) {
+      appendCustomTestNote(sourceCell, 'Not run: built from a loop of custom placeholders');
+    } else if (detail.error) {
+      const error = document.createElement('span');
+      error.className = 'custom-test-note custom-test-error';
+      error.textContent = `Invalid regex: ${detail.error}`;
+      sourceCell.appendChild(error);
+    } else if (!source) {
+      appendCustomTestNote(sourceCell, 'Empty for this sample');
+    } else if (!detail.gatePassed) {
+      appendCustomTestNote(sourceCell, 'Not run: keywords missing');
+    } else if (!detail.match) {
+      appendCustomTestNote(sourceCell, 'No match');
+    }
+
+    const groupsCell = createCustomTestCell('custom-test-groups');
+    if (detail.match) {
+      const groups = detail.match.groups.map((group, i) => `$${i + 1} = ${group === undefined ? '(not captured)' : group}`);
+      const named = Object.entries(detail.match.namedGroups)
+        .map(([name, group]) => `$<${name}> = ${group === undefined ? '(not captured)' : group}`);
+      groups.concat(named).forEach(line => {
+        const div = document.createElement('div');
+        div.textContent = line;
+        groupsCell.appendChild(div);
+      });
+      if (groupsCell.childNodes.length === 0) {
+        groupsCell.textContent = `$& = ${detail.match.text}`;
+      }
+    }
+
+    const valueCell = createCustomTestCell('custom-test-value', detail.value);
+    if (!detail.value) {
+      appendCustomTestNote(valueCell, 'Empty: skipped in the name');
+    } else if (!detail.matched) {
+      appendCustomTestNote(valueCell, 'Fallback');
+    }
+
+    [nameCell, gateCell, sourceCell, groupsCell, valueCell].forEach(td => tr.appendChild(td));
+    return tr;
+  }
+
+  /**
+   * Runs the custom placeholders as typed against the test bench sample, with the same code the service worker
+   * uses, and shows each one's keyword gate, match and value
+   */
+  function updateCustomPlaceholderBench() {
+    const sample = getCustomTestSample();
+    const { placeholders } = createPlaceholderValues(sample, {
+      useUtc: useUtcCheckbox.checked,
+      categoryRules: savedCategoryRules
+    });
+    const rules = getCustomPlaceholderRulesFromUI();
+    const definitions = {};
+    rules.map(normalizeCustomPlaceholder).forEach(custom => {
+      if (custom.name && definitions[custom.name] === undefined) definitions[custom.name] = custom;
+    });
+
+    customTestBody.innerHTML = '';
+    const { details } = resolveCustomPlaceholders(placeholders, rules);
+    details.forEach(detail => customTestBody.appendChild(createCustomTestRow(detail, definitions[detail.name])));
+    customTestEmpty.hidden = details.length > 0;
+  }
+
+  /**
+   * Fills a select with the filename conflict modes
+   * @param {HTMLSelectElement} select - The select to fill
+   * @param {string} [globalLabel] - When given, adds a first option (value '') that defers to the global setting
+   */
+  function populateConflictActionSelect(select, globalLabel) {
+    select.innerHTML = '';
+    if (globalLabel) {
+      const opt = document.createElement('option');
+      opt.value = '';
+      opt.textContent = globalLabel;
+      select.appendChild(opt);
+    }
+    Object.keys(CONFLICT_ACTION_LABELS).forEach(action => {
+      const opt = document.createElement('option');
+      opt.value = action;
+      opt.textContent = CONFLICT_ACTION_LABELS[action];
+      select.appendChild(opt);
+    });
+  }
+
+  /**
+   * Describes what a counter format produces for a sample file
+   * @param {string} format - The counter format (e.g., '_{n:3}')
+   * @returns {string} An example such as 'report.pdf, report_002.pdf, report_003.pdf'
+   */
+  function describeCounterFormat(format) {
+    const options = getSanitizeOptionsFromUI();
+    return `e.g. report.pdf, ${applyCounterFormat('report.pdf', format, 2, options)}, ${applyCounterFormat('report.pdf', format, 3, options)}`;
+  }
+
+  /**
+   * Loads the global filename conflict settings into the UI
+   */
+  function loadConflictSettings() {
+    chrome.storage.local.get(['conflictAction', 'counterFormat'], (result) => {
+      conflictActionSelect.value = CONFLICT_ACTION_LABELS[result.conflictAction] ? result.conflictAction : DEFAULT_CONFLICT_ACTION;
+      counterFormatInput.value = result.counterFormat || DEFAULT_COUNTER_FORMAT;
+      updateConflictSettingsUI();
+    });
+  }
+
+  /**
+   * Shows the counter format field only for the counter mode and refreshes its example
+   */
+  function updateConflictSettingsUI() {
+    const isCounter = conflictActionSelect.value === 'counter';
+    counterFormatLabel.style.display = isCounter ? '' : 'none';
+    counterFormatExample.style.display = isCounter ? '' : 'none';
+    counterFormatExample.textContent = describeCounterFormat(counterFormatInput.value || DEFAULT_COUNTER_FORMAT);
+  }
+
+  /**
+   * Saves the global filename conflict settings (they apply immediately, like the UTC option)
+   */
+  function saveConflictSettings() {
+    updateConflictSettingsUI();
+    chrome.storage.local.set({
+      conflictAction: conflictActionSelect.value,
+      counterFormat: counterFormatInput.value || DEFAULT_COUNTER_FORMAT
+    });
+  }
+
+  /**
+   * Loads settings from storage and populates the UI.
+   */
+  function loadSettings() {
+    chrome.storage.local.get(['pattern', 'separator', 'folderPattern', 'useUtc'], (result) => {
+      useUtcCheckbox.checked = result.useUtc === true;
+      currentSettings.pattern = result.pattern || DEFAULT_PATTERN;
+      currentSettings.separator = result.separator !== undefined ? result.separator : DEFAULT_SEPARATOR;
+      currentSettings.folderPattern = result.folderPattern || '';
+
+      // Only rebuild the builder if it is showing the global pattern
+      if (!editingProfileId) {
+        renderPatternSequence(currentSettings.pattern, currentSettings.separator, currentSettings.folderPattern);
+      }
+    });
+  }
+
+  /**
+   * Rebuilds the pattern sequence, folder lane and separator selection from pattern strings.
+   * @param {string} pattern - The pattern to show (e.g., '{date}{originalFilename}{ext}').
+   * @param {string} separator - The separator to select.
+   * @param {string} folderPattern - The folder template to show (e.g., '{category}/{domain}').
+   */
+  function renderPatternSequence(pattern, separator, folderPattern = '') {
+    separatorSelect.value = separator;
+
+    // Clear current sequence
+    patternSequence.innerHTML = '';
+    folderSequence.innerHTML = '';
+
+    // Folder segments are divided by New folder blocks; blocks within a segment share one subfolder
+    folderPattern.split(/[\/\\]/).forEach(segment => {
+      const tokens = (segment.match(/\{([^}]+)\}/g) || [])
+        .map(p => p.slice(1, -1))
+        .filter(p => isKnownPlaceholder(getPlaceholderName(p)));
+      if (tokens.length === 0) return;
+      if (folderSequence.querySelector('.placeholder-block')) {
+        folderSequence.appendChild(createBlock(FOLDER_BREAK, true));
+      }
+      tokens.forEach(p => folderSequence.appendChild(createBlock(p, true)));
+    });
+
+    // Reconstruct sequence from saved pattern
+    const savedPlaceholders = (pattern.match(/\{([^}]+)\}/g) || [])
+      .map(p => p.slice(1, -1))
+      .filter(p => getPlaceholderName(p) !== 'ext');
+
+    savedPlaceholders.forEach(p => {
+      if (isKnownPlaceholder(getPlaceholderName(p))) {
+        const block = createBlock(p, true);
+        patternSequence.appendChild(block);
+      }
+    });
+
+    updatePreview();
+    checkPlaceholderVisibility();
+
+    // Populate available blocks *after* building the sequence
+    populateAvailableBlocks();
+
+    // Ensure all blocks loaded from settings have remove buttons
+    ensureRemoveButtons();
+  }
+
+  /**
+   * Gets the placeholder values that can be resolved in the options page (dates and times).
+   * @returns {Object} Placeholder values keyed by name.
+   */
+  function getPreviewValues() {
+    return {
+      ...createDatePlaceholders(new Date(), useUtcCheckbox.checked),
+      [COUNTER_PLACEHOLDER]: (arg) => getNextCounterPreview(getCounterScope(arg))
+    };
+  }
+
+  /**
+   * Renders a block for the preview: its value when resolvable here, otherwise {token}.
+   * @param {HTMLElement} block - The block element.
+   * @param {Object} values - The resolvable placeholder values.
+   * @returns {string} The preview text for the block.
+   */
+  function renderBlockPreview(block, values) {
+    const token = block.dataset.placeholder;
+    const name = getPlaceholderName(token);
+    return name === TEXT_PLACEHOLDER || values[name] !== undefined ? resolvePlaceholderValue(values, token) : `{${token}}`;
+  }
+
+  /**
+   * Updates the preview text based on the current sequence and selected separator.
+   */
+  function updatePreview() {
+    const blocks = Array.from(patternSequence.querySelectorAll('.placeholder-block'));
+    const separator = separatorSelect.value;
+    const values = getPreviewValues();
+    // Reconstruct preview from dataset to avoid including button text
+    const preview = blocks
+      .map(b => renderBlockPreview(b, values))
+      .join(separator);
+    patternPreviewText.textContent = preview;
+
+    const folder = getFolderSegments()
+      .map(segment => segment.map(b => renderBlockPreview(b, values)).join(separator))
+      .join('/');
+    folderPreviewText.textContent = folder ? `${folder}/` : '';
+    renderSamplePreviews();
+  }
+
+  /**
+   * Gets the settings the sample preview renames with: the pattern in the builder as it stands, plus the
+   * saved categories, custom placeholders, replace rules, counters and filename safety options
+   * @returns {Object} Settings for renameDownload
+   */
+  function getSamplePreviewSettings() {
+    return {
+      enabled: true,
+      pattern: getPatternFromLane(),
+      separator: separatorSelect.value,
+      folderPattern: getFolderPatternFromLane(),
+      useUtc: useUtcCheckbox.checked,
+      categoryRules: savedCategoryRules,
+      customPlaceholders: currentCustomPlaceholders,
+      replaceRules: currentReplaceRules,
+      counterSettings: currentCounterSettings,
+      sanitizeOptions: getSanitizeOptionsFromUI(),
+      extensionFixMode: extensionFixSelect.value
+    };
+  }
+
+  /**
+   * Renames the recent and built-in sample downloads with the rename engine and lists the results under the
+   * builder. Every sample uses the pattern being edited, whichever profile it would match.
+   */
+  function renderSamplePreviews() {
+    const settings = getSamplePreviewSettings();
+    const options = {
+      profileId: GLOBAL_PATTERN_ID,
+      nextCounter: (scope) => getNextCounterValue(scope)
+    };
+
+    samplePreviewBody.innerHTML = '';
+    recentDownloadSamples.concat(PREVIEW_SAMPLE_DOWNLOADS).forEach(sample => {
+      const result = renameDownload(sample, settings, options);
+      const tr = document.createElement('tr');
+
+      const sourceCell = document.createElement('td');
+      sourceCell.textContent = sample.filename;
+      const note = document.createElement('span');
+      note.className = 'sample-preview-note';
+      const domain = sample.url ? extractDomain(sample.url) : '';
+      note.textContent = `${sample.recent ? 'Recent download' : 'Sample'}${domain ? ` from ${domain}` : ''}`;
+      sourceCell.appendChild(note);
+
+      const arrowCell = document.createElement('td');
+      arrowCell.className = 'sample-preview-arrow';
+      arrowCell.textContent = '\u2192';
+
+      const resultCell = document.createElement('td');
+      resultCell.className = 'sample-preview-result';
+      resultCell.textContent = result.filename;
+      resultCell.title = result.matchedRules.concat(result.warnings).join('\n');
+      resultCell.classList.toggle('has-warnings', result.warnings.length > 0);
+
+      [sourceCell, arrowCell, resultCell].forEach(td => tr.appendChild(td));
+      samplePreviewBody.appendChild(tr);
+    });
+  }
+
+  /**
+   * Loads the most recent downloads for the sample preview. Downloads this extension renamed are shown with
+   * the name they had before renaming, taken from the rename history.
+   */
+  function loadRecentDownloadSamples() {
+    chrome.storage.local.get(['renameHistory'], (result) => {
+      const history = Array.isArray(result.renameHistory) ? result.renameHistory : [];
+      chrome.downloads.search({ orderBy: ['-startTime'], limit: PREVIEW_RECENT_DOWNLOADS * 2 }, (items) => {
+        if (chrome.runtime.lastError || !Array.isArray(items)) {
+          console.error('Error loading recent downloads:', chrome.runtime.lastError);
+          return;
+        }
+        recentDownloadSamples = items
+          .filter(item => item.filename && item.url)
+          .slice(0, PREVIEW_RECENT_DOWNLOADS)
+          .map(item => {
+            const entry = history.find(e => e && e.id === item.id);
+            return {
+              filename: entry && entry.originalFilename ? entry.originalFilename : item.filename.split(/[\\/]/).pop(),
+              url: item.url,
+              referrer: item.referrer || '',
+              mime: item.mime || '',
+              fileSize: item.fileSize,
+              totalBytes: item.totalBytes,
+              startTime: item.startTime,
+              finalUrl: item.finalUrl || '',
+              recent: true
+            };
+          });
+        renderSamplePreviews();
+      });
+    });
+  }
+
+  /**
+   * Builds the filename pattern from the blocks in the filename lane.
+   * @returns {string} The pattern, ending with {ext} (e.g., '{date}{originalFilename}{ext}').
+   */
+  function getPatternFromLane() {
+    return Array.from(patternSequence.querySelectorAll('.placeholder-block'))
+      .map(b => `{${b.dataset.placeholder}}`)
+      .join('') + '{ext}';
+  }
+
+  /**
+   * Groups the blocks of the folder lane into subfolders, splitting at New folder blocks.
+   * @returns {Array<Array<HTMLElement>>} The blocks of each subfolder, without empty subfolders.
+   */
+  function getFolderSegments() {
+    const segments = [[]];
+    folderSequence.querySelectorAll('.placeholder-block').forEach(block => {
+      if (isFolderBreak(block.dataset.placeholder)) {
+        segments.push([]);
+      } else {
+        segments[segments.length - 1].push(block);
+      }
+    });
+    return segments.filter(segment => segment.length > 0);
+  }
+
+  /**
+   * Builds the folder template from the blocks in the folder lane.
+   * @returns {string} The folder template (e.g., '{category}/{year}{month}'), or '' when empty.
+   */
+  function getFolderPatternFromLane() {
+    return getFolderSegments()
+      .map(segment => segment.map(b => `{${b.dataset.placeholder}}`).join(''))
+      .join('/');
+  }
+
+  /**
+   * Shows/hides the 'Drop blocks here' placeholder text of each builder lane.
+   */
+  function checkPlaceholderVisibility() {
+    builderLanes.forEach(lane => {
+      let text = lane.querySelector('.placeholder-text');
+      if (lane.querySelector('.placeholder-block')) {
+        if (text) text.style.display = 'none';
+      } else {
+        if (!text) { // Create if it doesn't exist
+          text = document.createElement('span');
+          text.className = 'placeholder-text';
+          text.textContent = lane === folderSequence ? 'Drop blocks here to save into subfolders' : 'Drop blocks here';
+          lane.appendChild(text);
+        }
+        text.style.display = 'block';
+      }
+    });
+  }
+
+  /**
+   * Saves the current settings (constructed pattern, separator).
+   * Writes to the profile being edited, or to the global pattern when no profile is selected.
+   */
+  function saveSettings() {
+    const finalPattern = getPatternFromLane();
+    const separator = separatorSelect.value;
+    const folderPattern = getFolderPatternFromLane();
+
+    if (editingProfileId) {
+      const profile = currentProfiles.find(p => p.id === editingProfileId);
+      if (!profile) {
+        showStatusMessage('Profile no longer exists.');
+        return;
+      }
+      profile.pattern = finalPattern;
+      profile.separator = separator;
+      profile.folderPattern = folderPattern;
+      chrome.storage.local.set({ profiles: currentProfiles }, () => {
+        renderProfiles();
+        showStatusMessage(`Profile "${profile.name || 'Untitled'}" saved!`);
+      });
+      return;
+    }
+
+    chrome.storage.local.set({
+      pattern: finalPattern,
+      separator: separator,
+      folderPattern: folderPattern
+    }, () => {
+      currentSettings.pattern = finalPattern;
+      currentSettings.separator = separator;
+      currentSettings.folderPattern = folderPattern;
+      showStatusMessage('Settings saved!');
+    });
+  }
+
+  /**
+   * Displays a status message for a short duration.
+   * @param {string} message - The message to display.
+   */
+  function showStatusMessage(message) {
+    statusMessage.textContent = message;
+    statusMessage.style.opacity = '1';
+    setTimeout(() => { statusMessage.style.opacity = '0'; }, 2000);
+  }
+
+  // --- Drag and Drop Event Handlers ---
+
+  function handleDragStart(e) {
+    currentlyDraggedItem = e.target;
+    e.dataTransfer.setData('text/plain', e.target.dataset.placeholder);
+    e.target.classList.add('dragging');
+    // Hide placeholders during drag
+    builderLanes.forEach(lane => {
+      const text = lane.querySelector('.placeholder-text');
+      if (text) text.style.display = 'none';
+    });
+  }
+
+  function handleDragEnd(e) {
+    e.target.classList.remove('dragging');
+    currentlyDraggedItem = null;
+    checkPlaceholderVisibility(); // Show placeholder if sequence is empty
+  }
+
+  function handleDragOver(e) {
+    e.preventDefault(); // Necessary to allow dropping
+    e.currentTarget.classList.add('drag-over');
+  }
+
+  function handleDragLeave(e) {
+    e.currentTarget.classList.remove('drag-over');
+  }
+
+  /**
+   * Ensures all blocks in the pattern sequence have remove buttons.
+   * Can be called after any drag/drop operation to fix inconsistencies.
+   */
+  function ensureRemoveButtons() {
+    const sequenceBlocks = document.querySelectorAll('#pattern-sequence .placeholder-block, #folder-sequence .placeholder-block');
+
+    sequenceBlocks.forEach(block => {
+      // Check if the block already has a remove button
+      if (!block.querySelector('.remove-block-btn')) {
+        addSettingsButton(block);
+        addRemoveButton(block);
+
+        // Also ensure the block has drag handling for reordering
+        if (!block.hasAttribute('data-has-drop-handlers')) {
+          block.addEventListener('dragover', handleDragOverBlock);
+          block.addEventListener('drop', handleDropOnBlock);
+          block.setAttribute('data-has-drop-handlers', 'true');
+        }
+      }
+    });
+  }
+
+  function handleDropOnSequence(e) {
+    e.preventDefault();
+    const lane = e.currentTarget;
+    lane.classList.remove('drag-over');
+    const placeholder = e.dataTransfer.getData('text/plain');
+
+    // Ensure we have a valid placeholder and the dragged item exists
+    if (!placeholder || !(isFolderBreak(placeholder) || isKnownPlaceholder(getPlaceholderName(placeholder))) ||
+      !currentlyDraggedItem) {
+      return;
+    }
+
+    const sourceList = currentlyDraggedItem.parentNode;
+
+    // A placeholder can only appear once in the filename, and New folder blocks only fit the folder lane
+    if (lane === patternSequence && (isFolderBreak(placeholder) ||
+      (sourceList !== patternSequence && isInFilenameLane(placeholder)))) {
+      return;
+    }
+
+    // Scenario 1: Dragging from Available list to a lane
+    if (sourceList === availableBlocksList) {
+      // A block added after another folder block starts its own subfolder; remove the New folder block to merge them
+      const laneBlocks = lane.querySelectorAll('.placeholder-block');
+      const lastBlock = laneBlocks[laneBlocks.length - 1];
+      if (lane === folderSequence && !isFolderBreak(placeholder) && lastBlock && !isFolderBreak(lastBlock.dataset.placeholder)) {
+        lane.appendChild(createBlock(FOLDER_BREAK, true));
+      }
+      // Create a new block specifically for the lane, with a remove button
+      const newBlockInSequence = createBlock(placeholder, true);
+      lane.appendChild(newBlockInSequence);
+
+      // Remove the original block that was dragged from the available list
+      if (lane === patternSequence && getPlaceholderName(placeholder) !== TEXT_PLACEHOLDER) {
+        currentlyDraggedItem.remove();
+      }
+
+      updatePreview();
+      checkPlaceholderVisibility();
+      openTextBlockEditor(newBlockInSequence);
+    }
+    // Scenario 2: Reordering within or moving between lanes (dropping onto the container itself, not another block)
+    else if (builderLanes.includes(sourceList)) {
+      // Just append the block being dragged (it should already have its remove button)
+      lane.appendChild(currentlyDraggedItem);
+      updatePreview(); // Update preview after reorder
+      populateAvailableBlocks();
+    }
+
+    // Ensure all blocks in the sequence have remove buttons
+    ensureRemoveButtons();
+  }
+
+  /**
+   * Checks whether a placeholder is already used in the filename lane.
+   * @param {string} placeholder - The placeholder name.
+   * @returns {boolean} Whether a block for it exists in the filename lane.
+   */
+  function isInFilenameLane(placeholder) {
+    const name = getPlaceholderName(placeholder);
+    if (name === TEXT_PLACEHOLDER) return false;
+    return Array.from(patternSequence.querySelectorAll('.placeholder-block'))
+      .some(block => getPlaceholderName(block.dataset.placeholder) === name && block !== currentlyDraggedItem);
+  }
+
+  // Handlers for reordering *within* the sequence
+  function handleDragOverBlock(e) {
+    e.preventDefault();
+    // Optional: add visual indication on the block being hovered over
+  }
+
+  function handleDropOnBlock(e) {
+    e.preventDefault();
+    e.stopPropagation(); // Prevent drop event bubbling to parent container
+
+    const targetBlock = e.target.closest('.placeholder-block');
+    if (!currentlyDraggedItem || currentlyDraggedItem === targetBlock) {
+      return; // Can't drop on itself
+    }
+
+    const sourceList = currentlyDraggedItem.parentNode;
+    const lane = targetBlock.parentNode;
+    const placeholder = currentlyDraggedItem.dataset.placeholder;
+    if (lane === patternSequence && (isFolderBreak(placeholder) ||
+      (sourceList !== patternSequence && isInFilenameLane(placeholder)))) {
+      return;
+    }
+
+    if (sourceList === availableBlocksList) {
+      // Dropping a new block from the Available list at a specific position
+      const newBlock = createBlock(placeholder, true);
+      lane.insertBefore(newBlock, targetBlock);
+      checkPlaceholderVisibility();
+      openTextBlockEditor(newBlock);
+    } else {
+      // Insert the dragged item before the target item
+      lane.insertBefore(currentlyDraggedItem, targetBlock);
+    }
+    updatePreview();
+    populateAvailableBlocks();
+
+    // Ensure all blocks have remove buttons after reordering
+    ensureRemoveButtons();
+  }
+
+  /**
+   * Opens the settings popover for a freshly dropped text block so its text can be typed right away.
+   * @param {HTMLElement} block - The block that was just added to a lane.
+   */
+  function openTextBlockEditor(block) {
+    if (getPlaceholderName(block.dataset.placeholder) === TEXT_PLACEHOLDER) {
+      openBlockSettings(block);
+    }
+  }
+
+  // --- Filename Safety Functions ---
+
+  /**
+   * Loads the filename safety options into the UI
+   */
+  function loadSanitizeOptions() {
+    chrome.storage.local.get(['sanitizeOptions'], (result) => {
+      const options = { ...DEFAULT_SANITIZE_OPTIONS, ...(result.sanitizeOptions || {}) };
+      sanitizeProfileSelect.value = options.profile;
+      sanitizeReplacementInput.value = options.replacement;
+      sanitizeWhitespaceCheckbox.checked = options.collapseWhitespace;
+      sanitizeNormalizeCheckbox.checked = options.normalize;
+      sanitizeTransliterateCheckbox.checked = options.transliterate;
+      sanitizeEmojiCheckbox.checked = options.removeEmoji;
+      updateSanitizeExample();
+    });
+  }
+
+  /**
+   * Reads the filename safety options from the UI
+   * @returns {Object} The {profile, replacement, collapseWhitespace, normalize, transliterate, removeEmoji} options
+   */
+  function getSanitizeOptionsFromUI() {
+    return {
+      profile: sanitizeProfileSelect.value,
+      replacement: sanitizeReplacementInput.value,
+      collapseWhitespace: sanitizeWhitespaceCheckbox.checked,
+      normalize: sanitizeNormalizeCheckbox.checked,
+      transliterate: sanitizeTransliterateCheckbox.checked,
+      removeEmoji: sanitizeEmojiCheckbox.checked
+    };
+  }
+
+  /**
+   * Shows what the current options do to awkward sample names
+   */
+  function updateSanitizeExample() {
+    const options = getSanitizeOptionsFromUI();
+    sanitizeExampleInput.textContent = JSON.stringify(SANITIZE_SAMPLE);
+    sanitizeExampleOutput.textContent = JSON.stringify(sanitizeFilename(SANITIZE_SAMPLE, options));
+    transliterateExampleInput.textContent = JSON.stringify(TRANSLITERATE_SAMPLE);
+    transliterateExampleOutput.textContent = JSON.stringify(sanitizeFilename(TRANSLITERATE_SAMPLE, options));
+    // Counter suffixes are sanitized with the same options
+    updateConflictSettingsUI();
+  }
+
+  /**
+   * Saves the filename safety options (they apply immediately, like the UTC option)
+   */
+  function saveSanitizeOptions() {
+    updateSanitizeExample();
+    chrome.storage.local.set({ sanitizeOptions: getSanitizeOptionsFromUI() });
+  }
+
+  // --- File Type Functions ---
+
+  /**
+   * Loads the extension repair mode into the File Types section
+   */
+  function loadExtensionFixMode() {
+    chrome.storage.local.get(['extensionFixMode'], (result) => {
+      extensionFixSelect.value = EXTENSION_FIX_MODES.includes(result.extensionFixMode) ? result.extensionFixMode : DEFAULT_EXTENSION_FIX_MODE;
+      updateExtensionFixExamples();
+    });
+  }
+
+  /**
+   * Shows what the selected extension repair mode does to a few sample downloads
+   */
+  function updateExtensionFixExamples() {
+    extensionFixExamples.innerHTML = '';
+    EXTENSION_FIX_SAMPLES.forEach(sample => {
+      const li = document.createElement('li');
+      const { filename } = fixFileExtension(sample.filename, sample.mime, extensionFixSelect.value);
+      li.textContent = `${sample.filename} (${sample.mime}) \u2192 ${filename}`;
+      extensionFixExamples.appendChild(li);
+    });
+  }
+
+  /**
+   * Saves the extension repair mode (it applies immediately, like the filename safety options)
+   */
+  function saveExtensionFixMode() {
+    updateExtensionFixExamples();
+    chrome.storage.local.set({ extensionFixMode: extensionFixSelect.value });
+  }
+
+  // --- Find and Replace Functions ---
+
+  /**
+   * Loads the find-and-replace rules (and the category rules their examples need)
+   */
+  function loadReplaceRules() {
+    chrome.storage.local.get(['replaceRules', 'categoryRules'], (result) => {
+      currentReplaceRules = Array.isArray(result.replaceRules) ? result.replaceRules : [];
+      savedCategoryRules = Array.isArray(result.categoryRules) ? result.categoryRules : null;
+      renderReplaceRules();
+    });
+  }
+
+  /**
+   * Renders the rule table and the examples
+   */
+  function renderReplaceRules() {
+    replaceRulesBody.innerHTML = '';
+    currentReplaceRules.forEach((rule, index) => {
+      replaceRulesBody.appendChild(createReplaceRuleRow(rule, index));
+    });
+    replaceRulesEmpty.hidden = currentReplaceRules.length > 0;
+    updateReplaceExamples();
+  }
+
+  /**
+   * Creates the table row of one rule; edits are saved as they are typed
+   * @param {Object} rule - The replace rule
+   * @param {number} index - The rule's position
+   * @returns {HTMLElement} The row
+   */
+  function createReplaceRuleRow(rule, index) {
+    const row = document.createElement('tr');
+    const scope = rule.scope || {};
+    const addCell = (element) => {
+      const cell = document.createElement('td');
+      cell.appendChild(element);
+      row.appendChild(cell);
+      return cell;
+    };
+    const createInput = (className, value, placeholder) => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = className;
+      input.value = value || '';
+      input.placeholder = placeholder;
+      input.spellcheck = false;
+      return input;
+    };
+
+    const enabledInput = document.createElement('input');
+    enabledInput.type = 'checkbox';
+    enabledInput.checked = rule.enabled !== false;
+    enabledInput.title = 'Enable this rule';
+    const findInput = createInput('replace-find-input', rule.find, '\\s*\\(\\d+\\)(?=\\.\\w+$)');
+    const replaceInput = createInput('replace-with-input', rule.replace, '(remove)');
+    const flagsInput = createInput('replace-flags-input', rule.flags, 'gi');
+    flagsInput.title = 'g: every match, i: ignore case, m: multiline, s: dot matches all, u: Unicode';
+    const domainsInput = createInput('replace-domains-input', scope.domains, 'any');
+    const categoriesInput = createInput('replace-categories-input', scope.categories, 'any');
+
+    const showError = () => {
+      const error = rule.find ? getReplaceRuleError(rule) : '';
+      findInput.classList.toggle('error', error !== '');
+      findInput.title = error;
+      row.classList.toggle('disabled', rule.enabled === false);
+    };
+    const update = () => {
+      rule.enabled = enabledInput.checked;
+      rule.find = findInput.value;
+      rule.replace = replaceInput.value;
+      rule.flags = normalizeReplaceFlags(flagsInput.value);
+      rule.scope = { domains: domainsInput.value.trim(), categories: categoriesInput.value.trim() };
+      showError();
+      saveReplaceRules();
+      updateReplaceExamples();
+    };
+    enabledInput.addEventListener('change', update);
+    [findInput, replaceInput, domainsInput, categoriesInput].forEach(input => input.addEventListener('input', update));
+    flagsInput.addEventListener('input', update);
+    // Unsupported or repeated flags are dropped once the field is left
+    flagsInput.addEventListener('change', () => {
+      flagsInput.value = rule.flags;
+    });
+
+    const actions = document.createElement('span');
+    actions.className = 'replace-rule-actions';
+    const upBtn = document.createElement('button');
+    upBtn.className = 'profile-move-btn';
+    upBtn.innerHTML = '&uarr;';
+    upBtn.title = 'Move up';
+    upBtn.disabled = index === 0;
+    upBtn.addEventListener('click', () => moveReplaceRule(index, -1));
+    const downBtn = document.createElement('button');
+    downBtn.className = 'profile-move-btn';
+    downBtn.innerHTML = '&darr;';
+    downBtn.title = 'Move down';
+    downBtn.disabled = index === currentReplaceRules.length - 1;
+    downBtn.addEventListener('click', () => moveReplaceRule(index, 1));
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'delete-category-btn';
+    deleteBtn.innerHTML = '&times;';
+    deleteBtn.title = 'Delete this rule';
+    deleteBtn.addEventListener('click', () => {
+      currentReplaceRules = currentReplaceRules.filter(r => r.id !== rule.id);
+      saveReplaceRules();
+      renderReplaceRules();
+    });
+    [upBtn, downBtn, deleteBtn].forEach(btn => actions.appendChild(btn));
+
+    [enabledInput, findInput, replaceInput, flagsInput, domainsInput, categoriesInput, actions].forEach(addCell);
+    showError();
+    return row;
+  }
+
+  /**
+   * Moves a rule up or down; rules run in list order
+   * @param {number} index - The rule's current position
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  function moveReplaceRule(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= currentReplaceRules.length) return;
+    const [rule] = currentReplaceRules.splice(index, 1);
+    currentReplaceRules.splice(target, 0, rule);
+    saveReplaceRules();
+    renderReplaceRules();
+  }
+
+  /**
+   * Adds an empty rule at the end of the table and focuses its expression
+   */
+  function addReplaceRule() {
+    currentReplaceRules.push(createReplaceRule());
+    saveReplaceRules();
+    renderReplaceRules();
+    const findInput = replaceRulesBody.lastElementChild.querySelector('.replace-find-input');
+    if (findInput) findInput.focus();
+  }
+
+  /**
+   * Saves the rules (they apply immediately; invalid expressions are skipped by the service worker)
+   */
+  function saveReplaceRules() {
+    chrome.storage.local.set({ replaceRules: currentReplaceRules }, () => {
+      console.log('Replace rules saved:', currentReplaceRules.length, 'rules');
+    });
+  }
+
+  /**
+   * Shows the sample names, and the name typed into the test field, before and after the rules
+   */
+  function updateReplaceExamples() {
+    const samples = REPLACE_RULE_SAMPLES.slice();
+    if (replaceTestNameInput.value) {
+      samples.unshift({ filename: replaceTestNameInput.value, domain: replaceTestDomainInput.value.trim() || 'unknown' });
+    }
+
+    replaceRulesExamples.innerHTML = '';
+    samples.forEach(sample => {
+      const category = getCategoryForFile(sample.filename, savedCategoryRules);
+      const { filename } = applyReplaceRules(sample.filename, currentReplaceRules, { domain: sample.domain, category });
+      const li = document.createElement('li');
+      li.textContent = filename === sample.filename
+        ? `${sample.filename} (unchanged)`
+        : `${sample.filename} \u2192 ${filename}`;
+      replaceRulesExamples.appendChild(li);
+    });
+  }
+
+  // --- Site Filter Functions ---
+
+  /**
+   * Loads the site allowlist/blocklist into the Sites section
+   */
+  function loadSiteFilter() {
+    chrome.storage.local.get(['siteFilter'], (result) => {
+      renderSiteFilter(normalizeSiteFilter(result.siteFilter));
+    });
+  }
+
+  /**
+   * Shows a site filter in the Sites section
+   * @param {Object} filter - The normalized site filter ({mode, allowlist, blocklist})
+   */
+  function renderSiteFilter(filter) {
+    const modeRadio = document.querySelector(`input[name="site-filter-mode"][value="${filter.mode}"]`);
+    if (modeRadio) modeRadio.checked = true;
+    siteBlocklistInput.value = filter.blocklist.join('\n');
+    siteAllowlistInput.value = filter.allowlist.join('\n');
+    updateSiteFilterState(filter);
+  }
+
+  /**
+   * Reads the site filter from the Sites section
+   * @returns {Object} The normalized site filter
+   */
+  function getSiteFilterFromUI() {
+    const checked = document.querySelector('input[name="site-filter-mode"]:checked');
+    return normalizeSiteFilter({
+      mode: checked ? checked.value : undefined,
+      blocklist: siteBlocklistInput.value.split('\n'),
+      allowlist: siteAllowlistInput.value.split('\n')
+    });
+  }
+
+  /**
+   * Dims the list that the selected mode doesn't use and warns about an empty allowlist
+   * @param {Object} filter - The normalized site filter
+   */
+  function updateSiteFilterState(filter) {
+    siteBlocklistLabel.classList.toggle('inactive', filter.mode !== 'blocklist');
+    siteAllowlistLabel.classList.toggle('inactive', filter.mode !== 'allowlist');
+    siteFilterWarning.hidden = !(filter.mode === 'allowlist' && filter.allowlist.length === 0);
+  }
+
+  /**
+   * Saves the site filter (it applies immediately, like the filename safety options)
+   */
+  function saveSiteFilter() {
+    const filter = getSiteFilterFromUI();
+    updateSiteFilterState(filter);
+    chrome.storage.local.set({ siteFilter: filter });
+  }
+
+  // --- Confirmation Functions ---
+
+  /**
+   * Loads the confirm-and-edit settings into the Confirm Before Saving section
+   */
+  function loadConfirmSettings() {
+    chrome.storage.local.get(['confirmSettings'], (result) => {
+      const settings = normalizeConfirmSettings(result.confirmSettings);
+      confirmEnabledCheckbox.checked = settings.enabled;
+      confirmTargetSelect.value = settings.target;
+      confirmTimeoutInput.value = settings.timeout;
+      updateConfirmInputs();
+    });
+  }
+
+  /**
+   * Disables the prompt options while confirmation is off
+   */
+  function updateConfirmInputs() {
+    confirmTargetSelect.disabled = !confirmEnabledCheckbox.checked;
+    confirmTimeoutInput.disabled = !confirmEnabledCheckbox.checked;
+  }
+
+  /**
+   * Saves the confirm-and-edit settings (they apply immediately, like the filename safety options)
+   */
+  function saveConfirmSettings() {
+    const settings = normalizeConfirmSettings({
+      enabled: confirmEnabledCheckbox.checked,
+      target: confirmTargetSelect.value,
+      timeout: confirmTimeoutInput.value
+    });
+    confirmTimeoutInput.value = settings.timeout;
+    updateConfirmInputs();
+    chrome.storage.local.set({ confirmSettings: settings });
+  }
+
+  // --- Counter Functions ---
+
+  /**
+   * Gets the formatted value the next download would get from a counter scope, for previews.
+   * @param {string} scope - The counter scope
+   * @returns {string} The formatted counter value
+   */
+  function getNextCounterPreview(scope) {
+    const settings = getCounterSettings(currentCounterSettings, scope);
+    return formatCounterValue(getNextCounterValue(scope), settings.padding);
+  }
+
+  /**
+   * Gets the value the next download would get from a counter scope.
+   * Only the global sequence is known here; the other scopes depend on the download and show their start value.
+   * @param {string} scope - The counter scope
+   * @returns {number} The next counter value
+   */
+  function getNextCounterValue(scope) {
+    const settings = getCounterSettings(currentCounterSettings, scope);
+    const last = scope === 'global' ? currentCounterState.global.all : undefined;
+    return Number.isInteger(last) && last + 1 >= settings.start ? last + 1 : settings.start;
+  }
+
+  /**
+   * Loads the counter settings and values from storage and renders the Counters section
+   */
+  function loadCounters() {
+    chrome.storage.local.get(['counterSettings', 'counterState'], (result) => {
+      currentCounterSettings = result.counterSettings || {};
+      currentCounterState = normalizeCounterState(result.counterState);
+      renderCounters();
+    });
+  }
+
+  /**
+   * Describes the current value(s) of a counter scope
+   * @param {string} scope - The counter scope
+   * @returns {Object} The {text, title} to show; title lists every sequence of the scope
+   */
+  function describeCounterValues(scope) {
+    const sequences = currentCounterState[scope];
+    const keys = Object.keys(sequences);
+    const title = keys.map(key => `${key}: ${sequences[key]}`).join('\n');
+    if (scope === 'global') {
+      return { text: keys.length > 0 ? String(sequences.all) : 'Not used yet', title: '' };
+    }
+    if (scope === 'daily') {
+      const today = createDatePlaceholders(new Date(), useUtcCheckbox.checked).date('YYYY-MM-DD');
+      return { text: sequences[today] !== undefined ? `${sequences[today]} today` : 'Not used today', title };
+    }
+    return { text: `${keys.length} ${scope === 'domain' ? 'domain(s)' : 'category(ies)'}`, title };
+  }
+
+  /**
+   * Renders one row per counter scope with its digits, start value, current value and reset button
+   */
+  function renderCounters() {
+    countersTableBody.innerHTML = '';
+    COUNTER_SCOPES.forEach(scope => {
+      const settings = getCounterSettings(currentCounterSettings, scope);
+      const row = document.createElement('tr');
+
+      const nameCell = document.createElement('td');
+      const code = document.createElement('code');
+      code.textContent = scope === 'global' ? `{${COUNTER_PLACEHOLDER}}` : `{${COUNTER_PLACEHOLDER}:${scope}}`;
+      nameCell.appendChild(code);
+
+      const paddingInput = document.createElement('input');
+      paddingInput.type = 'number';
+      paddingInput.min = '0';
+      paddingInput.max = '12';
+      paddingInput.value = settings.padding;
+
+      const startInput = document.createElement('input');
+      startInput.type = 'number';
+      startInput.min = '0';
+      startInput.value = settings.start;
+
+      [paddingInput, startInput].forEach(input => {
+        input.addEventListener('input', () => {
+          currentCounterSettings = {
+            ...currentCounterSettings,
+            [scope]: { padding: paddingInput.value, start: startInput.value }
+          };
+          chrome.storage.local.set({ counterSettings: currentCounterSettings });
+          updatePreview();
+        });
+      });
+
+      const paddingCell = document.createElement('td');
+      paddingCell.appendChild(paddingInput);
+      const startCell = document.createElement('td');
+      startCell.appendChild(startInput);
+
+      const valueCell = document.createElement('td');
+      const { text, title } = describeCounterValues(scope);
+      valueCell.textContent = text;
+      valueCell.title = title;
+
+      const resetCell = document.createElement('td');
+      const resetBtn = document.createElement('button');
+      resetBtn.className = 'secondary-btn';
+      resetBtn.textContent = 'Reset';
+      resetBtn.addEventListener('click', () => resetCounters(scope));
+      resetCell.appendChild(resetBtn);
+
+      row.appendChild(nameCell);
+      row.appendChild(paddingCell);
+      row.appendChild(startCell);
+      row.appendChild(valueCell);
+      row.appendChild(resetCell);
+      countersTableBody.appendChild(row);
+    });
+  }
+
+  /**
+   * Asks the service worker to reset counters, as it owns the counter values
+   * @param {string} [scope] - The scope to reset; all scopes when omitted
+   */
+  function resetCounters(scope) {
+    const label = scope ? `the ${scope} counter` : 'all counters';
+    if (!confirm(`Are you sure you want to reset ${label}? Numbering will start again from the start value.`)) {
+      return;
+    }
+    chrome.runtime.sendMessage({ action: 'resetCounters', scope: scope }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        console.error('Error resetting counters:', chrome.runtime.lastError);
+        showStatusMessage('Could not reset counters');
+        return;
+      }
+      showStatusMessage(scope ? 'Counter reset' : 'All counters reset');
+    });
+  }
+
+  // --- Tab Functions ---
+
+  /**
+   * Shows the selected tab panel and highlights its button
+   * @param {string} tabId - The ID of the tab panel to show
+   */
+  function switchTab(tabId) {
+    tabButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.tab === tabId));
+    document.querySelectorAll('.tab-panel').forEach(panel => {
+      panel.classList.toggle('active', panel.id === tabId);
+    });
+    if (tabId === 'history-tab') {
+      loadHistory();
+    }
+  }
+
+  // --- History Functions ---
+
+  /**
+   * Loads the rename history from storage and renders it
+   */
+  function loadHistory() {
+    chrome.storage.local.get(['renameHistory'], (result) => {
+      currentHistory = Array.isArray(result.renameHistory) ? result.renameHistory : [];
+      populateHistoryDomainFilter();
+      renderHistory();
+    });
+  }
+
+  /**
+   * Fills the domain filter with every domain present in the history
+   */
+  function populateHistoryDomainFilter() {
+    const selected = historyDomainFilter.value;
+    const domains = Array.from(new Set(currentHistory.map(entry => entry.domain).filter(Boolean))).sort();
+
+    historyDomainFilter.innerHTML = '<option value="">All domains</option>';
+    domains.forEach(domain => {
+      const opt = document.createElement('option');
+      opt.value = domain;
+      opt.textContent = domain;
+      historyDomainFilter.appendChild(opt);
+    });
+    historyDomainFilter.value = domains.includes(selected) ? selected : '';
+  }
+
+  /**
+   * Applies the search, domain and date filters to the loaded history
+   * @returns {Array<Object>} The matching history entries
+   */
+  function getFilteredHistory() {
+    const query = historySearch.value.trim().toLowerCase();
+    const domain = historyDomainFilter.value;
+    // Date inputs are YYYY-MM-DD; compare against local day boundaries
+    const from = historyDateFrom.value ? new Date(`${historyDateFrom.value}T00:00:00`).getTime() : null;
+    const to = historyDateTo.value ? new Date(`${historyDateTo.value}T23:59:59.999`).getTime() : null;
+
+    return currentHistory.filter(entry => {
+      if (domain && entry.domain !== domain) return false;
+      if (from !== null && entry.time < from) return false;
+      if (to !== null && entry.time > to) return false;
+      if (query) {
+        const haystack = [entry.originalFilename, entry.finalFilename, entry.url, entry.referrer]
+          .join(' ')
+          .toLowerCase();
+        if (!haystack.includes(query)) return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Renders the filtered history into the table
+   */
+  function renderHistory() {
+    const entries = getFilteredHistory();
+    historyTableBody.innerHTML = '';
+
+    entries.forEach(entry => {
+      const row = document.createElement('tr');
+      row.title = `URL: ${entry.url || '-'}\nReferrer: ${entry.referrer || '-'}`;
+
+      const cells = [
+        new Date(entry.time).toLocaleString(),
+        entry.originalFilename,
+        entry.finalFilename,
+        entry.domain,
+        (entry.matchedRules || []).join(', ')
+      ];
+      cells.forEach(value => {
+        const td = document.createElement('td');
+        td.textContent = value || '';
+        row.appendChild(td);
+      });
+
+      historyTableBody.appendChild(row);
+    });
+
+    historyEmpty.style.display = entries.length === 0 ? 'block' : 'none';
+    historyCount.textContent = `${entries.length} of ${currentHistory.length} entries`;
+  }
+
+  /**
+   * Converts history entries to CSV text
+   * @param {Array<Object>} entries - The entries to convert
+   * @returns {string} The CSV document
+   */
+  function historyToCsv(entries) {
+    const columns = ['time', 'originalFilename', 'finalFilename', 'domain', 'url', 'referrer', 'matchedRules'];
+    const escapeCsv = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+    const lines = entries.map(entry => columns.map(col => {
+      if (col === 'time') return escapeCsv(new Date(entry.time).toISOString());
+      if (col === 'matchedRules') return escapeCsv((entry.matchedRules || []).join('; '));
+      return escapeCsv(entry[col] !== undefined ? entry[col] : '');
+    }).join(','));
+
+    return [columns.join(','), ...lines].join('\r\n');
   }
 
   /**
-   * Loads and renders custom placeholders in the options UI
+   * Exports the filtered history as a CSV or JSON file
+   * @param {string} format - 'csv' or 'json'
    */
-  function loadCustomPlaceholderRules() {
-    chrome.storage.local.get(['customPlaceholders'], (result) => {
-      const rules = Array.isArray(result.customPlaceholders) ? result.customPlaceholders : [];
-      customPlaceholdersContainer.innerHTML = '';
-      rules.forEach((rule, idx) => {
-        const el = createCustomPlaceholderElement(rule, idx);
-        customPlaceholdersContainer.appendChild(el);
-      });
-    });
+  function exportHistory(format) {
+    const entries = getFilteredHistory();
+    const content = format === 'csv' ? historyToCsv(entries) : JSON.stringify(entries, null, 2);
+    const mimeType = format === 'csv' ? 'text/csv' : 'application/json';
+    saveTextFile(content, `rename-history.${format}`, mimeType);
   }
 
   /**
-   * Saves current custom placeholders to storage
+   * Saves text content to a file through the downloads API
+   * @param {string} content - The file content
+   * @param {string} filename - The suggested filename
+   * @param {string} mimeType - The MIME type of the content
    */
-  function saveCustomPlaceholders() {
-    const rules = [];
-    const ruleElements = customPlaceholdersContainer.querySelectorAll('.custom-placeholder-rule');
-    ruleElements.forEach(el => {
-      const inputs = el.querySelectorAll('input, select');
-      const name = inputs[0].value.trim();
-      const base = inputs[1].value;
-      const regex = inputs[2].value.trim();
-      const keywords = inputs[3].value.trim();
-      if (name && base && regex) {
-        rules.push({ name, base, regex, keywords });
+  function saveTextFile(content, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    chrome.downloads.download({ url, filename, saveAs: true }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('Error saving file:', chrome.runtime.lastError.message);
       }
-    });
-    chrome.storage.local.set({ customPlaceholders: rules }, () => {
-      // no-op
+      // Give the download a moment to read the blob before releasing it
+      setTimeout(() => URL.revokeObjectURL(url), 10000);
     });
   }
 
   /**
-   * Adds a new custom placeholder row
+   * Removes all history entries after confirmation
    */
-  function addNewCustomPlaceholder() {
-    const rule = { name: '', base: BUILTIN_PLACEHOLDERS[0], regex: '', keywords: '' };
-    const idx = customPlaceholdersContainer.children.length;
-    const el = createCustomPlaceholderElement(rule, idx);
-    customPlaceholdersContainer.appendChild(el);
-    const nameInput = el.querySelector('input');
-    if (nameInput) nameInput.focus();
+  function clearHistory() {
+    if (confirm('Are you sure you want to clear the rename history?')) {
+      chrome.storage.local.set({ renameHistory: [] }, () => {
+        console.log('Rename history cleared');
+      });
+    }
   }
 
+  // --- Sync Functions ---
+
   /**
-   * Loads settings from storage and populates the UI.
+   * Loads the sync opt-in and status, and lists which settings are synced
    */
-  function loadSettings() {
-    chrome.storage.local.get(['pattern', 'separator'], (result) => {
-      currentSettings.pattern = result.pattern || DEFAULT_PATTERN;
-      currentSettings.separator = result.separator !== undefined ? result.separator : DEFAULT_SEPARATOR;
+  function loadSyncSettings() {
+    const addItems = (list, labels) => {
+      list.innerHTML = '';
+      labels.forEach(label => {
+        const li = document.createElement('li');
+        li.textContent = label;
+        list.appendChild(li);
+      });
+    };
+    addItems(syncedSettingsList, SYNCED_SETTINGS.map(key => SETTING_LABELS[key] || key));
+    addItems(deviceLocalSettingsList, DEVICE_LOCAL_SETTINGS.map(key => SETTING_LABELS[key] || key).concat(DEVICE_LOCAL_DATA_LABELS));
 
-      separatorSelect.value = currentSettings.separator;
+    chrome.storage.local.get(['syncEnabled', 'syncStatus'], (result) => {
+      syncEnabledCheckbox.checked = result.syncEnabled === true;
+      renderSyncStatus(result.syncStatus);
+    });
+  }
 
-      // Clear current sequence
-      patternSequence.innerHTML = '';
+  /**
+   * Shows when settings were last synced, or the last sync error
+   * @param {Object} status - The {time, error} saved by the service worker
+   */
+  function renderSyncStatus(status) {
+    syncStatus.classList.toggle('sync-error', Boolean(status && status.error));
+    if (!syncEnabledCheckbox.checked) {
+      syncStatus.textContent = 'Sync is off; all settings stay on this device.';
+    } else if (!status) {
+      syncStatus.textContent = 'Waiting for the first sync...';
+    } else if (status.error) {
+      syncStatus.textContent = `Last sync failed: ${status.error}`;
+    } else {
+      syncStatus.textContent = `Last synced ${new Date(status.time).toLocaleString()}`;
+    }
+  }
 
-      // Reconstruct sequence from saved pattern
-      const savedPlaceholders = (currentSettings.pattern.match(/\{([^}]+)\}/g) || [])
-        .map(p => p.slice(1, -1))
-        .filter(p => p !== 'ext');
+  // --- Settings Import/Export Functions ---
 
-      savedPlaceholders.forEach(p => {
-        if (PLACEHOLDERS.includes(p)) {
-          const block = createBlock(p, true);
-          patternSequence.appendChild(block);
-        }
-      });
+  /**
+   * Exports all settings as a versioned JSON document
+   */
+  function exportSettings() {
+    chrome.storage.local.get(SETTINGS_KEYS, (result) => {
+      const doc = createSettingsExport(result);
+      const stamp = createDatePlaceholders(new Date()).date('YYYYMMDD');
+      saveTextFile(JSON.stringify(doc, null, 2), `download-renamer-settings-${stamp}.json`, 'application/json');
+    });
+  }
 
-      updatePreview();
-      checkPlaceholderVisibility();
+  /**
+   * Reads and validates the chosen import file, then shows the preview
+   */
+  function handleImportFile() {
+    const file = importSettingsFile.files[0];
+    importSettingsFile.value = ''; // Allow choosing the same file again
+    if (!file) return;
+
+    file.text().then((text) => {
+      let doc;
+      try {
+        doc = JSON.parse(text);
+      } catch (e) {
+        showImportResult(['The file is not valid JSON'], []);
+        return;
+      }
 
-      // Populate available blocks *after* building the sequence
-      populateAvailableBlocks();
+      const { valid, errors, warnings, settings } = validateSettingsImport(doc);
+      if (!valid) {
+        showImportResult(errors, warnings);
+        return;
+      }
+      pendingImport = { settings, warnings };
+      renderImportPreview();
+    });
+  }
 
-      // Ensure all blocks loaded from settings have remove buttons
-      ensureRemoveButtons();
+  /**
+   * Shows import errors and warnings without a diff (used when the file can't be imported)
+   * @param {Array<string>} errors - Problems that block the import
+   * @param {Array<string>} warnings - Problems that don't block it
+   */
+  function showImportResult(errors, warnings) {
+    pendingImport = null;
+    importPreview.hidden = false;
+    importDiffBody.innerHTML = '';
+    renderImportMessages(errors, warnings);
+    applyImportBtn.disabled = true;
+  }
+
+  /**
+   * Lists import errors and warnings
+   * @param {Array<string>} errors - Problems that block the import
+   * @param {Array<string>} warnings - Problems that don't block it
+   */
+  function renderImportMessages(errors, warnings) {
+    importMessages.innerHTML = '';
+    errors.forEach(message => {
+      const li = document.createElement('li');
+      li.className = 'import-error';
+      li.textContent = message;
+      importMessages.appendChild(li);
+    });
+    warnings.forEach(message => {
+      const li = document.createElement('li');
+      li.className = 'import-warning';
+      li.textContent = message;
+      importMessages.appendChild(li);
     });
   }
 
   /**
-   * Updates the preview text based on the current sequence and selected separator.
+   * Gets the selected import mode
+   * @returns {string} 'merge' or 'replace'
    */
-  function updatePreview() {
-    const blocks = Array.from(patternSequence.querySelectorAll('.placeholder-block'));
-    const separator = separatorSelect.value;
-    // Reconstruct preview from dataset to avoid including button text
-    const preview = blocks
-      .map(b => `{${b.dataset.placeholder}}`)
-      .join(separator);
-    patternPreviewText.textContent = preview;
+  function getImportMode() {
+    const checked = document.querySelector('input[name="import-mode"]:checked');
+    return checked ? checked.value : 'merge';
   }
 
   /**
-   * Shows/hides the 'Drop blocks here' placeholder text.
+   * Shortens a setting value for the diff table
+   * @param {*} value - The value to show
+   * @returns {string} A short text version of the value
    */
-  function checkPlaceholderVisibility() {
-    if (patternSequence.querySelector('.placeholder-block')) {
-      if (placeholderText) placeholderText.style.display = 'none';
-    } else {
-      if (!placeholderText) { // Create if it doesn't exist
-        const span = document.createElement('span');
-        span.className = 'placeholder-text';
-        span.textContent = 'Drop blocks here';
-        patternSequence.appendChild(span);
-      } else {
-        placeholderText.style.display = 'block';
-      }
-    }
+  function formatSettingValue(value) {
+    if (value === undefined) return '(not set)';
+    const text = typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+    return text.length > 120 ? `${text.slice(0, 117)}...` : text;
   }
 
   /**
-   * Saves the current settings (constructed pattern, separator).
+   * Shows what the pending import would change, for the selected mode
    */
-  function saveSettings() {
-    const blocks = Array.from(patternSequence.querySelectorAll('.placeholder-block'));
-    const patternPlaceholders = blocks.map(b => `{${b.dataset.placeholder}}`).join('');
-    const finalPattern = patternPlaceholders + '{ext}';
-    const separator = separatorSelect.value;
+  function renderImportPreview() {
+    if (!pendingImport) return;
+
+    chrome.storage.local.get(SETTINGS_KEYS, (current) => {
+      const next = applySettingsImport(current, pendingImport.settings, getImportMode());
+      const changes = diffSettings(current, next);
+
+      importPreview.hidden = false;
+      renderImportMessages([], pendingImport.warnings);
+      importDiffBody.innerHTML = '';
+
+      if (changes.length === 0) {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 4;
+        cell.textContent = 'The import matches your current settings; nothing would change.';
+        row.appendChild(cell);
+        importDiffBody.appendChild(row);
+      }
 
-    chrome.storage.local.set({
-      pattern: finalPattern,
-      separator: separator
-    }, () => {
-      currentSettings.pattern = finalPattern;
-      currentSettings.separator = separator;
-      showStatusMessage('Settings saved!');
+      changes.forEach(change => {
+        const row = document.createElement('tr');
+        row.className = `import-${change.type}`;
+        [
+          change.item ? `${change.key}: ${change.item}` : change.key,
+          change.type,
+          formatSettingValue(change.before),
+          formatSettingValue(change.after)
+        ].forEach(text => {
+          const cell = document.createElement('td');
+          cell.textContent = text;
+          row.appendChild(cell);
+        });
+        importDiffBody.appendChild(row);
+      });
+
+      applyImportBtn.disabled = changes.length === 0;
     });
   }
 
   /**
-   * Displays a status message for a short duration.
-   * @param {string} message - The message to display.
+   * Writes the pending import to storage and reloads every section of the page
    */
-  function showStatusMessage(message) {
-    statusMessage.textContent = message;
-    statusMessage.style.opacity = '1';
-    setTimeout(() => { statusMessage.style.opacity = '0'; }, 2000);
+  function applyImport() {
+    if (!pendingImport) return;
+
+    chrome.storage.local.get(SETTINGS_KEYS, (current) => {
+      const next = applySettingsImport(current, pendingImport.settings, getImportMode());
+      const removedKeys = SETTINGS_KEYS.filter(key => current[key] !== undefined && next[key] === undefined);
+
+      chrome.storage.local.remove(removedKeys, () => {
+        chrome.storage.local.set(next, () => {
+          console.log('Settings imported:', Object.keys(next).length, 'keys,', removedKeys.length, 'reset');
+          cancelImport();
+          reloadAllSettings();
+          showStatusMessage('Settings imported!');
+        });
+      });
+    });
   }
 
-  // --- Drag and Drop Event Handlers ---
-
-  function handleDragStart(e) {
-    currentlyDraggedItem = e.target;
-    e.dataTransfer.setData('text/plain', e.target.dataset.placeholder);
-    e.target.classList.add('dragging');
-    if (placeholderText) placeholderText.style.display = 'none'; // Hide placeholder during drag
+  /**
+   * Discards the pending import and hides the preview
+   */
+  function cancelImport() {
+    pendingImport = null;
+    importPreview.hidden = true;
+    importDiffBody.innerHTML = '';
+    importMessages.innerHTML = '';
   }
 
-  function handleDragEnd(e) {
-    e.target.classList.remove('dragging');
-    currentlyDraggedItem = null;
-    checkPlaceholderVisibility(); // Show placeholder if sequence is empty
+  /**
+   * Reloads every settings section from storage (after an import)
+   */
+  function reloadAllSettings() {
+    editingProfileId = '';
+    loadCustomPlaceholdersAndUpdateLists(() => {
+      populateAvailableBlocks();
+      populateDescriptions();
+      loadSettings();
+    });
+    loadConflictSettings();
+    loadCounters();
+    loadSanitizeOptions();
+    loadExtensionFixMode();
+    loadSiteFilter();
+    loadConfirmSettings();
+    loadReplaceRules();
+    loadProfiles();
+    loadCategoryRules();
+    loadCustomPlaceholderRules();
+    loadFloatingIconToggle();
+    loadSyncSettings();
   }
 
-  function handleDragOver(e) {
-    e.preventDefault(); // Necessary to allow dropping
-    patternSequence.classList.add('drag-over');
+  // --- Profile Management Functions ---
+
+  /**
+   * Loads rename profiles from storage and renders them.
+   */
+  function loadProfiles() {
+    chrome.storage.local.get(['profiles', 'activeProfileId'], (result) => {
+      currentProfiles = Array.isArray(result.profiles) ? result.profiles : [];
+      currentActiveProfileId = result.activeProfileId || '';
+      renderProfiles();
+    });
   }
 
-  function handleDragLeave() {
-    patternSequence.classList.remove('drag-over');
+  /**
+   * Renders the profile list and refreshes the pattern target dropdown.
+   */
+  function renderProfiles() {
+    profilesContainer.innerHTML = '';
+    currentProfiles.forEach((profile, index) => {
+      profilesContainer.appendChild(createProfileElement(profile, index));
+    });
+    populatePatternTargetSelect();
+    populateActiveProfileSelect();
   }
 
   /**
-   * Ensures all blocks in the pattern sequence have remove buttons.
-   * Can be called after any drag/drop operation to fix inconsistencies.
+   * Creates a DOM element for a single rename profile
+   * @param {Object} profile - The profile object
+   * @param {number} index - The profile's position in the ordered list
+   * @returns {HTMLElement} The created profile element
    */
-  function ensureRemoveButtons() {
-    const sequenceBlocks = patternSequence.querySelectorAll('.placeholder-block');
+  function createProfileElement(profile, index) {
+    const conditions = profile.conditions || {};
+    const div = document.createElement('div');
+    div.className = 'profile-rule';
+    div.dataset.id = profile.id;
 
-    sequenceBlocks.forEach(block => {
-      // Check if the block already has a remove button
-      if (!block.querySelector('.remove-block-btn')) {
-        addRemoveButton(block);
+    const header = document.createElement('div');
+    header.className = 'profile-header';
 
-        // Also ensure the block has drag handling for reordering
-        if (!block.hasAttribute('data-has-drop-handlers')) {
-          block.addEventListener('dragover', handleDragOverBlock);
-          block.addEventListener('drop', handleDropOnBlock);
-          block.setAttribute('data-has-drop-handlers', 'true');
+    const enabledInput = document.createElement('input');
+    enabledInput.type = 'checkbox';
+    enabledInput.className = 'profile-enabled-input';
+    enabledInput.checked = profile.enabled !== false;
+    enabledInput.title = 'Enable this profile';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'profile-name-input';
+    nameInput.placeholder = 'Profile name (e.g., Invoices)';
+    nameInput.value = profile.name || '';
+
+    const patternLabel = document.createElement('code');
+    patternLabel.className = 'profile-pattern-label';
+    patternLabel.textContent = (profile.folderPattern ? `${profile.folderPattern}/` : '') + (profile.pattern || DEFAULT_PATTERN);
+
+    const upBtn = document.createElement('button');
+    upBtn.className = 'profile-move-btn';
+    upBtn.innerHTML = '&uarr;';
+    upBtn.title = 'Move up';
+    upBtn.disabled = index === 0;
+    upBtn.addEventListener('click', () => moveProfile(index, -1));
+
+    const downBtn = document.createElement('button');
+    downBtn.className = 'profile-move-btn';
+    downBtn.innerHTML = '&darr;';
+    downBtn.title = 'Move down';
+    downBtn.disabled = index === currentProfiles.length - 1;
+    downBtn.addEventListener('click', () => moveProfile(index, 1));
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'secondary-btn edit-profile-pattern-btn';
+    editBtn.textContent = 'Edit Pattern';
+    editBtn.addEventListener('click', () => editProfilePattern(profile.id));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'delete-category-btn';
+    deleteBtn.innerHTML = '&times;';
+    deleteBtn.title = 'Delete this profile';
+    deleteBtn.addEventListener('click', () => {
+      if (confirm('Are you sure you want to delete this profile?')) {
+        currentProfiles = currentProfiles.filter(p => p.id !== profile.id);
+        if (editingProfileId === profile.id) {
+          editingProfileId = '';
+          loadSettings();
         }
+        saveProfiles();
+        renderProfiles();
       }
     });
-  }
 
-  function handleDropOnSequence(e) {
-    e.preventDefault();
-    patternSequence.classList.remove('drag-over');
-    const placeholder = e.dataTransfer.getData('text/plain');
+    header.appendChild(enabledInput);
+    header.appendChild(nameInput);
+    header.appendChild(patternLabel);
+    header.appendChild(upBtn);
+    header.appendChild(downBtn);
+    header.appendChild(editBtn);
+    header.appendChild(deleteBtn);
+
+    const conditionsDiv = document.createElement('div');
+    conditionsDiv.className = 'profile-conditions';
+
+    const domainsInput = createProfileConditionInput('domains', 'Domains (e.g., *.example.com)', conditions.domains);
+    const categoriesInput = createProfileConditionInput('categories', 'Categories (e.g., Documents, Images)', conditions.categories);
+    const mimeInput = createProfileConditionInput('mimeTypes', 'MIME types (e.g., application/pdf, image/*)', conditions.mimeTypes);
+    const urlRegexInput = createProfileConditionInput('urlRegex', 'URL regex (e.g., /invoices/)', conditions.urlRegex);
+
+    conditionsDiv.appendChild(domainsInput);
+    conditionsDiv.appendChild(categoriesInput);
+    conditionsDiv.appendChild(mimeInput);
+    conditionsDiv.appendChild(urlRegexInput);
+
+    // Optional override of the global filename conflict handling
+    const conflictDiv = document.createElement('div');
+    conflictDiv.className = 'profile-conflict';
+
+    const conflictSelect = document.createElement('select');
+    conflictSelect.className = 'profile-conflict-select';
+    populateConflictActionSelect(conflictSelect, 'Name conflicts: use global setting');
+    conflictSelect.value = CONFLICT_ACTION_LABELS[profile.conflictAction] ? profile.conflictAction : '';
+
+    const counterInput = document.createElement('input');
+    counterInput.type = 'text';
+    counterInput.className = 'profile-counter-format-input';
+    counterInput.placeholder = 'Counter format (empty = global format)';
+    counterInput.setAttribute('list', 'counter-format-presets');
+    counterInput.value = profile.counterFormat || '';
+
+    const toggleCounterInput = () => {
+      counterInput.style.display = conflictSelect.value === 'counter' ? '' : 'none';
+    };
+    toggleCounterInput();
+
+    conflictDiv.appendChild(conflictSelect);
+    conflictDiv.appendChild(counterInput);
+
+    /**
+     * Copies the edited fields back into the profile and saves
+     */
+    function update() {
+      urlRegexInput.classList.remove('error');
+      if (urlRegexInput.value.trim()) {
+        try {
+          new RegExp(urlRegexInput.value.trim());
+        } catch (e) {
+          urlRegexInput.classList.add('error');
+          return;
+        }
+      }
 
-    // Ensure we have a valid placeholder and the dragged item exists
-    if (!placeholder || !PLACEHOLDERS.includes(placeholder) || !currentlyDraggedItem) {
-      return;
+      profile.name = nameInput.value.trim();
+      profile.enabled = enabledInput.checked;
+      profile.conditions = {
+        domains: domainsInput.value.trim(),
+        categories: categoriesInput.value.trim(),
+        mimeTypes: mimeInput.value.trim(),
+        urlRegex: urlRegexInput.value.trim()
+      };
+      profile.conflictAction = conflictSelect.value;
+      profile.counterFormat = counterInput.value;
+      toggleCounterInput();
+      saveProfiles();
+      populatePatternTargetSelect();
+      populateActiveProfileSelect();
     }
 
-    const sourceList = currentlyDraggedItem.parentNode;
+    enabledInput.addEventListener('change', update);
+    conflictSelect.addEventListener('change', update);
+    [nameInput, domainsInput, categoriesInput, mimeInput, urlRegexInput, counterInput].forEach(input => {
+      input.addEventListener('input', update);
+    });
 
-    // Scenario 1: Dragging from Available list to Sequence container
-    if (sourceList === availableBlocksList) {
-      // Create a new block specifically for the sequence, with a remove button
-      const newBlockInSequence = createBlock(placeholder, true);
-      patternSequence.appendChild(newBlockInSequence);
+    div.appendChild(header);
+    div.appendChild(conditionsDiv);
+    div.appendChild(conflictDiv);
+    return div;
+  }
 
-      // Remove the original block that was dragged from the available list
-      currentlyDraggedItem.remove();
+  /**
+   * Creates a text input for one profile match condition
+   * @param {string} key - The condition key (used as a CSS modifier)
+   * @param {string} placeholder - The input placeholder text
+   * @param {string} value - The current condition value
+   * @returns {HTMLInputElement} The created input
+   */
+  function createProfileConditionInput(key, placeholder, value) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = `profile-condition-input profile-${key}-input`;
+    input.placeholder = placeholder;
+    input.value = value || '';
+    return input;
+  }
 
-      updatePreview();
-      checkPlaceholderVisibility();
-    }
-    // Scenario 2: Reordering within Sequence (dropping onto the container itself, not another block)
-    else if (sourceList === patternSequence) {
-      // Just append the block being dragged (it should already have its remove button)
-      patternSequence.appendChild(currentlyDraggedItem);
-      updatePreview(); // Update preview after reorder
-    }
+  /**
+   * Saves the current profiles to storage
+   */
+  function saveProfiles() {
+    chrome.storage.local.set({ profiles: currentProfiles }, () => {
+      console.log('Rename profiles saved:', currentProfiles.length, 'profiles');
+    });
+  }
 
-    // Ensure all blocks in the sequence have remove buttons
-    ensureRemoveButtons();
+  /**
+   * Adds a new profile that starts from the current global pattern
+   */
+  function addNewProfile() {
+    const profile = {
+      id: `profile-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      name: '',
+      enabled: true,
+      conditions: { domains: '', categories: '', mimeTypes: '', urlRegex: '' },
+      pattern: currentSettings.pattern,
+      separator: currentSettings.separator,
+      folderPattern: currentSettings.folderPattern
+    };
+    currentProfiles.push(profile);
+    saveProfiles();
+    renderProfiles();
+
+    const nameInput = profilesContainer.lastElementChild.querySelector('.profile-name-input');
+    if (nameInput) nameInput.focus();
   }
 
-  // Handlers for reordering *within* the sequence
-  function handleDragOverBlock(e) {
-    e.preventDefault();
-    // Optional: add visual indication on the block being hovered over
+  /**
+   * Moves a profile up or down in the ordered list
+   * @param {number} index - The profile's current position
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  function moveProfile(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= currentProfiles.length) return;
+    const [profile] = currentProfiles.splice(index, 1);
+    currentProfiles.splice(target, 0, profile);
+    saveProfiles();
+    renderProfiles();
   }
 
-  function handleDropOnBlock(e) {
-    e.preventDefault();
-    e.stopPropagation(); // Prevent drop event bubbling to parent container
+  /**
+   * Fills the pattern target dropdown with the global pattern and every profile
+   */
+  function populatePatternTargetSelect() {
+    patternTargetSelect.innerHTML = '';
 
-    if (!currentlyDraggedItem || currentlyDraggedItem === e.target) {
-      return; // Can't drop on itself
+    const globalOption = document.createElement('option');
+    globalOption.value = '';
+    globalOption.textContent = 'Global pattern (fallback)';
+    patternTargetSelect.appendChild(globalOption);
+
+    currentProfiles.forEach((profile, index) => {
+      const opt = document.createElement('option');
+      opt.value = profile.id;
+      opt.textContent = `Profile: ${profile.name || `Untitled #${index + 1}`}`;
+      patternTargetSelect.appendChild(opt);
+    });
+
+    patternTargetSelect.value = editingProfileId;
+  }
+
+  /**
+   * Fills the Active profile dropdown with the choices the cycle shortcut steps through
+   */
+  function populateActiveProfileSelect() {
+    activeProfileSelect.innerHTML = '';
+    getActiveProfileCycle(currentProfiles).forEach(profileId => {
+      const opt = document.createElement('option');
+      opt.value = profileId;
+      opt.textContent = getActiveProfileLabel(currentProfiles, profileId);
+      activeProfileSelect.appendChild(opt);
+    });
+    // A profile that was just disabled falls back to Automatic (the service worker clears it too)
+    activeProfileSelect.value = currentActiveProfileId;
+    if (activeProfileSelect.value !== currentActiveProfileId) {
+      activeProfileSelect.value = '';
     }
+  }
 
-    // Insert the dragged item before the target item
-    patternSequence.insertBefore(currentlyDraggedItem, e.target.closest('.placeholder-block'));
-    updatePreview();
+  /**
+   * Lists the keyboard shortcuts with the keys currently assigned in Chrome
+   */
+  function loadShortcuts() {
+    chrome.commands.getAll((commands) => {
+      shortcutList.textContent = commands
+        .filter(command => command.description)
+        .map(command => `${command.description} (${command.shortcut || 'not set'})`)
+        .join(', ') + '.';
+    });
+  }
 
-    // Ensure all blocks have remove buttons after reordering
-    ensureRemoveButtons();
+  /**
+   * Switches the pattern builder to edit a profile's pattern
+   * @param {string} profileId - The profile ID, or '' for the global pattern
+   */
+  function editProfilePattern(profileId) {
+    const profile = currentProfiles.find(p => p.id === profileId);
+    editingProfileId = profile ? profile.id : '';
+    patternTargetSelect.value = editingProfileId;
+
+    if (profile) {
+      renderPatternSequence(profile.pattern || DEFAULT_PATTERN,
+        profile.separator !== undefined ? profile.separator : DEFAULT_SEPARATOR,
+        profile.folderPattern || '');
+      patternTargetSelect.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    } else {
+      renderPatternSequence(currentSettings.pattern, currentSettings.separator, currentSettings.folderPattern);
+    }
   }
 
   // --- Category Management Functions ---
@@ -665,6 +3123,56 @@ document.addEventListener('DOMContentLoaded', () => {
    * Handles storage changes from other sources (like the hide button in content scripts)
    */
   function handleOptionsStorageChange(changes, area) {
+    if (area === 'local' && changes.syncStatus !== undefined) {
+      renderSyncStatus(changes.syncStatus.newValue);
+    }
+
+    if (area === 'local' && changes.counterState !== undefined) {
+      currentCounterState = normalizeCounterState(changes.counterState.newValue);
+      renderCounters();
+      updatePreview();
+    }
+
+    if (area === 'local' && changes.renameHistory !== undefined) {
+      currentHistory = Array.isArray(changes.renameHistory.newValue) ? changes.renameHistory.newValue : [];
+      populateHistoryDomainFilter();
+      renderHistory();
+      // A new download was renamed; show it in the sample preview
+      loadRecentDownloadSamples();
+    }
+
+    // Saved custom placeholders and replace rules change what the sample preview shows
+    if (area === 'local' && changes.customPlaceholders !== undefined) {
+      currentCustomPlaceholders = Array.isArray(changes.customPlaceholders.newValue) ? changes.customPlaceholders.newValue : [];
+      renderSamplePreviews();
+    }
+    if (area === 'local' && (changes.replaceRules !== undefined || changes.extensionFixMode !== undefined ||
+      changes.sanitizeOptions !== undefined)) {
+      renderSamplePreviews();
+    }
+
+    // Category names decide which replace rules the examples run, and {category} in the bench and sample preview
+    if (area === 'local' && changes.categoryRules !== undefined) {
+      savedCategoryRules = Array.isArray(changes.categoryRules.newValue) ? changes.categoryRules.newValue : null;
+      updateReplaceExamples();
+      updateCustomPlaceholderBench();
+      renderSamplePreviews();
+    }
+
+    // The cycle shortcut can switch the active profile while this page is open
+    if (area === 'local' && changes.activeProfileId !== undefined) {
+      currentActiveProfileId = changes.activeProfileId.newValue || '';
+      populateActiveProfileSelect();
+    }
+
+    // The floating icon can change the site lists while this page is open
+    if (area === 'local' && changes.siteFilter !== undefined) {
+      const filter = normalizeSiteFilter(changes.siteFilter.newValue);
+      if (JSON.stringify(filter) !== JSON.stringify(getSiteFilterFromUI())) {
+        renderSiteFilter(filter);
+      }
+    }
+
     if (area === 'local' && changes.showFloatingIcon !== undefined) {
       const newValue = changes.showFloatingIcon.newValue;
       if (floatingIconToggle && floatingIconToggle.checked !== newValue) {
@@ -680,16 +3188,116 @@ document.addEventListener('DOMContentLoaded', () => {
     populateDescriptions();
     loadSettings();
   });
+  populateConflictActionSelect(conflictActionSelect);
+  loadConflictSettings();
+  loadCounters();
+  loadSanitizeOptions();
+  [sanitizeProfileSelect, sanitizeWhitespaceCheckbox, sanitizeNormalizeCheckbox, sanitizeTransliterateCheckbox,
+    sanitizeEmojiCheckbox].forEach(input => {
+    input.addEventListener('change', saveSanitizeOptions);
+  });
+  sanitizeReplacementInput.addEventListener('input', saveSanitizeOptions);
+  loadExtensionFixMode();
+  extensionFixSelect.addEventListener('change', saveExtensionFixMode);
+
+  loadReplaceRules();
+  // After the counters, filename safety, file type and replace rule loads it renders with
+  loadRecentDownloadSamples();
+  addReplaceRuleBtn.addEventListener('click', addReplaceRule);
+  replaceTestNameInput.addEventListener('input', updateReplaceExamples);
+  replaceTestDomainInput.addEventListener('input', updateReplaceExamples);
+  loadSiteFilter();
+  document.querySelectorAll('input[name="site-filter-mode"]').forEach(radio => {
+    radio.addEventListener('change', saveSiteFilter);
+  });
+  [siteBlocklistInput, siteAllowlistInput].forEach(input => input.addEventListener('change', saveSiteFilter));
+  loadConfirmSettings();
+  [confirmEnabledCheckbox, confirmTargetSelect, confirmTimeoutInput].forEach(input => {
+    input.addEventListener('change', saveConfirmSettings);
+  });
+  resetAllCountersBtn.addEventListener('click', () => resetCounters());
   saveButton.addEventListener('click', saveSettings);
 
   // Add drag listeners to the main drop zone
-  patternSequence.addEventListener('dragover', handleDragOver);
-  patternSequence.addEventListener('dragleave', handleDragLeave);
-  patternSequence.addEventListener('drop', handleDropOnSequence);
+  builderLanes.forEach(lane => {
+    lane.addEventListener('dragover', handleDragOver);
+    lane.addEventListener('dragleave', handleDragLeave);
+    lane.addEventListener('drop', handleDropOnSequence);
+  });
 
   // Add change listener to the separator dropdown
   separatorSelect.addEventListener('change', updatePreview);
 
+  // UTC is a global setting and saves immediately
+  useUtcCheckbox.addEventListener('change', () => {
+    chrome.storage.local.set({ useUtc: useUtcCheckbox.checked });
+    updatePreview();
+  });
+
+  // Filename conflict handling is a global setting and saves immediately
+  conflictActionSelect.addEventListener('change', saveConflictSettings);
+  counterFormatInput.addEventListener('input', saveConflictSettings);
+
+  // Close the block settings popover when clicking elsewhere
+  document.addEventListener('click', (e) => {
+    // composedPath still includes the popover when the click removed its target (e.g., a filter row)
+    if (blockSettingsPopover && !e.composedPath().includes(blockSettingsPopover)) {
+      closeBlockSettings();
+    }
+  });
+
+  // Switch the builder between the global pattern and profile patterns
+  patternTargetSelect.addEventListener('change', () => {
+    editProfilePattern(patternTargetSelect.value);
+  });
+
+  // Tab navigation
+  tabButtons.forEach(btn => {
+    btn.addEventListener('click', () => switchTab(btn.dataset.tab));
+  });
+
+  // Initialize history tab filters and actions
+  [historySearch, historyDateFrom, historyDateTo].forEach(input => {
+    input.addEventListener('input', renderHistory);
+  });
+  historyDomainFilter.addEventListener('change', renderHistory);
+  exportHistoryCsvBtn.addEventListener('click', () => exportHistory('csv'));
+  exportHistoryJsonBtn.addEventListener('click', () => exportHistory('json'));
+  clearHistoryBtn.addEventListener('click', clearHistory);
+
+  // Initialize settings sync (the service worker does the syncing)
+  loadSyncSettings();
+  syncEnabledCheckbox.addEventListener('change', () => {
+    chrome.storage.local.set({ syncEnabled: syncEnabledCheckbox.checked }, () => {
+      chrome.storage.local.get(['syncStatus'], (result) => renderSyncStatus(result.syncStatus));
+    });
+  });
+
+  // Initialize settings import/export
+  exportSettingsBtn.addEventListener('click', exportSettings);
+  importSettingsBtn.addEventListener('click', () => importSettingsFile.click());
+  importSettingsFile.addEventListener('change', handleImportFile);
+  document.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+    radio.addEventListener('change', renderImportPreview);
+  });
+  applyImportBtn.addEventListener('click', applyImport);
+  cancelImportBtn.addEventListener('click', cancelImport);
+
+  // Initialize profiles section
+  loadProfiles();
+  if (addProfileBtn) {
+    addProfileBtn.addEventListener('click', addNewProfile);
+  }
+  activeProfileSelect.addEventListener('change', () => {
+    currentActiveProfileId = activeProfileSelect.value;
+    chrome.storage.local.set({ activeProfileId: currentActiveProfileId });
+  });
+  loadShortcuts();
+  // Shortcut keys are edited on Chrome's own page
+  changeShortcutsBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+
   // Initialize categories section
   loadCategoryRules();
 
@@ -705,6 +3313,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Initialize custom placeholders section
   loadCustomPlaceholderRules();
+  [customTestUrlInput, customTestFilenameInput, customTestReferrerInput].forEach(input => {
+    input.addEventListener('input', updateCustomPlaceholderBench);
+  });
   if (addCustomPlaceholderBtn) {
     addCustomPlaceholderBtn.addEventListener('click', addNewCustomPlaceholder);
   }
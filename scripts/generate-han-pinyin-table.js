@@ -0,0 +1,132 @@
+/**
+ * Chinese pinyin table generator
+ * Turns pinyin.txt from pinyin-data (https://github.com/mozillazg/pinyin-data), the Mandarin readings of every
+ * CJK Unified Ideograph in Unihan, into utils/hanPinyinTable.js, the table transliterateToAscii romanizes
+ * Chinese characters with.
+ *
+ * Usage:
+ *   node scripts/generate-han-pinyin-table.js <pinyin.txt> [output.js]
+ *
+ * Each character gets one toneless reading: the first one listed, or its everyday reading from PREFERRED_READINGS.
+ * ü is written v (绿 → lv), as pinyin input methods do.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+
+const USAGE = 'Usage: node scripts/generate-han-pinyin-table.js <pinyin.txt> [output.js]';
+const DEFAULT_OUTPUT = new URL('../utils/hanPinyinTable.js', import.meta.url);
+
+// Common characters whose everyday reading isn't the first one pinyin.txt lists (还 is hái far more often than huán)
+const PREFERRED_READINGS = {
+  '还': 'hai', '還': 'hai', '都': 'dou', '行': 'xing', '什': 'shen', '么': 'me', '麼': 'me', '着': 'zhe',
+  '曾': 'ceng', '朝': 'chao', '调': 'diao', '率': 'lv'
+};
+
+/**
+ * Removes the tone marks of a pinyin syllable, writing ü as v
+ * @param {string} reading - The syllable with tone marks (e.g., 'lǜ')
+ * @returns {string} The lowercase ASCII syllable (e.g., 'lv'), or '' when it has other characters
+ */
+function toTonelessSyllable(reading) {
+  const syllable = reading.normalize('NFD').replace(/ü/g, 'v').replace(/\p{M}/gu, '').toLowerCase();
+  return /^[a-z]+$/.test(syllable) ? syllable : '';
+}
+
+/**
+ * Reads the readings of the list's Chinese characters, one line per character: 'U+4E2D: zhōng,zhòng  # 中'
+ * @param {string} text - The contents of pinyin.txt
+ * @returns {Object} {readings, version}: readings maps each character to its toneless syllable, version comes
+ *   from the file's '# version:' header line ('' when it has none)
+ */
+function parsePinyinList(text) {
+  const readings = new Map();
+  let version = '';
+
+  text.split(/\r?\n/).forEach(line => {
+    const header = line.match(/^#\s*version:\s*(.+)$/i);
+    if (header) {
+      version = header[1].trim();
+      return;
+    }
+    const entry = line.match(/^U\+([0-9A-F]{4,6}):\s*([^#]+)/i);
+    if (!entry) {
+      return;
+    }
+    const char = String.fromCodePoint(parseInt(entry[1], 16));
+    if (!/^\p{Script=Han}$/u.test(char)) {
+      return;
+    }
+    const syllable = PREFERRED_READINGS[char] || toTonelessSyllable(entry[2].split(',')[0].trim());
+    if (syllable) {
+      readings.set(char, syllable);
+    }
+  });
+
+  return { readings, version };
+}
+
+/**
+ * Writes the readings as a JavaScript module, grouped by syllable in alphabetical order
+ * @param {Map<string, string>} readings - Character → toneless syllable
+ * @param {string} version - The list version, if known
+ * @returns {string} The module source
+ */
+function formatModule(readings, version) {
+  const groups = new Map();
+  readings.forEach((syllable, char) => {
+    groups.set(syllable, (groups.get(syllable) || '') + char);
+  });
+  const lines = Array.from(groups.keys()).sort().map(syllable => `  ${syllable}: '${groups.get(syllable)}',`);
+  if (lines.length > 0) {
+    lines[lines.length - 1] = lines[lines.length - 1].replace(/,$/, '');
+  }
+
+  return [
+    '/**',
+    ` * Pinyin (without tones) of ${readings.size} Chinese characters, grouped by syllable, from pinyin-data`,
+    ` * (https://github.com/mozillazg/pinyin-data${version ? `, ${version}` : ''}): the Mandarin reading Unihan gives every CJK`,
+    ' * ideograph, simplified and traditional. Characters with several readings use one; Japanese kanji get their Chinese',
+    ' * reading. Generated by scripts/generate-han-pinyin-table.js; don\'t edit by hand, run it on a newer list instead.',
+    ' */',
+    '',
+    'const HAN_PINYIN = {',
+    ...lines,
+    '};',
+    '',
+    'export {',
+    '  HAN_PINYIN',
+    '};',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Runs the generator
+ */
+function main() {
+  const [inputPath, outputPath = DEFAULT_OUTPUT] = process.argv.slice(2);
+  if (!inputPath || inputPath === '--help' || inputPath === '-h') {
+    throw new Error(USAGE);
+  }
+
+  let text;
+  try {
+    text = readFileSync(inputPath, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read ${inputPath}: ${error.message}`);
+  }
+
+  const { readings, version } = parsePinyinList(text);
+  if (readings.size === 0) {
+    throw new Error(`${inputPath} contains no readings`);
+  }
+  writeFileSync(outputPath, formatModule(readings, version));
+  console.log(`Wrote ${readings.size} characters to ${outputPath instanceof URL ? outputPath.pathname : outputPath}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
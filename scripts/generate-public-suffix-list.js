@@ -0,0 +1,133 @@
+/**
+ * Public Suffix List generator
+ * Turns public_suffix_list.dat (https://publicsuffix.org/list/public_suffix_list.dat) into
+ * utils/publicSuffixList.js, the list bundled for {registrableDomain}, {subdomain} and {finalDomain}.
+ *
+ * Usage:
+ *   node scripts/generate-public-suffix-list.js <public_suffix_list.dat> [output.js]
+ *
+ * Both the ICANN and the private sections are kept, so hosting suffixes such as github.io count as public.
+ * Internationalized rules are converted to punycode, the form URL hostnames use.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { domainToASCII } from 'node:url';
+
+const USAGE = 'Usage: node scripts/generate-public-suffix-list.js <public_suffix_list.dat> [output.js]';
+const DEFAULT_OUTPUT = new URL('../utils/publicSuffixList.js', import.meta.url);
+
+// Rules are packed several to a line, keeping lines under this length
+const MAX_LINE_LENGTH = 118;
+
+/**
+ * Converts one rule to the form URL hostnames use, keeping its '*.' or '!' prefix
+ * @param {string} rule - The rule as written in the list (e.g., '*.kawasaki.jp' or '公司.cn')
+ * @returns {string} The ASCII rule (e.g., 'xn--55qx5d.cn'), or '' when it can't be converted
+ */
+function toAsciiRule(rule) {
+  const prefix = rule.startsWith('*.') ? '*.' : rule.startsWith('!') ? '!' : '';
+  const ascii = domainToASCII(rule.slice(prefix.length));
+  return ascii ? prefix + ascii : '';
+}
+
+/**
+ * Reads the rules of the list: the first word of each line that isn't empty or a comment
+ * @param {string} text - The contents of public_suffix_list.dat
+ * @returns {Object} {rules, version}: rules in list order without duplicates, version from the list's
+ *   '// VERSION:' and '// COMMIT:' header lines ('' when it has none)
+ */
+function parseSuffixList(text) {
+  const rules = [];
+  const seen = new Set();
+  const versionLines = [];
+
+  text.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    const header = trimmed.match(/^\/\/\s*(VERSION|COMMIT):\s*(.+)$/);
+    if (header) {
+      versionLines.push(`${header[1].toLowerCase()} ${header[2].trim()}`);
+      return;
+    }
+    if (!trimmed || trimmed.startsWith('//')) {
+      return;
+    }
+    const rule = toAsciiRule(trimmed.split(/\s/)[0].toLowerCase());
+    if (rule && !seen.has(rule)) {
+      seen.add(rule);
+      rules.push(rule);
+    }
+  });
+
+  return { rules, version: versionLines.join(', ') };
+}
+
+/**
+ * Writes the rules as a JavaScript module
+ * @param {Array<string>} rules - The ASCII rules
+ * @param {string} version - The list version, if known
+ * @returns {string} The module source
+ */
+function formatModule(rules, version) {
+  const lines = [];
+  let line = '';
+  rules.forEach(rule => {
+    const item = `'${rule}',`;
+    if (line && line.length + item.length + 1 > MAX_LINE_LENGTH) {
+      lines.push(line);
+      line = '';
+    }
+    line = line ? `${line} ${item}` : `  ${item}`;
+  });
+  if (line) {
+    lines.push(line.replace(/,$/, ''));
+  }
+
+  return [
+    '/**',
+    ' * The Public Suffix List (https://publicsuffix.org/list/), used by {registrableDomain}, {subdomain} and',
+    ` * {finalDomain}${version ? ` (${version})` : ''}. ${rules.length} rules, ICANN and private sections.`,
+    ' * Rules use the list\'s syntax: \'*.\' matches any one label, \'!\' marks an exception to a wildcard rule.',
+    ' * Generated by scripts/generate-public-suffix-list.js; don\'t edit by hand, run it on a newer list instead.',
+    ' */',
+    '',
+    'const PUBLIC_SUFFIXES = [',
+    ...lines,
+    '];',
+    '',
+    'export {',
+    '  PUBLIC_SUFFIXES',
+    '};',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Runs the generator
+ */
+function main() {
+  const [inputPath, outputPath = DEFAULT_OUTPUT] = process.argv.slice(2);
+  if (!inputPath || inputPath === '--help' || inputPath === '-h') {
+    throw new Error(USAGE);
+  }
+
+  let text;
+  try {
+    text = readFileSync(inputPath, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read ${inputPath}: ${error.message}`);
+  }
+
+  const { rules, version } = parseSuffixList(text);
+  if (rules.length === 0) {
+    throw new Error(`${inputPath} contains no rules`);
+  }
+  writeFileSync(outputPath, formatModule(rules, version));
+  console.log(`Wrote ${rules.length} rules to ${outputPath instanceof URL ? outputPath.pathname : outputPath}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,132 @@
+/**
+ * Offline rename simulator
+ * Runs the extension's rename engine over a list of fake downloads and prints the resulting filenames,
+ * so rule sets can be checked in a terminal before they are rolled out.
+ *
+ * Usage:
+ *   node scripts/simulate-rename.js <downloads.json> <settings-export.json> [--now <ISO date>] [--json]
+ *
+ * downloads.json is an array of download items such as
+ *   [{ "filename": "report.pdf", "url": "https://example.com/files/report.pdf", "referrer": "", "mime": "application/pdf" }]
+ * An item may add "tab": { "title": "...", "url": "..." } to stand in for the tab the download started from.
+ * "fileSize"/"totalBytes", "startTime" and "finalUrl" feed {size}, {sizeBytes}, {startTime} and {finalDomain};
+ * without a start time, {startTime} uses --now.
+ * settings-export.json is a file written by "Export Settings" on the options page.
+ * Counters start from their start value, as counter values are not part of an export.
+ */
+
+import { readFileSync } from 'node:fs';
+import { validateSettingsImport } from '../utils/settingsTransfer.js';
+import { normalizeCounterState, nextCounterValue } from '../utils/counterUtils.js';
+import { renameDownload } from '../utils/renameEngine.js';
+
+const USAGE = 'Usage: node scripts/simulate-rename.js <downloads.json> <settings-export.json> [--now <ISO date>] [--json]';
+
+/**
+ * Parses the command line arguments
+ * @param {Array<string>} args - The arguments after the script name
+ * @returns {Object} {downloadsPath, settingsPath, now, json}
+ */
+function parseArgs(args) {
+  const options = { downloadsPath: '', settingsPath: '', now: new Date(), json: false };
+  const paths = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--json') {
+      options.json = true;
+    } else if (args[i] === '--now') {
+      options.now = new Date(args[++i]);
+      if (Number.isNaN(options.now.getTime())) {
+        throw new Error(`Invalid --now date: ${args[i]}`);
+      }
+    } else if (args[i] === '--help' || args[i] === '-h') {
+      console.log(USAGE);
+      process.exit(0);
+    } else {
+      paths.push(args[i]);
+    }
+  }
+
+  if (paths.length !== 2) {
+    throw new Error(USAGE);
+  }
+  [options.downloadsPath, options.settingsPath] = paths;
+  return options;
+}
+
+/**
+ * Reads and parses a JSON file
+ * @param {string} path - The file path
+ * @returns {*} The parsed JSON
+ */
+function readJsonFile(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Prints one simulated download in a readable block
+ * @param {number} index - The position of the download in the input list
+ * @param {Object} item - The download item
+ * @param {Object} result - The rename engine result
+ */
+function printResult(index, item, result) {
+  console.log(`#${index + 1} ${item.filename || '(no filename)'}`);
+  console.log(`  url:      ${item.url || ''}`);
+  console.log(`  result:   ${result.filename}`);
+  console.log(`  profile:  ${result.profile ? result.profile.name || 'Untitled' : result.renamed ? '(global pattern)' : '(renaming disabled)'}`);
+  console.log(`  conflict: ${result.conflict.action}${result.conflict.action === 'counter' ? ` (${result.conflict.counterFormat})` : ''}`);
+
+  const tokens = Object.keys(result.values);
+  tokens.forEach((token, i) => {
+    const label = i === 0 ? '  values:   ' : '            ';
+    console.log(`${label}{${token}} = ${JSON.stringify(result.values[token])}`);
+  });
+  console.log(`  rules:    ${result.matchedRules.join(', ')}`);
+  result.warnings.forEach(warning => console.log(`  warning:  ${warning}`));
+  console.log('');
+}
+
+/**
+ * Runs the simulation
+ */
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const downloads = readJsonFile(options.downloadsPath);
+  if (!Array.isArray(downloads)) {
+    throw new Error(`${options.downloadsPath} should contain an array of download items`);
+  }
+
+  const { valid, errors, warnings, settings } = validateSettingsImport(readJsonFile(options.settingsPath));
+  warnings.forEach(warning => console.error(`Warning: ${warning}`));
+  if (!valid) {
+    throw new Error(`Invalid settings export:\n  ${errors.join('\n  ')}`);
+  }
+
+  // Counters advance across the simulated downloads, starting from their start values
+  const counterState = normalizeCounterState();
+  const nextCounter = (scope, key, counterSettings) => nextCounterValue(counterState, scope, key, counterSettings);
+
+  const results = downloads.map((item, index) => {
+    const result = renameDownload(item, settings, { now: options.now, nextCounter, tab: item.tab || null });
+    if (!options.json) {
+      printResult(index, item, result);
+    }
+    return { input: item, ...result };
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,63 @@
+/**
+ * Utility functions for the confirm-and-edit mode, where the proposed name is shown before the download is saved
+ * Used by the service worker, the options page and the confirmation window
+ */
+
+import { sanitizeFilename } from './filenameUtils.js';
+
+// Where the prompt appears: on the tab the download started from (falling back to a window), or always in a window
+const CONFIRM_TARGETS = ['tab', 'window'];
+
+// Confirmation is off by default; unanswered prompts keep the automatic name after the timeout
+const DEFAULT_CONFIRM_SETTINGS = { enabled: false, target: 'tab', timeout: 20 };
+
+// Accepted timeout range in seconds
+const MIN_CONFIRM_TIMEOUT = 5;
+const MAX_CONFIRM_TIMEOUT = 120;
+
+// Choice ID of the name the rules picked on their own
+const AUTOMATIC_CHOICE_ID = 'auto';
+
+/**
+ * Normalizes the confirmation settings read from storage
+ * @param {Object} saved - The saved settings (may be missing or partial)
+ * @returns {Object} Complete {enabled, target, timeout} settings; timeout is in seconds
+ */
+function normalizeConfirmSettings(saved) {
+  const settings = saved && typeof saved === 'object' ? saved : {};
+  const timeout = parseInt(settings.timeout, 10);
+  return {
+    enabled: settings.enabled === true,
+    target: CONFIRM_TARGETS.includes(settings.target) ? settings.target : DEFAULT_CONFIRM_SETTINGS.target,
+    timeout: Number.isInteger(timeout)
+      ? Math.min(Math.max(timeout, MIN_CONFIRM_TIMEOUT), MAX_CONFIRM_TIMEOUT)
+      : DEFAULT_CONFIRM_SETTINGS.timeout
+  };
+}
+
+/**
+ * Cleans up a name typed into the prompt: every folder level is sanitized like a generated name,
+ * and empty, '.' and '..' levels are dropped so the file can't leave the downloads folder
+ * @param {string} text - The edited relative path (e.g., 'Invoices/2024/invoice.pdf')
+ * @param {Object} [sanitizeOptions] - The filename safety options
+ * @returns {string} The relative path to suggest, or '' when nothing usable is left
+ */
+function cleanEditedFilename(text, sanitizeOptions) {
+  const segments = String(text || '')
+    .split(/[\\/]+/)
+    .map(segment => segment.trim())
+    .filter(segment => segment && segment !== '.' && segment !== '..')
+    .map(segment => sanitizeFilename(segment, sanitizeOptions))
+    .filter(segment => segment && segment !== '.' && segment !== '..');
+  return segments.join('/');
+}
+
+export {
+  CONFIRM_TARGETS,
+  DEFAULT_CONFIRM_SETTINGS,
+  MIN_CONFIRM_TIMEOUT,
+  MAX_CONFIRM_TIMEOUT,
+  AUTOMATIC_CHOICE_ID,
+  normalizeConfirmSettings,
+  cleanEditedFilename
+};
@@ -0,0 +1,159 @@
+/**
+ * Utility functions for persistent counter placeholders ({counter}, {counter:daily}, {counter:domain}, {counter:category})
+ * The service worker owns the counter state; the options page uses these helpers for previews and settings
+ */
+
+// Name of the counter placeholder; its argument selects the scope
+const COUNTER_PLACEHOLDER = 'counter';
+
+// Counter scopes: one global sequence, one per day, one per download domain, one per file category
+const COUNTER_SCOPES = ['global', 'daily', 'domain', 'category'];
+
+// Used for scopes without saved settings (gives scan_0001, scan_0002, ...)
+const DEFAULT_COUNTER_SETTINGS = { padding: 4, start: 1 };
+
+// Longest zero padding accepted from the settings
+const MAX_COUNTER_PADDING = 12;
+
+/**
+ * Gets the scope selected by a counter placeholder argument
+ * @param {string} [arg] - The placeholder argument (e.g., 'daily' for {counter:daily})
+ * @returns {string} One of COUNTER_SCOPES; 'global' when the argument is missing or unknown
+ */
+function getCounterScope(arg) {
+  return COUNTER_SCOPES.includes(arg) ? arg : 'global';
+}
+
+/**
+ * Gets the padding and start value for a counter scope, falling back to the defaults
+ * @param {Object} counterSettings - Saved settings keyed by scope ({ daily: { padding, start }, ... })
+ * @param {string} scope - The counter scope
+ * @returns {Object} The {padding, start} to use
+ */
+function getCounterSettings(counterSettings, scope) {
+  const saved = (counterSettings && counterSettings[scope]) || {};
+  const padding = parseInt(saved.padding, 10);
+  const start = parseInt(saved.start, 10);
+  return {
+    padding: Number.isInteger(padding) ? Math.min(Math.max(padding, 0), MAX_COUNTER_PADDING) : DEFAULT_COUNTER_SETTINGS.padding,
+    start: Number.isInteger(start) && start >= 0 ? start : DEFAULT_COUNTER_SETTINGS.start
+  };
+}
+
+/**
+ * Gets the key of the sequence a download belongs to within a scope
+ * @param {string} scope - The counter scope
+ * @param {Object} context - The download's {day, domain, category}
+ * @returns {string} The sequence key (e.g., '2024-01-15' for the daily scope)
+ */
+function getCounterKey(scope, context) {
+  switch (scope) {
+    case 'daily':
+      return context.day || '';
+    case 'domain':
+      return context.domain || 'unknown';
+    case 'category':
+      return context.category || 'unknown';
+    default:
+      return 'all';
+  }
+}
+
+/**
+ * Creates an empty counter state with one sequence map per scope
+ * @returns {Object} The counter state ({ global: {}, daily: {}, domain: {}, category: {} })
+ */
+function createEmptyCounterState() {
+  const state = {};
+  COUNTER_SCOPES.forEach(scope => {
+    state[scope] = {};
+  });
+  return state;
+}
+
+/**
+ * Normalizes a counter state read from storage
+ * @param {Object} saved - The saved state (may be missing or partial)
+ * @returns {Object} A complete counter state
+ */
+function normalizeCounterState(saved) {
+  const state = createEmptyCounterState();
+  if (saved && typeof saved === 'object') {
+    COUNTER_SCOPES.forEach(scope => {
+      if (saved[scope] && typeof saved[scope] === 'object') {
+        state[scope] = { ...saved[scope] };
+      }
+    });
+  }
+  return state;
+}
+
+/**
+ * Gets the value a counter sequence would give next, without advancing it (used for previews)
+ * @param {Object} state - The counter state
+ * @param {string} scope - The counter scope
+ * @param {string} key - The sequence key within the scope
+ * @param {Object} settings - The {padding, start} of the scope
+ * @returns {number} The next counter value
+ */
+function peekCounterValue(state, scope, key, settings) {
+  const last = state[scope] ? state[scope][key] : undefined;
+  return Number.isInteger(last) && last + 1 >= settings.start ? last + 1 : settings.start;
+}
+
+/**
+ * Advances a counter sequence and returns the new value.
+ * The state is changed in place; the daily scope only keeps the current day.
+ * @param {Object} state - The counter state
+ * @param {string} scope - The counter scope
+ * @param {string} key - The sequence key within the scope
+ * @param {Object} settings - The {padding, start} of the scope
+ * @returns {number} The next counter value
+ */
+function nextCounterValue(state, scope, key, settings) {
+  if (scope === 'daily') {
+    Object.keys(state.daily).forEach(day => {
+      if (day !== key) delete state.daily[day];
+    });
+  }
+
+  const next = peekCounterValue(state, scope, key, settings);
+  state[scope][key] = next;
+  return next;
+}
+
+/**
+ * Clears counter sequences so they start again from their start value
+ * @param {Object} state - The counter state (changed in place)
+ * @param {string} [scope] - The scope to reset; all scopes when omitted
+ */
+function resetCounterState(state, scope) {
+  (scope ? [scope] : COUNTER_SCOPES).forEach(s => {
+    state[s] = {};
+  });
+}
+
+/**
+ * Formats a counter value with zero padding
+ * @param {number} value - The counter value
+ * @param {number} padding - The minimum number of digits
+ * @returns {string} The formatted value (e.g., '0001')
+ */
+function formatCounterValue(value, padding) {
+  return String(value).padStart(padding, '0');
+}
+
+export {
+  COUNTER_PLACEHOLDER,
+  COUNTER_SCOPES,
+  DEFAULT_COUNTER_SETTINGS,
+  getCounterScope,
+  getCounterSettings,
+  getCounterKey,
+  createEmptyCounterState,
+  normalizeCounterState,
+  peekCounterValue,
+  nextCounterValue,
+  resetCounterState,
+  formatCounterValue
+};
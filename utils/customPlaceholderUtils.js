@@ -0,0 +1,230 @@
+/**
+ * Utility functions for custom placeholders: values derived from another placeholder (built-in or custom)
+ * through a keyword gate and a regular expression
+ * Used by the rename engine, the floating icon preview and the options page
+ */
+
+import { parsePlaceholderToken, resolvePlaceholderValue } from './filenameUtils.js';
+
+// How keywords gate a custom placeholder: any keyword (OR) or every keyword (AND) must appear in the base value
+const KEYWORD_MODES = ['any', 'all'];
+
+/**
+ * Fills in the optional fields of a custom placeholder definition. Definitions saved before templates,
+ * fallbacks and keyword modes existed keep their behavior (first capture group, or '' without one; OR keywords).
+ * @param {Object} def - The saved definition
+ * @returns {Object} {name, base, regex, template, fallback, keywords, keywordMode, ignoreCase}
+ */
+function normalizeCustomPlaceholder(def) {
+  const source = def && typeof def === 'object' ? def : {};
+  return {
+    name: source.name ? String(source.name).trim() : '',
+    base: source.base ? String(source.base) : '',
+    regex: source.regex ? String(source.regex) : '',
+    template: source.template ? String(source.template) : '',
+    fallback: source.fallback !== undefined ? String(source.fallback) : '',
+    keywords: source.keywords !== undefined ? String(source.keywords) : '',
+    keywordMode: KEYWORD_MODES.includes(source.keywordMode) ? source.keywordMode : KEYWORD_MODES[0],
+    ignoreCase: source.ignoreCase === true
+  };
+}
+
+/**
+ * Gets the custom placeholder a definition reads from, if its base is another custom placeholder.
+ * A definition based on its own name reads the built-in value it replaces.
+ * @param {Object} def - The normalized definition
+ * @param {Set<string>} customNames - The names of all custom placeholders
+ * @returns {string} The name of the custom placeholder it depends on, or ''
+ */
+function getCustomDependency(def, customNames) {
+  const baseName = parsePlaceholderToken(def.base).name;
+  return baseName !== def.name && customNames.has(baseName) ? baseName : '';
+}
+
+/**
+ * Orders custom placeholders so each comes after the custom placeholder it is built from (list order is kept
+ * otherwise). Definitions without a name, base or regex, and repeated names, are left out.
+ * @param {Array<Object>} customPlaceholders - The saved definitions
+ * @returns {Object} {ordered, cycles, unresolved, duplicates}: ordered holds normalized definitions; cycles lists the names
+ *   that can't be ordered because they are in (or built from) a dependency loop; duplicates lists names defined
+ *   more than once
+ */
+function orderCustomPlaceholders(customPlaceholders) {
+  const defs = [];
+  const duplicates = [];
+  const seen = new Set();
+  (Array.isArray(customPlaceholders) ? customPlaceholders : []).forEach(saved => {
+    const def = normalizeCustomPlaceholder(saved);
+    if (!def.name || !def.base || !def.regex) return;
+    if (seen.has(def.name)) {
+      duplicates.push(def.name);
+      return;
+    }
+    seen.add(def.name);
+    defs.push(def);
+  });
+
+  // Kahn's algorithm over "depends on" edges; whatever never becomes ready is part of (or behind) a cycle
+  const dependencies = new Map(defs.map(def => [def.name, getCustomDependency(def, seen)]));
+  const ordered = [];
+  const placed = new Set();
+  let progress = true;
+  while (progress) {
+    progress = false;
+    defs.forEach(def => {
+      const dependency = dependencies.get(def.name);
+      if (!placed.has(def.name) && (!dependency || placed.has(dependency))) {
+        ordered.push(def);
+        placed.add(def.name);
+        progress = true;
+      }
+    });
+  }
+
+  const unresolved = defs.filter(def => !placed.has(def.name));
+  return { ordered, cycles: unresolved.map(def => def.name), unresolved, duplicates };
+}
+
+/**
+ * Builds the value of a match from a template: $1..$99 are numbered groups, $<name> named groups,
+ * $& (or $0) the whole match and $$ a literal dollar sign
+ * @param {string} template - The template (e.g., '$1-$2' or '$<year>/$<month>')
+ * @param {Array<string>} match - The regular expression match
+ * @returns {string} The filled-in template
+ */
+function applyMatchTemplate(template, match) {
+  return template.replace(/\$(\$|&|\d{1,2}|<([^>]+)>)/g, (token, ref, groupName) => {
+    if (ref === '$') return '$';
+    if (ref === '&') return match[0] || '';
+    if (groupName !== undefined) return (match.groups && match.groups[groupName]) || '';
+    // '$12' with fewer than 12 groups is group 1 followed by '2', as in String.prototype.replace
+    if (ref.length === 2 && Number(ref) >= match.length) {
+      return (match[Number(ref[0])] || '') + ref[1];
+    }
+    return match[Number(ref)] || '';
+  });
+}
+
+/**
+ * Checks the keyword gate of a definition
+ * @param {Object} def - The normalized definition
+ * @param {string} sourceValue - The base value
+ * @returns {boolean} True when there are no keywords, or when any/all of them appear (ignoring case)
+ */
+function passesKeywordGate(def, sourceValue) {
+  const keywords = def.keywords.split(',').map(k => k.trim().toLowerCase()).filter(k => k.length > 0);
+  if (keywords.length === 0) {
+    return true;
+  }
+  const text = sourceValue.toLowerCase();
+  return def.keywordMode === 'all' ? keywords.every(k => text.includes(k)) : keywords.some(k => text.includes(k));
+}
+
+/**
+ * Describes a regular expression match for display: where it starts and what each group captured
+ * @param {Array<string>} match - The regular expression match
+ * @returns {Object} {index, text, groups, namedGroups}: groups holds the numbered groups from $1 on
+ *   (undefined when a group did not take part)
+ */
+function describeMatch(match) {
+  return {
+    index: match.index,
+    text: match[0],
+    groups: match.slice(1),
+    namedGroups: match.groups ? { ...match.groups } : {}
+  };
+}
+
+/**
+ * Works out the value of one custom placeholder from its base value
+ * @param {Object} def - The definition (normalized or as saved)
+ * @param {string} sourceValue - The resolved base value
+ * @returns {Object} {value, matched, error, gatePassed, match}: matched is false when the fallback was used;
+ *   error describes an invalid regular expression; gatePassed tells whether the keyword gate let the regex run;
+ *   match describes the regex match (see describeMatch), or is null
+ */
+function evaluateCustomPlaceholder(def, sourceValue) {
+  const custom = normalizeCustomPlaceholder(def);
+  const gatePassed = Boolean(sourceValue) && passesKeywordGate(custom, sourceValue);
+  const noMatch = (error, match) => ({
+    value: custom.fallback,
+    matched: false,
+    error: error || '',
+    gatePassed,
+    match: match || null
+  });
+
+  let regex;
+  try {
+    regex = new RegExp(custom.regex, custom.ignoreCase ? 'i' : '');
+  } catch (error) {
+    return noMatch(error.message);
+  }
+
+  if (!gatePassed) {
+    return noMatch();
+  }
+
+  const match = sourceValue.match(regex);
+  if (!match) {
+    return noMatch();
+  }
+
+  // Without a template, use the first capture group, as before templates existed (a regex without groups gives
+  // the fallback; '$&' uses the whole match)
+  const template = custom.template || '$1';
+  const value = applyMatchTemplate(template, match);
+  return value ? { value, matched: true, error: '', gatePassed, match: describeMatch(match) } : noMatch('', describeMatch(match));
+}
+
+/**
+ * Works out every custom placeholder in dependency order, so one can be built from another
+ * @param {Object} values - The placeholder values to read from (built-ins; not changed)
+ * @param {Array<Object>} customPlaceholders - The saved definitions
+ * @returns {Object} {values, matched, warnings, details}: values maps each custom name to its value, matched lists
+ *   the names whose regex matched, warnings describes cycles, duplicates and invalid expressions, details holds
+ *   one entry per definition in resolution order ({name, source, inLoop} plus the evaluateCustomPlaceholder result)
+ */
+function resolveCustomPlaceholders(values, customPlaceholders) {
+  const { ordered, cycles, unresolved, duplicates } = orderCustomPlaceholders(customPlaceholders);
+  const resolved = {};
+  const matched = [];
+  const warnings = [];
+  const details = [];
+
+  if (cycles.length > 0) {
+    warnings.push(`Custom placeholders in a dependency loop use their fallback: ${cycles.map(name => `{${name}}`).join(', ')}`);
+    unresolved.forEach(def => {
+      resolved[def.name] = def.fallback;
+      details.push({ name: def.name, source: '', inLoop: true, value: def.fallback, matched: false, error: '', gatePassed: false, match: null });
+    });
+  }
+  duplicates.forEach(name => warnings.push(`Custom placeholder {${name}} is defined more than once; the first one is used`));
+
+  ordered.forEach(def => {
+    // A custom placeholder based on its own name reads the built-in value it replaces
+    const lookup = parsePlaceholderToken(def.base).name === def.name ? values : { ...values, ...resolved };
+    const sourceValue = resolvePlaceholderValue(lookup, def.base);
+    const result = evaluateCustomPlaceholder(def, sourceValue);
+    if (result.error) {
+      warnings.push(`Invalid custom placeholder regex for ${def.name}: ${def.regex}`);
+    }
+    if (result.matched) {
+      matched.push(def.name);
+    }
+    resolved[def.name] = result.value;
+    details.push({ name: def.name, source: sourceValue, inLoop: false, ...result });
+  });
+
+  return { values: resolved, matched, warnings, details };
+}
+
+export {
+  KEYWORD_MODES,
+  normalizeCustomPlaceholder,
+  orderCustomPlaceholders,
+  applyMatchTemplate,
+  passesKeywordGate,
+  evaluateCustomPlaceholder,
+  resolveCustomPlaceholders
+};
@@ -0,0 +1,120 @@
+/**
+ * Utility functions for the placeholders read from Chrome's download item: {size}, {sizeBytes}, {startTime}
+ * and {finalDomain}
+ * Used by the rename engine and the options page
+ */
+
+import { extractDomain, formatDate } from './filenameUtils.js';
+import { splitHostname } from './urlUtils.js';
+
+// Units {size} can be shown in, in steps of 1024; 'auto' picks the largest unit that keeps the number at least 1
+const SIZE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+const SIZE_UNIT_AUTO = 'auto';
+
+// Default format of {startTime}, the same as {timestamp}
+const START_TIME_FORMAT = 'YYYYMMDD-HHmmss';
+
+// Parts of the post-redirect host {finalDomain} can give instead of the whole host
+const FINAL_DOMAIN_PARTS = ['registrable', 'subdomain'];
+
+/**
+ * Gets the size of a download when Chrome knows it. While the filename is decided the file usually hasn't
+ * been written yet, so fileSize is often unknown and totalBytes (the server's Content-Length) is used instead.
+ * @param {Object} downloadItem - The download ({fileSize, totalBytes})
+ * @returns {number|null} The size in bytes, or null when neither is known (Chrome reports 0 or -1)
+ */
+function getKnownFileSize(downloadItem) {
+  const size = [downloadItem.fileSize, downloadItem.totalBytes].find(value => Number.isFinite(value) && value > 0);
+  return size !== undefined ? size : null;
+}
+
+/**
+ * Formats a size in bytes for a filename, without a space (e.g., '12MB' or '1.5GB')
+ * @param {number} bytes - The size in bytes
+ * @param {string} [unit='auto'] - 'B', 'KB', 'MB', 'GB', 'TB' (any case) or 'auto'
+ * @param {string|number} [decimals] - Digits after the decimal point; by default one digit is shown below 10
+ *   (dropped when it is 0) and none from 10 on
+ * @returns {string} The formatted size
+ */
+function formatFileSize(bytes, unit = SIZE_UNIT_AUTO, decimals) {
+  let index = SIZE_UNITS.indexOf(String(unit || '').toUpperCase());
+  if (index === -1) {
+    index = 0;
+    while (index < SIZE_UNITS.length - 1 && bytes >= Math.pow(1024, index + 1)) index++;
+  }
+
+  const value = bytes / Math.pow(1024, index);
+  const digits = parseInt(decimals, 10);
+  let number;
+  if (Number.isFinite(digits) && digits >= 0) {
+    number = value.toFixed(Math.min(digits, 10));
+  } else {
+    number = index > 0 && value < 10 ? value.toFixed(1).replace(/\.0$/, '') : value.toFixed(0);
+  }
+  return `${number}${SIZE_UNITS[index]}`;
+}
+
+/**
+ * Groups the digits of a whole number in threes (e.g., 12582912 → '12,582,912' with ',')
+ * @param {number} bytes - The number
+ * @param {string} [separator=''] - Text put between the groups ('' leaves the number as-is)
+ * @returns {string} The grouped number
+ */
+function groupDigits(bytes, separator = '') {
+  const text = String(Math.round(bytes));
+  return separator ? text.replace(/\B(?=(\d{3})+(?!\d))/g, separator) : text;
+}
+
+/**
+ * Gets the time Chrome started a download, for {startTime}
+ * @param {Object} downloadItem - The download ({startTime} as an ISO 8601 string)
+ * @param {Date} now - Used when the start time is missing or invalid
+ * @returns {Date} The start time
+ */
+function getDownloadStartTime(downloadItem, now) {
+  const start = downloadItem.startTime ? new Date(downloadItem.startTime) : null;
+  return start && !Number.isNaN(start.getTime()) ? start : now;
+}
+
+/**
+ * Creates the placeholder formatters read from the download item. A size Chrome doesn't know yet gives an
+ * empty {size} and {sizeBytes}, so a fallback can be added with a filter (e.g., {size|default:unknown}).
+ * @param {Object} downloadItem - The download ({fileSize, totalBytes, startTime, finalUrl, url})
+ * @param {Date} now - The download time, used for {startTime} when Chrome gives none
+ * @param {boolean} [useUtc=false] - Whether {startTime} is formatted in UTC
+ * @returns {Object} Formatters keyed by placeholder name: size takes '[unit][:decimals]', sizeBytes a digit group
+ *   separator, startTime a date format and finalDomain 'registrable' or 'subdomain'
+ */
+function createDownloadInfoPlaceholders(downloadItem, now, useUtc = false) {
+  const bytes = getKnownFileSize(downloadItem);
+  const startTime = getDownloadStartTime(downloadItem, now);
+  const finalUrl = downloadItem.finalUrl || downloadItem.url || '';
+
+  return {
+    size: (arg) => {
+      if (bytes === null) return '';
+      const [unit, decimals] = String(arg || '').split(':');
+      return formatFileSize(bytes, unit, decimals);
+    },
+    sizeBytes: (arg) => (bytes !== null ? groupDigits(bytes, arg) : ''),
+    startTime: (format) => formatDate(startTime, format || START_TIME_FORMAT, useUtc),
+    finalDomain: (arg) => {
+      if (!finalUrl) return '';
+      if (arg === 'registrable') return splitHostname(finalUrl).registrableDomain;
+      if (arg === 'subdomain') return splitHostname(finalUrl).subdomain;
+      return extractDomain(finalUrl);
+    }
+  };
+}
+
+export {
+  SIZE_UNITS,
+  SIZE_UNIT_AUTO,
+  START_TIME_FORMAT,
+  FINAL_DOMAIN_PARTS,
+  getKnownFileSize,
+  formatFileSize,
+  groupDigits,
+  getDownloadStartTime,
+  createDownloadInfoPlaceholders
+};
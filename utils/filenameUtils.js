@@ -3,14 +3,146 @@
  * Used by the background service worker for processing download filenames
  */
 
+import { removeEmoji, transliterateToAscii } from './transliterationUtils.js';
+
+/**
+ * Target platforms for sanitizeFilename. Each lists the characters it can't store in a filename and
+ * whether it has Windows-style restrictions (reserved device names, no trailing dots or spaces).
+ * strict keeps only the portable characters A-Z, a-z, 0-9, '.', '_' and '-' on top of the Windows rules,
+ * so spaces and non-ASCII letters are replaced too (transliterate first to keep them readable).
+ */
+const SANITIZE_PROFILES = {
+  windows: { invalidChars: /[\/\\:*?"<>|]/g, windowsRules: true },
+  macos: { invalidChars: /[\/:]/g, windowsRules: false },
+  linux: { invalidChars: /\//g, windowsRules: false },
+  strict: { invalidChars: /[^A-Za-z0-9._-]/gu, windowsRules: true }
+};
+
+const DEFAULT_SANITIZE_OPTIONS = {
+  profile: 'windows',
+  replacement: '_',
+  collapseWhitespace: true,
+  normalize: true,
+  transliterate: false,
+  removeEmoji: false
+};
+
+// Most file systems limit a single name to 255 bytes
+const MAX_FILENAME_BYTES = 255;
+
+// Longest extension kept whole when a long name has to be shortened
+const MAX_EXTENSION_BYTES = 16;
+
+// Device names Windows reserves, with or without an extension (e.g., CON, nul.txt, COM1)
+const WINDOWS_RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9¹²³]|lpt[0-9¹²³])$/i;
+
+// Control characters (C0, DEL and C1) are never useful in a filename
+const CONTROL_CHARS = /[\u0000-\u001f\u007f-\u009f]/g;
+
+/**
+ * Gets the size of a string in UTF-8 bytes
+ * @param {string} text - The text to measure
+ * @returns {number} The number of bytes
+ */
+function getByteLength(text) {
+  return new TextEncoder().encode(text).length;
+}
+
 /**
- * Sanitizes a filename by removing or replacing invalid characters
+ * Shortens a string to at most maxBytes UTF-8 bytes without cutting a character in half
+ * @param {string} text - The text to shorten
+ * @param {number} maxBytes - The byte limit
+ * @returns {string} The shortened text
+ */
+function truncateToBytes(text, maxBytes) {
+  let result = '';
+  let bytes = 0;
+  for (const char of text) {
+    const charBytes = getByteLength(char);
+    if (bytes + charBytes > maxBytes) break;
+    result += char;
+    bytes += charBytes;
+  }
+  return result;
+}
+
+/**
+ * Sanitizes a filename so it can be saved on the target platform.
+ * Replaces control and invalid characters, optionally normalizes to Unicode NFC, removes emoji, transliterates
+ * to ASCII and collapses whitespace, avoids Windows reserved names and trailing dots/spaces, and keeps the name within 255 UTF-8 bytes
+ * (shortening the name before its extension).
  * @param {string} filename - The filename to sanitize
- * @returns {string} The sanitized filename
+ * @param {Object} [options] - Sanitizer options
+ * @param {string} [options.profile='windows'] - Target platform: 'windows', 'macos', 'linux' or 'strict'
+ * @param {string} [options.replacement='_'] - Text that replaces invalid characters ('' removes them)
+ * @param {boolean} [options.collapseWhitespace=true] - Turn runs of whitespace into a single space
+ * @param {boolean} [options.normalize=true] - Normalize to Unicode NFC (e.g., for names coming from macOS)
+ * @param {boolean} [options.transliterate=false] - Fold the name to ASCII (é → e, Привет → Privet, 北京 → BeiJing);
+ *   characters with no ASCII spelling are replaced like invalid ones
+ * @param {boolean} [options.removeEmoji=false] - Remove emoji
+ * @returns {string} The sanitized filename ('' stays '')
  */
-function sanitizeFilename(filename) {
-  // Replace invalid characters (/, \, :, *, ?, ", <, >, |) with underscores
-  return filename.replace(/[\/\\:*?"<>|]/g, '_');
+function sanitizeFilename(filename, options = {}) {
+  const settings = { ...DEFAULT_SANITIZE_OPTIONS, ...options };
+  const profile = SANITIZE_PROFILES[settings.profile] || SANITIZE_PROFILES[DEFAULT_SANITIZE_OPTIONS.profile];
+
+  // The replacement must not bring invalid characters back in
+  let replacement = typeof settings.replacement === 'string' ? settings.replacement : DEFAULT_SANITIZE_OPTIONS.replacement;
+  const invalidChar = new RegExp(profile.invalidChars.source, profile.invalidChars.flags.replace('g', ''));
+  if (invalidChar.test(replacement) || new RegExp(CONTROL_CHARS.source).test(replacement) ||
+    (settings.transliterate && /[^\x00-\x7F]/.test(replacement))) {
+    replacement = DEFAULT_SANITIZE_OPTIONS.replacement;
+  }
+
+  let result = String(filename || '');
+  if (settings.normalize) {
+    result = result.normalize('NFC');
+  }
+
+  // Emoji go first so transliteration doesn't turn them into replacement characters
+  if (settings.removeEmoji) {
+    result = removeEmoji(result);
+  }
+  if (settings.transliterate) {
+    result = transliterateToAscii(result, replacement);
+  }
+
+  // Collapse first so tabs and line breaks become spaces instead of replacement characters
+  if (settings.collapseWhitespace) {
+    result = result.replace(/\s+/g, ' ');
+  }
+
+  result = result
+    .replace(CONTROL_CHARS, replacement)
+    .replace(profile.invalidChars, replacement)
+    .replace(/^\s+/, '');
+
+  if (profile.windowsRules) {
+    result = result.replace(/[. ]+$/, '');
+  }
+
+  // Keep within the byte limit, shortening the name rather than the extension
+  if (getByteLength(result) > MAX_FILENAME_BYTES) {
+    const { name, ext } = splitFilename(result);
+    const keepExt = ext && getByteLength(ext) <= MAX_EXTENSION_BYTES;
+    const base = keepExt ? name : result;
+    const suffix = keepExt ? ext : '';
+    result = truncateToBytes(base, MAX_FILENAME_BYTES - getByteLength(suffix)) + suffix;
+    if (profile.windowsRules) {
+      result = result.replace(/[. ]+$/, '');
+    }
+  }
+
+  // CON, nul.txt, COM1.tar.gz, ... can't be created on Windows
+  if (profile.windowsRules) {
+    const dotIndex = result.indexOf('.');
+    const stem = dotIndex === -1 ? result : result.substring(0, dotIndex);
+    if (WINDOWS_RESERVED_NAMES.test(stem.trim())) {
+      result = `${stem}${replacement || DEFAULT_SANITIZE_OPTIONS.replacement}${result.substring(stem.length)}`;
+    }
+  }
+
+  return result;
 }
 
 /**
@@ -30,40 +162,281 @@ function extractDomain(url) {
   }
 }
 
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Default formats for the date/time placeholders; each accepts a custom format argument (e.g., {date:YYYY-MM-DD})
+ */
+const DATE_PLACEHOLDER_FORMATS = {
+  date: 'YYYYMMDD',
+  time: 'HHmmss',
+  timestamp: 'YYYYMMDD-HHmmss',
+  year: 'YYYY',
+  month: 'MM',
+  day: 'DD',
+  weekday: 'dddd',
+  isoWeek: 'WW'
+};
+
+/**
+ * Gets the ISO 8601 week number and week-numbering year of a date
+ * @param {number} year - The calendar year
+ * @param {number} month - The month (0-11)
+ * @param {number} day - The day of the month
+ * @returns {Object} Object containing {week, year} properties
+ */
+function getISOWeek(year, month, day) {
+  // Work in UTC so daylight saving changes don't skew the day count
+  const date = new Date(Date.UTC(year, month, day));
+  const dayOfWeek = date.getUTCDay() || 7; // Monday = 1 ... Sunday = 7
+  // The Thursday of the current week decides which year the week belongs to
+  date.setUTCDate(date.getUTCDate() + 4 - dayOfWeek);
+  const weekYear = date.getUTCFullYear();
+  const yearStart = new Date(Date.UTC(weekYear, 0, 1));
+  const week = Math.ceil(((date - yearStart) / 86400000 + 1) / 7);
+
+  return { week, year: weekYear };
+}
+
+/**
+ * Formats a date with a token-based format string.
+ * Supported tokens: YYYY, YY, MMMM, MMM, MM, M, DD, D, dddd, ddd, HH, H, hh, h, mm, ss, A, WW, W, GGGG.
+ * Text inside square brackets is kept literally (e.g., '[week]WW').
+ * @param {Date} date - The date to format
+ * @param {string} format - The format string (e.g., 'YYYY-MM-DD')
+ * @param {boolean} useUtc - Whether to use UTC instead of local time
+ * @returns {string} The formatted date
+ */
+function formatDate(date, format, useUtc = false) {
+  const parts = useUtc
+    ? {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth(),
+      day: date.getUTCDate(),
+      weekday: date.getUTCDay(),
+      hours: date.getUTCHours(),
+      minutes: date.getUTCMinutes(),
+      seconds: date.getUTCSeconds()
+    }
+    : {
+      year: date.getFullYear(),
+      month: date.getMonth(),
+      day: date.getDate(),
+      weekday: date.getDay(),
+      hours: date.getHours(),
+      minutes: date.getMinutes(),
+      seconds: date.getSeconds()
+    };
+  const isoWeek = getISOWeek(parts.year, parts.month, parts.day);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours12 = parts.hours % 12 || 12;
+
+  const tokens = {
+    YYYY: () => String(parts.year),
+    YY: () => pad(parts.year % 100),
+    MMMM: () => MONTH_NAMES[parts.month],
+    MMM: () => MONTH_NAMES[parts.month].slice(0, 3),
+    MM: () => pad(parts.month + 1),
+    M: () => String(parts.month + 1),
+    DD: () => pad(parts.day),
+    D: () => String(parts.day),
+    dddd: () => WEEKDAY_NAMES[parts.weekday],
+    ddd: () => WEEKDAY_NAMES[parts.weekday].slice(0, 3),
+    HH: () => pad(parts.hours),
+    H: () => String(parts.hours),
+    hh: () => pad(hours12),
+    h: () => String(hours12),
+    mm: () => pad(parts.minutes),
+    ss: () => pad(parts.seconds),
+    A: () => (parts.hours < 12 ? 'AM' : 'PM'),
+    WW: () => pad(isoWeek.week),
+    W: () => String(isoWeek.week),
+    GGGG: () => String(isoWeek.year)
+  };
+
+  return format.replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|ss|A|WW|W|GGGG/g,
+    (match, literal) => (literal !== undefined ? literal : tokens[match]()));
+}
+
 /**
  * Formats the current date as YYYYMMDD
+ * @param {Date} date - Optional date to format (defaults to now)
+ * @param {boolean} useUtc - Whether to use UTC instead of local time
  * @returns {string} The formatted date
  */
-function getFormattedDate() {
-  const now = new Date();
-  const year = now.getFullYear();
-  // Add leading zeros for month and day
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  
-  return `${year}${month}${day}`;
+function getFormattedDate(date = new Date(), useUtc = false) {
+  return formatDate(date, DATE_PLACEHOLDER_FORMATS.date, useUtc);
 }
 
 /**
  * Formats the current time as HHMMSS
+ * @param {Date} date - Optional date to format (defaults to now)
+ * @param {boolean} useUtc - Whether to use UTC instead of local time
  * @returns {string} The formatted time
  */
-function getFormattedTime() {
-  const now = new Date();
-  // Add leading zeros for hours, minutes, and seconds
-  const hours = String(now.getHours()).padStart(2, '0');
-  const minutes = String(now.getMinutes()).padStart(2, '0');
-  const seconds = String(now.getSeconds()).padStart(2, '0');
-  
-  return `${hours}${minutes}${seconds}`;
+function getFormattedTime(date = new Date(), useUtc = false) {
+  return formatDate(date, DATE_PLACEHOLDER_FORMATS.time, useUtc);
 }
 
 /**
  * Formats the current timestamp as YYYYMMDD-HHMMSS
+ * @param {Date} date - Optional date to format (defaults to now)
+ * @param {boolean} useUtc - Whether to use UTC instead of local time
  * @returns {string} The formatted timestamp
  */
-function getFormattedTimestamp() {
-  return `${getFormattedDate()}-${getFormattedTime()}`;
+function getFormattedTimestamp(date = new Date(), useUtc = false) {
+  return formatDate(date, DATE_PLACEHOLDER_FORMATS.timestamp, useUtc);
+}
+
+/**
+ * Creates the date/time placeholder values for a moment in time.
+ * Each value is a formatter that takes the optional format argument of the placeholder.
+ * @param {Date} date - The moment to format (usually the download time)
+ * @param {boolean} useUtc - Whether to use UTC instead of local time
+ * @returns {Object} Placeholder formatters keyed by name (date, time, timestamp, year, month, day, weekday, isoWeek)
+ */
+function createDatePlaceholders(date, useUtc = false) {
+  const placeholders = {};
+  Object.keys(DATE_PLACEHOLDER_FORMATS).forEach(name => {
+    placeholders[name] = (format) => formatDate(date, format || DATE_PLACEHOLDER_FORMATS[name], useUtc);
+  });
+  return placeholders;
+}
+
+/**
+ * Name of the static text block; {text:Invoice} always resolves to the literal 'Invoice'
+ */
+const TEXT_PLACEHOLDER = 'text';
+
+/**
+ * Transform filters that can be chained onto a placeholder, e.g. {originalFilename|lower|truncate:40}.
+ * Each filter receives the current value followed by its arguments.
+ */
+const PLACEHOLDER_FILTERS = {
+  upper: (value) => value.toUpperCase(),
+  lower: (value) => value.toLowerCase(),
+  title: (value) => value.toLowerCase().replace(/(^|[^\p{L}\p{N}'])(\p{L})/gu, (match, sep, letter) => sep + letter.toUpperCase()),
+  slug: (value) => value.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, ''),
+  trim: (value) => value.trim(),
+  truncate: (value, length) => {
+    const max = parseInt(length, 10);
+    // Slice by code points so surrogate pairs are never split
+    return Number.isFinite(max) && max >= 0 ? Array.from(value).slice(0, max).join('') : value;
+  },
+  replace: (value, search = '', replacement = '') => (search ? value.split(search).join(replacement) : value),
+  padStart: (value, length, padChar = '0') => {
+    const target = parseInt(length, 10);
+    return Number.isFinite(target) ? value.padStart(target, padChar || '0') : value;
+  },
+  default: (value, fallback = '') => (value === '' ? fallback : value),
+  ascii: (value, unknown = '') => transliterateToAscii(value, unknown),
+  noEmoji: (value) => removeEmoji(value)
+};
+
+/**
+ * Escapes characters that have a meaning inside a placeholder token ({, }, | and optionally :)
+ * @param {string} text - The raw text (e.g., a filter argument)
+ * @param {boolean} escapeColon - Whether ':' should be escaped too (needed for filter arguments)
+ * @returns {string} The escaped text
+ */
+function escapeTokenText(text, escapeColon = true) {
+  const pattern = escapeColon ? /[%{}|:]/g : /[%{}|]/g;
+  return String(text).replace(pattern, ch => `%${ch.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Reverses escapeTokenText
+ * @param {string} text - The escaped text
+ * @returns {string} The raw text
+ */
+function unescapeTokenText(text) {
+  return String(text).replace(/%(25|7B|7D|7C|3A)/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Parses a placeholder token such as 'date:YYYY-MM-DD' or 'domain|replace:www.:|upper'
+ * into its name, argument and filter chain
+ * @param {string} token - The text between the braces of a placeholder
+ * @returns {Object} Object containing {name, arg, filters} properties
+ *   (arg is undefined when absent; filters is a list of {name, args})
+ */
+function parsePlaceholderToken(token) {
+  const [head, ...filterParts] = token.split('|');
+  const filters = filterParts
+    .filter(part => part.length > 0)
+    .map(part => {
+      const [filterName, ...args] = part.split(':');
+      return { name: filterName.trim(), args: args.map(unescapeTokenText) };
+    });
+
+  const colonIndex = head.indexOf(':');
+  if (colonIndex === -1) {
+    return { name: head, arg: undefined, filters };
+  }
+
+  return {
+    name: head.substring(0, colonIndex),
+    arg: unescapeTokenText(head.substring(colonIndex + 1)),
+    filters
+  };
+}
+
+/**
+ * Builds a placeholder token from its parts (the reverse of parsePlaceholderToken)
+ * @param {string} name - The placeholder name
+ * @param {string} arg - Optional placeholder argument (e.g., a date format)
+ * @param {Array<Object>} filters - Optional list of {name, args} filters
+ * @returns {string} The token (without braces)
+ */
+function formatPlaceholderToken(name, arg, filters = []) {
+  const head = arg !== undefined && arg !== '' ? `${name}:${escapeTokenText(arg, false)}` : name;
+  const filterText = filters
+    .map(filter => [filter.name, ...(filter.args || []).map(a => escapeTokenText(a))].join(':'))
+    .map(part => `|${part}`)
+    .join('');
+
+  return head + filterText;
+}
+
+/**
+ * Applies a chain of transform filters to a value. Unknown filters are skipped.
+ * @param {string} value - The value to transform
+ * @param {Array<Object>} filters - List of {name, args} filters
+ * @returns {string} The transformed value
+ */
+function applyFilters(value, filters) {
+  return filters.reduce((current, filter) => {
+    const fn = PLACEHOLDER_FILTERS[filter.name];
+    if (!fn) {
+      console.warn('Unknown placeholder filter:', filter.name);
+      return current;
+    }
+    return String(fn(current, ...filter.args));
+  }, value);
+}
+
+/**
+ * Resolves a placeholder token to its string value.
+ * Values may be plain strings or formatter functions that receive the token's argument;
+ * static text blocks ({text:...}) resolve to their literal. The token's filters are then applied in order.
+ * @param {Object} values - Object containing values for each placeholder
+ * @param {string} token - The placeholder token (e.g., 'domain', 'date:YYYY-MM-DD' or 'originalFilename|lower')
+ * @returns {string} The resolved value, or '' if the placeholder is unknown
+ */
+function resolvePlaceholderValue(values, token) {
+  const { name, arg, filters } = parsePlaceholderToken(token);
+  const value = name === TEXT_PLACEHOLDER ? arg : values[name];
+  let resolved;
+
+  if (typeof value === 'function') {
+    const result = value(arg);
+    resolved = result !== undefined && result !== null ? String(result) : '';
+  } else {
+    resolved = value !== undefined && value !== null ? String(value) : '';
+  }
+
+  return filters.length > 0 ? applyFilters(resolved, filters) : resolved;
 }
 
 /**
@@ -90,24 +463,55 @@ function splitFilename(filename) {
   };
 }
 
+/**
+ * How a generated filename that already exists is handled.
+ * uniquify/overwrite/prompt are passed straight to Chrome as conflictAction;
+ * counter picks a free name with our own counter format before suggesting it.
+ */
+const CONFLICT_ACTIONS = ['uniquify', 'overwrite', 'prompt', 'counter'];
+const DEFAULT_CONFLICT_ACTION = 'uniquify';
+const DEFAULT_COUNTER_FORMAT = ' ({n})';
+
+/**
+ * Inserts a counter between a filename and its extension, e.g. 'report.pdf' -> 'report (2).pdf'.
+ * The format uses {n} for the number, or {n:3} to zero-pad it ('_{n:3}' -> 'report_002.pdf').
+ * Folders in front of the filename are kept as they are; the new name is sanitized with the same options as the rest.
+ * @param {string} filename - The filename, optionally with a relative folder path
+ * @param {string} format - The counter format (e.g., ' ({n})' or '_{n:3}')
+ * @param {number} counter - The counter value
+ * @param {Object} [sanitizeOptions] - The filename safety options (see sanitizeFilename)
+ * @returns {string} The filename with the counter inserted
+ */
+function applyCounterFormat(filename, format, counter, sanitizeOptions) {
+  const slashIndex = filename.lastIndexOf('/');
+  const folder = filename.substring(0, slashIndex + 1);
+  const { name, ext } = splitFilename(filename.substring(slashIndex + 1));
+  const counterFormat = format && format.includes('{n') ? format : DEFAULT_COUNTER_FORMAT;
+  const suffix = counterFormat.replace(/\{n(?::(\d+))?\}/g, (match, width) => {
+    return String(counter).padStart(width ? parseInt(width, 10) : 0, '0');
+  });
+  // Sanitized as a whole so a leading space in the format is kept and the name stays within the byte limit
+  return folder + sanitizeFilename(`${name}${suffix}${ext}`, sanitizeOptions);
+}
+
 /**
  * Processes a pattern string, replacing placeholders with actual values and joining with a separator.
+ * Static text blocks ({text:Invoice}) are kept in order and joined like any other placeholder;
+ * anything outside braces is ignored.
  * @param {string} pattern - The pattern with placeholders like {date}{originalFilename} (separators are NOT in this string).
- * @param {Object} values - Object containing values for each placeholder (e.g., { date: '20230101', originalFilename: 'report'}).
+ *   Placeholders may carry an argument, e.g. {date:YYYY-MM-DD}.
+ * @param {Object} values - Object containing values (or formatter functions) for each placeholder (e.g., { date: '20230101', originalFilename: 'report'}).
  * @param {string} separator - The string to insert between replaced placeholder values.
  * @returns {string} The processed string with placeholders replaced and joined by the separator.
  */
 function processPattern(pattern, values, separator) {
   // 1. Extract the ordered list of placeholders from the pattern string (excluding {ext})
   const placeholdersInPattern = (pattern.match(/\{([^}]+)\}/g) || [])
-    .map(p => p.slice(1, -1)) // Extract name from {name}
-    .filter(p => p !== 'ext'); // Exclude {ext}
+    .map(p => p.slice(1, -1)) // Extract token from {token}
+    .filter(p => parsePlaceholderToken(p).name !== 'ext'); // Exclude {ext}
 
   // 2. Get the corresponding value for each placeholder in the pattern's order
-  const processedValues = placeholdersInPattern.map(ph => {
-    const v = values[ph];
-    return v !== undefined && v !== null ? String(v) : '';
-  });
+  const processedValues = placeholdersInPattern.map(ph => resolvePlaceholderValue(values, ph));
 
   // 3. Join the processed values using the specified separator
   // Filter out any potentially empty strings that might result from missing values 
@@ -123,6 +527,47 @@ function processPattern(pattern, values, separator) {
   return joinedString + extension;
 }
 
+/**
+ * Builds a relative subfolder path from a folder template such as {category}/{domain}.
+ * Each `/`-separated segment is resolved with processPattern and sanitized on its own,
+ * so placeholder values can never introduce extra path levels.
+ * @param {string} folderPattern - The folder template (e.g., '{category}/{domain}').
+ * @param {Object} values - Object containing values for each placeholder.
+ * @param {string} separator - The separator used when a segment holds several placeholders.
+ * @param {Object} [sanitizeOptions] - Options passed to sanitizeFilename for every segment.
+ * @returns {string} The relative folder path without leading/trailing slashes, or '' for none.
+ * @throws {Error} If the template is absolute or a segment resolves to '.' or '..'.
+ */
+function buildFolderPath(folderPattern, values, separator, sanitizeOptions) {
+  if (!folderPattern) {
+    return '';
+  }
+
+  // Reject absolute paths (/foo, \\server\share, C:\foo)
+  if (/^[\/\\]/.test(folderPattern) || /^[a-zA-Z]:/.test(folderPattern)) {
+    throw new Error(`Absolute folder paths are not allowed: ${folderPattern}`);
+  }
+
+  // Segments never carry the extension
+  const segmentValues = { ...values, ext: '' };
+
+  const segments = folderPattern
+    .split(/[\/\\]/)
+    .map(segmentPattern => {
+      if (/^\s*\.+\s*$/.test(segmentPattern)) {
+        throw new Error(`Relative folder segments are not allowed: ${segmentPattern.trim()}`);
+      }
+      const segment = sanitizeFilename(processPattern(segmentPattern, segmentValues, separator), sanitizeOptions).trim();
+      if (/^\.+$/.test(segment)) {
+        throw new Error(`Relative folder segments are not allowed: ${segment}`);
+      }
+      return segment;
+    })
+    .filter(segment => segment !== ''); // Skip segments whose placeholders resolved empty
+
+  return segments.join('/');
+}
+
 /**
  * Default comprehensive category rules for file types
  */
@@ -182,11 +627,29 @@ function getCategoryForFile(filename, customRules = null) {
 // Export functions for use in service-worker.js
 export {
   sanitizeFilename,
+  SANITIZE_PROFILES,
+  DEFAULT_SANITIZE_OPTIONS,
+  getByteLength,
   extractDomain,
   getFormattedDate,
   getFormattedTime,
   getFormattedTimestamp,
+  formatDate,
+  createDatePlaceholders,
+  parsePlaceholderToken,
+  formatPlaceholderToken,
+  applyFilters,
+  resolvePlaceholderValue,
+  DATE_PLACEHOLDER_FORMATS,
+  PLACEHOLDER_FILTERS,
+  TEXT_PLACEHOLDER,
   splitFilename,
+  applyCounterFormat,
+  CONFLICT_ACTIONS,
+  DEFAULT_CONFLICT_ACTION,
+  DEFAULT_COUNTER_FORMAT,
+  DEFAULT_CATEGORY_RULES,
   getCategoryForFile,
-  processPattern
+  processPattern,
+  buildFolderPath
 }; 
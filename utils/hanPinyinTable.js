@@ -0,0 +1,421 @@
+/**
+ * Pinyin (without tones) of 41244 Chinese characters, grouped by syllable, from pinyin-data
+ * (https://github.com/mozillazg/pinyin-data): the Mandarin reading Unihan gives every CJK
+ * ideograph, simplified and traditional. Characters with several readings use one; Japanese kanji get their Chinese
+ * reading. Generated by scripts/generate-han-pinyin-table.js; don't edit by hand, run it on a newer list instead.
+ */
+
+const HAN_PINYIN = {
+  a: '啊腌錒锕阿𠼞𥥩𨉚',
+  ai: '㑸㕌㗒㗨㘷㝶㢊㤅㱯㿄䀳䅬䑂䔽䝽䨠䬵䶣伌僾凒叆哀哎唉啀嗳嘊噯埃塧壒娾嫒嬡愛懓懝挨捱敱敳昹暧曖毐溰溾濭爱瑷璦癌皑皚皧瞹矮砹硋碍磑礙艾蔼薆藹譪譺賹躷銰鎄鑀锿隘霭靄靉餲馤鱫鴱𠊎𠳳𠼮𡁍𡉓𡏖𡟓𡰽𡶃𢖻𢙴𢟪𢟰𢣏𢣕𢰇𣋞𣜬𣝅𣤃𣩱𤢵𤸖𤸳𤻢𥡽𥤦𥴨𦗍𦗐𦥂𦥈𦩴𧏹𧓁𧡋𧪚𧰸𧰿𧵨𨶂𨽝𩈋𩪂𩫇𩮖𪇈𪕭',
+  an: '㜝㟁㱘㸩㽢䁆䅁䅖䎏䎨䜙䬓䮗䯥侒俺偣儑唵啽垵埯堓媕安屵岸峖庵按揞晻暗案桉氨洝玵痷盦盫罯胺腤荌菴萻葊蓭誝諳谙豻貋銨錌铵闇隌雸鞌鞍韽馣鮟鵪鶕鹌黯𠉬𠰑𠽪𡎑𡪁𡪙𡯏𡹼𡽜𢰍𣆛𣚖𣣚𣵱𣽥𤃷𤜁𤞿𤟉𥏮𥦍𥳬𦺽𧖮𧩸𧫥𧫧𧮍𨲊𩅝𩈴𩓤𩭢𩹎𪁟',
+  ang: '㦹㭿㼜䀚䍩䒢䩕䭹䭺岇昂昻枊盎肮醠骯𠵫𠹃𡕉𡵙𢓋𣉗𣖮𤭒𦫫𩉰𩑝𩔘𩜟',
+  ao: '㑃㕭㘬㘭㜜㜩㟼㠂㠗㤇㥿㿰䁱䐿䚫䜒䞝䥝䦋䫨䮯䯠䴈䵅傲凹厫嗷嗸坳垇墺奡奥奧媪媼嫯岙岰嶅嶴廒慠懊抝拗摮擙敖柪梎滶澚澳熬爊獒獓璈磝翱翶翺聱艹芺蔜螯袄襖謷謸軪遨鏊鏖镺隞隩驁骜鰲鳌鷔鼇𠱃𡊛𡏼𢁱𢕟𢧴𢲷𢳆𣊁𣷫𤎅𤏶𤺾𥂢𥑑𥜌𦒢𦪈𦽀𧅃𧨲𩈏𩑍𩑤𩕀𩘮𩟇𩣻𩥊𩮯𩱏𩼈𪁾𪃨',
+  ba: '㔜㖠㞎㧊㶚䃻䆉䇑䟦䥯䩗䩻䰾䱝䳁䳊丷仈八叐叭吧哵坝垻壩夿妭岜巴弝扒扷把抜拔捌朳柭欛灞炦爸玐疤癹矲笆粑罢罷羓耙胈芭茇菝蚆覇詙豝跁跋軷釟鈀钯霸靶颰魃魞鮁鲃鲅鼥𠛋𠰢𠵺𡚭𢃳𢇷𢠭𢺞𢻷𣬶𣬷𤜕𤜱𤣸𤤒𥎱𥝧𦓧𦫙𦳺𧎱𧲧𧺡𧺺𧿏𨊹𩃴𩊤𩖽𩚥𩡩𩨜𩹏𩽷',
+  bai: '㓦㗑㗗㠔㧳㼟㼣㿟䒔䙓䢙䳆䴽佰庍拜拝挀捭掰摆擺敗柏栢猈瓸白百稗竡粨粺絔薭襬贁败韛𠫛𡏯𡭢𢈕𢛞𢳎𣧙𤁣𤙅𤽹𥬝𦣺𦩋𦳞𨃅𩋂𩎻𩏞',
+  ban: '㚘㩯㪵㸞䉽䕰䬳伴办半坂姅岅怑扮扳拌搬攽斑斒昄板湴版班瓣瓪瘢癍秚粄絆绊肦舨般蝂螌褩辦辬鈑鉡钣闆阪靽頒颁魬鳻𠔀𠔯𠚼𠦒𠧫𠯘𠺚𡯘𢲔𢴬𣪂𤡰𤦦𤫫𤳖𥷁𥹓𦎊𦙹𦝤𧇥𧌿𧿨𨐦𨐱𨐾𨭉𩔮𩢔𩿉𪄕𪒋',
+  bang: '㔙㭋㮄㯁㾦䂜䎧䖫䟺䧛䰷傍垹塝帮幇幚幫挷捠搒梆棒棓榜浜牓玤磅稖綁縍绑膀艕蒡蚌蜯謗谤邦邫鎊镑鞤髈𠨵𠬣𠲑𠳐𡽲𢁏𢄎𢜗𢮏𢶶𢸌𣘙𣮡𣮧𤚰𤱵𦰥𦾭𨢐𩍗𩦠𩮗',
+  bao: '㙅㙸㫧㲏㲒㵡㻄㿺䈏䎂䤖䥤䨌䨔䪨䭋䳈䳰䴐佨保儤剝剥勹勽包堡堢報媬孢宝宲寚寳寶忁怉报抱暴曓枹煲爆犦珤窇笣緥胞苞菢葆蕔薄藵虣蚫袌裦褒褓襃豹賲趵鉋鑤铇闁雹靌飹飽饱駂骲髱鮑鲍鳵鴇鸨齙龅𠅬𠍙𠣒𠣺𠤏𠹕𡂟𡉩𡧖𡶄𢼌𣭀𤔣𤝧𤞥𤿈𥄹𥭓𦡕𦢊𧇒𧝘𧭤𧵢𨇅𨚔𨠖𨰦𨰻𩊅𩍂𩛞𩬽𩭼𩾡𩿓𪏶',
+  bei: '㓈㔨㛝㣁㤳㰆㶔㷶㸢㸬㸽㻗㼎㽡㾱䁅䋳䎬䎱䔒䠙䡶䩀䰽俻倍偝偹備僃北卑呗唄备孛庳悖悲惫愂憊揹昁杯柸桮梖椑焙牬犕狈狽珼琲盃碑碚禙糒背苝蓓藣蛽被褙誖貝贝軰輩辈邶郥鄁鉳鋇鐾钡陂鞁鞴骳鵯鹎𠋭𠐡𠐲𠕩𠢥𠥧𡋭𢂏𢃍𢟡𢴾𢻵𣎵𣖾𣬍𣬪𤛟𤜲𤰈𤳦𤵛𤷁𤹲𤿒𤿾𥏓𥓓𥶓𥼓𦈧𦈶𦩖𦮷𦾙𧉥𧋲𧶙𧼠𩇩𩍁𩔹𩖠𩚾𪂃',
+  ben: '㡷㤓㨧㮺㱵䬱倴坋坌奔奙捹撪本栟桳楍泍渀漰犇畚笨翉苯逩錛锛𢜘𣄏𣳰𣴞𤲙𥢊𦯀𨋒𩣺𪊜𪎝𪑖',
+  beng: '㑟㱶㷯䋽䙀䨻䩬䭰䳞伻嗙嘣埄埲塴奟崩嵭揼泵琣琫甏甭甮痭祊絣綳繃绷菶蹦迸逬鏰镚閍鞛𠊵𠜳𠡮𡎾𡡈𡶤𡹔𡾛𢆸𢉁𢐒𣂤𣨥𤙾𤡭𤫬𥀂𥖗𥛱𥞩𥦜𦂌𦅈𦝷𦺑𧑑𧚭𧩱𧻓𨆊𨓁𨕧𨹹𨻱𩂦𩊌𩑚𩗴𪔑',
+  bi: '㓖㗉㘠㘩㙄㚰㠲㡀㡙㢰㢶㢸㧙㪏㪤㮰㮿㯇㱸㳼㵥㵨㹃㻫㻶㿫䀣䁹䃾䄶䇷䊧䋔䌟䎵䏢䏶䕗䖩䘡䟆䟤䠋䣥䦘䧗䨆䩛䪐䫁䫾䬛䭮䮡䯗䵄佊佖俾偪匕咇哔啚嗶坒堛壁夶奰妣妼婢嬖嬶屄币幣幤庇廦弊弻弼彃彼必怭怶愊愎敝斃朇朼柀柲梐楅榌比毕毖毙毞毴沘湢滗滭潷濞煏熚狴獘獙珌璧畀畁畢疕疪痹痺皕睤睥碧禆秕笔筆筚箅箆篦篳粃粊綼縪繴罼聛腷臂舭芘苾荜荸萆萞蓖蓽蔽薜蜌螕袐裨襅襞襣觱詖诐豍貏貱賁贔贲赑跸蹕躃躄辟逼避邲鄙鄨鄪鉍鎞鏎鐴铋閇閉閟闭陛鞸韠飶饆馝駜驆髀髲魓鮅鰏鲾鵖鷝鷩鼊鼻𠈺𠋯𠐌𠓵𠓷𠛡𠡂𠦈𠧅𠨒𠨘𠩿𠬈𠮃𠽩𡃇𡚁𡚤𡛗𡠚𡳄𡻞𡽶𢁽𢅩𢐦𢖬𢘍𢟵𢡅𢩒𢲾𢳋𢴩𣁉𣁢𣋹𣔓𣘥𣚡𣝍𣢠𣥣𣦇𣦢𣩩𣮐𣯴𣴨𤂀𤅹𤐙𤐸𤗚𤙞𤜻𤝸𤠺𤡝𤢣𤵘𤹝𤹦𤻖𤽊𥆯𥈗𥏠𥛘𥟗𥢦𥳆𥴬𦂖𦑞𦑭𦔆𦠞𦤫𦯛𦰙𦱔𦸣𧏻𧒀𧓄𧤃𧥑𧫤𧲜𧳠𨅗𨋥𨋩𨐨𨚍𨚓𨟵𨠔𨢡𨲋𨵰𨸼𨻼𩉫𩊰𩑻𩪖𩪧𩭧𩲢𩾳𪋜𪌄𪍪𪏺𪐄',
+  bian: '㝸㣐㦚㭓㲢㳎㴜㵷㺹㻞䁵䉸䒪䛒䡢䪻便匾卞变変峅弁徧忭惼扁抃揙昪汳汴炞煸牑猵獱玣甂砭碥稨窆笾箯籩糄編緶缏编艑苄萹藊蝙褊覍諚變貶贬辡辧辨辩辫辮辯边遍邉邊釆鍽閞鞕鞭鯾鯿鳊鴘𠐈𠑟𠓫𠥫𠪂𠭹𠯴𠷖𠷨𡈯𡬯𡬲𡬸𢩟𢭥𢴂𢻶𣈠𣝜𣩀𣪭𣸇𤀫𤀲𤄺𤺇𤻶𥍚𥣝𥣰𥸅𦇭𦉙𦟣𦽟𧓧𧩰𧾫𨖠𨖾𨘢𨚕𨧕𨩫𨳲𩩯𩰍𪉱𪏗𪓍',
+  biao: '㟽㠒㧼㯱㯹䔸䞄俵儦墂婊嫑幖彪摽标標檦淲滮瀌熛爂猋瘭磦穮脿膘臕蔈藨表裱褾諘謤贆錶鏢鑣镖镳颩颮颷飆飇飈飊飑飙飚驫骉髟鳔𠔂𠚠𠬪𢅚𢒯𢢼𢿏𣄠𤂆𤆀𤐫𥘤𥲦𦔗𦔩𦠎𦾑𧘝𧝪𧥍𧳀𧴎𧴕𨭚𩪊𩴩𩽁',
+  bie: '㢼㿜䉲䋢䏟䠥䭱別别彆徶憋瘪癟莂虌蛂蟞襒蹩鱉鳖鼈龞𠍯𠔁𠛰𡐞𡘴𡙀𡙪𡷘𢆣𢐳𢛎𢠳𣇢𣊶𤉤𤷗𤺓𤾵𥞲𥡁𧆊𧌽𧝬𧧸𧿥𨂅𨒜𩓝𩠻𩡟𩦉𩵛𩸁𪂟𪐆',
+  bin: '䐔䚔傧儐宾彬摈擯斌梹椕槟檳殡殯汃滨濒濱濵瀕玢瑸璸繽缤膑臏虨豩豳賓賔邠鑌镔霦頻顮髌髕髩鬂鬓鬢𠴇𡦆𡦻𡧼𢲰𣉮𣢏𣰨𥃰𧷟𧸈𨐰𨽗𩆱𩯫𩴱𪇕',
+  bing: '㨀䈂䋑䓑䗒䴵丙並仌仒併倂偋傡兵冫冰垪寎并幷庰怲抦掤摒昞昺柄栤棅氷炳病眪禀秉稟窉竝苪蛃誁邴鈵鉼鋲陃靐鞆鞞餅餠饼鮩𠀤𠊧𠒝𠛥𠰳𠱛𡇤𡖛𡚛𡲍𡹾𢆩𢊜𢎴𢔧𣦪𣰜𣲝𥖬𥲂𦡻𦼹𦿅𨆱𨋲𨹗𩊖𩋒𩏂𩬝𩮟𩶁𪑰',
+  bo: '㖕㗘㝿㟑㩧㩭㪍㬍㬧㱟㴾㶿㹀䂍䊿䍨䍸䑈䒄䗚䙏䞳䟛䢌䢪䥬䪇䪬䫊䬪䭦䭯䮀䮂䯋䰊䶈亳仢伯侼僠僰勃博啵嚗孹嶓帛愽懪拨挬搏撥播擘桲檗欂泊波浡淿渤溊煿牔狛猼玻瓝瓟癶癷盋砵碆礡礴秡箔簙簸糪紴缽肑胉脖膊舶艊菠萡葧蔔蘗袯袰袹襏襮謈譒跛踣蹳郣鈸鉑鉢鋍鎛鑮钵钹铂镈餑餺饽馎馛馞駁駮驋驳髆髉鮊鱍鲌鵓鹁𠒧𠧛𠮭𠱀𠴸𠷺𠸳𠺣𡀖𡃓𡅂𡋯𡯳𡯷𢂍𢐾𢠺𢣞𢩞𢫆𢫯𢺽𣋵𣛓𣧧𣭷𣽡𤃵𤒔𤖟𤗳𤗺𤚽𤜧𤶋𤾝𤿑𥜖𥭖𥮯𥴮𥸥𥹸𦃙𦋉𦤚𦤣𦯉𦰬𦲱𦼭𦽮𧇚𧋢𧙄𧟱𧟵𧲯𨈩𨍭𨏫𨨏𨭂𩃶𩄿𩈔𩌏𩍿𩏯𩓐𩗀𩗒𩗓𩜥𩟕𩡭𩣡𩬸𩯌𩱚𩷚𩽛𪌰𪍡𪓜',
+  bu: '㘵㙛㚴㨐㳍㻉㾟䀯䊇䋠䍌䏽䑰䒈䝵䪁䪔䬏䳝䴝䴺不佈勏卜卟吥咘哺埗埠峬布庯廍怖悑抪捕捗晡柨步歨歩瓿篰簿荹蔀补補誧踄轐逋部郶醭鈈鈽錻钚钸餔餢鳪鵏鸔𠀚𠁡𠘁𠚉𠜙𡡐𢁻𢇴𣥶𣱶𤚵𤣰𤸵𥃨𥑢𥣌𥪀𥳖𥹴𥻞𦜟𧉩𧻷𨋞𨛒𨴪𩅇𩊬𩊶𩏮𩏵𩢕𩣝𩯏𩶉𩷖𩺼𩻗𪇰',
+  ca: '䟃䵽嚓擦攃礤礸遪𤄖𥗭𥩝𨆾𨺭𪊗',
+  cai: '㒲㥒䌨䌽䐆䞗䣋䰂䴭倸偲啋埰婇寀彩才採材棌毝猜睬綵縩纔菜蔡裁財财跴踩采𠮹𡣮𢎂𤁱𤚀𤝭𤟖𤷕𦬁𧀊𧵤𨙴𨯓𩁞𩧇𪇭',
+  can: '㕘㘔㛑㜗㣓㥇㦧㨻㱚㺑㻮㽩㿊䅟䍼䏼䑶䗝䗞䘉䙁䛹䝳䣟䫮䬫䳻傪儏参參叄叅喰嬠惨惭慘慙慚憯朁残殘湌澯灿燦爘璨穇粲薒蚕蝅蠶蠺謲飡餐驂骖黪黲𠠋𠡡𠫭𠫵𡆮𡛝𢦸𢧮𢾃𣦼𣧻𣶡𣻬𤅒𥂥𥠩𥢽𥹛𦪜𦪫𦺐𧅀𧓩𨅔𨞷𨲱𩀧𩈻𩈼𩝖𩟒𩯞𪆶',
+  cang: '㵴㶓䅮䢢仓仺伧倉傖凔嵢欌沧滄濸獊舱艙苍蒼藏螥賶鑶鶬鸧𠥐𡽴𡾻𡿄𤚬𦾝𨤃𩀞𩕹𩝞',
+  cao: '㜖㯥䄚䎭䏆䐬䒑嘈嶆愺慅慒懆撡操曹曺槽漕糙肏艚艸草蓸螬褿襙鄵鏪騲鼜𠀊𠹊𡮦𢳥𣈅𣉿𤒕𤡐𤵥𥕢𥲍𥽹𦋿𧕐𨎝𩞄𩫥',
+  ce: '㥽㨲㩍䇲䈟䊂䔴䜺侧側冊册厕厠夨廁恻惻憡拺敇测測畟笧策筞筴箣簎粣荝萗萴蓛𠕋𠕐𡍫𢿸𣆑𣌧𥠉𥬰𥰡𥳯𦔎𦣧𦵪𧵡𨶨𩒄',
+  cen: '㞥㻸䃡䅾䤁䨙䯔䲋埁岑嵾涔笒篸𣡎𦊃𨁊𨥣𨱼𩅨𩅮𩻛',
+  ceng: '㣒㬝䁬䉕噌层層嶒曾竲蹭驓𠟂𡃆𡪠𡾓𢅋𤛢𦠇𧲅',
+  cha: '㛳㢉㢎㢒㣾㤞㪯㫅䁟䆛䊬䑘䑡䒲䓭䕓䟕䡨䤩䰈䲦䶪侘偛刹剎叉嗏垞奼姹察岔嵖差扠挿插揷搽杈查査槎檫汊猹疀碴秅紁臿艖茬茶衩詧詫诧蹅銟鍤鑔锸镲靫餷馇𠝞𠞊𠽹𡋨𡌚𡝐𡝙𡨀𡵌𢆍𢔣𢖲𢘹𢣼𢭅𣆗𣍏𣘤𣘻𣱱𤜫𤜯𤞠𤳅𤳵𤵾𤶠𥃀𥌀𥑥𥥸𥫢𥻗𦉆𦑈𦑣𦛝𦝥𦦘𦦜𦦱𦳘𧠈𧦴𧫗𧶵𨀸𨃓𨆇𨙳𨩨𨪺𨼑𩝟𩟔𩴳𪑂𪑨𪒼',
+  chai: '㑪㳗㼮㾹䓱䘍侪儕喍囆拆柴犲瘥祡肞芆茝虿蠆袃訍豺釵钗𡟭𡺵𢹓𤞗𤠌𥐟𦐰𦑏𧀱𧍣𧒨𧔴𧕧𧪘𧸿𨌅𩑐',
+  chan: '㙴㙻㢆㢟㦃㬄㯆㵌㶣㸥㹌㹽㺥䀡䂁䊲䐮䑎䜛䠨䡪䡲䣑䤘䤫䥀䧯䩶䪜䱿䴼䵐丳产儃儳冁刬剗剷劖嚵囅壥婵嬋孱嵼巉幝幨廛忏懴懺掺搀摌摲摻攙斺旵梴棎欃毚浐湹滻潹潺澶瀍瀺灛煘燀獑產産硟磛禅簅緾繟纏纒缠羼艬苂蒇蕆蝉螹蟐蟬蟾裧襜覘觇誗諂譂讇讒谄谗躔辿鄽酁醦鋋鋓鏟鑱铲镵閳闡阐韂顫颤饞馋骣𠁷𠋷𠐩𠑆𠑑𠑡𠣄𠹖𡍌𡎻𡖞𡖤𡝫𡮿𢁧𢌚𢥋𢱟𢷹𢺟𢽝𣃘𣔵𣤱𤗻𤚍𤪮𤮭𤯥𤴿𤸦𤼋𥊓𥭔𦅗𦆀𦝟𦢙𦸰𧈪𧐲𧓋𧕃𧠛𧥓𧨗𧬦𧴃𧾡𨄉𨇝𨇦𨊝𨔢𨩪𨪑𨬖𨮻𨲵𨳂𨵍𨷭𨼒𨽊𩖌𩝚𩟶𩥮𩮏𩽝𪏁𪏂𪏋𪏦𪓄𪖎',
+  chang: '㙊㦂㫤䕋䗅䠀䠆䩨䯴仧仩伥倀倡偿僘償兏厂厰唱嘗嚐场場塲娼嫦尝常廠徜怅悵惝敞昌昶暢椙氅淐焻猖玚琩瑒瑺瓺甞畅畼肠腸膓苌菖萇裮裳誯鋹錩锠長镸长閶阊韔鬯鯧鱨鲳鲿鼚龦𠑷𠑻𠔊𠙁𠚊𡭿𢁝𢗺𢠵𢢌𤢄𤽣𤿼𥇔𥋤𥗊𥟚𥠴𥫅𦰱𦼳𧀄𨣛𨱮𨷇𩲹𪁺𪂇𪄹𪉨',
+  chao: '㶤㷅䄻䎐䏚䬤䰫仦仯吵嘲巐巢巣弨怊抄晁朝樔欩漅潮炒焣煼牊眧窲窼罺耖觘訬謿超轈鄛鈔钞麨鼂鼌𠰉𡏮𡡊𡯴𡻝𡼼𢁾𣰩𣶃𤙴𤰬𥊌𥕘𥲀𥿷𦙧𦨖𦸛𦾱𧧠𨄓𨌬𨗡𨢪𨨚𨴡𩈎𩖥𩱈𩱦𪍈𪍑𪎊',
+  che: '㔭㥉㨋㬚㯙㱌㵔㾝㿭䁤䋲䑲䒆䚢䛸䜠䞣䧪䨁䰩伡俥偖勶唓坼屮彻徹扯掣撤撦澈烢爡瞮砗硨硩聅莗蛼車车迠頙𡷖𢇛𢊏𣨊𤊿𤕛𤖷𤗙𤥭𤹞𥯥𥿊𦈈𦓍𦛖𧙝𧼳𨀠𨹡𩂻𩎚𩒷𩗙𩴟𪎺',
+  chen: '㕴㧱㫳㲀㴴㽸䆣䐜䑣䒞䚘䜟䞋䟢䢅䢈䢻䣅䤟䫖儭嗔嚫塵墋夦宸尘忱愖抻捵敐敶晨曟栕桭梣棽榇樄櫬沉煁琛疢瘎瞋硶碜磣臣茞莀莐蔯薼螴衬襯訦諃諶謓讖谌谶賝贂趁趂趻踸軙辰迧郴鈂鍖陈陳霃鷐麎齓齔龀𠔹𢆺𢎕𣀍𣞟𤘣𤝚𤟸𤡳𤹛𥉜𥔪𥗒𥞁𥫹𦁄𦁟𧆂𧡬𧨡𧭼𧿒𨑌𨣔𨻖𨼌𨼐𨼤𩅌𩇖𪁏𪋻',
+  cheng: '㐼㞼㨃㲂㼩䀕䁎䄇䆑䆵䆸䇸䔲䗊䞓䧕䫆䮪丞乗乘侱偁僜呈城埕堘塍塖娍宬峸庱徎悜惩憆憕懲成承挰掁揨摚撐撑晿朾枨柽棖棦椉橕橙檉檙泟洆浾溗澂澄瀓爯牚珵珹琤畻睈瞠碀秤称程稱穪窚竀筬絾緽罉脭荿蛏蟶裎誠诚赪赬逞郕酲鋮鏿鐣铖阷靗頳饓騁騬骋鯎𠅞𠅟𠏧𠓲𠕠𠳽𡝚𡤿𡷫𡽊𢐞𢔤𢜻𢜼𢟊𢻓𢾊𢿦𢿧𣀏𣥺𣥻𤆁𤕀𤗓𤿣𥋇𥢲𥥱𦓬𦛆𦦢𧡈𧯒𧶔𧶸𧷒𨁎𨅝𨌤𨞐𨭃𨹚𩁷𩙆𩛦𩞦𩤙𩫹𩯎𪁋',
+  chi: '㒆㓼㓾㔑㘜㙜㞴㞿㟂㡿㢁㢋㢮㮛㱀㳏㶴㺈㽚䇪䇼䈕䊼䐤䑛䔟䙙䛂䜄䜵䜻䞾䟷䠠䤲䧝䪧䬜䮈䮻䰡䳵䶔䶵伬侈侙傺勅勑匙卶叱叺吃呎哧啻喫嗤噄垑墀妛媸尺弛彨彲彳恜恥慗憏懘抶持摛攡敕斥杘欼歯殦池湁漦灻炽烾熾瓻痴痸瘛癡眵瞝竾笞筂箎篪粚絺翄翅翤翨耻肔胣胵腟茌荎蚇蚩蚳螭袲袳裭褫訵誺謘豉貾赤赿趩踟迟迡遅遟遫遲鉓鉹銐鍉雴飭饬馳驰魑鴟鵄鶒鷘鸱麶黐齒齝齿𠔒𠛔𠝨𠞩𠡠𠧚𠧵𠭋𠮟𠻟𡂙𡉪𡌞𡎍𡖳𡚨𡣀𡳭𡼁𢂝𢇕𢓎𢔊𢜳𢨒𣉄𣐃𣙰𣚩𣣷𣤩𣲋𣹡𤆍𤈔𤟆𤡏𤡢𤰠𤵬𤸪𥄇𥚚𥛚𥭘𥱻𥺡𥼝𦂋𦆤𦎚𦏿𦐁𦐉𦑡𦔫𦘪𦙆𦞲𦤸𦥊𦱰𦳚𦵟𧀤𧉀𧋗𧎨𧛧𧛺𧤍𧩚𧩴𧩼𧪡𧭟𧰲𧴁𧺏𧺠𧺧𧺿𧼪𨂰𨑠𨒈𨒬𨔤𨖎𨘾𨧳𨨬𨨲𨾛𨾦𩒐𩚉𩤖𩥲𩳩𩳲𩶅𩶪𩷧𩾕𩿪𪀦𪄠𪅍𪅙𪆵𪉗𪌫𪌹𪏐',
+  chong: '㓽㧤㳘㹐䌬䖝䳯充冲嘃埫宠寵崇崈忡憃憧揰摏沖浺漴爞珫緟罿翀舂艟茺虫蝩蟲衝褈蹖銃铳隀𠑙𠑽𠖥𠝤𠟍𡿂𢖄𢛒𢝈𢡹𢥞𢪠𣐯𣑁𥁵𥅻𥫯𥬱𥭥𦑝𦟛𧐍𧘂𧝎𧩃𧼙𧼩𨈮𨖼𨛱𨤩𨳁𨿿𩌨𩒘𩜖𩞉𩞋𩥫𩩳𩰀𪄻𪅈𪅖𪎽𪒒',
+  chou: '㐜㛶㤽㦞㨶㩅㵞㿧䀺䇺䊭䌧䌷䓓䔏䪮䲖丑丒仇俦偢儔吜嬦帱幬惆愁懤抽搊杽栦梼椆檮殠燽犨犫畴疇瘳皗瞅矁稠筹篘籌紬絒綢绸臭臰菗薵裯詶讎讐踌躊遚酧酬醜醻雔雠雦魗鮘𠌪𠜋𠝽𠷎𠹝𠼡𠾉𡕐𡕪𢝲𢣊𢭆𣀓𣀘𣕾𣗬𣪐𣫐𤘶𤳝𤳠𤾊𤾦𥃧𥏈𥡀𥦅𥰞𥲅𥵬𥺣𥻤𦡴𦭸𧃝𧮻𨀔𨖬𨞪𨡑𨡲𨤷𩋄𩌄𩽀𪇘',
+  chu: '㐥㔘㕏㕑㗰㙇㡡㤕㤘㶆㹼㼥䅳䊰䎝䎤䖏䙕䙘䜴䟞䟣䠂䠧䢺䦌䧁䮞亍俶傗储儊儲処出刍初厨嘼埱处媰岀幮廚怵憷搐摴敊斶杵椘楚楮榋樗橱檚櫉櫥欪歜泏滀滁濋犓珿璴矗础礎禇竌竐篨絀绌耡臅芻蒢蒭處蜍蟵触觸諔豖豠貙趎蹰躇躕鄐鉏鋤锄閦除雏雛鶵黜齣齭齼𠁉𠇘𠧖𠫎𠰕𠿝𡃴𡐌𡝈𡳑𢅥𢊍𢒔𢕓𢣿𢨫𣢶𣥹𣦠𣦡𤏱𤙟𤝞𤻇𥁯𥒭𥹵𦷝𦺵𦿀𧃏𧎷𧢶𧢻𧣈𧯩𧰫𧺶𧽧𨁿𨃕𨕢𨴰𨼪𩂫𩈤𩙙𩨸𩹱𪁲𪆷𪇆𪓐',
+  chua: '䫄𠹐𠻦𡥘𣛕𣹶𤁫',
+  chuai: '㪓㪜䦟䦤䦷揣搋膗膪踹𠽶𢲽𢶀𣤌𣲂𨣅',
+  chuan: '㯌㱛㼷䁣串传傳僢剶喘圌堾巛川暷椽歂氚汌猭玔瑏穿篅舛舡舩船荈賗踳輲遄釧钏鶨𠛖𠯀𠾮𣀔𣛹𣧒𣧘𤜼𤮍𤰌𤶱𥃹𥬫𥲏𦎇𦎜𦺛𧍒𧑝𨂦𨘼𨩴𩂍',
+  chuang: '㡖㵂䃥䇬䎫䚎䚒䡴䭚傸刅创刱剏剙創噇幢床怆愴摐牀牎牕疮瘡磢窓窗窻闖闯𠏨𠞮𠳹𡆪𡻯𥈄𥎒𥡟𥦗𥲡𦔛𧜧𧢆𧬧𨜾𨧖𩃕𩞆𩪘𪁱',
+  chui: '㓃㝽㥨㩾䄲䍋䞼䳠䶴倕吹垂埀捶搥桘棰槌炊箠腄菙錘鎚锤陲顀龡𠂹𠄒𡍮𢏒𣇦𣟈𤙵𥙋𥞃𦉈𨨢𩌝𩗰𩭦',
+  chun: '㖺㝄㝇㵮㸪㿤䄝䏛䏝䐇䐏䓐䔚䞐䣨䣩䥎䦮䫃偆唇媋惷旾春暙杶椿槆橁櫄浱淳湻滣漘犉瑃睶箺純纯脣莼萅萶蒓蓴蝽蠢賰輴醇醕錞陙鯙鰆鶉鶞鹑𠄤𡉐𡗥𢾎𣌚𣌠𣘣𣚆𣮢𤘛𦎧𦎫𦚧𧇶𨉩𨿡𪂹',
+  chuo: '㚟㲋䂐䃗䄪䆯䇍䋘䍳䓎䮕哾啜嚽娕娖婥惙戳擉歠涰磭綽繛绰趠踀踔輟辍辵辶逴酫鑡餟齪龊𠕗𡁇𢽸𢿭𤿫𥓑𦁶𨆬𨒢𨮸𨰆𩟫𩩟',
+  ci: '㓨㘂㘹㞖㠿㡹㢀㤵㩞㹂䂣䆅䈘䓧䖪䗹䛐䦻䧳䨏䭣䯸䰍䲿䳄䳐佌佽偨刺刾垐嬨庛慈朿柌栨次此泚濨玼珁瓷甆疵皉磁礠祠糍絘縒茦茨莿薋蛓螆蠀詞词賜赐趀跐辝辞辤辭雌飺餈骴髊鮆鴜鶿鷀鹚齹𠕞𠤫𠦐𠩆𠯂𡃸𡥎𡰾𢅜𢓗𢫴𢶴𣐑𣜁𣢕𥴺𥻵𥿆𥿴𦍧𦐨𦐾𦑺𦒁𦖝𦼡𧊒𧌐𧑖𧙈𧠎𧠥𧧒𧺼𨋰𨒤𨒮𨠐𨲁𨾅𩆂𩉋𩝐𩢑𩨨𩾔𪉪𪑟',
+  cong: '㼻䉘䕺䟲䳷丛从匆叢囪囱婃孮従徔徖從忩怱悤悰愡憁暰枞棇樅樬樷欉淙漎漗潀潈潨灇熜爜琮瑽璁瞛篵繱聡聦聪聰苁茐葱蓯蔥藂蟌誴謥賨賩錝鍯鏓鏦騘驄骢𠂥𠕁𠙂𠢛𠤰𡅇𡟟𡦷𡵷𡹸𢃏𢊕𢐔𢔩𣃗𣊷𤄓𥍷𥎋𥡬𥮨𥵫𦇎𦇱𦗜𦝰𧐱𧓏𧝮𧩪𨂴𨍉𨑪𨒀𨡮𨦱𨱸𨲧𩬼𩯍',
+  cou: '㫶凑楱湊腠輳辏𢈾𣉅𣙘𣞜𤆑𦦅𦳿𦺀𧡣𧱪𨨯𩹀𪉮',
+  cu: '㗤㰗䃚䎌䓚䙯䛤䟟䠓䠞䢐䥄䥘䬨促噈媨徂怚憱橻殂猝瘄瘯簇粗縬脨蔟觕誎趗踧踿蹙蹴蹵醋顣麁麄麤鼀𠑯𠛙𡄱𡘛𡝉𡞜𢄧𢈠𢪃𤗁𤛏𤠽𤿚𥅗𥪱𥷼𥻒𥾛𦟠𦠁𦯣𧆓𧺲𧼜𪓡𪓰𪕝',
+  cuan: '㠝㭫㵀㸑䆘䰖巑撺攛櫕欑殩汆熶爨穳窜竄篡簒蹿躥鑹镩𢖑𢸥𤐲𥍬𥎢𥎣𥎤𨣵𨼉',
+  cui: '㝮㥞㧘㯔㯜㱖㳃㵏㷃㷪䂱䃀䄟䆊䊫䧽伜倅催凗啐啛墔崔嵟忰悴慛摧榱槯毳淬漼濢焠琗璀疩瘁皠磪竁粋粹紣綷縗缞翆翠脃脆脺膬膵臎萃襊趡鏙顇𠗚𠞿𠟓𠩪𢂕𢄸𢕘𢡈𢶓𣃍𣯧𣰚𣿒𣿓𤎋𤗯𤛍𥨒𥳈𥻮𥼂𥼛𥼺𦦣𧎃𧑎𧚥𧜱𧳚𧹺𧼬𧽠𨄍𨅎𨊉𨻵𨿐𩤏',
+  cun: '䍎侟刌壿存寸忖拵村澊皴竴籿膥踆邨𡵭𤿄𥘑𦛊𧚉𨀛𨙯𨚲',
+  cuo: '㟇㽨㿷䂳䐣䟶䠡䣜䱜䴾剉剒厝夎嵯嵳挫措搓撮瑳痤睉矬磋脞莝莡蒫蓌蔖虘蹉逪遳酂酇醝銼錯鎈锉错鹺鹾𠦏𢒐𢚂𢤎𢫬𢯽𣖵𣨎𣩈𤠝𥕉𥭭𥰭𥲽𧚏𨇃𨛏𩄝𩯉𪉤𪒙',
+  da: '㙮㜓㟷㯚㾑㿯䃮䐊䐛䑽䩢䳴䵣亣剳匒呾咑哒噠垯墶大妲怛打搭撘溚炟燵畗畣瘩眔笚笪答繨羍耷荅荙薘蟽褡詚跶达迏迖迚逹達鎉鎝鐽靼鞑韃龖龘𠉤𠞈𠶫𠹥𡈐𡉑𡍲𡐿𡚻𢘇𢛁𢝉𢴈𢽇𣣴𣥾𣸉𤝰𤤊𤨑𥉌𥕇𦂀𦑻𦖿𦗧𦞂𦪭𦬹𨗾𨨹𩏒𩝣𩟐𩣯𩭣',
+  dai: '㐲㞭㫹㯂㶡㻖㿃䈆䒫䚞䚟代侢傣叇呆呔垈埭岱帒带帯帶廗待怠懛戴曃柋歹殆瀻獃玳瑇甙簤紿緿绐艜蚮蝳袋襶貣貸贷跢蹛軑軚軩轪迨逮霴靆鴏黛黱𠯈𠯪𠰺𠷂𡧹𢄔𢎌𣇨𣐮𣦶𣫹𤮼𤸊𥿝𦄂𦙯𦪍𧊇𧑔𨊺𨓞𨟲𨥶𨽿𩃠𩃷𪐝',
+  dan: '㔊㕪㗖㡺㫜㱽㲷㴷㵅㺗㽎䃫䄷䉞䉷䨢䨵䩥䭛䱋丹亶伔但僤儋刐勯匰单単唌啖啗啿單嘾噉嚪妉媅帎弹弾彈惮憚憺抌担掸撢撣擔旦柦殚殫氮沊泹淡澹狚玬瓭甔疍疸瘅癉癚眈砃禫窞箪簞紞繵耼耽聃聸胆腅膽萏蓞蛋蜑衴褝襌觛訑誕诞賧贉赕躭郸鄲酖霮頕餤饏馾駳髧鴠黕黮黵𠁿𠆛𠆶𠇋𠈰𠕑𠹆𡖓𡦨𡵕𢅒𢉑𢋃𢎟𢎪𢑝𢻼𣅟𣋊𣛱𣱍𣲥𤁡𤢏𤲭𤺺𥄦𥐹𥨎𥱷𥲄𥲇𥳸𥳹𦅼𦋪𦻁𦽜𦽫𦾩𧀻𧂄𧡪𧭃𧴸𨂽𨢿𩄕𩅾𩈉𩈊𩏥𩕤𩩧𪆻𪒾',
+  dang: '㜭䑗䣊䣣䦒儅党凼噹圵垱壋婸宕嵣当愓挡擋攩档檔欓氹潒澢灙珰璗璫瓽當盪瞊砀碭礑筜簜簹艡荡菪蕩蘯蟷裆襠譡讜谠趤逿鐺铛闣雼黨𡇈𡇵𡗍𡢈𡰨𡾕𢠽𢡂𣂳𣃉𣻍𣿴𤔶𤗾𤢎𤣞𥢷𥤗𥯕𥸈𦗴𦼲𦿆𧅗𧑘𧒾𨎴𨜂𨝦𨷾𩟈𩼉𩽳𪇁',
+  dao: '㠀㿒䆃䌦䧂䲽倒刀刂到噵壔导導岛島嶋嶌嶹忉悼捣捯搗擣朷椡槝檤氘焘燾瓙盗盜祷禂禱稲稻纛翢翿舠艔菿螩衜衟蹈軇辺道釖陦隝隯魛鱽﨩𠐵𠕥𠚣𠴼𡄒𢭏𣁍𣜦𣫜𣱼𤓾𤘀𤷘𤹷𥓬𥗚𦒺𦦺𦦾𦩍𧼤𨂻𨗓𨱦𩈞𩕯𩬱𩭟',
+  de: '㝵㤫㥀㥁㯖䙷䙸嘚得徳德恴悳惪棏淂的鍀锝𠮊𠵨𡋩𡭂𣌏𣮊𣮰𤷙𨁽',
+  den: '㩐扥扽',
+  deng: '㲪䒭䠬䮴凳噔墱嬁嶝戥櫈灯燈璒登瞪磴竳等簦艠覴豋蹬邓鄧鐙镫隥𡦔𢍪𢯭𢿤𣩟𤮘𤺌𤼶𤾢𦩫𧄼𧾊𨄇𨎤𨮴𨶿𩍐𩞬𩯇𪌷𪑬𪒘𪔏',
+  di: '㡳㢩㣙㪆㭽㰅㹍㼵䀸䀿䂡䊮䍕䏑䑭䑯䗖䞶䟡䢑䣌䨀䨤䩘䩚䮤䯼䱃䱱䴞䵠䶍仾低俤偙僀厎呧唙啇啲嘀嚁地坔坘坻埅埊埞堤墑墬奃娣媂嫡岻嶳帝底廸弟弤彽怟慸抵拞掋摕敌敵旳杕枤柢梊梑棣楴樀氐涤滌滴焍牴狄玓珶甋眱睇砥碲磾祶禘秪笛第籴糴締缔羝翟聜腣苐苖荻菂菧蒂蔋蔐蔕藡蝃蝭螮袛覿觌觝詆諦诋谛豴趆踶蹢軧迪递逓遆遞遰邸釱鉪鏑镝阺隄靮鞮頔馰骶髢鯳鸐𠂖𠍪𠐑𠒿𠕳𠚭𠥖𠨿𠫜𠽰𡄷𡒱𡚙𡚷𡛜𡰖𡽢𢅊𢉆𢓧𢕚𢗝𣂉𣅥𣚌𣬴𣯵𣲢𤁰𤈥𤝬𤞈𤧛𤬵𤾠𥕐𥖾𥳠𥸚𥾬𥿄𦉹𦨢𦵦𧀶𧂨𧉛𧋍𧍝𧤲𧺽𨂇𨌮𨑩𨑼𨓠𨗼𨘬𨪾𨮹𩉱𩑾𩭲𩴺𩷎𪄱𪒉',
+  dia: '嗲',
+  dian: '㒹㓠㚲㝪㞟㥆㵤㶘㸃㼭䍄䓦䟍䧃佃傎典厧嚸坫垫墊壂奌奠婝婰嵮巅巓巔店惦扂掂攧敁敟椣槇槙橂殿淀滇澱点玷琔电甸瘨癜癫癲碘磹簟蒧蕇蜔跕踮蹎鈿钿阽電靛顚顛颠驔點齻𠑘𠔓𠔰𠕆𠕇𠢣𠩷𠫉𠶧𡪐𡱇𡼓𢅝𢕯𢖩𢻅𣇖𣒂𣢥𣣈𣣣𣧛𣪀𣪪𣪫𤠶𤩱𤿶𥅑𥇞𥑼𥦟𥮏𥳢𥵏𦅆𦒻𦕒𦽄𧄺𧍿𧽍𨈀𩂵𩄠𩅀𩆔𩥄𩬑𪑩𪓼',
+  diao: '㒛㪕㹿䂪䂽䉆䔙䘟䠼䵲伄凋刁刟叼吊奝屌弔弴彫扚掉汈琱瘹盄瞗碉窎窵竨簓蓧藋虭蛁訋調调貂釣鈟銚銱鋽錭鑃钓铞铫雕雿魡鮉鯛鲷鳭鵰鼦𠄏𠚥𠚻𠤼𠥑𠶰𢁕𢄦𢆴𣩰𤕷𤭈𤱩𥁮𥮐𥲟𥾯𦄋𦨣𦶌𦸔𧅈𧘨𧘩𧜣𨍳𨰑𨸓𩀜𩈮𩋙𩾗',
+  die: '㑙㥈㦅㦶㩸㩹㫼㬪㭯㲲㲳㷸㻡䏲䘭䞇䞕䠟䮢䲀䳀䴑叠咥哋喋垤堞峌嵽幉恎惵戜挕昳曡楪殜氎爹牃牒瓞畳疂疉疊眣眰碟絰绖耊耋胅臷艓苵蜨蝶螲褋褺詄諜谍趃跌跮蹀迭镻鰈鲽鴩𠅗𠆙𠗛𠗨𠠯𠲷𡅥𡇓𡑢𡖐𡱷𡹭𡺑𡼄𢎆𢧄𢲼𢶣𣈍𣛻𣡟𣧈𣨂𤖒𤗨𤚊𤴍𥈖𥉺𥑇𥶺𥷕𦁜𦄔𦈅𧍱𧝵𨄌𨈈𨐁𨓊𨭓𨳺𨴗𨻗𨾤𩋞𩻵𪀒𪑧',
+  ding: '㐉㝎㫀㴿㼗䦺丁仃叮啶奵定嵿帄忊椗濎玎疔盯矴碇碠磸耵聢腚艼萣薡虰蝊訂订酊釘錠鐤钉锭靪頂顁顶飣饤鼎鼑𠆤𢑅𣆍𣢳𤐣𤛙𥇓𥯢𥳰𥸧𦨍𦩘𧇷𧌾𧳉𩜦𩠑𩡯𩸎𩾚𪔂',
+  diu: '丟丢銩铥𠲍𢒝',
+  dong: '㐑㑈㓊㖦㗢㜱㢥㨂㼯䂢䅍䍶䞒䳉䵔东侗倲働冬冻凍动動咚垌埬姛娻嬞岽崠崬徚恫懂戙挏昸東栋棟氡氭洞涷湩硐笗箽胨胴腖苳菄董蕫蝀諌迵霘駧鮗鯟鶇鶫鸫鼕𠄉𡀇𡜝𢔅𢛔𢳾𣿅𤤮𤦪𤲚𤷆𥫎𥳘𦡂𧄓𧓕𧡍𧯾𧲴𧳣𧼓𧽿𨩧𨿢𩂓𩐤𩐵𩜍𩣳𩭩𪐈𪔦',
+  dou: '㐙㛒㞳㢄㨮㪷㷆䄈䕆䕱䛠䬦乧兜兠吋吺唗唞抖斗斣枓梪橷毭浢痘窦竇篼脰荳蔸蚪豆逗郖都酘鈄钭閗闘阧陡餖饾鬥鬦鬪鬬鬭𠍄𠱑𠾇𡂛𡂝𡆏𡙬𡟳𢦍𣁵𣂮𣘛𣭗𤀨𤅋𤝈𤞟𤾒𥆖𥉝𥥷𥺉𦄓𦆘𧏆𧘞𧡸𧮡𧯞𧯠𧯤𧱓𨁋𨥪𨪐𨴜𨶜𨹜𩊪𩑯𩔡𩮷𩳈𪌉𪐺',
+  du: '㱩㸿㾄䀾䄍䅊䈞䐗䓯䙱䟻䢱䪅䫳䮷䲧凟剢匵厾嘟堵妒妬嬻度杜椟櫝殬殰毒涜渎渡瀆牍牘犊犢独獨琽瓄皾督睹秺笃篤肚芏荰螙蠧蠹裻覩読讀讟读豄賭贕赌醏錖鍍鑟镀闍阇靯韇韣韥騳髑黩黷𠉩𠠔𠠠𠣰𡍨𡎉𡝜𢉜𢝂𢷺𢾀𢾅𣈌𣧃𣨲𣫔𣰬𤒘𤚚𤚡𤫻𤬂𤬪𤴱𤵊𤶮𥀁𥀲𥃾𥆳𥑯𥓇𥓍𥖿𥝟𥝾𥯖𥲗𥳉𥳲𦌷𦏕𦘴𦙋𦛯𦡄𦳔𦺇𦺥𧁿𧋌𧐰𧑠𧔬𧛔𧞹𧰵𧷿𧾥𨂭𨋈𨍛𨽍𩞾𩧈𩩮𩵚𩹝𪍹𪐞',
+  duan: '㫁㱭䠪偳塅媏断斷椴段毈煅瑖短碫端簖籪緞缎耑腶葮褍躖鍛鍴锻𠡱𢭃𢯫𢷖𣃔𣠭𥠄𥵣𦾸𧤗𧶲𨱚𨺣𩏇𩤚𩤣',
+  dui: '㙂㟋㠚㬣㳔㵽䇏䇤䊚䔪䨴䨺䬈䬽䯟兊兌兑垖堆塠对対對怼憝憞懟濧瀩痽碓磓祋綐薱譈譵轛鐓鐜镦队陮隊頧鴭𠂤𠏮𠜑𠡒𠦗𠫨𡁨𡏩𡑈𡜥𡷋𡼻𢈹𢟋𣝉𤄛𤤷𤮩𤷎𤹵𥑵𥹲𦞱𦡷𦶏𧧆𨹅𩄮𩅆𩅣𩅥𩅲𩈁𩈜𩊭𩐌𩨽𪌤𪒛𪒡',
+  dun: '㥫㬿䤜伅吨噸囤墩墪庉惇撉撴敦沌潡炖燉犜獤盹盾砘碷礅蜳趸踲蹲蹾躉逇遁遯鈍钝頓顿驐𠎻𡆰𡼖𢬼𣎴𣗁𣚪𣞇𤟢𤭞𥂦𥫬𥫱𥭒𦪔𦰭𦼿𧝗𧿗𨔡𨔵𩔂𩞤',
+  duo: '㔍㖼㙍㙐㛆㛊㣞㥩㧷㻔㻧䅜䍴䐾䑨䒳䙃䙟䙤䠤䤪䤻䩔䩣䫂䯬亸凙刴剁剟剫咄哆哚喥嚉嚲垛垜埵堕墮墯多夛夺奪奲尮崜惰憜挅挆掇敓敚敠敪朵朶柮桗椯毲畓痥綞缍舵裰趓跥跺踱躱躲軃鈬鐸铎陊陏飿饳鬌鵽𠔟𠛫𡌭𡓉𡓷𡶲𡺇𡽃𢜬𢳽𢼠𢿎𣑧𣧷𣵺𣵻𤋨𤌃𤛛𤢕𤤸𤬾𥞛𥳔𥿰𦍦𦕰𦖋𧊱𧙤𧢵𧧇𧩧𧱫𨀟𨆅𨉡𨍏𨦃𨬍𨲉𨹃𩃒𩊜𩍜𩎫𩑒𩒜𩢎𩬻𪃒',
+  e: '㓵㔩㕎㖾㗁㟧㟯㠋㡋㦍㧖㩵㮙㱦㷈㼂㼢㼰䄉䆓䑥䑪䓊䔾䕏䖸䙳䛖䝈䞩䣞䩹䫷䱮䳗䳘䳬俄偔僫匎卾厄吪呃呝咢咹噁噩囮垩堊堨堮妸妿姶娥娿婀屙岋峉峨峩崿廅恶悪惡愕戹扼搤搹擜枙櫮歞歺涐湂珴琧皒睋砈砐砨硆磀礘腭苊莪萼蕚蚅蛾蝁覨訛誐諤譌讍讹谔豟軛軶轭迗遌遏遻鄂鈋鈪鋨鍔鑩锇锷閼阏阨阸頋頞頟額顎颚额餓餩饿騀魤鰐鰪鱷鳄鵈鵝鵞鶚鹅鹗齃齶𠥍𠥕𠥜𠰜𠱥𠱫𠷸𡀾𡅅𡅡𡪑𡪗𡴯𡹣𡾙𢃲𢨡𢼚𣄰𣘨𣢛𣤲𣦵𤂷𤎣𤡾𤪄𤭼𤸱𥋙𥑺𥑾𥓈𥔲𥩮𥯳𦊪𦛅𧊜𧌄𧍬𧒎𧔼𧙃𧚄𧠞𧢽𧨟𧭪𧼎𧽶𧿕𨂁𨃃𨌧𨤕𨵌𨶯𨸷𨺨𩇠𩉴𩊢𩋊𩋽𩐰𩑁𩒰𩕟𩕬𩖀𩚬𩣣𩤩𩨮𩪤𩸇𩸋𩸖𪀝𪅴',
+  ei: '欸誒诶',
+  en: '䅰䊐䬶䭓䭡奀峎恩摁煾蒽𡟯𡵖𡷐𤇯𤫹',
+  eng: '鞥',
+  er: '㒃㖇㚷㛅㜨㢽㧫㮕䋙䋩䌺䎟䎠䎶䏪䣵䮘二佴侕儿児兒刵咡唲尒尓尔峏弍弐栭栮樲毦洏洱爾珥粫而耏耳聏胹荋薾衈袻誀貮貳贰趰輀轜迩邇鉺铒陑隭餌饵駬髵髶鮞鲕鴯鸸𠒆𠚧𡦕𢀪𢄽𣧹𣩚𤽓𥅡𦓓𦓔𦖢𦗼𧌣𨑸𩚪𩰴𩱊𩱓𪐰𪕔𪕨',
+  fa: '㕹㘺㛲㳒䂲䇅䒥䣹乏伐佱傠冹发坺垡墢姂峜彂栰橃沷法浌灋珐琺疺発發瞂砝笩筏罚罰罸茷蕟藅鍅閥阀髪髮𠓟𠞵𠟟𤇮𤇰𤣹𤼵𤿓𥎰𥩱𦪑𧬋𨀳𨋺',
+  fan: '㕨㜶㝃㠶㤆㴀㶗㸋㺕㼝㽹䀀䀟䉊䉒䊩䋣䋦䌓䐪䒦䛀䡊䣲䪛䪤䫶䭵䮳仮凡凢凣勫匥反噃墦奿嬎嬏帆幡忛憣払旙旛杋柉梵棥樊橎氾汎泛滼瀪瀿烦煩燔犯璠畈畨番盕矾礬笲笵範籓籵緐繁繙羳翻膰舤舧范蕃薠藩蘩蠜襎訉販贩蹯軓軬輽轓返釩鐇鐢钒颿飜飯飰饭鱕鷭𠆩𠒾𡁈𡎊𡗹𡜀𡢎𡤎𡶉𢇪𢐲𢗰𢶃𣔶𣳜𤄑𤄫𤬨𤭍𥃵𥅒𥢌𥸨𥹇𥻫𥼞𥿋𦊻𦜒𦨲𦪖𦾴𧀭𧁉𧉤𧊾𧍙𧢜𧦟𨆌𨙮𨟄𨠒𩡫𩧅𩨩𪖇',
+  fang: '㑂㕫㤃㧍㯐䢍䦈䲱仿倣匚坊堏妨房放方旊昉昘枋汸淓牥瓬眆紡纺肪舫芳蚄訪访趽邡鈁錺钫防髣魴鲂鴋鶭𠥓𢨲𣄅𥫳𨾔𩇴𩗧𩲌𩷸𪕃',
+  fei: '㐟㔗㥱㩌㭭㵒䆏䈈䉬䑔䕁䕠䚨䛍䠊䤵䨽䨾䩁䰁俷剕匪厞吠啡奜妃婓婔屝废廃廢悱扉斐昲暃曊朏杮棐榧櫠沸淝渄濷狒猆疿痱癈篚緋绯翡肥肺胇胐腓芾菲萉蕜蜚蜰蟦裶誹诽費费鐨镄陫霏靅非靟飛飝飞餥馡騑騛鯡鲱鼣𠏿𠮆𠲎𡌦𢑮𢒍𢳁𢾺𣍐𣍧𣙿𤷂𤺕𤼺𥄱𥇖𥝊𥝋𥟍𥠶𥭬𦃄𦱷𧌘𧍃𧑈𧓖𧕒𧕿𧚆𧝇𨵈𨻃𩄼𩆦𩇫𩇮𩇯𩇽𩙲𩦎𩯃𩰾𩱎𩵥𩹉𪁹𪂏',
+  fen: '㖹㥹㮥㷊㸮㿎䩿䯨䴅份偾僨分吩坟墳奋奮妢岎帉幩弅忿愤憤昐朆朌枌梤棻棼橨氛汾濆瀵炃焚燌燓獖瞓秎竕粉粪糞紛纷羒羵翂膹芬蒶蕡蚠蚡衯訜豮豶躮轒酚鈖鐼隫雰餴饙馚馩魵鱝鲼黂黺鼖鼢𠛸𠵮𠻫𡊄𡊅𡨖𢁤𢁥𢅯𢊱𢚅𢧝𢴢𢹔𣬩𣯻𣱦𣸣𤆶𤔟𤖘𤗸𤘝𤰪𥂙𥳡𥹻𥽒𦍏𦍪𦐈𦦑𦰛𦶚𧮱𧷐𧿚𨎾𨤘𨤚𨤝𨳣𨷒𩉵𩞑𩡷𩢈𩰟𩸂𩿈',
+  feng: '㡝㦀㵯㷭䏎䒠䙜䟪䩼丰仹俸偑僼冯凤凨凬凮唪堸堼夆奉妦寷封峯峰崶摓枫桻楓檒沣沨浲渢湗溄漨灃烽焨煈犎猦琒疯瘋盽砜碸篈綘縫缝艂葑蘴蜂蠭覂諷讽豐賵赗逢鄷酆鋒鎽鏠锋霻靊風飌风馮鳯鳳鴌麷𠣡𡨛𡵞𢇫𢐴𢓱𣿝𤖀𤣖𥊒𥍮𥛝𥷜𥽈𦜁𦧁𧆉𧍯𧥹𧾳𨝭𨩥𨲫𨺢𩉧𩊩𩋮𩐯𩘵𩙐𩙣𩪌𪐃',
+  fiao: '覅𧟰',
+  fo: '仏佛坲梻𧥚𧼴',
+  fou: '䳕否妚殕紑缶缹缻雬鴀𡜊𤊻𤽦𧉈𧊦𨛔𩂆',
+  fu: '㐢㓡㕊㕮㙏㚆㚕㜑㟊㠅㤔㤱㪄㫙㬼㳇㵗㽬㾈䂤䃽䋨䋹䌗䌿䍖䎅䑧䒀䒇䓛䔰䕎䗄䘀䘄䘠䝾䞜䞞䞯䞸䟔䟮䠵䡍䦣䧞䨗䨱䩉䪙䫍䫝䭸䮛䯱䯽䵗䵾乀乶付伏伕俌俘俛俯偩傅冨凫刜副匐呋呒咈咐哹嘸坿垘复夫妇妋姇娐婏婦媍嬔孚孵富尃岪峊巿帗幅幞府弗弣彿復怤怫懯扶抚拂拊捬撫敷斧旉服枎柎柫栿桴棴椨椱榑氟泭洑浮涪滏澓炥烰焤父玞玸琈甫甶畉畐癁盙砆砩祓祔福禣秿稃稪竎符笰筟箙簠粰糐紨紱紼絥綍綒緮縛绂绋缚罘罦翇肤胕脯腐腑腹膚艀艴芙芣苻茀茯荂荴莩菔萯葍蕧虙蚥蚨蚹蛗蜅蜉蝜蝠蝮衭袚袝袱複褔襆襥覄覆訃詂諨讣豧負賦賻负赋赙赴趺跗踾輔輹輻辅辐邞郙郛鄜酜釜釡鈇鉘鉜鍑鍢阜阝附韍韨頫颫馥駙驸髴鬴鮄鮒鮲鰒鲋鳆鳧鳬鳺鴔鵩鶝麩麬麱麸黻黼𠋩𠌽𠓗𠟌𠣾𠪻𠬝𠲽𡏪𡐝𡕨𡞪𡠞𡦄𡫺𡬇𡵛𢀼𢁀𢂀𢂆𢌹𢏍𢒒𢗫𢗲𢞦𢠲𢯋𢰆𢻀𢻲𢾭𣀣𣀾𣄎𣆵𣑿𣘧𣞒𣥋𣭘𣹋𣻜𣿆𤆮𤉨𤒓𤙤𤙭𤝔𤝟𤠪𤭟𤱽𤶖𤸑𤸗𤿭𥄑𥄓𥒫𥒰𥘬𥦘𥧷𥨍𥪋𥪚𥰛𥱀𥲛𥳇𥷱𥼼𥾧𦂊𦇁𦊦𦊾𦎎𦎭𦐡𦑹𦔍𦖀𦨈𦨋𦨡𦩡𦮹𦰺𦱖𦲫𦳓𦸱𦺉𦽏𦿁𧀮𧀴𧄏𧉊𧌈𧌓𧒂𧒙𧕡𧖚𧥱𧳂𧴌𧻳𧼗𧼱𧿳𨁒𨌥𨑑𨞻𨦛𨵟𨸏𨺅𩂎𩂔𩂕𩅿𩉽𩋟𩋨𩍏𩎛𩐚𩑬𩒙𩒺𩓖𩖬𩖼𩜲𩠷𩢰𩢿𩣜𩣸𩬙𩭺𩳎𩳐𩵩𩵹𩾿𩿧𪀐𪀺𪂀𪂋𪂾𪃓𪆠𪊐𪍏',
+  ga: '嘎嘠噶尕尜尬旮玍釓錷钆魀𠮶𡉅𡯰𡯽𡼛',
+  gai: '㕢㧉㮣㱾䀭䏗䪱丐乢侅匃匄垓姟峐忋戤摡改晐概槩槪溉漑瓂畡盖祴絠絯荄葢蓋該该豥賅賌赅郂鈣钙陔𠌰𡒖𡧣𢅤𢍓𢪑𢻉𦫻𧊏𧯺𨞨𨮂𨱕𨱣𨸛𩕭',
+  gan: '㺂㽏䃭䇞䔈䤗䯎䲺䵟仠倝凎凲坩尲尴尶尷干幹忓感擀攼敢旰杆柑桿榦橄檊汵泔淦漧澉澸灨玕甘疳皯盰矸秆稈竿筸簳粓紺绀肝芉苷衦詌贑贛赣赶趕迀酐骭魐鱤鳡鳱龫𠄃𠄋𠇵𠐱𠖫𠭖𡯋𡶑𢧀𣁖𣆙𣗲𣘠𣦖𣵼𣹟𤌹𤮽𤯌𥕵𥘏𥰟𥸡𥾍𦪧𦼮𦾮𧆐𧹳𧾲𨝌𨣉𨣝𨳼𩉐𩖦𩚵𩢨𩴁𩴵𩹸𪉿𪊄𪊇𪔆',
+  gang: '㟠㟵㧏㭎㽘䚗䴚冈冮刚剛堈堽岗岡崗戅戆戇掆摃杠棡槓港焵焹牨犅疘矼筻綱纲缸罁罡肛釭鋼鎠钢𠅣𠵹𡇬𢭈𢰌𣗵𣦐𦋳𦱌𧧭𨟼',
+  gao: '㚏㚖㾸䔌䗣勂吿告夰峼搞杲槀槁槔槹橰檺櫜皋皐睾祮祰禞稁稾稿筶篙糕縞缟羔膏臯菒藁藳誥诰郜鋯鎬锆镐韟餻高髙鷎鷱鼛𡋟𡒩𡜲𡷥𡼗𢍎𢞟𣓌𣝏𣽎𤱟𥓖𥡅𥢐𥢑𦍚𦍱𦏦𦤎𦺆𧚡𧜉𧠼𧢌𨝲𩋺𩏤𩓢𩔇𩕍𩫓𪔘',
+  ge: '㗆㝓㠷㢦㦴㨰㪾㵧㷴䆟䈓䐙䕻䗘䘁䛋䛿䢔䧄䨣䩐䪂䪺䫦个亇佫佮個割匌各呄哥哿嗝嗰圪塥彁愅戈戓戨挌搁搿擱敋格槅櫊歌滆滒牫犵獦疙笴箇肐胳膈臵舸茖葛虼蛒蛤袼裓觡諽謌輵轕鉻鎘鎶铬镉閣阁隔革鞈鞷韐韚饹騔骼鬲鮯鴚鴿鸽𠇂𠛊𠛢𠯫𠲱𠸲𠹓𠹭𠺝𡟍𢆜𢎄𢓜𢡍𢧧𢩓𢯹𢼛𣭝𤇞𤕒𤜊𤠇𤩲𤭻𤰙𥉅𥢸𥰮𥴩𥺊𦑜𦓱𦨜𧈌𧈑𧈖𧊧𧎺𧗶𧿩𨍮𨏚𨏴𨐥𨝆𨞛𨟶𨾓𩎎𩢅𩢛𩹺𩹿𩼙𩾷𪀁𪀉𪃿𪄎𪌣',
+  gei: '給给',
+  gen: '㫔㮓䫀亘亙哏揯搄根艮茛跟𠀕𠄣𠛵𥃩𨒼𩒝𩓓',
+  geng: '㾘䋁䌄䱍䱎䱭䱴刯哽埂堩峺庚挭更梗椩浭焿畊絚綆緪縆绠羮羹耕耿莄菮賡赓郠骾鯁鲠鶊鹒𠡣𡍷𡩃𢙾𢞚𣆳𣎄𥅨𥉔𥔂𥾚𦚸𦛟𦜷𦞌𦣍𦵸𧀙𧋑𧙸𧰨𩂼𩜣𩱁𩱋𩱧',
+  gong: '㓋㔶㤨㧬㫒㭟㯯㺬㼦䂬䇨䡗䢚䢼侊供公共功匑匔厷唝嗊塨宫宮工巩幊廾弓恭愩慐拱拲攻杛栱汞熕珙碽篢糼糿肱蚣觥觵貢贡躬躳輁鞏髸龏龔龚龷𠃋𠇒𠌕𠞖𠬞𡔕𡚑𡟫𢀜𢁠𢖷𢸁𤅐𤨶𤬳𤱨𥧂𥧡𥨐𥫋𥫔𥸲𦄜𦈩𦊫𦓳𦔸𦞗𦞨𦩼𦬘𧆷𧎡𧘏𨉫𨊧𨋑𨋝𨋷𨒱𨣂𨴛𩃙𩌌𩐣𩛘𪄌𪏠𪏢',
+  gou: '㗕㜌㝅㝤㨌㳶㺃㽛䃓䑦䝭䞀佝冓勾啂坸垢够夠姤媾岣彀搆撀构構沟溝煹狗玽痀笱篝簼緱缑耇耈耉芶苟蚼袧褠覯觏訽詬诟豿購购遘鈎鉤钩雊鞲韝𠛎𡖑𡗁𢄇𣕉𣕌𣙱𣫌𤖮𤚼𤠼𤫱𥉇𥧒𥬉𥴴𥿺𦂐𦎯𦎼𦩷𦱣𦵷𦽋𧃛𧲿𧵈𨩦𩄢𪃺',
+  gu: '㒴㚉㠫㠬㧽㯏㼋㽽㾶䀇䀜䀦䀰䅽䊺䍍䍛䐨䓢䜼䡩䮩䵻䶜估傦僱凅古咕唂唃啒嘏固堌夃姑嫴孤尳崓崮巬巭愲扢故杚柧梏棝榖榾橭毂汩沽泒淈濲瀔牯牿痼皷皼盬瞽祻稒穀笟箍箛篐糓縎罛罟羖股脵臌苽菇菰蓇薣蛄蛊蠱觚詁诂谷軱軲轂轱辜逧酤鈲鈷錮钴锢雇顧顾餶馉骨鮕鯝鲴鴣鶻鸪鹘鼓鼔𠑹𠷞𠻧𠽿𡗷𡷓𡽂𢝳𢡇𢫈𣀐𣖫𣦩𣦭𣨍𣨺𣪸𣫀𣱫𤅱𤚱𥂰𥐬𥠳𥮝𥵠𥿍𦊬𦋆𦎰𦙶𦱄𦺠𦾫𧆻𧇡𧟣𧣡𧬕𧳸𧵎𧵑𨠋𨪷𨬕𨵐𨸯𩙏𩲱𩴡𪇗𪕷',
+  gua: '㒷䈑䒷冎刮剐剮劀卦叧呱啩坬寡挂掛栝桰歄煱瓜絓緺罣胍褂詿诖趏踻颪颳騧鴰鸹𠆣𠈥𠊰𠙼𠛒𠜵𠟗𠮠𠯑𠵯𡜁𣅻𤆜𥄼𥈓𥝒𧤐𧬮𧿼𨵃𩢍𩻎𪇜',
+  guai: '㧔㷇㽇䂯䊽乖叏夬怪恠拐枴柺箉罫𠁥𠁰𠛕𠦬𡇸𡌪𡖪𡧩𢶒𣑍𣲾𥑋𥑰𦫳𦮃𧊅𧱾𧴚𩶦',
+  guan: '㮡㴦䌯䎚䏓䗆䗰䘾䙛䙮䝺䦎䩪䪀䲘丱倌关冠卝官悹悺惯慣掼摜棺樌欟毌泴涫潅灌爟琯璭瓘痯瘝癏盥矔礶祼窤筦管罆罐舘莞蒄覌観觀观貫贯躀輨遦錧鏆鑵関闗關雚館馆鰥鱞鱹鳏鳤鸛鹳𠕍𠬆𠴨𡅭𡠒𡦹𡭷𢇅𢇇𢉂𢺄𣥥𣩔𣬂𤼐𥈒𥉀𥊫𥍅𥎅𥜄𥷬𥿑𦛤𦺊𨝑𨵄𨷀𩖒𪈸',
+  guang: '㫛俇僙光咣垙姯广広廣桄洸灮炗炚炛烡犷獷珖胱臦臩茪輄逛銧黆𠏤𢓯𤖖𤳭𤴀𥀱𦢎𧻺𨎩𨤡𨶰𩑈𩒚𩧉𪇵𪕓',
+  gui: '㔳㙺㧪㨳㩻㪈㲹㸵䁛䇈䌆䍯䍷䐴䙆䝿䞈䞨䠩䣀䤥䯣䰎䲅䳏亀佹刽刿劊劌匦匭厬圭垝妫姽媯嫢嬀宄嶲巂帰庋庪廆归恑摫撌攰攱昋晷柜桂桧椝椢槶槻槼樻檜櫃櫷歸氿湀猤珪瑰璝瓌癐癸皈眭瞆瞡瞶硅祪禬筀簋胿茥蓕蘬蛫螝蟡袿襘規规觤詭诡貴贵跪軌轨邽郌鐀鑎閨闺陒雟鞼騩鬶鬹鬼鮭鱖鱥鲑鳜龜龟𠁴𠐽𠪑𠱓𡃩𡌲𡗤𡧭𡬂𡷺𡹙𢃯𢄊𢠿𢻂𣄜𣢪𣦦𣧎𣪕𣪘𣷾𤘧𤡱𤱺𤱾𤲉𤻿𤼮𤿡𥇳𥈸𥍁𥍨𥎛𥜏𥥠𥦣𦓯𦤇𦳛𧊄𧡫𧷱𧻜𨇙𨋡𨲿𨾚𨾴𩉝𩊛𩍨𩏐𩏡𩓠𩓸𩔆𩪁𩱻𩲡𩳝𩳧𪀗𪄯𪆳𪈥𪊧𪏤',
+  gun: '㙥㫎㯻䃂䎾䜇䵪丨惃棍滚滾睔磙緄緷绲蓘蔉衮袞謴輥辊鮌鯀鲧𠃌𠞬𡈧𡘝𡻨𢃩𣮎𦓼𦠺𦫎𧬪𧸫𨍽𩨬𩩌',
+  guo: '㕵㖪㗻㚍㞅㳀㶁䂸䆐䐸䙨䤋䬎䴹啯嘓囯囶囻国圀國埚堝墎崞帼幗彉彍惈慖懖掴摑果椁楇槨淉漍濄猓瘑簂粿綶聒聝腂腘膕菓蔮虢蜾蝈蟈裹褁輠过過郭鈛鍋鐹锅餜馃馘𠅪𠋜𠜴𠩥𠿤𡇄𡇅𡓣𢃦𢅗𢐚𢝸𢧰𢸗𢹖𣁯𣂄𣽅𣽰𤂁𤮋𥁁𥂣𥄍𥆘𥕖𥜭𦄰𦗒𦘌𦛢𦬗𦸈𧒖𧒘𧖻𧤯𧥵𧭕𧭣𧰒𧾛𨉹𨭗𨽏𩉕𩋗𩟂𩪐𩫏𩫖𩰫𩰬𩰭𩻧𪂠𪆹𪈃𪋊',
+  ha: '哈紦鉿铪𡄟𨉣',
+  hai: '㜾㤥㦟㧡㨟㺔䇋䠹䠽䯐䱺亥咍嗐嗨塰妎孩害氦海烸胲还還酼醢餀饚駭駴骇骸𠀅𠔑𠹛𡕗𡧱𡾨𢞐𢩸𢻜𣖻𣢇𣳗𣳠𤵽𥁐𥂧𥩤𥩲𦐤𦤦𦤬𦷷𧻲𧽊𧽖𨀖𨡬𨸜𩞞𩠚𩡔𩪃𩰶𩹄',
+  han: '㑵㒈㖤㘎㘕㘚㙈㙔㙳㜦㟏㟔㢨㨔㪋㮀㲦㵄㵎㶰㸁㺖㼨㽉㽳䁔䈄䌍䍐䍑䎯䏷䐄䓍䓿䕿䖔䗙䘶䛞䤴䥁䧲䨡䫲䮧䶃丆佄傼兯函凾厈含哻唅喊圅垾娢嫨寒屽崡嵅悍憨憾扞捍撖撼旱晗晘暵梒汉汗浛浫涆涵漢澏瀚焊焓熯爳犴猂琀甝皔睅筨罕翰莟菡蔊虷蚶蛿蜬蜭螒譀谽豃輚邗邯酣釬銲鋎鋡閈闬雗韓韩頇頷顄顸颔馠馯駻魽鶾鼾𠗙𠗴𠢇𠤮𠤾𠥴𠦊𠲒𠳾𠵸𠹄𠽦𠿑𡁀𡇜𡣔𡬖𡷛𡻡𢀵𢃗𢄜𢇞𢎘𢔈𢔔𢧦𢽎𣐺𣒷𣘞𣛴𣝽𣢅𣢟𣢺𣵷𣹢𤀉𤌐𤞶𤬯𤭙𤳉𤸕𤿧𥀐𥆡𥇌𥉰𦋣𦒅𦒋𦒝𦜆𦞞𦥖𦺦𧂃𧃙𧅻𧑚𧭻𧮰𧮳𧯘𧰪𧵊𧹣𧾔𨁄𨛎𨢈𨸗𩄙𩈣𩎒𩏑𩔞𩕠𩖺𩗤𩞿𩦊𩭥𩹑𩹼𩾝',
+  hang: '㤚䀪䘕䟘䣈䦳䲳䴂吭垳夯斻杭沆笐筕絎绗航苀蚢裄貥迒頏颃魧𠡊𡕧𣃚𤰟𤵻𤼍𥮕𦐄𦨵𧘃𧦑𨁈𨾒𩉜𩔋𩠾𩲋𪐦𪕇',
+  hao: '㕺㘪㙱㚪㝀㞻㠙㩝㬔㬶㵆䒵䚽䜰䝞䝥䧚䧫䪽䬉䯫乚侴傐儫号哠嗥嘷噑嚆嚎壕好恏悎昊昦晧暠暤暭曍椃毜毫浩淏滈澔濠灏灝獆獋獔皓皜皞皡皥秏竓籇耗聕茠蒿薃薅薧號蚝蠔譹豪郝鄗顥颢鰝𠚃𠢕𡐒𡚌𡚽𡠖𡥆𡽝𢫩𢻇𣆧𣘫𣚧𣭖𣭹𤀃𤝐𤡇𤢨𤢭𤩩𤩭𤫧𥍣𦳁𧇼𧐢𧬁𧯌𨂜𨒑𨚙𨚮𨠬𨼍𩐮𩖸𩫕𩫚𩮘𩲊',
+  he: '㓭㔠㕡㕰㗿㥺㦦㪃㪉㬞㭘㭱㮝㮫㰤㵑㷎㷤㹇㿣䃒䅂䎋䒩䓼䕣䚂䞦䢗䪚䫘䳚䳽䴳䵱䶅何劾合呵咊和哬啝喝嗃嗬嚇垎壑姀寉峆惒抲敆曷柇核楁欱毼河涸渮澕焃煂熆熇燺爀狢癋皬盇盉盍盒碋礉禾篕籺粭紇纥翮翯荷菏萂螛蠚袔褐覈訶訸詥謞诃貈貉賀贺赫郃釛鉌鑉閡閤闔阂阖靍靎靏鞨頜颌餄饸魺鲄鶡鶮鶴鸖鹖鹤麧齕龁龢𠀀𠕛𠗂𠘢𠚔𠡀𠧕𠰓𠳇𠳊𠵩𠶹𠶾𠻙𡇞𡇶𡎓𡫥𢄍𢅰𢥳𢬲𣆈𣏷𣒍𣣹𣲲𣿌𤈧𤌾𤖱𥋿𥘫𥝖𥝸𥞄𥞍𥟃𥻉𥽶𦃔𦇸𦒏𦘿𦛘𦛜𦞦𦳬𦺞𦼵𦽅𧀔𧇎𧇮𧊝𧊬𧝂𧝳𧨂𧪞𧬂𧬱𧭳𧮵𧯉𨋟𨍇𨜱𨜴𨨛𨴢𩄸𩅢𩌡𩐥𩑸𩩒𩩲𩵢𪈊',
+  hei: '嘿潶黑黒𢖛𢡀𥕙𨭆𩻤',
+  hen: '㯊䓳佷很恨拫狠痕詪鞎𦚣',
+  heng: '㔰㶇䄓䒛䬖䬝䯒亨哼啈姮恆恒悙撗桁横橫涥烆珩胻脝蘅衡鑅鴴鵆鸻𠄨𠅖𠔲𠧿𡧦𣨉𤮏𥞧𦨾𦶙𧝒𪏓',
+  hong: '㖓㢬㬴㶹䀧䂫䃔䆖䉺䍔䜫䞑䡌䡏䧆䨎䩑䪦䫹䫺䲨仜叿吰呍哄嚝垬妅娂宏宖屸弘彋揈撔晎汯沗泓洪浤渱渹潂澒灴烘焢玒玜硔硡竑竤篊粠紅紘紭綋红纮羾翃翝耾苰荭葒葓蕻薨虹訇訌讧谹谼谾軣輷轟轰鈜鉷銾鋐鍧閎閧闀闂闳霐霟鞃鬨魟鴻鸿黉黌𠐿𠪷𠲓𠳃𠹅𡇳𡵓𡺭𢂔𢗵𢘌𢝻𢦅𢬀𢼦𣽝𤂲𤃫𤄏𤟼𥈿𥏕𥓰𥔀𥕗𥥈𥥡𥰲𦁷𦏺𦐳𦑟𦑠𦒃𦕠𦕷𦶓𧈽𧊯𧋔𧐬𧮯𧮴𧾧𨌁𨌆𨎗𨢣𨥺𨹁𨾊𩐠𩒓𩒴𩒼𩓅𩕆𩕉𩖉𩗄𩗢𩘇𩘎𩙛𩰓𪈘',
+  hou: '㕈㖃㗋㤧㫗㬋㮢㸸㺅䂉䗔䙈䞧䪷䫛䳧侯候厚后吼吽喉垕堠帿後洉犼猴瘊睺矦篌糇翭翵茩葔豞逅郈鄇銗鍭餱骺鮜鯸鱟鲎鲘齁𠊱𠯜𠴣𠷋𡞥𡟑𡹵𢜴𣔹𣣠𣣡𤘽𤙽𥀃𥅠𥈑𥚦𦍵𦑚𦚥𦞈𦞕𧇹𧙺𧩨𧮶𧻿𧼵𨒥𨜫𨩀𩃺𩄬𩘋𩙡𩝍𪃶𪄗𪅺𪇂𪑻𪖙',
+  hu: '㕆㗅㝬㦿㨭㪶㫚㯛㸦㹱㺉㾰㿥䁫䇘䈸䉉䉿䊀䍓䎁䔯䕶䗂䚛䛎䞱䠒䧼䨥䨼䩴䪝䬍䭅䭌䭍䮸䰧䲵乎乕乯互俿冱匢匫呼唬唿喖嗀嘑嘝嚛囫垀壶壷壺婟媩嫭嫮寣岵帍幠弖弧忽怘怙恗惚戶户戸戽扈抇护搰摢斛昈昒曶枑楜槲槴歑汻沍沪泘浒淴湖滬滸滹瀫烀焀煳熩狐猢琥瑚瓠瓳祜笏箶簄粐糊絗綔縠胡膴芐苸萀葫蔛蔰虍虎虖虝蝴螜衚觳謼護豰軤轷鄠醐錿鍙鍸隺雐雽頀頶餬鬍魱鯱鰗鱯鳠鳸鵠鶘鶦鸌鹄鹕鹱𠇼𠍐𠥰𠦪𠪳𠯳𠰛𠴱𡍐𡎁𡜂𡞠𡧥𡰅𡱽𡴱𡵘𡹹𡻮𡼘𢆰𢉢𢎵𢏯𢑢𢑹𢚪𢨥𢨦𢪏𢽨𣄟𣎚𣑂𣓗𣙶𣛫𣝗𣡾𣪺𣫅𣫈𣲑𣹬𤇠𤌍𤎲𤐀𤘔𤘵𤜷𤝘𤞲𤨖𤭱𤵡𤶘𤹣𤾅𥂤𥇰𥐿𥢟𥨉𥰪𥲉𥶜𥷆𥾨𦁕𦊂𦊍𦊘𦊧𦏗𦖼𦗣𦧘𦩕𦬚𦭈𦴉𦷳𦺟𧂔𧅰𧆢𧆮𧆯𧇛𧇰𧌧𧍵𧗌𧘢𧛞𧞒𧠩𧢰𧣼𧥮𧥯𧦚𧦝𧩓𧰴𧲇𧲥𧹲𧹾𧻰𧿓𧿠𨍲𨕚𨖃𨛵𨝘𨝞𨢋𨢤𨣗𨥛𨴬𩂂𩑶𩖨𩚩𩢪𩨔𩰯𩱍𩳋𩳨𩵬𩶈𩾻𪂒𪄮𪍂𪏳𪏻𪕉𪕮𪕱',
+  hua: '㓰㕦㕲㕷㚌㟆㠏㦊㦎㩇㭉㮯䅿䏦䔢䛡䠉䱻䶤划劃化华呚哗嘩埖夻姡婲婳嫿嬅崋搳摦撶杹枠桦椛槬樺滑澅猾画畫畵硴磆糀繣舙花華蒊蕐蘤螖觟話誮諙諣譁譮话釪釫鋘錵鏵铧驊骅鷨黊𠌶𠝐𠤎𠳂𠿜𡁑𡼀𢄶𢦚𢼤𤁪𤙕𥉄𥒶𥢮𥧰𦁊𦖍𦧠𦧵𦧹𦪠𦰗𦶎𦽊𧑍𧨋𧽌𨣄𨶬𨶱𩂤𩗐𩝨𩤉𩲏𩵏𩸄',
+  huai: '㜳㠢䃶䈭䴜咶坏壊壞徊怀懐懷槐櫰淮瀤耲蘹蘾褢褱踝龨𡾝𣟉𣩹𣸎𤜄𦏨𦧬𧱳𩌃𩟮𪊉',
+  huan: '㓉㕕㡲㣪㦥㪱㬇㬊㵹㶎㹖㼫㿪䀓䀨䆠䈠䍺䝠䥧䦡䭴䮝䯘䴟唤喚喛嚾圜堚奂奐嬛孉宦寏寰峘嵈幻患愌懽换換擐攌桓梙槵欢歓歡洹浣涣渙漶澣澴烉焕煥犿狟獂獾环瑍環瓛痪瘓睆糫絙綄緩繯缓缳羦肒荁萈萑藧讙豢豲貆貛轘逭酄鍰鐶锾镮闤阛雈驩鬟鯇鯶鰀鲩鴅鵍鹮𠂄𠄔𠟼𠺐𠻍𡄤𡅱𡅻𡍦𡘍𡚊𡚜𡩂𡱌𡷗𢟿𣌓𤀣𤃬𤛚𤡟𤢁𤴯𤼢𤽅𤽕𥈉𥏇𥐓𥠅𥶍𥹚𦅻𦌦𦑛𦝝𦣴𦻃𦼉𧚁𧡩𧴊𨕹𨜌𨽧𩍡𩑖𩙽𩡧𩦘𩵄𩸩𩿊𪈩𪊥𪍺',
+  huang: '㞷㠵㡆㤺㨪㬻㾠㾮㿠䁜䅣䊗䊣䌙䍿䐠䐵䑟䞹䪄䮲䳨偟兤凰喤堭塃墴奛媓宺崲巟幌徨怳恍惶愰慌揘晃晄曂朚楻榥櫎湟滉潢炾煌熀熿獚瑝璜癀皇皝皩磺穔篁簧縨肓艎荒葟蝗蟥衁詤諻謊谎趪遑鍠鎤鐄锽隍韹餭騜鰉鱑鳇鷬黃黄𠂸𠃤𡉚𡜋𡡄𡧽𡿰𢁹𢇟𣄙𣆖𣉪𣺬𤆴𤚝𤛥𤠛𤭉𤯷𤾑𥡃𥫼𥿪𦟁𦟮𦡽𦪗𦵽𧕸𧖬𧠬𨉁𨉤𨍧𨚳𨜔𨝴𩞩𩢯𪀞𪏍𪏒𪏙',
+  hui: '㑰㑹㒑㜇㞧㤬㥣㨤㨹㩓㩨㬩㰥㱱㷄㷐㻅䂕䃣䅏䇻䏨䕇䙌䙡䛛䛼䜋䜐䤧䧥䩈䫭会佪僡儶匯卉咴喙嘒噅噕嚖囘回囬圚婎媈嬒寭屶屷幑廻廽彗彙彚徻徽恚恛恢恵悔惠慧憓懳拻挥揮撝晖晦暉暳會楎槥橞檅檓櫘毀毁毇汇泋洃洄湏滙潓濊瀈灰灳烠烣烩煇燬燴獩璤璯痐瘣睢睳瞺禈秽穢篲絵繢繪绘缋翙翚翬翽芔茴荟蔧蕙薈薉藱蘳虺蚘蛔蛕蜖蟪袆褘詯詼誨諱譓譭譿讳诙诲豗賄贿輝辉迴逥鏸鐬闠阓隓隳靧頮顪颒餯鮰鰴麾𠃐𠍗𠓊𠧩𠯠𠲛𠽡𠿔𡋙𡏁𡒾𡜦𡢕𡥋𡭛𡯥𡰋𡹎𡹯𢀡𢄣𢅫𢊄𢊇𢕺𢟾𢻔𣄓𣋘𣌭𣨶𣸀𤃽𤆳𤈦𤌋𤕚𤜋𤜡𤟤𤳳𤴄𤸁𤾈𥀠𥃌𥊔𥌍𥔯𥱵𥴯𥶵𥸃𦂆𦒎𦞙𦡖𦭹𦽐𧉇𧏧𧖢𧗏𧗼𧧾𧬨𧭾𧳐𨊢𨍹𨗥𨘇𨘲𨛤𨦗𨵘𩃾𩆁𩇻𩒏𩒳𩔁𩗝𩢱𩶥𩻟𪀟𪀬𪈑𪊂𪎮𪏇𪏏𪑀𪔊𪖕',
+  hun: '㑮㥵㨡䅙䅱䚠䛰䡣䧰䫟䰟䴷俒倱圂婚婫尡忶惛慁掍昏昬棔殙浑涽混渾溷焝珲琿睧睯睴荤葷蔒觨諢诨轋閽阍餛馄魂鼲𠇌𠉣𡇯𡨩𣇲𣝂𣣏𣣞𣨿𦃕𦞢𦟲𦡵𦵣𧠚𧣢𨂱𨋨𨏂𨡫𩅴𩇇𩏖𪌽𪑕',
+  huo: '㗲㘞㦜㦯㨯㯉㸌䁨䂄䄀䄆䄑䉟䋭䣶䦚䯏䰥䱛伙佸俰剨劐吙咟喐嚄嚯嚿夥奯彟彠惑或捇掝擭攉旤曤檴沎活湱漷濩瀖火灬煷獲癨眓矆矐祸禍秮秳秴穫窢耠耯臛艧获蒦藿蠖謋豁貨货邩鈥鍃鑊钬锪镬閄雘霍靃韄騞𠙞𠯐𡄴𡓘𡪞𡯢𡿿𢃎𢋒𢝇𢞕𣄸𣉒𣤨𤁹𤃴𤆄𤊴𤏘𤐰𤬁𤻙𥇙𥊮𥒠𥙨𥚟𥝂𥽥𦑌𦒧𦨯𧆑𧤴𧯆𧯱𧵻𧷴𨐶𨘌𨙀𨯟𨷮𩆀𩞺𩟨𩟸𩪭𩭳𪒩',
+  ji: '㑧㒫㔕㖢㗊㗱㘍㙨㙫㚡㚻㞃㞆㞛㞦㠍㠖㠱㡇㡭㡮㤂㥍㥛㦸㧀㨈㭰㭲㮟㮨㰟㱞㲅㲺㳵㴉㴕㸄㹄㻑㻷㽺㾊㾒㾵䁒䇫䋟䍤䐀䐕䐚䒁䓫䓽䗁䚐䜞䝸䞘䟇䟌䠏䢋䢳䣢䤒䤠䦇䨖䩯䪢䮺䯂䰏䲯䳭䶓䶩丮乩亟亼亽伋伎佶偈偮僟兾冀几击刉刏剂剞剤劑勣卙即卽及叝叽吉咭哜唧喞嗘嘰嚌圾坖垍基堲塈塉墼妀妓姞姬嫉季寂寄屐岌嵆嵇嵴嶯己幾庴廭彐彑彶徛忌忣急悸惎愱懻戟戢技挤掎揤撃撠擊擠旡既旣暨暩曁朞机极枅梞棘楖楫極槉槣樭機橶檕檝檵櫅殛毄汲泲洎济済湒漃漈潗激濈濟瀱焏犄犱玑璣璾畸畿疾痵瘠癠癪皀皍矶磯磼祭禝禨积稘稩稷稽穄穊積穖穧笄笈筓箕箿簊籍紀紒級継綨緁緝績繋繼级纪继绩缉罽羁羇羈耤耭肌脊膌臮艥芨芰茍茤荠葪蒺蓟蔇蕀蕺薊薺蘎蘮蘻虀虮蝍螏蟣裚襀襋覉覊覬觊觙觭計記誋諅譏譤计讥记谻賫賷赍趌跡跻跽踑踖蹐蹟躋躤躸輯轚辑迹郆銈銡錤鍓鏶鐖鑇鑙际際隮集雞雧霁霵霽鞿韲飢饑饥驥骥髻鬾魕魝魢魥鯚鯽鰶鰿鱀鱭鱾鲚鲫鳮鵋鶏鶺鷄鷑鸄鸡鹡麂齌齎齏齑龮﨤𠀮𠀷𠃨𠄹𠋻𠍃𠑃𠓛𠓞𠔋𠔐𠔛𠔸𠕨𠗏𠚽𠟣𠥊𠥩𠦫𠨕𠨠𠫷𠮯𠮷𠯉𠱨𠲹𠴩𠴫𠶻𠷌𠹋𠼻𠿉𠿠𡁪𡁰𡃃𡅺𡇟𡋚𡚦𡜱𡥞𡦊𡦪𡧯𡨜𡪱𡫀𡬄𡰵𡰸𡲆𡳮𡹪𡽉𡿙𢁂𢃺𢆻𢉗𢍇𢏞𢓄𢗂𢗹𢚁𢜭𢡴𢧢𢨐𢩦𢭄𢰒𢱣𢺼𢼋𢼷𣄯𣄱𣇳𣏡𣔽𣖷𣛔𣜇𣢆𣣝𣪠𣬠𣯅𣰈𣱗𣳃𣹜𣽍𤈄𤊵𤋭𤌿𤎗𤓑𤕬𤛄𤜝𤜾𤠎𤤋𤫝𤳎𤵀𤷉𤺷𤿠𥄫𥈂𥊬𥋥𥒡𥕂𥖙𥘌𥝌𥠋𥡒𥡴𥣩𥨿𥪫𥪼𥫶𥭋𥭌𥭜𥰦𥳏𥷙𥺵𥾊𦁳𦂑𦆡𦇧𦋋𦌗𦌭𦌰𦎢𦜸𦝖𦠄𦠾𦩧𦪱𦮯𦮼𦳌𦵾𦶍𦺩𦺬𦺴𦺶𦼷𦾲𦿓𧃞𧇯𧉆𧉍𧎿𧐐𧓓𧗒𧗓𧟜𧡉𧡯𧢾𧤏𧥄𧧃𧧟𧧩𧩦𧪇𧪠𧫜𧫠𧮭𧽑𧾽𧾾𨀶𨂋𨂢𨄐𨅤𨊻𨋉𨍺𨐆𨒴𨛉𨛑𨜒𨢵𨣧𨤹𨦮𨪏𨮺𨯀𨲪𨳋𨳻𨸚𨹶𨻕𩀖𩉢𩐆𩓮𩚮𩜆𩞊𩠨𩥉𩦤𩨒𩩛𩯋𩴃𩺀𩼄𩼚𪂍𪂺𪄵𪄸𪅹𪊆𪊋𪊨𪌍𪔋',
+  jia: '㔖㕅㪴㮖㼪㿓䀫䀹䁍䑝䕛䖬䛟䩡䴥乫价佳假傢價加叚唊嘉圿夹夾婽嫁家岬幏徦忦恝戛戞扴抸拁斚斝架枷梜椵榎榢槚檟毠泇浃浹犌猳玾珈甲痂瘕稼笳糘耞胛脥腵荚莢葭蛱蛺袈袷裌豭貑賈贾跏迦郏郟鉀鉫鋏鎵钾铗镓頬頰颊駕驾鴐鴶鵊麚𠷉𠺢𡊠𡩚𡭘𡶥𢂷𢉤𢜿𢫢𢱈𢱌𣦉𣪇𣮫𤖰𤗜𤟚𤠙𥇗𥋣𥑐𥑔𥝿𥞵𥡮𥹌𦎮𦎱𦙺𦣯𦧮𦨦𦸘𦺧𦽤𧉪𧦤𧿵𨒇𨔗𨔣𩉡𩊏𩌍𩚲𩛩𩨹𩲣𩶛𪆲𪇷𪈟𪐓𪔟',
+  jian: '㓺㔋㔓㣤㦗㦰㨴㨵㯺㰄㳨㶕㺝䄯䅐䇟䉍䛳䟅䟰䤔䥜䧖䩆䬻䭈䭕䭠䮿䯛䯡䵖䵛䵡䵤䶠䶬件俭俴倹健僭儉兼冿减剑剣剪剱劍劎劒劔囏囝坚堅堿墹奸姦姧寋尖帴幵建弿彅徤惤戋戔戩戬拣挸捡揀揃搛撿擶旔暕枧柬栫梘检検椷椾楗榗槛樫檢檻櫼歼殱殲毽洊涧渐減湔湕溅漸澗濺瀐瀳瀸瀽煎熞熸牋牮犍猏玪珔瑊瑐监監睑睷瞷瞼硷碊碱磵礀礆礛礷笕笺筧简箋箭篯簡籛糋絸緘縑繝繭缄缣翦肩腱臶舰艦艰艱茧荐菅菺葌蒹蔪蕑蕳薦藆虃蠒袸裥襇襉襺見覵覸见詃諓諫謇謭譛譼譾谏谫豜豣賎賤贱趝趼跈践踐踺蹇轞鉴鋻鍳鍵鏩鐗鐧鐱鑑鑒鑬鑯鑳锏键間间雃靬鞬鞯韀韉餞餰饯馢鬋鰎鰔鰜鰹鲣鳒鳽鵑鵳鶼鹣鹸鹻鹼麉𠊒𠍚𠏇𠐻𠫘𠹟𠼤𠽱𠿏𡄑𡄓𡅶𡑯𡬵𡭭𡸃𡾰𢃬𢆞𢆦𢍫𢐆𢦺𢨿𢩀𢳚𢵈𣘖𣚙𣜭𣝕𣠷𣤭𣥞𣮏𣳲𣴓𣽖𣽦𤀩𤄒𤍖𤧣𤪋𤷃𥀹𥊇𥌈𥍀𥍹𥡝𥢇𥯦𥳒𥳟𥳷𥴱𥽐𦁲𦂇𦋰𦏔𦙪𦟌𦢣𦣨𦩵𦺍𦺘𦽇𦾶𧀇𧀵𧂂𧂆𧂢𧅆𧗸𧙧𧢖𧤨𧥈𧬫𧮈𧲨𧽯𨎫𨏊𨔥𨢑𨣇𨤄𨪅𨰓𨳡𨳿𨴾𨵭𨷓𩃔𩅼𩆷𩇏𩉍𩉔𩋋𩌯𩍎𩛧𩟗𩱃𩻘𩽜𪃛𪆿𪉦𪋁𪏊𪐻𪒫𪒹',
+  jiang: '㢡㯍㹔䁰䉃䋌䒂䕬䙹䞪䥒傋僵勥匞匠塂壃夅奖奨奬姜将將嵹弜弶摪摾桨槳橿櫤殭江洚浆滰漿犟獎畕畺疅疆礓糡糨絳繮绛缰翞耩膙茳葁蒋蔣薑螀螿講謽讲豇酱醤醬降韁顜鱂鳉𠘌𠼢𡏞𡑶𡲣𡷍𢘸𢪇𣚦𣨣𣩴𣫳𤕭𤕯𤖅𤖛𤛜𤟌𥆅𥔣𥗪𥞜𥬮𥷃𦦗𧘍𨃇𨜰𨡓𨯞𩌾𩝽𩴒𩷄𩷭𪀘',
+  jiao: '㚣㠐㩰㬭㭂㰾㳅㽱㽲䀊䁶䂃䆗䘨䚩䜈䠛䢒䣤䥞䪒䴔䴛交佼侥僥僬儌剿劋勦叫呌嘂嘄嘦噍噭嚼姣娇嬌嬓孂峤峧嶕嶠嶣徺徼憍憿挍挢捁搅摷撟撹攪敎教敫敽敿斠晈暞曒椒浇滘漖潐澆灚烄焦煍燋燞狡獥珓璬皎皦皭矫矯礁穚窌窖笅筊簥絞繳纐绞缴胶脚腳膠膲臫艽茭茮蕉藠虠蛟蟜蟭角訆譑譥賋趭跤踋較轇轎轿较郊酵醮釂鉸鐎铰餃饺驕骄鮫鱎鲛鵁鷦鷮鹪龣𠕧𠘣𠜅𠝑𠞰𠩏𡂢𡏭𡓖𡙎𡟠𡥈𡬋𢀌𢄺𢅎𢒾𢕪𢥚𢧱𢯴𢻟𢼫𣁹𣏑𣝞𣤹𣧦𣩓𣺳𤃭𤉧𤒅𤓪𤕝𤫷𤶀𤶳𥂨𥃤𥃪𥄉𥅟𥇟𥉒𥉼𥏹𥘊𥡤𥦢𥦿𥧦𥳴𥹜𦅃𦌆𦗵𦫶𦮁𧂈𧎙𧎸𧣦𧺜𧾐𨇕𨎦𨎬𨓩𨖵𨝰𨡃𨨴𨲭𨶟𨶪𨶲𨺹𩊔𩎔𩭛𩯘𩱞𩴧𩵰𩿑𪁉𪆄𪖄',
+  jie: '㑘㓗㓤㔛㔾㘶㛃㝌㝏㞯㠹㦢㨗㨩㮞㮮㸅㾏㿍䀷䁓䂒䂝䂶䃈䅥䇒䌖䔿䕙䗻䛺䣠䥛䯰䰺䱄䲙䲸丯介借倢偼傑刦刧刼劫劼卩卪吤唶喈喼嗟堦堺姐婕媎媘媫嫅孑尐屆届岊岕崨嵥嶻巀幯庎徣悈戒截拮捷接掲掶揭搩擑擮昅杢杰桀桝椄楐楬楶榤檞毑洁湝滐潔煯犗狤玠琾界畍疌疖疥痎癤皆睫砎碣礍秸稭竭節結结羯脻节芥莭菨蓵藉蚧蛣蛶蜐蝔蠘蠞蠽街衱衸袺褯解觧訐詰誡誱謯讦诘诫跲踕迼鉣鍻鎅镼阶階鞂鞊頡颉飷骱魪鮚鲒鶛𠂈𠃲𠄍𠅂𠎿𠐉𠓢𠙤𠝹𠬮𠯙𠷟𠹳𡁶𡉷𡔢𡔣𡗦𡗲𡙣𡣯𡨲𡩣𡴹𡵒𡵚𡸎𡽱𢈻𢎔𢎛𢎡𢢂𢧵𢨜𢪍𢫐𢬱𢱄𢷿𢻮𣅜𣙴𣚃𣬫𣮌𣮍𣰞𣳟𣶏𤁢𤘦𤙩𤭧𤮌𤸋𥁂𥇒𥓐𥝔𥝥𥠹𥢻𥵞𥷫𥾌𦀖𦁉𦈰𦎒𦝨𦵴𦺢𦿐𧍠𧍩𧏥𧜅𧞔𧞝𧞩𧞬𧣋𧫑𧼨𧽄𧽟𧾢𧾯𨃲𨐑𨓰𨕽𨥂𨵠𩔄𩘅𩟦𩡺𩢴𩩰𩯰𩾴𩾶𪀾𪁍𪃈𪅸𪇲𪉚𪌧𪑹𪖋',
+  jin: '㝻㨷㬐㬜㯲㯸㰹㱈㴆㶦㶳㹏䀆䆮䋮䌝䐶䑤䒺䖐䗯䘳䝲䤐䥆䫴䭙䶖仅今仐伒侭僅僸儘凚劤劲勁卺厪唫噤嚍堇堻墐壗妗嫤嬧寖尽巹巾廑惍搢斤晉晋枃槿歏殣津浕浸溍漌濅濜烬煡燼珒琎琻瑨瑾璡璶盡矜矝砛祲禁筋紟紧緊縉缙荕荩菫蓳藎衿襟覲觐觔謹谨賮贐赆近进進金釒釿錦钅锦靳饉馑鹶黅齽𠂟𠞱𠞾𠢱𠢵𠪲𠬶𠰇𠾤𠾬𡢳𡥧𡺽𢉅𢎭𢙿𢦊𢬬𢬶𢱷𢽖𣓏𣝌𤄼𤘡𤣶𤧫𤵞𥂵𥖜𥧲𥯑𦎷𦘔𦞬𦧈𦩏𦽔𧔷𧗁𧯷𨆃𨚡𨭺𩀿𩤿𪉢𪏴𪑙',
+  jing: '㕋㘫㢣㣏㬌㵾㹵䔔䜘䡖䴖䵞丼井京亰俓傹儆兢净凈刭剄坓坕坙境妌婙婛婧宑巠幜弪弳径徑惊憬憼敬旌旍景晶暻曔桱梷橸殌汫汬泾浄涇淨澋瀞猄獍璄璟璥痉痙睛秔稉穽竞竟竧竫競竸粳精経經綡经聙肼胫脛腈茎荆荊莖菁葏蟼誩警踁迳逕鏡镜阱靓靖静靚靜頚頸颈驚鯨鲸鵛鶁鶄麖麠鼱𠑱𠓆𠗊𠗌𠦋𠭉𠭗𠭘𠲮𠳬𠷐𡁔𢀖𢈴𢹘𣇵𣋢𣬙𣻒𤜰𤰳𤷦𥅸𥠛𥯙𥶹𦀇𦂠𦜳𦥍𦳲𦽁𦾿𧑊𧓔𧤵𨙷𨥙𨵼𩃋𩇕𩓞𩓨𩰹𩳯𩹢𩻱𪂴𪇒',
+  jiong: '㑋㓏㖥㢠㤯㷗㷡䌹䐃䢛侰僒冂冋冏囧坰埛扃泂浻澃炅炯烱煚煛熲燛窘絅綗蘏蘔褧迥逈顈颎駉駫𠕕𠖷𢂶𢄗𣔲𣕄𤌇𦀝𧍮𨴀𩓺𩚱𪔃𪕍',
+  jiu: '㐇㠇㡱㧕㩆㲃㶭㺩㺵䅢䆒䊆䊘䓘䛮䡂䰗䳎䳔丩久乆九乣倃僦勼匓匛匶厩咎啾奺就廄廏廐慦捄揂揪揫摎救旧朻杦柩柾桕樛欍殧汣灸牞玖疚究糺糾紤纠臼舅舊舏萛赳酒镹阄韭韮鬏鬮鯦鳩鷲鸠鹫麔齨𠃏𠃔𠃖𠃺𠕴𠖬𠙔𠚨𠛩𠜃𠜉𠠳𠣿𠥬𠴄𠿈𡆥𡚮𢀙𢑇𢜥𢽭𣁭𣟼𣲄𤉥𤴥𤴦𤴪𤷑𥆷𥒥𥘦𥠃𥤳𦠢𦭺𦭻𦱠𦱱𦱲𦽬𧡑𧫾𧾻𨖏𨘂𨘮𨳊𨾉𨾞𩏶𩏷𩒦𩢹𩭓𩱼𩶧𪆩',
+  ju: '㐝㐦㘌㘲㜘㞐㞫㠪㥌㨿㩀㩴㪺㬬㮂㳥㽤䃊䄔䅓䆽䈮䋰䏱䕮䗇䛯䜯䡞䢸䢹䣰䤎䪕䰬䱟䱡䴗䵕䶙䶥举乬侷俱倨倶具凥剧劇勮匊句咀啹埧埾壉姖娵婅婮寠局居屦屨岠岨崌巈巨巪弆怇惧愳懅懼抅拒拘拠挙挶据掬據擧昛枸桔梮椇椈椐榉榘橘檋櫸欅歫毩毱沮泃泦洰涺淗湨澽炬烥焗犋犑狊狙琚疽眗矩砠秬窭窶筥簴粔粷繘罝耟聚聥腒舉艍苣苴莒菊蒟蘜虡蚷蜛袓裾襷詎諊讵豦貗趜跔跙距跼踘踞踽蹫躆躹輂遽邭郹醵鉅鋦鋸鐻钜锔锯閰陱雎鞠鞫颶飓駏駒駶驧驹鮈鮔鴡鵙鵴鶋鶪鼰鼳齟龃𠃥𠉧𠋬𠔖𠙆𠚵𠜹𠟰𠤄𠨭𠩀𠮑𠰾𡉎𡒍𡕖𡙳𡢒𡥶𡨅𡨢𡫬𡱾𡳘𡶋𡸘𡸨𡿾𢀓𢚆𢤫𢩁𢯺𣌬𣍇𣎛𣖣𣶝𣻐𤔋𤖵𤜔𤢓𤷢𤼳𥂃𥄷𥇛𥈋𥉁𥘮𥢧𥪏𥬙𥮗𥯔𥲜𥴧𥴪𥷚𦀣𦅽𦇙𦊐𦗻𦙮𦛓𦜛𦞇𦟳𦥑𦱅𦺖𦼈𧂜𧄛𧇽𧝲𧣒𧣻𧤑𧲋𧵞𧷾𧸧𧺹𧻗𧽻𧾣𧿻𨁺𨋧𨍯𨛮𨝮𨧙𨨠𨸰𩉸𩋜𩍔𩍸𩛺𩜃𩧒𩫴𩬜𩭊𩰤𩳵𩴘𩷐𩿝𪀏𪀣𪁥𪂓𪈅',
+  juan: '㢧㢾㪻㯞㷷䄅䅌䌸䖭䚈䡓䣺䥴䳪倦劵勌勬卷呟埍奆姢娟巻帣弮惓慻捐捲朘桊涓淃焆狷獧瓹眷睊睠絭絹绢罥羂脧腃臇菤蔨蠲裐讂鄄鋑錈鎸鐫锩镌餋鹃龹𠔉𠡶𠢚𡘰𡡀𡫂𡱑𢋄𢍏𢎥𢝓𣙢𣚓𣜨𣬋𣬏𤎱𤲨𤺻𥁠𥅬𥆞𥱽𦊌𦌾𦦽𦬾𦮻𦳽𦼱𧎖𧕲𧭦𧯦𨆈𨌫𨤑𨹵𩎳𩏗𩏹𩔱𩜇',
+  jue: '㓸㔃㔢㟲㤜㩱㭈㭾㰐㵐㷾㸕㹟㻕䀗䁷䆕䆢䇶䋉䍊䏐䏣䐘䖼䘿䙠䝌䞵䞷䟾䠇䡈䦆䦼亅倔决刔劂匷厥噊噘噱孒孓屩屫崛崫嶡嶥弡彏憠憰戄抉挗捔掘撅撧攫斍桷橛橜櫭欮氒決泬灍焳熦爑爝爴爵獗玃玦玨珏瑴疦瘚矍矡砄絕絶绝臄芵蕝蕨虳蚗蟨蟩覐覚覺觉觖觮觼訣譎诀谲貜赽趉趹蹶蹷躩鈌鐍鐝钁镢駃鴂鴃鷢𠀔𠄌𠄑𠊬𠎮𠔌𠜾𠢤𠨊𠫃𠶸𡈅𡚠𡲗𡳾𡾜𢁪𢎹𢏷𢔱𢖦𢨏𢩯𢱺𢴭𣅞𣅡𣅲𣖬𣨢𣬎𤛦𤞴𤟎𤹋𤼗𥆌𥈾𥏘𥕲𥛯𥤘𥾮𦁐𦏅𦓐𦛲𦠒𦪘𧍕𧗫𧝃𧣸𧤼𧥎𧮫𧱝𧺐𧽸𧾵𧿺𨊿𨏹𨬐𨰜𨼎𨼱𩊺𩏺𩓻𩧏𩧡𩪗𩰨𪁠𪈴',
+  jun: '㑺㒞㓴㕙㝦㴫㻒㽙䇹䕑䜭䝍俊儁军君呁均埈姰寯峻懏捃攈攟晙桾棞汮浚濬燇珺畯皲皸皹碅竣箘箟莙菌葰蚐蜠袀覠賐軍郡鈞銁銞鍕钧陖隽雋頵餕馂駿骏鮶鲪鵔鵕鵘麇麏麕𠀹𠣕𠨢𡺲𢉦𢻸𤉙𤮪𥇘𥚂𥜮𥡣𦇘𦌺𦴌𦵼𧥺𧯖𧽔𨌘𨛐𨲄𨶊𪍁𪕞',
+  ka: '䘔佧卡咔咖咯喀垰胩裃鉲',
+  kai: '㚊㡁䁗䐩䒓䡷凯凱剀剴勓嘅垲塏奒嵦开忾恺愷愾慨揩暟楷欬炌烗蒈輆鍇鎎鎧鐦铠锎锴開闓闿颽𠢲𡙓𡳂𢋝𢔡𢢚𢾆𤉫𤐩𤡲𤻜𥃣𥎆𥏪𥻄𦂄𦈲𦫼𨴆𩘥𩫀',
+  kan: '㸔㸝䀍䘓䶫侃偘冚凵刊勘坎堪墈崁嵁惂戡栞欿歁看瞰矙砍磡竷莰衎輡轗闞阚顑鬫龕龛𠝲𡶪𡸞𡺗𢙮𢦟𣊟𣓁𣣒𣽌𥍓𥑫𥤱𥦔𦞖𧇦𧡵𧯰𧱄𨍜𨒞𩐬𩑟𩒃𩓟𩜱𪉯',
+  kang: '㝩㰠㱂䡉亢伉匟囥嫝嵻康忼慷扛抗槺漮炕犺砊穅粇糠躿邟鈧鏮钪閌闶鱇𠻞𠾨𡐓𡵻𡻚𢴦𣔛𤮊𥉽𥒳𥕎𥹺𨀫𨂟𨄗𨎍𨝎𨻷𪎵',
+  kao: '㸆䐧䯌䯪丂尻嵪拷攷栲洘烤犒考銬铐靠髛鮳鯌鲓𡭳𣐊𣧏𣨻𣩅𥬯𥹬𧋓𨘴𩝝𩩾',
+  ke: '㐓㕉㞹㤩㪙㪡㪼㵣㾧䙐克刻勀勊匼可咳嗑坷堁壳娔客岢峇嵑嵙嶱恪愘愙揢搕敤柯棵榼樖殻殼氪渇渴溘炣牁牱犐珂疴痾瞌砢碦磕礊礚科稞窠緙缂翗艐苛萪薖蚵蝌衉課课趷軻轲醘鈳錁钶锞頦顆颏颗騍骒髁𠅔𠅡𠏀𠛳𠡜𠡤𠢹𠩧𠪒𠪟𠲙𠳭𠶲𠷄𡃈𡞢𡱼𡸡𡻘𢈈𢩏𢩐𢩘𢼐𢾩𣧤𣩄𣲊𣹇𤖇𤛗𤸎𥃕𥊉𥔽𥝹𥠁𥦨𥧇𥯚𧈗𧎗𧛾𧜡𧠋𧨵𧵛𧿫𨍰𨏿𨢸𩏭𩜭𩭽𩰻𩱘𪃭𪍎𪓮',
+  kei: '剋尅',
+  ken: '㸧啃垦墾恳懇掯硍肎肯肻裉褃豤貇錹𠳁𢡆𣍟𣥤𤀊𥖞𨼯𩎤',
+  keng: '䡰劥坑妔挳摼牼硁硜硻誙銵鍞鏗铿阬𠠷𡞚𡷨𣢴𣫒𥉸𥑅𥒁𥒱𥥳𧀘𨋔𨌳𨌶𨍑',
+  kong: '㤟㸜倥埪孔崆恐悾控涳硿空箜躻錓鞚鵼𠀝𢃐𢙢𢪬𢷙𢽦𣏺𤆺𤗇𤤲𥔇𥥅𦁈𦱇𦶐𧌆𧚬𩲧𪔣',
+  kou: '㓂㔚㲄䳟䳹冦剾劶口叩宼寇彄怐扣抠摳敂滱眍瞉瞘窛筘簆芤蔲蔻釦鷇𠛅𡠆𢂁𢄠𢚫𢟭𢼃𣻎𣿟𤘘𥊧𥲃𦬅𦴎𦶲𧥣𨙫𨥴𩀠𪄺𪇄',
+  ku: '㐣㒂㠸㱠䇢䧊䵈俈刳哭喾嚳圐堀库庫廤枯桍楛焅狜瘔矻秙窟絝绔苦袴裤褲跍郀酷骷鮬龲𠠶𠺟𡀙𡑚𡑣𡗵𡞯𡶏𡼿𢏆𢼁𣗺𥈷𥌄𥞴𥟾𥧋𥯶𦛏𦜇𦡆𧊘𧠂𧷎𧿉𧿋𨐡𨡱𩇵𩑔𩑡𩨳𩱙𪌓𪍠',
+  kua: '䋀䯞侉咵垮夸姱挎胯舿誇趶跨銙骻𠇗𡇚𡕒𡗢𢄳𢓢𥏤𥑹𨃖𨕺𨵧𩊓',
+  kuai: '㔞㙕㙗㟴㧟㬮㱮䈛䓒䭝䯤侩儈凷哙噲圦块塊墤巜廥快擓旝欳浍澮狯獪筷糩脍膾蒯郐鄶鱠鲙𠜐𠣲𡉇𡚅𡼾𢾒𣫉𥢶𦔦𦳋𨛖𩦱',
+  kuan: '㯘䕀䤭䥗䲌宽寛寬梡欵款歀窽窾臗鑧髋髖𢕫𢴪𣢻𣽟𥟓𥦀',
+  kuang: '㤮䊯䵃儣况劻匡匩哐圹壙夼岲忹恇懬懭抂旷昿曠框況洭爌狂狅眖眶矌矿砿硄礦穬筐筺絋絖纊纩誆誑诓诳貺贶軖軠軦軭邝邼鄺鉱鋛鑛鵟黋𡶢𡾇𢼑𢼳𣍦𣒸𣴥𤝿𥈏𦙿𦚞𦥰𧥌𧻔𨀕𨇁𨏆𨖢𨥑𨨭𨴑𩢼𩬹𩷗𪍿𪏪',
+  kui: '㕟㙓㚝㛻㨒䈐䍪䕚䕫䖯䟸䠑䤆䦱䧶䫥䯓䳫亏傀刲匮匱喟喹嘳夔奎媿嬇尯岿巋巙悝愦愧憒戣揆晆暌楏楑櫆殨溃潰煃犪盔睽磈窥窺篑簣籄聧聩聭聵膭葵蒉蕢藈蘷虁虧蝰謉跬蹞躨逵鄈鍨鍷闚頍頯顝餽饋馈馗騤骙魁𠃳𠈘𠊾𠣠𠿥𡌤𡐠𡓰𡤞𡰂𢌳𢜽𢼀𣄲𣥮𣧼𤆂𤏜𤵮𥁇𥏙𥜶𥪊𦝢𦮙𧂠𧄑𧍜𧑋𧝷𧡦𧢦𧷛𨣈𨾎𨾗𩏣𩓗𩕜𩠮𩲅𩲷𩵉𩹍𪆴',
+  kun: '㩲㫻䖵䠅困坤堃堒壸壼崐崑悃捆昆晜梱涃潉焜熴猑琨瑻睏硱祵稇稛綑菎蜫裈裍裩褌醌錕锟閫閸阃騉髠髡髨鯤鲲鵾鶤鹍𠚯𡈋𡖉𢈛𣏔𣤿𣰘𣱂𥊽𥚛𦄐𦌸𧃣𧋕𧥊𨁉𨱙𨱤𩓽𩤋𩨫𩻋𩽞𪋆',
+  kuo: '㗥䟯䦢䯺廓扩拡括挄擴濶筈萿葀蛞闊阔霩鞟鞹韕頢髺鬠𠠎𡎒𡻙𢠛𤫵𥕏𦧍𦧔𧋣𨓈𨨱𨶐𩋻',
+  la: '㕇㸊㻋㻝䂰䃳䏀䓥䗶䝓䟑䪉䱫䶛剌啦喇嚹垃拉揦揧搚攋旯柆楋櫴溂爉瓎瘌磖翋腊臈臘菈落藞蜡蝋蝲蠟辢辣邋鑞镴鞡鬎鯻𠾩𡅘𡉆𢃴𢉨𢔯𣤊𤀦𤊶𤛊𤰚𤷟𥀥𥀰𥈙𥖍𥗿𥘁𦅶𦆻𦇛𦎏𦒆𦒦𧗩𧙀𧞪𧩲𨭛𩃜𩋷𩑮𩘊𩤲𩯽𪇹',
+  lai: '㚓㠣㥎㾢䂾䄤䅘䋱䓶䚅䠭䧒䲚來俫倈唻婡崃崍庲徕徠来梾棶涞淶濑瀨瀬猍琜癞癩睐睞筙箂籁籟莱萊藾襰賚賴赉赖逨郲錸铼頼顂騋鯠鵣鶆麳𠎙𠘝𡂖𡃄𡃤𡓒𢅭𢑬𢯦𣖤𤢗𤦃𤲓𦆋𦓹𦧺𧯲𧳕𧳟𧵭𨂐𨇆𨦂𨰋𩳆𪈈𪑚',
+  lan: '㑑㑣㘓㛦㜮㞩㦨㨫㩜㰖㱫㳕䃹䆾䊖䌫䍀䑌䦨䪍䰐䳿儖兰啉嚂囒壈婪嬾孄孏岚嵐幱惏懒懢懶拦揽擥攔攬斓斕栏榄欄欖欗浨滥漤澜濫瀾灆灠灡烂燗燣燷爁爛爤爦璼瓓篮籃籣糷繿纜缆罱葻蓝藍蘫蘭褴襕襤襴襽覧覽览譋讕谰躝醂鑭钄镧闌阑韊顲𠓖𠓭𠼖𡒄𡓔𡮻𡽳𢅡𢉧𢊓𢒞𢛓𢹙𣋣𤂺𤃨𤑸𤣟𥌻𥗺𥜓𥦝𦧼𧮤𧸦𧼖𨅏𨈆𨈇𨊔𨎹𨣨𨣸𨤋𨬒𨷻𩈵𩉀𩔵𩟺𪇖',
+  lang: '㓪㙟㝗㟍㢃㫰㮾㱢㾗㾿䀶䁁䆡䍚䕞䡙䯖䱶勆啷埌塱嫏崀廊斏朖朗朤桹榔樃欴浪烺狼琅瑯硠稂筤艆莨蒗蓈蓢蜋螂誏躴郎郒郞鋃鎯锒閬阆𠺘𠻴𢳑𢽂𣊧𣻡𣼽𥇑𥍫𥧫𦵧𦺫𧚅𧻴𨞿𨶗𩛡𩳤𩷕𪁜',
+  lao: '㐗㗦㞠㟉㟙㟹㧯㨓䃕䇭䕩䜎䝁䝤䲏䳓䵏佬僗劳労勞咾哰唠嗠嘮嫪崂嶗恅憥憦捞撈朥栳橯浶涝潦澇烙牢狫珯痨癆硓磱窂簩粩老耂耢耮荖蛯蟧躼軂轑酪醪銠鐒铑铹顟髝鮱𠄇𠄰𠈭𡂕𡑍𡬘𢚄𢭂𣘪𣟽𣠼𤉍𤎤𤙯𤛮𤩂𤶁𥢒𦒴𦺜𧢋𧯍𨡤𨣃𨦭𨲮𪀧𪁔',
+  le: '㔹㖀㦡乐了仂勒叻忇扐楽樂氻泐玏砳竻簕艻阞韷餎鰳鱳鳓𡃖𣂒𤟓𤨙𥖪𩐾',
+  lei: '㑍㒍㒦㔣㙼㡞㭩㲕㴃㵢㶟㹎㼍㿔䉂䉓䉪䍣䍥䐯䒹䛶䢮䣂䣦䨓䮑䴎傫儡儽厽嘞垒塁壘壨嫘擂攂樏檑櫐櫑欙泪洡涙淚灅瓃畾癗矋磊磥礌礧礨禷类累絫縲纇纍纝缧罍羸耒肋蔂蕌蕾藟蘱蘲蘽虆蠝誄讄诔轠酹銇錑鐳鑘鑸镭雷靁頛頪類颣鱩鸓鼺𠱤𡈶𡔇𡚗𡰠𡻭𡻱𡼊𡾋𡾖𡿉𡿛𢴱𢹮𣀀𣀜𣚎𣠠𣡧𣡺𣨅𤃻𤜖𤡂𤢹𤮎𤮚𤮸𤳴𤴒𤼘𥅦𥍔𥑶𥗬𥗶𥣬𥤐𦇄𦓥𦢏𦣄𧒜𧒽𧞭𨀤𨄱𨊚𨞽𨶺𨻌𩔗𩛝𩴻𩵓𪑯',
+  leng: '㘄䉄䚏䬋䮚倰冷唥堎塄愣棱楞睖碐稜薐踜𥈮𦼊𧼔𨈓𩩡',
+  li: '㑦㒧㒿㓯㔏㕸㗚㘑㟳㠟㡂㤡㤦㦒㧰㬏㮚㯤㰀㰚㱹㴝㷰㸚㹈㺡㻎㻺㼖㽁㽝㾐㾖㿛㿨䁻䃯䄜䅄䅻䇐䉫䊍䊪䋥䍠䍦䍽䓞䔁䔆䔉䔣䔧䖽䖿䗍䘈䙰䚕䟏䟐䡃䣓䣫䤙䤚䥶䧉䬅䬆䮋䮥䰛䰜䱘䲞䴄䴡䴻䵓䵩䶘丽例俐俚俪傈儮儷凓刕利剓剺劙力励勵历厉厘厤厯厲叓吏呖哩唎唳喱嚟嚦囄囇坜塛壢娌娳婯嫠孋孷屴岦峛峢峲巁廲悡悧悷慄戾搮擽攊攦攭斄暦曆曞朸李枥栃栎栗栛梨梸棃棙樆檪櫔櫟櫪欐欚歴歷沥沴浬浰涖溧漓澧濿瀝灕爄爏犁犂犡狸猁珕理琍瑮璃瓅瓈瓑瓥疠疬痢癘癧皪盠盭睙睝砅砬砺砾磿礪礫礰礼禮禲离秝穲立竰笠筣篥篱籬粒粝粴糎糲綟縭纚缡罹脷艃苈苙茘荔荲莅莉菞蒚蒞蓠蔾藜藶蘺蚸蛎蛠蜊蜧蝷蟍蟸蠇蠡蠣蠫裏裡褵觻詈謧讈豊貍赲跞躒轢轣轹逦邌邐郦酈醨醴里釐鉝鋫鋰錅鏫鑗锂隶隷隸離雳靂靋驪骊鬁鯉鯏鯬鱧鱱鱺鲡鲤鳢鳨鴗鵹鷅鸝鹂麗麜黎黧𠃞𠌯𠘞𠘟𠚄𠛘𠛦𠝄𠞉𠞙𠞤𠟄𠠍𠠏𠠝𠠵𠢠𠩵𠪄𠪱𠪺𠫌𠭰𠲥𠻗𠼝𠾆𡃷𡆯𡠉𡤌𡥽𡫯𡮰𡯄𡳸𡸉𡾒𡿋𡿎𢄡𢊆𢌈𢍼𢏃𢛮𢟢𢟤𢡑𢤂𢤆𢤩𢨨𢩑𢮃𢸀𢻠𣀂𣀥𣀷𣁟𣌅𣌜𣐬𣘬𣞴𣟌𣦯𣧿𣫥𣫧𣮉𣯤𣲒𣿞𤁼𤃀𤄽𤔨𤖢𤗫𤘃𤚓𤛿𤜜𤟑𤠫𤡿𤩮𤩯𤩰𤭜𤳓𤹇𤹈𤻤𤼚𥁟𥉆𥊈𥌛𥌤𥌮𥌿𥎓𥎔𥓃𥝢𥠲𥣥𥨻𥬭𥲧𥲪𥴡𥶗𥷅𥷗𥻿𥼅𥼋𥽗𦃇𦃊𦅺𦇔𦎐𦔓𦕸𦘊𦜏𦠓𦢱𦪶𦪾𦫈𦲷𦺙𧄚𧄻𧅮𧅯𧉲𧋎𧋠𧑇𧒈𧓽𧔝𧕮𧕯𧘫𧙉𧚩𧢝𧥖𧧋𧫬𧮛𧯏𧰡𧲡𧴠𧽲𨃙𨄛𨇎𨇗𨊛𨍫𨏬𨓦𨘸𨛋𨛫𨜼𨝏𨝖𨝟𨞺𨟑𨢌𨤫𨤲𨪹𨬑𨯽𨴻𨷦𨽻𩁟𩄞𩅩𩆝𩆲𩗅𩗭𩘟𩘡𩙖𩞨𩣫𩥬𩥴𩧃𩧋𩪸𩭇𩯺𩰲𩱇𩳓𩴣𩶘𩷋𩸢𩻌𩻳𩽏𩽵𪁐𪅆𪅼𪌱𪏼𪐅𪒔𪓀𪕴𪖂𪖍',
+  lian: '㜃㜕㜻㝺㟀㡘㢘㥕㦁㦑㪘㪝㯬㰈㰸㱨㶌㶑㺦㼑㼓㾾䁠䃛䆂䇜䌞䏈䙺䥥䨬䭑亷僆劆匲匳嗹噒堜奁奩媡嫾嬚帘廉怜恋慩憐戀摙敛斂梿楝槤櫣歛殓殮涟湅溓漣潋澰濂濓瀮瀲炼煉熑燫琏瑓璉磏簾籢籨練縺纞练羷翴联聨聫聮聯脸臁臉莲萰蓮蔹薕蘝蘞螊蠊裢裣褳襝覝謰蹥连連鄻錬鍊鎌鏈鐮链镰鬑鰊鰱鲢𠋖𠒵𠔨𠗳𡆕𡚍𡟤𢅏𣀃𣝈𣞰𣟺𣿊𤎉𤑿𤒦𤕈𤗛𤣆𤬓𤹨𤼏𤾲𥖝𥲥𥽸𦆆𦔖𦖾𦣸𧍴𧐖𧡙𧡴𧸘𧽫𨎷𨏩𨏶𨬁𨽷𩄡𩞙𩟅𪍦𪍴𪐋𪐍',
+  liang: '㒳㔝㹁䓣䝶䠃䣼䩫䭪両两亮俍俩倆倞兩凉哴唡啢喨墚悢掚晾梁椋樑涼湸粮粱糧緉脼良蜽裲諒谅踉輌輛輬辆辌量鍄駺魉魎鿄鿌𠒨𠓜𠯱𡑆𡮎𣄴𣓈𤙝𥈘𥛫𨄈𨎛𨵶𩗾𩘁',
+  liao: '㙩㝋㡻㵳㶫㺒䄦䉼䍡䎆䑠䒿䜍䜮䝀䢧䨅䩍僚嘹嫽寥寮尞尥尦屪嵺嶚嶛廖廫憀憭撂撩敹料暸曢橑漻炓燎爎爒獠璙疗療瞭窷竂簝繚缭聊膋膫蓼藔蟟豂賿蹘蹽辽遼鄝釕鐐钌镣镽飉髎鷯鹩𠐋𠖂𠨥𡪹𡻪𢄷𢊻𢨺𢩪𢸘𢻢𢼙𢿞𣁰𣎸𣟆𣩢𣬝𤊽𤑗𤵠𤻲𥗀𥛰𥲊𦆲𦌒𦕵𦗖𦪕𦺹𧂏𧘈𧝜𧡜𧽽𨖚𨣀𩕐𩖝𩯊𩴤𪌀𪌵',
+  lie: '㤠㧜㬯㭞㯿㲱㸹㼲㽟䁽䅀䉭䓟䜲䟩䟹䴕儠冽列劣劽咧哷埒埓姴巤挒挘捩擸栵毟洌浖烈烮煭犣猎猟獵聗脟茢蛚裂趔躐迾颲鬛鬣鮤鱲鴷𠛱𠠗𡁓𡂏𡂩𡊻𡏵𡒏𡓍𡭣𡿩𡿪𢣓𣁷𣁻𣋲𣖊𣝚𣰌𤁯𤐱𤓿𤖺𤜓𤞊𤡕𤢪𤱃𤱛𤹐𥞥𥪂𥲁𥶢𥷨𥸸𦓤𦖩𦾳𧀨𧓐𧞕𧭌𧭞𧰠𨆍𨕜𨤤𩆣𩙑𩢾𩧆𩭌𩼭',
+  lin: '㐭㔂㖁㝝㨆㷠䉮䕲䗲䚬䢯䫐䫰䮼临亃僯冧凛凜厸吝壣崊嶙廩廪恡悋懍懔拎撛斴晽暽林橉檁檩淋潾澟瀶焛燐獜琳璘甐疄癛癝瞵碄磷箖粦粼綝繗翷膦臨菻蔺藺賃赁蹸躏躙躪轔轥辚遴邻鄰鏻閵阾隣霖驎鱗鳞麐麟𠄈𠐼𠓮𠫤𡃦𡬜𡰚𡳞𡶱𡹇𡻫𡿠𣇰𤂶𤌎𤎭𤗷𥓆𥳞𥶒𥷖𥻋𥼭𦺸𧃮𧖔𧲂𧵧𧶆𧹩𨏨𨸻𩞻𩣖𩱬𩴠𩻜',
+  ling: '〇㖫㡵㥄㦭㪮㬡㯪㱥㲆㸳㻏㾉䄥䈊䉁䉖䉹䌢䍅䔖䕘䖅䙥䚖䠲䡼䡿䧙䨩䯍䰱䴇䴒䴫令伶凌刢另呤囹坽夌姈婈孁岭岺崚嶺彾掕昤朎柃棂櫺欞泠淩澪灵炩燯爧狑玲琌瓴皊砱祾秢竛笭紷綾绫羐羚翎聆舲苓菱蓤蔆蕶蘦蛉衑袊裬詅跉軨輘酃醽鈴錂铃閝陵零霊霗霛霝靈領领駖魿鯪鲮鴒鸰鹷麢齡齢龄龗𠄖𠟨𠠢𠡭𠱠𠻠𠻱𠾥𡈍𡕮𡿡𢌔𢔁𢩗𢹝𢺰𣌟𣎎𣣋𣬹𤃩𤖦𤜙𤣘𤧘𤨻𤫊𤫲𤷖𤿅𥌼𥤜𥤞𥥋𥩔𥵝𥺙𥼸𥽣𥾂𦉢𦊓𦫃𦫊𧆺𧕅𧖜𧟙𧨈𧰻𧱢𧲙𧾇𧾮𨞎𨠎𨽲𩂙𩃞𩄊𩆒𩆚𩆜𩆮𩆻𩆼𩇄𩇎𩊂𩑊𩖊𩖵𩚹𩜁𩟃𩪥𩬔𩲩𩵀𪅋𪋳𪋾𪌏𪕌',
+  liu: '㐬㙀㨨㶯㽌㽞䄂䉧䋷䗜䚧䬟䭷䰘䱖䱞䶉六刘劉嚠塯媹嬼嵧廇懰斿旈旒柳栁桞桺榴橊橮流浏溜澑瀏熘熮珋琉瑠瑬璢畄留畱疁瘤癅硫磂磟綹绺罶羀翏蒥蓅藰蟉裗蹓遛鋶鎏鎦鏐鐂锍镏镠雡霤飀飂飅飗餾馏駠駵騮驑骝鬸鰡鶹鷚鹠鹨麍𠗽𠛓𠪐𠺕𢊺𢏭𢔲𢞭𢣠𢤐𢷶𣊫𣞗𣟑𣠚𣱳𣹭𤥗𤮷𥀓𥆦𥉳𥌐𥛅𥛽𥠷𥥹𥧕𥨌𥰣𥶅𥹷𦀠𦃓𦉉𦊗𦊿𦌁𦑾𧏓𧮗𨋖𨍸𨢇𨦰𨪕𨻧𩅸𩆎𩖴𩗩𩙄𩞷𩢞𪃂𪅡𪅳𪆱𪇯𪎣𪕚',
+  long: '㑝㙙㚅㛞㝫㟖㡣㢅㦕㰍㴳䃧䆍䏊䙪䡁䥢䪊儱咙哢嚨垄垅壟壠尨嶐巃巄徿拢攏昽曨朧栊梇槞櫳泷湰滝漋瀧爖珑瓏癃眬矓砻礱礲窿竉竜笼篭籠聋聾胧茏蘢蠪蠬襱豅贚躘鏧鑨陇隆隴霳靇驡鸗龍龒龓龙𠮽𠱚𠾐𡃡𡬍𡱯𢙱𢤱𢤲𢸭𣫣𤵸𤼃𤾭𥦌𥪢𥪻𥬆𥳌𥸉𦪽𧍰𧙥𧚂𨇘𨏠𨛓𨺚𨼇𩂽𩄺𩙘𩙠𩟭𪐖𪔳𪔷',
+  lou: '㔷㟺㥪㪹㲎㺏䁖䄛䅹䝏䣚䫫䮫䱾剅喽嘍塿娄婁屚嵝嶁廔慺搂摟楼樓溇漊漏熡甊瘘瘺瘻瞜篓簍耧耬艛蒌蔞蝼螻謱軁遱鏤镂陋露鞻髅髏鷜𠖛𠗩𠞭𠳴𡇭𡗆𡪅𡰌𢈢𣏥𣤋𣫻𤬏𥕍𦎹𦸢𧁾𧢃𧫞𧯨𧰃𧲕𧷡𨄋𨝢𨦖𨫒𨱐𨹟𨻻𩏝𪍣',
+  lu: '㓐㔪㖨㛬㜙㟤㠠㢚㢳㦇㪐㪖㪭㫽㭔㯝㯟㯭㱺㼾㿖䃙䌒䎑䎼䐂䘵䚄䟿䡎䡜䩮䮉䰕䱚䲐䴪侓僇剹勎勠卢卤噜嚕嚧圥坴垆塶塷壚娽峍庐廘廬彔录戮掳摝撸擄擼攎曥枦栌椂樐樚橹櫓櫨氇氌泸淕淥渌滷漉潞澛瀂瀘炉熝爐獹玈琭璐璷瓐甪盝盧睩矑硉硵碌磠祿禄稑穋穞箓簏簬簵簶籙籚粶纑罏胪膔臚舮舻艣艪艫芦菉蓾蔍蕗蘆虂虏虜螰蠦謢賂赂趢路踛蹗輅轆轤轳辂辘逯醁鈩錄録錴鏀鏕鏴鐪鑥鑪镥陆陸顱颅馿騄騼髗魯魲鯥鱸鲁鲈鴼鵦鵱鷺鸕鸬鹭鹵鹿麓黸𠀽𠯿𠿛𡀔𡉴𡳴𡴆𡷏𢊩𢋡𢟧𢫘𢫫𢯅𢲸𢵮𢷅𢾬𣞓𣥐𣩏𣱀𣼟𤝮𤟘𤢊𤣃𤨍𤬛𤮧𤺼𤻱𤽺𤿴𥀔𥀵𥈛𥉶𥒨𥚊𥛞𥛪𥣤𥫰𥲎𥶇𦋔𦌕𦌟𦗓𦪇𦸐𦼋𦽂𦽎𦾞𦾷𦿊𦿖𧀦𧆣𧇄𧌉𧌍𧐳𧨹𧫓𧽥𨁸𨇖𨌠𨏔𨽐𩄅𩅄𩌫𩍼𩓪𩛼𩣱𩯜𩶑𪂚𪈒𪉖𪉣𪍄𪑄𪒏𪖌',
+  luan: '㝈㡩㱍䖂䜌乱亂卵圝圞奱娈孌孪孿峦巒挛攣曫栾欒滦灓灤癴癵羉脔臠虊釠銮鑾鵉鸞鸾龻𠦨𡄹𡡗𡭸𢌕𢺈𢿢𢿳𣨀𤔔𤲶𤼙𦣋𦣏𧖘𨇼𨈌𨈎𨊟𩪾',
+  lun: '㖮㤻㷍䈁䑳仑伦侖倫囵圇埨婨崘崙惀抡掄棆沦淪溣碖磮稐綸纶耣腀芲菕蜦論论踚輪轮錀陯鯩𠔕𠼩𡃝𤲕𤷔𦓾𧣵𧱜',
+  luo: '㑩㒩㓢㦬㩡㰁㱻㴖㼈㽋㿚䀩䇔䈷䊨䌱䌴䯁倮儸剆啰囉囖峈捋摞攞曪椤欏泺洛洜漯濼犖猡玀珞瘰癳硌硦笿箩籮絡纙络罗羅脶腡臝荦萝蓏蘿螺蠃裸覶覼詻躶逻邏鏍鑼锣镙雒頱饠駱騾驘骆骡鮥鵅鸁𠆁𠏢𠜖𠶱𠻐𠻡𡁆𡆆𡑤𡤢𡿏𢅾𢺆𢺑𣂞𣛗𣜄𣜢𣧳𣨪𣵟𤄷𤓓𤔖𤔝𤗀𤨗𤽥𤽼𥡜𥯛𦆁𦟀𦣇𦣖𦣛𦧲𦿌𧄿𧈦𧝹𧟌𧭥𧷳𧹐𨇽𨏒𨟥𨬅𨰠𩂣𩉙𩊚𩌭𩍪𩎊𩮹𩵇𩼊𩽰𪇱𪈰𪌳𪎆𪑋',
+  lv: '㠥㲶䕡侣侶偻僂儢勴吕呂垏屡屢履嵂律慮挔捛旅梠榈櫖櫚氀氯滤濾焒爈率祣稆穭箻絽綠緑縷繂绿缕膂膐膟膢葎藘虑褛褸郘鋁鑢铝閭闾驢驴𠜈𠣊𠷈𡀿𡡎𡾅𢅞𢈚𢙲𢟳𢣻𢯰𣀞𣭇𣹕𤁵𤗬𤾺𥖼𥡢𥭐𥰠𥶆𥶌𦆾𦊼𦛗𦝭𦭯𦳭𧃒𧈔𧍶𧓻𧜊𧭜𩄽𩥆𩲦𩳡𩴐𪈜',
+  lve: '㔀㨼圙寽掠略畧稤鋝鋢锊𠢌𠼟𢱊𦊹𧎾𧐋𧐯𧑀𧕌𪅅',
+  ma: '㐷㑻㜫㦄㨸㾺䗫䣕䣖䯦䳸傌吗嗎嘛嘜妈媽嫲杩榪溤犘犸獁玛瑪痲痳睰码碼祃禡罵蔴蚂螞蟆蟇遤鎷閁馬駡马骂鬕鰢鷌麻𠄐𡻤𢉿𢋚𢲫𣨜𤳂𥀏𥉊𥉵𥧓𦟐𧪨𨰾𩀪𩊃𩔶𩔷𩨲𩶞𪐎𪒜𪓹',
+  mai: '㜥䁲䈿䘑䚑䜕䨪䨫䮮买佅劢勱卖唛嘪埋売脈脉荬蕒薶衇買賣迈邁霡霢霾鷶麥麦𠿆𢠼𥇯𥌚𦏢𦙻𧖴𧮇𧮚𧱘𨤢𩈗𩊍𩍃𪄳𪒪',
+  man: '㒼㗄㗈㙢㛧㡢㬅㵘䅼䊡䐽䑱䕕䛲䜱䝡䝢䟂䡬䯶䰋僈墁姏娨嫚屘幔悗慢慲摱曼槾樠満满滿漫澷熳獌瞒瞞矕縵缦蔄蔓蘰蛮螨蟎蠻襔謾谩鄤鏋鏝镘鞔顢颟饅馒鬗鬘鰻鳗𡢚𡻩𢦈𢺳𢿜𣁜𤅎𤜘𥊑𥧭𥬈𥲈𥲑𦎌𦔔𧆏𧖵𧜞𧱼𨲛𨲾𩅍𩆓𩈦𩛎𩜠𩮉𪈿𪍩𪑪',
+  mang: '㙁㝑㟌㟐㟿㡛㬒㻊䀮䁳䅒䈍䒎䖟䟥䵨厖吂哤壾娏庬忙恾杗杧氓汒浝漭牤牻狵痝盲盳硥硭笀芒茫茻莽莾蘉蛖蟒蠎邙釯鋩铓駹𠈵𠮵𡅖𡘪𡩩𡩽𡵀𣙷𣯬𤰡𥁃𥆙𥐞𥝕𥤩𥭚𥮎𦎨𦜭𦬆𨛌𩅁𩒿𩙸𩛲𩪎𩭒𩷶𪁪',
+  mao: '㒵㒻㚹㝟㡌㧇㧌㪞㫯㮘㲠㴘㺺㿞䀤䅦䋃䓮䖥䡚䫉乮冃冇冐冒卯堥夘媢峁帽愗懋戼旄昴暓枆柕楙毛毷氂泖渵牦犛猫瑁皃眊瞀矛笷罞耄芼茂茅茆萺蓩蝐蝥蟊袤覒貌貓貿贸軞鄚鄮酕鉚鉾錨铆锚髦髳鶜𠔼𠤝𡜢𡹰𢂹𢅉𢘅𢝌𢨯𢯾𢽢𣊃𣔺𣨇𣬵𣭮𣯀𣴟𣴼𣹪𤚜𤛖𤝄𤥰𤲰𥄸𥈆𥎟𥟪𦀸𦯆𦼪𦽡𧍟𧐟𧒚𧓿𧔨𧠊𧳒𨈥𨥨𨦜𨩩𨺸𩛨𩫁𩬞𩭾𩿂𪃑',
+  me: '么嚒嚰濹麼',
+  mei: '㭑㶬㺳䀛䆀䉋䊈䊊䍙䒽䓺䜸䤂䰨䰪䵢凂嚜坆堳塺妹媄媒媚媺嬍寐嵄嵋徾抺挴攗旀昧枚栂梅楣楳槑毎每沒没沬浼渼湄湈煝煤燘猸玫珻瑂痗眉眛睂睸祙禖篃美羙脄脢腜苺莓葿蝞袂跊躾郿酶鋂鎂鎇镁镅霉韎鬽魅鶥鹛黣黴𠊉𠍨𠪃𡲭𢮇𣟸𤚤𤽃𥋎𥞊𥧴𦼻𧭵𧳬𨉭𨜘𩈐𩋿𩎟𩫍𩲈𩲉𩴈𪂜𪃏𪎦𪎭',
+  men: '㡈㥃㦖㨺㱪㵍䊟䝧䫒们們悶懑懣扪捫暪椚焖燜玧璊穈菛虋鍆钔門閅门闷𠎒𠵘𣯩𤅣𧄸𧴺𨳔𨴺𩑥𩔉',
+  meng: '㒱㙹㚞㜴㝱㠓㩚䀄䇇䉚䏵䑃䑅䒐䓝䗈䙦䙩䠢䤓䥂䥰䰒䲛䴌䴿䵆儚冡勐夢夣孟幪懜懞懵掹擝曚朦梦橗檬氋溕濛猛獴甍甿癦盟瞢矇矒礞艋艨莔萌蒙蕄虻蜢蝱蠓鄳鄸錳锰霥霿靀顭饛鯍鯭鸏鹲鼆𠐁𠐧𠖆𠵼𡁏𡒯𡚔𡬆𡬌𢄐𢕙𢤘𢿂𣊔𣓝𣞑𣰥𣽭𤯻𤱴𤷪𤼁𤾬𥂂𥄁𥉕𥋝𥌯𥌱𥣛𥭮𦆟𦊽𦢧𦫰𦱋𦳶𦴔𦷹𦿏𧀆𧀧𧁊𧂛𧂡𧓨𧖸𧞑𧭊𧲍𨞫𨢊𨢠𨣘𨨸𨮒𨼿𩄖𩆽𩕱𩟞𩥃𩦺𩴲𩶡𪅇𪇓𪈆',
+  mi: '㐘㜆㜷㝥㟜㠧㣆㥝㨠㩢㫘㰽㳴㳽㴵㵋㸏㸓䁇䉾䊳䋛䌏䌐䌕䌘䌩䍘䕳䕷䖑䛉䛑䛧䣾䤉䤍䥸䪾䭧䭩䮭䱊䴢侎冖冞冪咪嘧塓孊宓宻密峚幂幎幦弥弭彌怽戂擟攠敉榓樒櫁汨沕沵泌洣淧渳滵漞濔濗瀰灖熐爢猕獼瓕眯瞇祕祢禰秘簚米粎糜糸縻羃羋脒芈葞蒾蔝蔤藌蘪蘼蜜袮覓覔覛觅詸謎謐谜谧迷醚醾醿釄銤镾靡鸍麊麋麛麿鼏𠞧𡄣𡇒𡊭𡓭𡬐𡲼𡾱𢆯𢇲𢘺𢞞𢱮𣓔𣧲𤅤𤓒𤛬𥁑𥅽𥇆𥇎𥈕𥉴𥉿𥎖𥧧𥭫𥵨𥵸𥹄𥹫𥽰𥿫𦖬𦗕𦞟𦟂𦣥𦸡𧐎𧕵𧖅𧠟𧱻𧵬𧶡𧷦𧼊𧽨𨇻𨒲𨢎𨢥𨣯𨣾𨷬𩔢𩞇𩸹𪀿𪅮𪋗𪋢𪎔𪎗𪑸𪒄𪓋𪓬𪕈',
+  mian: '㒙㛯㝰㤁㬆㮌㰃㴐㻰䀎䃇䏃䤄䫵䰓丏偭免冕勉勔喕娩婂媔嬵宀愐杣棉檰櫋汅沔渑湎澠眄眠睌矈矊矏糆絻綿緜緬绵缅腼臱芇葂蝒面靣靦鮸麪麫麵麺𡒳𡕢𡧍𡧒𡫛𡯫𢃮𢣔𣅍𣝼𣡠𣧾𥄝𥊿𥌂𥤵𥻩𦤝𦬛𦽃𧉄𧭇𧸨𨉥𨟺𨡞𩈹𩋠𪁼',
+  miao: '㑤㠺㦝䁧䅺䖢劰喵妙媌嫹庙庿廟描杪淼渺玅眇瞄秒竗篎緢緲缈苗藐邈鶓鹋𠋝𡡺𢚋𢤧𢷕𣺌𤾛𥭝𦳥𨘷𩳸𪃐𪃦𪃧',
+  mie: '㒝䁾䈼䘊䩏乜吀咩哶孭幭懱搣櫗滅瀎灭烕礣篾蔑薎蠛衊鑖鱴鴓𠺗𡖺𡞙𡟬𢦼𢧞𢨖𤊾𤏿𥄲𥉓𥋚𥣫𥯣𥵒𥸴𥾝𦇪𧀅𧂝𨣱𩔠𩱷𩱸𪇴𪌺𪒍',
+  min: '㞶㟩㟭㢯㥸㨉䁕䂥䃉䋋䟨䡅䡑䡻䪸䲄僶冺刡勄垊姄岷崏忞忟怋悯惽愍慜憫抿捪敃敏敯旻旼暋民泯湣潣玟珉琘琝瑉痻皿盿砇碈笢笽簢緍緡缗罠苠蠠鈱錉鍲閔閩闵闽鰵鳘鴖黽黾𡼐𢼖𢽹𣱈𣱉𣹒𤇜𤛎𤸅𤺖𤿕𥜐𦌡𦫮𦳜𧁋𧌙𧲃𨌲𨏵𩭷𪂆𪄴',
+  ming: '㝠㟰㫥䄙䆨䆩䊅䒌䫤佲冥凕名命姳嫇慏掵明暝朙榠洺溟猽眀眳瞑茗蓂螟覭詺鄍酩銘铭鳴鸣𠇮𠋶𡥸𣷠𥌏𥥊𥹆𥿨𦡉𦫭𧟠𧱴𩣶𪂤',
+  miu: '謬谬𨱯',
+  mo: '㱄㱳㷬㷵㹮䁼䁿䃺䉑䏞䒬䘃䜆䩋䬴䮬䯢䱅䳮䴲劘嗼嚤圽塻墨妺嫫嫼嬤嬷寞尛帓帞庅懡抹摩摸摹擵昩末枺模橅歾歿殁沫漠爅獏瘼皌眜眽眿瞐瞙砞磨礳秣糢絈纆耱膜茉莈莫蓦藦蘑蛨蟔謨謩谟貃貊貘銆鏌镆陌靺饃饝馍驀髍魔魩魹麽默黙𠆮𠇱𠡞𠢓𠬛𠬸𠻚𡈗𡊉𡖶𡠜𡡉𡢜𡭚𡻟𡾉𢄏𢊗𢐖𢗿𢣗𢳀𣇶𣋟𣧣𣶊𣻕𤋂𤣻𤹴𤿖𥂓𥄕𥕓𥙎𥞪𥬎𥱹𥽘𦄿𦅔𦋹𦔭𦟟𦥦𦫕𦮅𧂀𧕤𧕥𧠓𧥟𧰱𧻙𧼟𧿴𨆽𨟖𨰞𨱱𩃁𩄻𩌧𩐻𩑦𩑷𩞁𩟠𩢖𩢷𩥔𩪮𩿣𪍇𪍤𪎠𪏟𪒂𪒇',
+  mou: '㭌䍒䏬䗋䥐䱕侔劺呣哞恈某牟眸繆缪蛑謀谋踎鍪鴾麰𠀱𠥨𢃱𣏁𣫬𥆆𥿵𦊋𦊎𦋡𦭷𦳑𦺒𧎄𨴍𩢫𩶢',
+  mu: '㒇㜈㣎㧅㾇䀲䊾䑵䥈䧔䱯亩仫凩募坶墓姆姥峔幕幙慔慕拇暮暯木楘母毣毪氁沐炑牡牧牳狇畂畆畒畝畞畮目睦砪穆縸胟艒苜莯蚞踇鉧鉬钼雮霂鞪𠺖𡜿𡵬𢘃𢜯𢟨𢟽𣈊𤚅𤝂𤝕𤱔𤵝𥄈𥣸𥰻𦃤𦱒𧚀𧩒𧬏𧰷𧿹𨈶𨍎𨎸𨡭𨢢𩡨𩬍𩵦𩶖𩶩𪎫',
+  n: '㕶𧗈',
+  na: '㗙㨥㴸䀑䅞䇣䇱䈫䎎䏧䖓䖧䛔䟜䪏䫱䱹乸吶呐哪嗱妠娜拏拿捺搻笝納纳肭蒳衲袦豽貀軜那郍鈉鎿钠镎雫靹魶𠕄𠱲𠴾𡤙𡰀𡷝𢇵𢜲𢡏𣅚𣡰𣸏𣹵𤓷𤔀𤝒𤬷𤭠𤱅𤱆𤶸𤷈𤸏𤸻𥍲𥑒𥹉𥿃𦙜𦛐𦣀𦬻𦰡𧋡𧘽𧤣𧦮𧰹𩏼𩚛𩮅𩹾𪌅𪐀',
+  nai: '㮈㮏㲡㾍䍲䘅䯮乃倷奈奶嬭孻廼柰氖渿疓耐腉艿萘螚褦迺釢錼鼐𠄎𠄕𠧤𡞏𡞫𡨵𡮙𢉓𣉘𣮦𥉃𦓎𦔹𦠸𦳐𦶅𨎡𨒨𩹟𪌞',
+  nan: '㓓㫱㽖䁪䈒䔜䔳䕼䛁䶲侽南喃囡娚婻戁抩揇暔枏柟楠湳煵男畘腩莮萳蝻諵赧遖难難𡆤𡆱𡆲𢪈𢬷𣑮𤌔𤱣𤽲𤿏𦍀𦛚𦝧𦶈𧇙𧕴𧧛𧹞𨂾𨠹𨦳𨴌𨴘𨵴𩅠𩈑𩈶𩹞𪅀',
+  nang: '㒄㶞䂇乪儾嚢囊囔擃攮曩欜灢蠰饢馕齉𠶬𡿝𢖧𦈃𦗳𦣘𧅺𧖒𧟘𨳆𩜒',
+  nao: '㑎㛴㞪㺀㺁䃩䄩䑋䛝䜀䜧䫸䴃匘呶垴堖夒嫐孬峱嶩巎怓恼悩惱憹挠撓淖猱獶獿瑙硇碙碯脑脳腦臑蛲蟯詉譊鐃铙閙闹鬧𠅈𠊦𠜶𠡷𡍍𡜪𡽧𡾂𡿺𢅈𢉵𢙉𢙐𢜸𢪼𢷃𣧽𣭺𤊲𤋫𤞍𤠏𤡤𤫕𤷻𥀮𥆲𥑨𥑩𥑪𥒢𦗮𧩣𧳦𧳺𧴓𧴙𨥸𨱵𩋈𩖯𩛋𩤘𩩀𩫔𩫺𩬷𩯆',
+  ne: '㕯䎪䭆抐疒眲訥讷𢗉𣧍𧤜',
+  nei: '㐻㖏㘨㨅㼏䡾䲎䳖內内娞氝氞脮腇錗餒馁鮾鯘𠑚𠑛𡣢𢁩𢅼𢛉𣓃𥡭𨡌𩗔𩬀',
+  nen: '㜛㯎㶧嫩嫰恁𡞾𧮠𨈗',
+  neng: '㲌㴰䏻能𠹌𢆂𨃳𨶙',
+  ng: '嗯',
+  ni: '㞾㠜㣇㥾㦐㪒㲻㵫㹸䁥䕥䘌䘦䘽䛏䝚䦵䧇䭲䰯䵑䵒伱伲你倪儗儞匿呢坭埿堄妮妳婗嫟嬺孴尼屔屰怩惄愵抳拟掜擬旎昵晲暱柅棿檷氼泥淣溺狔猊眤睨秜籾縌聣聻胒腻膩臡苨薿蚭蜺觬誽貎跜輗逆郳鈮铌隬霓馜鯢鲵麑齯𠆵𠱘𠸺𠽬𡎳𡎿𡞭𡣁𡥦𡥨𡫸𡬗𢅟𢚮𢛜𢣚𢦱𢴚𣘗𣡋𣢞𣭙𣲷𤙌𤦤𥄽𥇄𥜦𥜬𥷄𥺜𦆦𦤽𦦃𦮾𦰫𧃩𧈞𧏾𧖷𧡎𧵼𧺰𨀀𨋗𨺙𨽦𩈢𩉹𩋪𩍦𩚯𩩢𩯨𩰞𩱄𩸦𩸧𩺝𩺱𪏵𪏸𪐌',
+  nian: '㘝㞋㲽䄭䄹䚓䩞䬯卄哖唸埝姩年廿念惗拈捻撚撵攆涊淰焾碾秊秥簐粘艌蔫蹍蹨躎輦辇鮎鯰鲇鲶鵇黏𠕟𠗋𠣇𠫺𡝟𡰫𢆡𣎔𣐏𤁥𤽿𥮘𥺴𦁇𦭁𦷙𨇍𨋚𨚶𨛲𨢯𨴞𩉄𩊫𩼔𩽴𪐇𪑮',
+  niang: '䖆娘嬢孃酿醸釀𥽬𪓃',
+  niao: '㒟㜵㞙㠡㭤㳮䃵䐁䙚䦊䮍嫋嬝嬲尿樢脲茑蔦袅裊褭鳥鸟𠒰𡖗𡘏𡝋𡝒𡠿𢶑𢸣𣟊𥤂𥾇𨳀𨽖𩖔𩭑𪅝𪈼𪉓',
+  nie: '㖖㘿㙞㚔㜸㡪㩶㮆㴪㸎䂼䄒䌜䜓䯀䯅䯵啮嗫噛嚙囁囓圼孼孽嵲嶭巕帇捏揑摰敜枿槷櫱涅湼痆篞籋糱糵聂聶臬臲苶菍蘖蠥讘踂踗踙蹑躡錜鎳鑈鑷钀镊镍闑陧隉顳颞齧𠈊𠶿𡆣𡍤𡰆𡴎𡶫𡸣𡾦𡾲𡿖𡿗𢈸𢫻𣀳𣌍𣙗𣡌𣯭𣰼𤭂𤴘𤶚𤺐𥔄𥬬𥮤𦄌𦘒𦛠𦞆𦯖𦵐𧁈𧋖𧞍𧻼𨊞𨙓𨱺𨲀𨶠𨻄𩋏𩐭𩒕𩖁𩣘𪌊𪌿𪎃𪎅',
+  nin: '㤛䋻䚾䛘囜您拰脌𠽝',
+  ning: '㝕㣷㲰㿦䔭䗿䭢佞侫倿儜凝咛嚀嬣宁寍寕寗寜寧拧擰柠橣檸泞澝濘狞獰甯矃聍聹薴鑏鬡鸋𡫃𣍆𤕦𤹧𤻝𥣗𥧤𥳥𦡲𦡼𦺝𧃱𧑗𧕝𧭈𩕳',
+  niu: '㺲䀔䋴䏔䒜妞忸扭杻汼炄牛牜狃紐纽莥鈕钮靵𣧊𣲶𥀝𥍳𥝦𧘥𨋀𨙺𨳞𨷁𩈇𩙷𩚖𩲍𩵠𪏲',
+  nong: '㶶㺜䁸䢉䵜侬儂农哝噥弄挊挵檂欁浓濃燶癑禯秾穠繷脓膿蕽襛譨農辳醲鬞齈𠘊𤂑𥂒𧗕𨑊𨲳𩅽𩇔𩟊𪆯𪒬',
+  nou: '㝹䅶䘫䨲䰭槈檽獳羺耨鎒鐞𠲴𡝦𡨻𡭾𢉕𢉚𣻖𤟦𥀫𧂦𧃨𧅘𩆟𩒔𪋺',
+  nu: '㐐㚢䢞伮傉努奴孥弩怒搙砮笯胬駑驽𠴂𢪦𢫓𢫭𥅄𥛑𥤨𥱂𧉭𧪅𧿔',
+  nuan: '㬉䎡䙇奻暖渜煖煗餪𪋐',
+  nun: '黁',
+  nuo: '㐡㑚㔮㛂㡅㰙䚥傩儺喏愞懦懧挪掿搦梛榒橠稬穤糑糥糯諾诺蹃逽鍩锘𠕝𠕰𠸱𠹈𡖔𡖫𡬥𡿊𢜪𢰜𢾲𣃽𣆚𤘟𥑽𥻾𦀨𦂍𦓢𦡃𦩜𧣚𧣺𨁌𨎭𨙻𩈺𩴓𩴴𩷁',
+  nv: '女恧朒沑籹衂衄釹钕𥄋𥍞𦓕𦓖',
+  nve: '䖈䖋婩疟瘧硸虐𨵫𩁿',
+  o: '哦喔噢筽',
+  ou: '㒖㛏㼴䌂䌔䚆䯚䳼偶吘呕嘔塸怄慪櫙欧歐殴毆沤漚熰瓯甌耦腢膒蕅藕藲謳讴鏂鴎鷗鸥𠙶𠢔𠥝𠴰𡂿𡈆𡩾𣂻𣉾𣓕𣢨𣽕𤁮𤛐𤵎𥈬𥐂𥧆𥱸𥻑𦂕𦟾𧖼𧪓𩀫𩔸𩥋𪊪',
+  pa: '䔤䯲䶕啪妑帊帕怕掱杷潖爬琶皅筢舥苩葩袙趴𣚒𣧜𣱺𣲩𤆵𤽉𥐙𥩙𦐆𧑡𧣃𧣣𨋐𩈆',
+  pai: '㭛㵺䖰俳哌徘拍排棑沠派渒湃牌犤猅箄簰簲蒎輫鎃𠂢𠸁𢫦𣏟𣖐𣝁𣲖𣴪𥯟𥱼𥴖𥿯𦔠𦩯𦫖𧵠𩛇',
+  pan: '㳪䃑䃲䈲䰉䰔丬冸判叛坢媻幋拚搫攀柈槃沜泮洀溿潘瀊炍爿牉畔盘盤盼眅磐磻縏聁萠蒰蟠袢襻詊跘蹒蹣鋬鎜鑻鞶頖鵥𠬜𠽲𡞟𢰿𣁦𣔚𤄜𤄧𤖭𤠍𤺏𤻷𥈼𥉟𥌊𥕿𦙀𦪹𧺾𨂝𨃞𨃟𨒃𪄀𪒀',
+  pang: '㜊㤶㥬㫄䅭䒍䨦䮾乓厐嫎庞彷徬旁滂炐眫耪肨胖胮膖舽螃覫逄雱霶鰟鳑龎龐𠗵𠦲𡅃𢐊𣂆𤧭𥪴𦜍𦣂𧔧𧿆𨜷𩃎𩅅𩈈𩐨𪐿𪔔',
+  pao: '㘐㚿㯡䛌䩝䶌刨匏咆垉奅庖抛拋泡炮炰爮狍疱皰砲礟礮脬萢袍褜跑軳靤鞄麃麅麭𠣳𡂘𡧙𡯈𡾌𢾳𣏫𣕅𣚇𣟏𣮃𣶐𤔉𥶔𦐸𦠖𧙌𨋛𨣙𩂞𩆘𩎘𩎾𩐜𩗥𪊳',
+  pei: '㟝㤄㧩㫲㳈䊃䣙䪹䫠䲹伂佩俖呸培姵帔怌斾旆毰沛浿犻珮肧胚蓜衃裴裵賠赔轡辔配醅錇锫阫陪霈馷𠀾𠁞𢁖𢘀𢥐𣍺𣬆𣯱𤗏𤬃𥄔𥹂𦙂𦸪𧳏𧴥𧺍𨓿𨙶𨛬𩎜𩑢𩖭𩵣',
+  pen: '呠喯喷噴歕湓瓫盆翸葐𠺔𠽾𡺜𪂽',
+  peng: '㛔㥊㼞䄘䡫䰃䴶倗傰剻匉嘭堋塜塳弸彭怦恲憉抨捀捧掽朋梈棚椖椪槰樥泙淎澎烹熢皏砰硑硼碰磞稝竼篣篷纄膨芃莑蓬蘕蟚蟛袶踫軯輣錋鑝閛韸韼駍騯髼鬅鬔鵬鹏𡂫𡗗𡼜𢏳𢪋𢴒𢼩𢽩𣟀𣨞𤖳𤘾𥕱𥕽𦚝𦪪𦯰𧌇𧚋𧴂𨂃𨅘𨍩𨎧𨎳𨑎𨠟𨭌𨲰𨺀𩄦𩐛𩖛𩡕𩱀𩸀𪔍',
+  pi: '㓟㔥㔻㨽㯅㿙䏘䑀䑄䚰䚹䠘䡟䤏䤨䫌䰦䴙丕仳伓伾僻劈匹吡啤噼噽嚭圮坯埤壀媲嫓屁岯崥嶏庀悂憵批披抷揊擗旇枇枈毗毘淠潎澼炋焷狉狓琵甓疈疋疲痞癖皮砒磇礔礕秛秠稫笓篺紕纰罴羆翍耚肶脴脾腗膍苉蚍蚽蚾蜱螷蠯諀譬豼豾貔邳郫釽鈚鈹鉟銔銢錃錍铍闢阰陴隦霹駓髬魮魾鮍鲏鴄鵧鷿鸊鼙𠒱𠜱𠡄𠨸𠪮𠯔𠯭𠵬𠹦𡊝𡛘𡛡𡦟𡲮𡶌𡺮𢇳𢓖𢞗𢰘𢱧𢻹𢾇𢾱𣓋𣔬𣖰𣢋𣪉𣬈𣬉𣬮𣬼𣹚𣹮𤂃𤖿𤘢𤘤𤘹𤚪𤬭𤱍𤴣𤷒𤼜𤼤𤿇𤿎𤿐𥀘𥔁𥤻𥧔𥯡𦀘𦃋𦊁𦘩𦘲𦤢𦨭𦰽𦳈𦹽𧑜𧓎𧖕𧧺𧪫𧲺𧳼𧴉𧾑𨈚𨐴𨑜𨤽𨧦𨲐𨵡𨵩𨺤𨻀𩔙𩗫𩜰𩣚𩫫𪄆𪇊𪊕𪌈',
+  pian: '㓲㛹㸤㼐㾫䏒䮁偏囨媥楄楩片犏篇翩胼腁覑諞谝貵賆跰蹁鍂駢騈騗騙骈骗骿魸鶣𠯯𠷊𡎚𢉞𢐃𢕨𢙧𦳄𧍲𧡤𧱩𨂯𨲜𨵸',
+  piao: '㩠㬓㵱㹾㺓㼼䏇䕯䴩僄剽勡嘌嫖彯徱慓旚殍漂犥瓢皫瞟票篻縹缥翲薸螵醥闝顠飃飄飘驃骠魒鰾𠷻𡢱𡣋𣋳𣝐𣳭𦭼𧌠𧢄𧽤𨝓𨮬𩄷𩗏𩙒𩡦𩮳𪅃𪋖𪏫',
+  pie: '䥕丿嫳撆撇暼氕瞥苤覕鐅𠟈𠢪𢳂𤏰𤮕𦒐𦗥𩓼𩠿',
+  pin: '㰋䀻品嚬姘娦嫔嬪拼榀汖牝玭琕矉砏礗穦聘薲蘋蠙貧贫顰频颦馪驞𠐺𠮰𡛞𡝏𡣕𡸫𢣐𢬵𢶳𣎳𥑓𥖶𦇖𧔪𧭹𧮝𨏞𩕵𩖓𩰗',
+  ping: '㺸㻂䍈䶄乒俜凭凴呯坪塀娉屏屛岼帡帲幈平慿憑枰檘洴涄淜焩玶瓶甁甹砯竮箳簈缾聠胓艵苹荓萍蓱蚲蛢評评軿輧郱頩鮃鲆𠗥𠗦𡊞𢆟𢖊𤭔𤳊𥪁𥭢𥵪𦀔𦚓𦥚𦥤𦶊𧂋𧏑𨂲𩂾𩈚𩩍𪋋𪔾𪕒',
+  po: '㔇㛘㨇㰴䄸䎊䞟䣪䣮䨰䪖䯙叵哱嘙嚩坡奤婆尀岥岶廹敀昢櫇泼洦湐溌潑烞珀皤破砶笸箥粕蒪蔢迫鄱酦醗醱釙鉕鏺钋钷頗颇駊魄𠰐𠰼𠵳𠷑𠾌𡊟𡶆𡼃𡽠𢂤𢱨𢶉𣍸𣬚𣲳𤀪𤖼𤝯𤽌𥗟𥬒𥵜𥹖𦃡𦍁𦐦𦑀𦑵𦒟𦥭𦥲𦫔𦾕𦿍𧂉𧘟𧙅𧴤𧿽𨂩𨅅𨆵𨑝𨠓𨡩𨫁𨸭𩊀𩑼𩔈𩕏𩢘𩸿',
+  pou: '㧵剖咅哣垺娝婄抔抙捊掊犃箁裒𢒷𦵿𦺎𧠾𩔻𩚭',
+  pu: '㒒㬥㯷㲫㹒㺪䈬䈻䑑䔕䗱䧤䲕䴆仆僕匍噗圃圑圤埔墣扑撲擈攴攵普暜曝朴樸檏氆浦溥潽濮瀑炇烳獛璞痡瞨穙纀舖舗莆菐菩葡蒱蒲諩譜谱贌蹼酺鋪鏷鐠铺镤镨陠鯆𡜵𡰿𢈲𢼹𣋏𤆝𤗵𤰑𤾣𥐁𥐚𥛟𥣈𥼜𦢂𦬙𦮑𧙛𧦞𧭎𧱹𨁏𨛥𨽂𩂗𩑀𩪛𩯱𪋡𪒢𪔿𪖈',
+  qi: '㐞㒅㓞㞓㞚㟓㟚㟢㠎㣬㥓㩩㩽㫓㮑㯦㼤㾨䀈䀙䁈䁉䄎䄢䄫䅤䅲䉝䉻䋯䌌䎢䏅䏌䏠䏿䐡䑴䒗䒻䓅䔇䕤䙄䚉䚍䛴䞚䟄䟚䡋䡔䢀䣛䧘䧵䩓䫏䫔䬣䭫䭬䭶䭼䰇䰴䱈䲬䳢䶒䶞七丌乞亓亝企倛傶僛其凄剘启呇呮咠唘唭啓啔啟嘁噐器圻埼墄夡奇契妻娸婍屺岂岐岓崎嵜帺弃忯悽愒愭慼慽憇憩懠戚捿掑摖攲敧斉斊旂旗晵暣期杞柒栔栖桤桼棄棊棋棨棲榿槭檱櫀欫欹欺歧气気氣汔汽沏泣淇淒湆湇滊漆濝炁猉玂玘琦琪璂甈畦疧盀盵矵砌碁碕碛碶磜磧磩祁祈祺禥竒簯簱籏粸紪綥綦綺緀绮罊耆肵脐臍艩芑芞芪萁萋萕葺蕲藄藒蘄蚑蚔蚚蛴蜝蜞螧蟿蠐褀褄訖諆諬讫豈起跂踦蹊軝迄迉邔郪鄿釮錡鏚鐑锜闙陭隑霋頎颀騎騏騹骐骑鬐鬿魌鯕鰭鲯鳍鵸鶀鶈麒麡齊齐𠀁𠁭𠅚𠊔𠎰𠐾𠓪𠔚𠔶𠧒𠫸𠴹𠷠𡍪𡖾𡢖𡦍𡪵𡫁𡷞𡹉𡹓𡹘𡹩𡺓𡺸𡻧𡻰𡽼𢁒𢃛𢍁𢍆𢍉𢍑𢔆𢔠𢜱𢞒𢢖𢢞𢩡𢴰𢺵𢺷𢻋𢻚𢻪𢾦𢾪𣉓𣏶𣔘𣛺𣫱𣯆𣶠𣾤𤘌𤣱𤦺𤪌𤳃𤳤𤷍𤹸𤺗𤼅𥀻𥄜𥇚𥉐𥉙𥉷𥉻𥌁𥓾𥔩𥖫𥤥𥫟𥳽𥷇𥼘𥽳𦄊𦈦𦔌𦖊𦘸𦙊𦚊𦛰𦜝𦡹𦧉𦧯𦩣𦪊𦫡𦭲𦸆𦸓𦸗𧇜𧋉𧌞𧌴𧎪𧒕𧓉𧓑𧕉𧘗𧘧𧙞𧙾𧚨𧠪𧡘𧡺𧯯𧰙𧺫𧻕𧼕𧼘𧽓𨁐𨉸𨊰𨑤𨒅𨙬𨙸𨞢𨥦𨪌𨱜𨵆𨸒𨸔𩉬𩒛𩒨𩠦𩥂𩦋𩧌𩨘𩨝𩲪𩳣𩴪𩷾𩸸𩹵𩺲𪀩𪂛𪄖𪄭𪅾𪒆𪒑𪔪',
+  qia: '㓣㡊㤉䜑䠍䨐䯊䶗䶝冾圶峠帢恰拤掐擖殎洽硈胢葜跒酠鞐髂𠕣𠜤𠜼𠝘𠝛𠳌𡘧𡤫𢮌𢼣𣁴𣘟𣣟𣨄𤫶𤵹𥎸𥦞𥴭𦝣𦸉𧩶𩥌𩩱𩮁𩷻',
+  qian: '㐸㜞㟻㡨㦮㧄㨜㩃㩮㪠㯠㸫䁮䇂䈤䈴䊴䍉䕭䖍䞿䥅䦲䨿䪈䫡䭤乹乾亁仟仱伣佥俔倩偂傔僉儙刋前千厱圱圲堑塹墘壍奷婜媊嬱孯岍岒嵌忴悓悭愆慊慳扦扲拑拪掔掮揵搴撁攐攑攓杄棈椠榩槏槧橬檶櫏欠欦歉歬汘汧浅淺潛潜濳灊牵牽皘竏签箝篏篟簽籖籤粁綪縴繾缱羬肷膁臤芊芡茜茾荨葥蒨蔳蕁虔蚈蜸褰諐謙譴谦谴谸軡輤迁遣遷釺鈆鈐鉗鉛銭錢鎆鏲鑓钎钤钱钳铅阡韆顅騚騝騫骞鬜鬝鰬鵮鹐黔黚𠀼𠊭𠋵𠎝𠑲𠔺𠠃𠢍𠬾𠳋𠷁𡒌𢁮𢂺𢃘𢃥𢋔𢌍𢍱𢜩𢧥𢮄𣓅𣖳𣘝𣟋𣢖𣢬𣢲𣹥𤠿𤿷𥏥𥔮𥜴𥦃𥧬𥮒𥱺𥲢𥳐𥴤𥷪𦂒𦅋𦖎𦴑𦼓𧃑𧘜𧚫𧛓𧟑𧢞𧣑𧥛𧪯𧮮𧮽𧲀𧽐𨐋𨐩𨓲𨗦𨜻𨝍𨟦𨥞𨦄𨨘𨰂𨱫𨺩𨺫𨽨𩋆𩑳𩒣𩨓𩪢𩬚𪇇𪈇𪉻',
+  qiang: '㛨㩖䅚䵁呛唴啌嗆嗴墏墙墻嫱嬙嶈廧強强彊戕戗戧抢搶摤斨枪椌槍樯檣溬漒炝熗牄牆猐獇玱瑲篬繈繦羌羗羟羥羫羻腔艢蔃蔷薔蘠蜣襁謒跄蹌蹡鎗鏘鏹锖锵镪𠒌𡓜𡠥𡬎𡸤𡺛𢈵𢋾𢏄𢐩𢧅𣫝𤕽𥇉𥓌𥴻𥶑𦯤𦳟𦷦𧇞𧖑𧭚𧱡𧽩𨄚𨶆𩣼𩩝𩼒𩿄𪁸𪎞',
+  qiao: '㚁㚽㝯㡑㢗㤍㪣㴥䀉䂭䃝䆻䇌䎗䩌䱁䲾乔侨俏僑僺劁勪喬嘺墝墧墽嫶峭巧帩幧悄愀憔撬撽敲桥槗樵橇橋櫵毃燆犞癄睄瞧硗硚磽礄窍竅繑繰缲翘翹荍荞菬蕎藮誚譙诮谯趫趬跷踍蹺蹻躈郻鄡鄥釥鍫鍬鐈鐰锹陗鞒鞘鞩鞽韒頝顦骹髚髜𠏖𠿕𡌔𡩇𡰐𡰑𡺘𢄹𢐟𢘟𢩨𢮉𢶡𢻤𢿣𢿲𣂇𣒆𣖄𣜽𣦜𣯹𣹝𣺰𥉾𥟅𥹶𦢺𧄍𧣌𨃤𨅣𨜍𨜑𨝱𨞶𨸑𩖇𩨟𪑊',
+  qie: '㓶㗫㚗㛍㛙㤲㥦㫸㰰㰼㹤㾀㾜䟙䤿䦧䬊且伽切匧厒妾怯悏惬愜挈朅洯淁癿穕窃竊笡箧篋籡聺苆茄蛪趄踥郄鍥锲鯜𠀃𠀇𠁠𠋧𠩂𠲵𡂠𡐤𡛠𡝍𡶐𢲶𢺅𣠺𤴼𤷾𥕑𥩓𥪵𥿚𦆍𦼰𦿋𧑨𧚪𧫕𧻘𧻧𨄊𨉪𨖰𨚧𩣴𪑗',
+  qin: '㓎㘦㝲㞬㢙㤈㩒㪁㮗㾛䈜䔷䖌䠴䦦亲侵兓勤吢吣唚嗪噙坅埐媇嫀寑寝寢寴嵚嵰嶔嶜庈慬懃懄抋捦揿搇撳擒斳昑梫檎欽沁澿瀙珡琴琹瘽禽秦笉綅耹肣芩芹菣菦菳藽蚙螓螼蠄衾親誛赾鈙鈫鋟钦锓雂靲顉駸骎鮼鳹鵭𠓿𠔎𠖶𠘅𠜘𠦎𠪢𠻨𡫧𡵑𡹢𢫲𢱶𣆲𣖯𣜣𣢐𣨠𣪄𤙋𤚩𤥓𤴽𤵂𤿳𥍯𥎊𥎡𥘋𥱧𥵧𦧋𦯈𧯃𧼒𧾏𨆓𨙽𨛣𨾰𩂈𩎖𩐙𩓒𩔝𩔟𪒭𪒯',
+  qing: '㯳㷫䋜䌠䔛䝼䞍䯧䲔倾傾儬凊剠勍卿啨圊埥夝寈庆庼廎情慶掅擎擏晴暒棾樈檠檾櫦殑殸氢氫氰淸清漀濪甠硘碃磬箐綮罄苘葝蜻請謦请軽輕轻郬錆鑋靑青靘頃顷鯖鲭黥𠑴𠗝𠨍𡄇𡄔𡲀𢹃𣩜𣫨𤭩𥃟𥥻𥱨𧕙𧖪𨆪𨓷𨻩𨻶𨻺𩇝𩇟𩑭𩒵𩔥𩗼𩷏𩽡𪄈𪏅',
+  qiong: '㒌㧭㮪㷀㼇䅃䆳䊄䓖䛪䠻儝卭宆惸憌桏橩焪焭煢熍琼璚瓊瓗睘瞏穷穹窮竆笻筇舼茕藑藭蛩蛬赹跫邛銎𠌖𠤊𡊼𡞦𡦃𡸕𡺺𢞏𢮍𢶇𣇬𣋶𣑦𣜧𣶆𤢶𤤑𤤶𤪞𥑎𥑱𥨪𥳎𦦧𦨰𦭭𦾵𨀯𨍶𩑓𩢽𩨯𩬛𩬰𪀛',
+  qiu: '㐀㐤㕤㞗㟈㤹㥢㧨㭝㷕㺫㼒䊵䎿䜪䞭䟬䟵䠗䣇䤛䱸䲡丘丠俅叴唒囚坵媝崷巯巰恘恷扏搝朹梂楸殏毬求汓泅浗渞湫湬湭煪犰玌球璆皳盚秋秌穐篍糗紌絿緧肍芁莍萩蓲蘒虬虯蚯蛷蝤蝵蟗蠤裘觓觩訄訅賕赇趥逎逑遒邱酋醔釚釻銶鞦鞧頄鮂鯄鰌鰍鰽鳅鶖鹙鼽龝𠀈𠀉𠀌𠗈𠰋𡆢𡊣𡲚𢈝𢘄𢛃𢦎𣧝𣭳𤕾𤞰𥔻𥥽𥫷𥭑𦦄𦬖𦰪𧇸𧏋𧒔𧔭𧣕𧤕𧲰𧺤𧻁𧻱𨍊𨒊𨕦𨟽𨲒𨺧𩈸𩒮𩔕𩗕𩝠𩵍𪀖𪍗',
+  qu: '㖆㜹㣄㧁㫢㭕㯫㰦㲘㻃䀠䁦䂂䋧䒧䒼䖦䝣䞤䟊䠐䧢䵶䶚伹佉佢刞劬匤区區厺去取呿坥娶屈岖岴嶇忂憈戵抾敺斪曲朐欋欔氍浀淭渠灈焌煀爠璖璩癯瞿磲祛竘竬筁籧粬紶絇翑耝胊胠臞菃葋蕖蘧蛆蛐蝺螶蟝蠷蠼衐衢袪覰覷覻觑詓詘誳诎趋趍趣趨躣躯軀軥鑺閴闃阒阹駆駈驅驱髷魼鰸鱋鴝鶌鸜鸲麮麯麴麹黢鼁鼩齲龋𠇯𠍲𠏛𠙴𠣪𡟥𡡥𡱅𡱺𡲰𡳆𢌄𢌷𢎖𢦌𢴮𢼰𣖪𣮈𣯸𣰋𣰠𣰡𣰻𤆬𤖬𤘐𤙏𤨎𥃔𥃜𥐰𥕥𥗫𥧻𥬔𥶶𥺷𥽧𦄽𦐛𦔬𦕙𦗛𦛕𦛱𦣒𦸶𦼫𧀍𧄒𧉧𧊛𧌑𧐅𧕎𧝔𧠢𧲵𧾱𧾶𨄅𨎶𨐣𨓭𨞙𨞳𨧱𨼫𨼽𩇐𩉿𩖷𩢳𩣹𩧘𩪍𩴹𩵅𩽩𩿟𩿥𩿩𪀊𪁖𪄊𪆂𪆫𪋄𪌆𪌬𪍸',
+  quan: '㒰㟨㟫䀬䄐䊎䑏䟒䠰佺全券劝勧勸啳圈圏埢奍姾婘峑巏恮悛拳搼权棬椦楾権權泉洤湶烇牶牷犈犬犭犮瑔畎痊硂筌箞絟綣縓绻荃葲虇蜷蠸觠詮诠跧踡輇辁醛銓鐉铨闎韏顴颧駩騡鬈鰁鳈齤𠓴𠛮𠤹𠥙𡇮𡈉𡙅𡙐𡰝𡴔𡺟𡿨𢍕𢎠𢑆𢔑𣍴𣸋𤜍𤥷𤬠𤰝𤷄𥁸𥤊𥹳𦋓𦍅𦏮𦓰𦨚𧈾𧍭𧸾𨛈𨜩𨨗𨩸𩓫𩘘𩜬𪈻𪐂',
+  que: '㕁㩁㰌㱋㱿㲉㴶㾡䇎䦬䧿傕却卻埆塙崅悫愨慤搉棤榷炔燩琷瘸皵硞确碏確碻礐礭缺缼蒛趞闋闕阕阙雀鵲鹊𠞗𡇱𡉉𢠬𣛵𣤇𣪹𤣅𤷽𤿋𤿩𤿵𥀎𥆸𥕹𥗙𥗮𥜵𥩢𧎯𧢩𧢭𨞩𨟠𨢜𨴊𨴒𨵗𨶔𩍷𩤈𩨭𩨷𩫠𪏈𪏨𪖀',
+  qun: '㪊㿏䭽囷夋宭峮帬羣群裙裠逡𡈀𡝗𢛕𣀄𣀆𤛭𤸷𦃢𦽖𨞗𩎗𩤁',
+  ran: '㚩㜣㯗㲯㸐㾆㿵䎃䑙䒣䖄䣸䤡䫇冄冉呥嘫姌媣染橪然燃珃繎肰苒蒅蚦蚺衻袇袡髥髯𠊌𠤀𠯍𠱞𡖝𡜉𡜫𢓒𣰦𤓌𤙼𤡮𤱋𤲗𥀭𥣹𥬕𥳚𦫉𧊨𨹌𩃵𩢡𩧬𩶎𪓘𪓚',
+  rang: '㚂䉴儴勷嚷壌壤懹攘瀼爙獽瓤禳穣穰蘘譲讓让躟鬤𣩽𣰶𤅑𤬥𤰂𥗝𧟄𨏛𨟚𩆶',
+  rao: '㑱㹛䫞娆嬈扰擾桡橈繞绕荛蕘襓遶隢饒饶𠒸𡈦𢹎𦪛𧳨𨇄',
+  re: '惹热熱𢞇𤑄𧧏𩭿',
+  ren: '㠴㣼㶵㸾䀼䇮䋕䌾䏕䏰䭃䴦人亻仁仞仭任刃刄壬妊姙屻岃忈忍忎扨朲杒栠栣梕棯牣祍秂秹稔紉紝絍綛纫纴肕腍芢荏荵衽袵訒認认讱躵軔轫鈓銋靭靱韌韧飪餁饪魜鵀𠆧𠔽𠯄𠲏𡰥𢆉𢇦𣅉𤆕𦍌𦏀𦬄𧥷𧴬𨉃𩑉𩵕𪔺',
+  reng: '㭁㺱䄧䚮仍扔礽芿辸陾𠧟𠮨𠯷𠯹𣗐𥾋𧹈𨸐',
+  ri: '䒤囸日衵釰釼鈤馹驲𡆸𡉭𤝍𦨙',
+  rong: '㘇㝐㣑㭜㲓㲝㲨㺎㼸䇀䇯䈶䘬䠜䡆䡥䢇䤊䩸傇傛冗坈媶嫆嬫宂容峵嵘嵤嶸戎搈搑曧栄榕榮榵槦毧氄溶瀜烿熔爃狨瑢穁穃絨縙绒羢肜茙茸荣蓉蝾融螎蠑褣軵鎔镕駥𠌚𠞕𠰽𡊫𡊸𡖢𡦼𡫦𡭋𢐿𢦦𢦿𢫨𣮪𣯍𣯏𣯐𣲽𤘺𤘻𥎂𥎜𥑳𥨳𥬪𥼬𦔋𦗋𦗨𦶇𧉡𧎣𨉴𨉷𨋠𨌣𨍅𨍷𨒆𨲟𩍉𩎂𩚗𩮠𩼅𪃾𪕁𪕎',
+  rou: '㖻㽥䄾䐓䧷䰆厹媃宍揉柔楺渘煣瑈瓇禸粈糅肉脜腬葇蝚譳蹂輮鍒鞣韖騥鰇鶔𠠐𡗑𢔟𥠊𦍭𨛶𪑶',
+  ru: '㐈㦺㨎㹘䋈䰰乳侞儒入嗕嚅如媷嬬孺嶿帤扖挐擩曘杁桇汝洳渪溽濡筎縟繻缛肗茹蒘蓐蕠薷蝡蠕袽褥襦辱邚鄏醹銣铷顬颥鱬鳰鴑鴽𠟺𡄲𡜃𡜚𡫽𡮚𢖵𢛚𣖹𣚐𣭠𣯋𣹤𣽈𣽉𥙦𥞚𦤊𦭰𦳾𦷸𧊟𨚴𨨜𨾯𩄋𩍥𩱨𩶫𩶯𩸐𪏮𪑾',
+  ruan: '㐾㼱㽭䓴䞂䪭偄堧壖媆撋朊瑌瓀碝礝緛耎腝軟輭软阮𠤦𢘧𢡵𢱾𣃅𣡗𣽳𤧠𤲬𥈇𥊶𥎀𥎘𥩗𥯬𦺾𨒩𨨰𨪳𨬔𩏈',
+  rui: '㓹㛱㪫㮃㲊䅑䌼䓲叡壡枘桵橤汭瑞甤睿緌繠芮蕊蕋蕤蘂蘃蚋蜹銳鋭锐𡯒𢣳𣛚𣬘𥳝𦼆𧄜𨧨𨳙𪏩',
+  run: '㠈䦞橍润潤瞤膶閏閠闰𠷀𨷎𩀋',
+  ruo: '㘃䐞偌叒婼嵶弱挼捼楉渃焫爇箬篛若蒻鄀鰙鰯鶸𤍽𤣼𦩸𦶟𧃪𨀝𨴚',
+  sa: '㒎㪪㳐㽂䊛䘮䙣䬃仨卅摋撒櫒洒灑脎萨蕯薩訯躠鈒钑隡靸颯飒馺𠎷𠦃𠬙𠮿𠱡𠿓𡄳𡐥𡒁𢓔𢕬𢻨𣀯𣜂𣬬𥋌𥵯𥸗𥻦𦠿𦻅𦼧𧀕𧭝𨃛𨆂𨐖𨷆𩆅𩎕𩐅𩗉𩗞𩨞',
+  sai: '㗷䈢䚡僿嗮嘥噻塞愢揌毢毸簺腮賽赛顋鰓鳃𡬉𦞫𪃄',
+  san: '㤾㧲㪔㪚䀐䉈䊉䫅䫩三伞俕傘厁叁壭弎散毵毶毿潵犙糁糝糣糤繖鏒鏾閐饊馓鬖𡙘𢁘𢕕𢚗𢿱𣀧𣀫𣬛𣮠𥒬𥮚𦙱𦙸𦡨𦷻𦺻𧗋𧱆𧽾𨨕𩀲𩀼𩞀𩟴𩯑',
+  sang: '䡦䫙丧喪嗓搡桑桒槡磉褬鎟顙颡𡕏𡠏𣉕𣊝𣞙𤸯𥔫𦅇𦟄𧍨𨢆𩐷𩦌𩺞𪔬',
+  sao: '㛐㛮㿋䐹䕅埽嫂扫掃掻搔氉溞瘙矂繅缫臊螦颾騒騷骚髞鰠鱢鳋𠋺𢔳𢜶𢠡𢤁𢮞𣉔𣰕𤠘𤢖𥰱𦏛𦕏𦞣𦺋𦾘𧂩𧑫𧖠𨃣𨧪𨪊𩙈𩫦𩮚𪍻',
+  se: '㒊㥶㮦㱇㴔㻭䉢䔼䨛啬嗇懎摵擌栜歮歰洓涩渋澀澁濇濏瀒瑟璱瘷穑穡穯繬色譅轖銫鏼铯閪雭飋𠎸𠟦𠟩𠢳𠵭𠽼𠿗𡫟𡫳𡵶𢀋𢃢𢡉𢥛𣚟𣽤𤁧𤖗𤛷𤾿𥈽𥣱𥱁𥷹𥻨𦆄𦐅𧈈𧒓𧒗𧨷𨆙𩃑𩄜𩇣𩊯𩍙𩏫𩕡𩰙',
+  sen: '森椮槮襂𣟹𧂅𩕌',
+  seng: '僧鬙𡬙',
+  sha: '㚫㛼㰱㲚㸺䈉䝊䮜䵘䶎乷倽傻儍厦唦唼啑啥喢嗄帹廈杀桬榝樧歃殺毮沙煞猀痧砂硰箑粆紗繺纱翜翣萐蔱裟鎩铩閯閷霎髿魦鯊鯋鲨𠍽𠚺𡺧𢅑𢇗𢩖𢶌𢼵𣉜𣓉𣛶𣡽𣣮𣣺𣲓𣲡𣴷𣶤𣻑𤍁𤑣𤟃𥈊𦀛𦔯𦔰𦕉𦩿𦭉𦱵𦾚𧋊𧏫𧫝𧲌𧳛𧻵𨖷𨘉𨪍𩊮𩮫𩵮𪄅𪌮',
+  shai: '㩄㬠晒曬筛篩簁簛籭𢄌𧜁𨢦𩂃𩂝𩴇',
+  shan: '㚒㣌㣣㨛㪎㪨㶒䄠䆄䘰䚲䠾䥇䦂䦅䱇䱉䴮傓僐删刪剼善嘇圸墠墡姍姗嬗山幓彡扇挻掞搧擅敾晱杉柵椫樿檆歚汕潸澘灗炶煔煽熌狦珊疝痁睒磰禪笘縿繕缮羴羶脠膳膻舢芟苫蟮蟺衫覢訕謆譱讪贍赡赸跚軕邖鄯釤銏鐥钐閃閊闪陕陝饍騸骟鯅鱓鱔鳝鿃𠚹𠫹𠿞𡟨𢒉𢕻𢩢𢫔𢿈𣆴𣓒𣖉𣧺𣩧𣪶𣲀𤊼𤮜𤺪𥄘𥈚𥊀𥔱𥰢𥸣𦍸𦎞𦏂𦘹𦳫𦶋𦺭𧎥𧛄𧛡𧧵𧨾𧭽𧲾𧴭𧷶𨁆𨏪𨝩𨝵𨹈𨹊𨻤𩁺𩆤𩆫𩌰𩟋𩦐𪍶𪑃',
+  shang: '䬕丄上伤傷商垧墒尙尚恦慯扄晌樉殇殤滳漡熵禓緔绱蔏螪觞觴謪賞贘赏鋿鏛鑜鞝鬺𠄞𠄠𠼬𤎘𤔚𤵼𥏫𧡮𧶜𨢩𨶼𩞃𩞧𩰱𪄲',
+  shao: '㪢㲈㷹㸛䈰䈾䏴䒚䔠䘯䙼䬰劭勺卲哨娋少弰捎旓杓柖梢潲烧焼燒玿稍筲紹綤绍艄芍莦萷蕱袑輎邵韶髾鮹𠣫𠧙𠷃𡡏𢦽𢼼𢾐𤉎𤱠𥙬𥳓𥵦𦄏𦓴𦯐𦿃𧣪𧳹𨈘𨙹𨛍𨱭𨲆𩬏',
+  she: '㒤㢵㭙㰒㴇㵃䀅䁋䁯䂠䄕䌰䞌䠶䤮䬷䵥佘厍厙奓奢射弽慑慴懾捨揲摂摄攝檨欇涉涻渉滠灄猞畬畭畲社舌舍舎蔎虵蛇蛥蠂設设賒賖赊赦輋韘騇麝𠋞𠪣𠴯𠾏𡄢𢉃𢗭𢶅𣝒𣣭𣸚𣻣𤙱𤠭𤺔𥁹𥍉𥔡𥝀𥿞𦁗𦯬𦴍𦼢𧉮𧮿𧵳𨝫𨣍𩂨𩂴𩙝𩩗𩮐𪋧',
+  shen: '㑗㔤㜤㥲㰂㰮㵊㵕㾕䆦䰠什伸侁侺兟呻哂堔妽姺娠婶嬸审宷審屾峷弞愼慎扟敒昚曋曑柛榊氠沈涁深渖渗滲瀋燊珅甚甡甧申瘆瘮眒眘瞫矤矧砷神祳穼籶籸糂紳绅罙罧肾胂脤腎莘葚葠蓡蔘薓蜃蜄裑覾訠訷詵諗讅诜谂谉身邥鉮鋠頣駪魫鯓鯵鰰鰺鲹鵢𠂧𠃫𠗿𠘆𠭙𠻝𡖬𡼬𢈇𢈯𢊖𢊲𢍩𢏎𢏦𢑚𢘊𢸙𣇗𣐩𣔗𣘘𣘲𣿇𤏗𤕊𤶴𥆣𥎪𥏖𥤡𥥍𥥿𥬐𥳱𥸬𦌀𦐹𦕽𦜊𦜜𦸂𦸯𦺷𧀯𧢹𨊘𨐍𨐔𨐕𨝐𨞲𨴐𩉼𩶇𩺵',
+  sheng: '㗂㼳㾪䁞䎴䚇䞉䪿䱆偗剩剰勝升呏圣墭声嵊憴斘昇晟晠曻枡榺橳殅泩渻湦焺牲狌珄琞生甥盛省眚竔笙縄繉繩绳聖聲胜苼蕂譝貹賸鉎鍟阩陞陹鵿鼪𠄵𠅫𠇷𠓸𠓽𠴢𡞞𡨽𢦑𣛮𣢡𣫆𣬺𤚣𤯡𥘥𥟎𦔄𦔻𦕡𦖞𦛙𦩱𦳗𧍖𧡶𧪝𧿘𨁠𨕻𨚱𨜜𨲓𨵥𩍋𩷼𪅻',
+  shi: '㐊㒾㔺㕜㖷㫑㫭㮶㱁㵓㸷㹝㹬㹷䁺䂖䊓䌳䏡䒨䖨䗐䙾䛈䟗䤱䦠䦹䩃䭄䰄䲩䴓䶡世丗乨乭亊事仕使侍兘冟势勢十卋史呞呩嗜噬埘塒士失奭始姼嬕实実室宩寔實尸屍屎峕崼嵵市师師式弑弒徥忕恀恃戺拭拾揓施时旹是昰時枾柹柿栻榁榯氏浉湜湤湿溡溮溼澨濕炻烒煶狮獅瑡眂眎眡睗矢石示礻祏秲竍笶筮箷簭籂絁舐舓莳葹蒒蒔蓍虱蚀蝕蝨螫褷襫襹視视觢試詩誓諟諡謚識识试诗谥豕貰贳軾轼辻适逝遈適遾邿酾釃釈释釋釶鈰鉂鉃鉇鉐鉽銴鍦铈食飠飾餙餝饣饰駛驶鮖鯴鰘鰣鰤鲥鲺鳲鳾鶳鸤鼫鼭𠀍𠁗𠁱𠂕𠃭𠇳𠓡𠓤𠘪𠡥𠥿𠩔𠯰𠰚𠰴𠷇𡀗𡂓𡅵𡉸𡚼𡟕𡠋𡣪𡫵𡰣𡰯𡱁𡶈𡶾𡷈𡺔𡺞𢀕𢁓𢂑𢃰𢘥𢝬𢧏𢨝𢺿𢻘𢻫𢻱𢼉𢼊𣁒𣆘𣏚𣤘𣧚𣬐𤆰𤉏𤑦𤖻𤜣𤞏𤢼𤯄𤯜𤸤𤹌𥅔𥅞𥇲𥍸𥐘𥑏𥛨𥜰𥥥𥫴𥫽𥰫𥰰𥱒𥼶𥿅𦌿𦒈𦔂𦚨𦰯𦳊𦿇𧄹𧊖𧍀𧐂𧜂𧝊𧞲𧠜𧠡𧧅𧩹𧳅𧵋𧻸𨒍𨒧𨙩𨟂𨱡𨴯𨸝𨽄𩋡𩒂𩗎𩛌𩛏𩢲𩥐𩬭𩭐𩰢𪀔𪊢𪓻𪓿',
+  shou: '㖟㝊㥅䛵䭭兽収受售垨壽夀守寿手扌授收涭狩獣獸痩瘦綬绶膄艏鏉首龵𠂿𠈅𠱔𡭮𣒻𤙘𤚔𤱜𤸃𥅪𥅷𥙰𥨝𥾹𦣻𧈙𧌅𧚯𧜃𧤙𧯼𧵃𩠶𩴍𪈀',
+  shu: '㒔㛸㜐㟬㣽㯮㳆㶖㷂㻿㽰㾁䃞䆝䉀䎉䑕䔫䘤䜹䜿䝂䝪䞖䟽䠱䢤䩱䩳䴰书侸倏倐儵叔咰塾墅姝婌孰尌尗属屬庶庻怷恕戍抒捒掓摅攄数數暏暑曙書朮术束杸枢树梳樞樹橾殊殳毹毺沭淑漱潄潻澍濖瀭焂熟琡璹疎疏癙秫竖竪糬紓絉綀纾署腧舒荗菽蒁蔬薥薯藷虪蜀蠴術裋襡襩豎贖赎跾踈軗輸输述鄃鉥錰鏣陎霔鮛鱪鱰鵨鶐黍鼠鼡龧𠁮𠅩𠊪𠐊𠘧𠙎𠲌𠾢𡂡𡊍𡒒𡔪𡚾𡣈𡤽𡦛𡧔𡱆𢋂𢞣𢠫𢧇𣀻𣉛𣏗𣗳𣤯𣰿𣻚𤍓𤕟𤗪𤘷𤞉𤱐𤴙𤻃𥍝𥣋𥪡𥳕𥿇𦈷𦍄𦏧𦐣𦒶𦠦𦤂𦶕𦺗𦺪𧄔𧇝𧑓𧒑𧗱𧞀𧞫𧠣𧼯𨁀𨅒𨔦𨛭𨶝𨷙𨽉𩆩𩛅𩢻𩳅𩷌𪅰𪌶𪐧',
+  shua: '㕞刷唰耍誜𠛚𤔙𩈥𩉆𩤤',
+  shuai: '䢦卛帅帥摔甩蟀衰𠆂𠌭𢕅𢕑𣘚𣼧𤠠𤸬𤺀𧍓𧗿𧜠𨄮𩘱',
+  shuan: '䧠拴栓涮腨閂闩𡭐𢩠𢮛𣔫𣠸𤅲𦺲𨄔𨏉',
+  shuang: '㕠㦼㼽䗮䡯䫪双塽孀孇慡欆漺灀爽礵縔艭鏯雙霜騻驦骦鷞鸘鹴𠗾𠙠𡑽𣏪𤕤𥡠𥱶𥲚𦄍𦆌𧄐𧕟𧕺𧴅𨇯𩅪𩆿𩽧',
+  shui: '㽷䭨帨水氵氺涗涚睡祱稅税脽裞誰谁閖𠻜𡯑𡱊𢇤𢏅𤆙𥌘𥫸𦙙𦣢𧀣𨓚𨿠𩟥𩩞',
+  shun: '㥧䀢䀵䑞吮楯橓瞚瞬舜蕣順顺鬊𨝜𨺠𩑎',
+  shuo: '䀥䌃妁搠朔槊欶烁爍獡矟硕碩箾蒴說説说鎙鑠铄𠲾𠲿𣀝𣝇𣷥𣸛𣻘𤡯𤢴𥌞𦂗𦃗𦋞𨨺𩟧𪎒',
+  si: '㐌㕽㚶㚸㟃㣈㭒㴲㸻㹑㺇㺨䇁䇃䎣䏤䔮䦙丝亖伺似佀価俟俬儩兕凘厮厶司咝嗣嘶噝四姒娰媤孠寺巳廝思恖撕斯杫枱柶梩楒榹死汜泀泗泤洍洠涘澌瀃燍牭磃祀禗禠禩私竢笥糹絲緦纟缌罳耛耜肂肆蕬蕼虒蛳蜤螄蟖蟴覗貄釲鈶鈻鉰銯鋖鍶鐁锶颸飔飤飼饲駟騃騦驷鷥鸶鼶龱𠀓𠂺𠃼𠋡𠑾𠒃𠒅𠖓𠩕𠭈𠳎𡡒𢊀𢍭𢛥𢠹𢦲𣂖𣏌𣙼𣚄𣣑𣩠𣱻𤆟𤉡𤣵𤱸𥄶𥐀𥒲𥕶𥙉𥝠𥠱𥯨𥹊𦇲𦇵𦭡𦮺𦸷𦽕𧀚𧀩𧀳𧝤𧣛𧱅𧳙𨮭𨽸𨽼𩅰𩆵𩵗𩸟𩺛𪆁𪆓𪆗𪊍𪕳𪖉',
+  song: '㕬㞞㣝㧐㨦㩳㮸䉥䛦䜬䢠倯傱凇娀宋崧嵩嵷庺忪怂悚愯慫憽松枀枩柗梥楤檧淞濍硹竦耸聳菘訟誦讼诵送鎹頌颂餸駷鬆𠅅𠳼𡇝𡷽𡾼𢓣𢔋𢕈𢖗𢠰𢤄𢥠𢱤𣚜𣽫𤾥𥳺𦯕𦷴𧊕𧌻𨠤𨱛𨱿𨴏𩃍𩃭𩩺𪀚',
+  sou: '㖩㵻䈹䉤䏂䬒䮟傁凁叜叟嗖嗽嗾廀廋捜搜摉摗擞擻櫢溲獀瘶瞍籔艘蒐蓃薮藪螋鄋醙鎪锼颼飕餿馊騪𠋢𠌞𠌟𠘂𠝬𠪇𡠼𡣂𢯱𢴼𣔱𣮬𣯜𣸈𤕇𥈟𥖻𥯪𦄧𦺌𧔅𧳶𧽏𨜛𨡻𨤇𨺦𩗣𩘠𩮃𩮶𩮸',
+  su: '㑉㑛㓘㔄㕖㜚㝛㨞㩋㪩㬘㯈㴋㴑㴼䃤䅇䌚䎘䏋䑿䔎䘻䛾䥔俗傃僳嗉囌塐塑夙嫊宿愫愬憟梀榡樎樕橚櫯殐泝洬涑溯溸潚潥玊珟璛甦碿稣穌窣簌粛粟素縤肃肅膆苏莤蔌藗蘇蘓觫訴謖诉谡趚蹜速遡遬酥鋉餗驌骕鯂鱐鷫鹔𠐍𡎮𡖊𡖯𢎎𢖏𢚑𢢒𢸫𣝝𣩷𣫎𣯼𣶘𣷶𣿈𤌂𤛝𤠚𤡃𤢂𤢘𤤐𤥔𤭴𤸮𤼀𥻆𦌉𦌊𦎄𦘝𧀌𧐁𧐒𧐴𧔖𧜦𧞺𧥆𧩝𧺷𧼭𧽷𩐫𩐼𩘰𩘹𩝥𩱫𩲵𩳒𪁽𪄑𪅄𪋝𪌔𪍛𪐮',
+  suan: '㔯匴狻痠祘笇筭算蒜酸𠥘𤶤𥳪𥴵𦾹𨠡𩆑𩈲',
+  sui: '㒸㞸㴚㵦㻟㻪㻽䅗䉌䍁䔹䜔䠔䡵䢫䥙䪎䭉䯝亗倠哸埣夊嬘岁嵗旞檖歲歳浽滖澻濉瀡煫熣燧璲瓍睟砕碎祟禭穂穗穟綏繀繐繸绥膸芕荽荾虽襚誶譢谇賥遀遂邃鐆鐩隋随隧隨雖鞖韢髄髓𠌱𠕸𠨌𠭥𡑞𡝓𡶣𡷼𡹖𢅕𢇥𢈼𢒱𢟩𣄧𣔾𣩡𣮄𣯯𤡪𤬫𤭢𤯖𤻄𥊴𥕸𥝩𥢍𥤼𥴦𥶻𦃒𦄑𦅵𦇀𦉎𦵭𦸏𧃚𧈧𧌢𧡏𧨧𧲈𧸙𨆏𨣢𨷃𨽵𨾡𨾬𩃃𩌩𩍚𩎰𩏘𩏚𩏲𩗶𩙇𩝌𩞅𩪦𩮴',
+  sun: '㔼㡄㦏䁚孙孫损損搎榫槂狲猻笋筍箰簨荪蓀蕵薞鎨隼飧飱鶽𠣬𣕍𦠆𧎤𩚏',
+  suo: '㛖㪽䂹䅴䈗䌇䐝䓾䖛䞆䞽䣔䵀乺傞唆唢嗍嗦嗩娑惢所挱挲摍暛桫梭溑溹獕琐琑瑣睃簑簔索縮缩羧莎莏蓑蜶褨趖逤鎍鎖鎻鏁锁鮻𠈱𠋲𠗼𠘺𠝿𠞯𠩄𠱗𡩡𡱳𢘿𢚭𢱡𢱢𢷾𣒹𣯌𤀤𤨏𤸴𤺫𥁲𥆝𥇇𥓭𥔭𥭟𥰼𦅊𦟱𦵫𧎫𧎳𧛻𧨀𧴪𧴲𨻈𨻨𩋝𩌆𩌈𩌢𩘝𩡾𩪈𩮛𩹳𪍌𪍔𪍟𪍨',
+  ta: '㒓㗳㛥㣛㣵㧺㭼㯓㳠㳫㹺㺚㿹䂿䈋䈳䌈䍇䍝䎓䑜䓠䜚䵬䶀䶁他侤傝嗒嚃嚺塌塔墖她它崉挞搨撻榙榻橽毾沓涾溻澾濌牠狧獭獺祂禢粏褟誻譶趿踏蹋蹹躂躢遝遢鉈錔铊闒闥闧闼阘鞜鞳鮙鰨鳎𠴲𠷍𡌩𢃕𢞠𢺉𣗶𣝋𣥂𣥷𣯚𤄥𤒻𤛣𤠐𤠟𤿽𥗓𦍒𦐇𦑇𦑲𦑶𦑼𦧛𦧞𦧟𦧥𦧱𦨎𦪙𦭟𦱆𦶑𦾽𧌏𧔣𧖆𧪦𧬻𧮑𧰂𨃚𨆰𨌭𨓬𨔯𨙎𨰏𨵝𨶀𩋅𩌇𩌉𩌐𩌘𩎽𩥑𩫊𩷽𩺗𪂌𪔕',
+  tai: '㑀㑷㒗㘆㙵㣍㥭㬃㷘㸀䈚䑓䢰䣭儓冭台囼坮太夳嬯孡忲态態抬擡旲檯汏汰汱泰溙炱炲燤箈籉肽胎臺舦苔菭薹跆邰酞鈦钛颱駘骀鮐鲐𡇷𡒢𡗔𢖤𣣿𤗿𦒰𧉑𧉟𧭏𧮼𩬠𩿡𪐥𪒴',
+  tan: '㲜㲭㷋㽑䃪䆱䉡䊤䏙䐺䕊䜖䞡䦔倓僋叹啴嗿嘆嘽坍坛坦埮墰墵壇壜婒忐怹惔憛憳憻探摊擹攤昙暺曇榃橝檀歎毯湠滩潬潭灘炭燂璮痑痰瘫癱碳罈罎舑舕菼藫袒襢覃談譚譠谈谭貚貪贪郯醈醓醰鉭錟钽锬顃𠫶𠻪𡅄𡊨𢅀𢇧𢇰𣁗𣞔𣢌𣴽𣵢𣸙𣼚𣽯𤅦𤅩𤎥𤐔𥩒𥰨𥹠𥼟𥼮𦃖𦌪𦗡𦙇𦧏𦧴𦨸𦵹𦸁𦼎𧂇𧖺𧣁𧣹𧥞𧫿𧰘𧺟𧽼𨂞𨅍𨅭𨝸𨡍𨣕𩑰𩒢𩠽𩡄𩡝𩤞𩪺𪉧𪉷𪍵',
+  tang: '㑽㒉㙶㜍㭻㲥㼺㿩䅯䉎䌅䟖䣘䧜伖倘偒傏傥儻劏唐啺嘡坣堂塘帑戃搪摥曭棠榶樘橖汤淌湯溏漟烫煻燙爣瑭矘磄禟篖糃糖糛羰耥膅膛蓎薚蝪螗螳赯趟踼蹚躺鄌醣鎕鎲鏜鐋钂铴镋镗闛隚鞺餹饄鶶鼞𠗶𠢃𠹔𡿓𢴳𢻿𣎲𣙟𤚫𤠯𤾉𥋡𦪀𦳝𧱵𨆉𨉱𨌩𨍴𨎋𨎖𨟐𨲗𨶈𩘜𩥁𩹶𪕹',
+  tao: '㚐㴞㹗䚯䛬䬞䬢䵚匋叨咷啕夲套嫍幍弢慆掏搯桃槄洮涛淘滔濤瑫祹絛綯縚縧绦绹萄蜪裪討詜謟讨轁迯逃醄鋾陶鞀鞉鞱韜韬飸饀饕駣騊鼗𠇏𠓝𠗆𠚜𠚡𠞞𠥪𠬢𡍒𡸅𡺫𢔇𣑯𣨔𣰺𣺮𤔱𤘸𤙎𤚟𤴻𤵟𥰜𦍷𦺰𨌨𨡒𩎢𩘿𩛽𩞣𩥅𩹴𪌼',
+  te: '㥂㧹忑忒慝特脦蟘鋱铽𠈸𢖼𢘋𣘱𤙰𥊸𥌩𧎢',
+  teng: '䒅䕨䠮䲍䲢儯幐滕漛熥疼痋籐籘縢腾膯藤虅螣誊謄邆霯駦騰驣鰧鼟𢚺𢟱𢥂𣽨𤃶𤳘𤹤𥉋𦡪𦪝𦫀𧈜𧭔𨃗𩩻𩴝𪒿𪔶',
+  ti: '㖒㗣㡗㣢㬱㯩䅠䌡䎮䔶䙗䚣䛱䝰䣡䣽䧅䨑䪆䬾䯜䴘䶏䶑体倜偍剃剔厗啼嗁嚏嚔媞屉屜崹徲悌悐惕惖惿戻挮掦提揥擿替朑梯歒殢涕渧漽瑅瓋睼碮禔禵稊笹籊綈緹绨缇罤蕛薙褅褆謕趧趯踢蹄蹏躰軆逖逷醍銻鍗锑題题騠骵體髰鬀鬄鮷鯷鳀鵜鶗鶙鷈鷉鷤鹈𠞄𡥩𡰎𡲕𡲿𡸑𢝹𢞖𢧑𢱦𢳓𣄍𣈡𣉆𣖅𣖸𣜹𣤖𣥠𣧂𣸒𣹲𤗘𤗢𤚢𤟥𤟾𤭌𤾕𥉈𥉘𥡦𥫵𥳳𥶛𦌢𦻀𧀠𧀰𧋘𧔩𧘓𧙣𧛒𧜕𧝆𧝐𧡨𧨱𧼮𨁃𨔛𨠏𨪉𨲎𨲞𨴼𩋣𩓂𩛑𩛶𩝊𩤽𩪆𩬲𩮜𩿷𪂿𪍲𪕩',
+  tian: '㐁㖭㙉㥏㧂㮇㶺䄼䄽䐌䑚䟧䠄䡒䡘䣯䥖䩄倎兲唺塡填天婖屇忝恬悿掭搷晪殄沺淟添湉琠瑱璳甛甜田畋畑痶睓碵磌窴緂胋腆舔舚菾覥觍賟酟錪闐阗靔靝餂鴫鷆鷏黇𠀬𠑺𠗘𡒧𡙒𢇶𢓍𣊖𣸸𤘠𤤦𤫞𤲖𥧑𥪌𥪧𥳫𥵶𦊊𦔿𦗀𦗁𦧒𦧖𦧝𦬞𦳇𧉂𧌎𧨩𧨸𧰊𨆁𨉾𨌈𨡁𨡏𨸱𨹻𩈍𩉁𩚣𪅉𪌩𪎾',
+  tiao: '㟘㸠䎄䒒䖺䟭䠷䩦䯾䱔䳂佻嬥宨岧岹庣恌挑旫晀朓条條樤眺祒祧窕窱笤粜糶絩聎脁芀苕萔蓚蓨蜩覜誂趒跳迢鋚鎥鞗髫鯈鰷鲦齠龆𠛪𠤺𠧪𡠊𡯿𡳏𢈄𢓝𢖈𢳙𢺫𣂀𣂁𣂥𣒼𣟐𣬸𥎺𥶏𦩄𦴚𧌁𨋫𨾾𩲤𪌪',
+  tie: '䥫䴴䵿僣呫帖怗聑萜蛈貼贴鉄銕鐡鐵铁飻餮驖𢶋𤝓𦝒𦧢𦧤𨮯𩦷𩧀𪎋',
+  ting: '㹶䋼䗴䦐䱓䵺亭侹停厅厛听圢娗婷嵉庁庭廰廳廷挺桯梃楟榳汀涏渟烃烴烶珽町甼筳綎耓聤聴聼聽脡艇莛葶蜓蝏誔諪邒鋌铤閮霆鞓頲颋鼮𠄚𠕊𠘋𠯸𡈼𡉂𡔛𢬫𢽄𣂴𣄿𣉡𤗞𤘖𤱹𥆑𥑈𥥶𥫙𥴑𦉬𦐿𦕢𦗟𦝞𧓴𧖨𧰩𧶺𨁗𨉬𨊡𨓍𨳑𨳝𩆆𩐴𩑙𩒞𩨑𩹇𪊶',
+  tong: '㛚㠉㠽㣚㣠㤏㪌㮔㸗㼧㼿䂈䆚䆹䮵䳋䴀䶱仝佟僮勭同哃嗵峂峒峝庝彤恸慟憅捅晍曈朣桐桶樋橦氃浵潼炵烔燑犝狪獞痌痛眮瞳砼秱穜童筒筩粡絧統綂统膧茼蓪蚒衕詷赨通酮鉖鉵銅铜餇鮦鲖𠖄𡠙𡦜𢄟𢈉𢏕𢓘𢳟𣌾𣑸𣪯𣻢𤱇𤹯𥦁𥩌𥫂𥲆𦏆𦒍𦨴𧇌𧊚𧋒𧋚𧌝𧚔𧳆𧳿𨀜𨈹𨚯𨜳𨝯𨠌𩍅𩩅𩻡𪀭𪌢',
+  tou: '㓱㕻㖣㡏㢏㪗㰯䚵䞬䟝䱏䵉亠偷偸头妵婾媮投敨斢紏緰蘣透鋀鍮頭骰黈𡇧𡷠𣛾𣪌𧺢𨔙𨯲𨱎𨷩𩜶𩿢𪁞𪉘𪌘𪎨',
+  tu: '㐋㟮㭸㻌㻠㻬㻯䅷䖘䠈䣄䣝䤅䳜兎兔凃凸吐唋図图圖圗土圡堍堗塗宊屠峹嵞嶀庩廜徒怢悇捈捸揬梌汢涂涋湥潳瑹痜瘏禿秃稌突筡腯荼莵菟葖蒤跿迌途酴釷鈯鋵鍎钍馟駼鵌鵚鵵鶟鷋鷵鼵𠊲𠞀𠟶𠫓𠫮𠳶𠸂𠻬𡇩𡸂𡺴𢝀𢬳𣅝𣈥𣒇𣔻𣥳𣲱𤙛𤟪𤷿𥂋𥥛𥧣𥨜𥯝𦔅𦝬𦩤𧛗𧧶𧳌𨑒𨙭𨝛𨨷𨴩𩣮𩥽𩸃𪑏',
+  tuan: '㩛䊜䜝䵎䵯剸团団圕團墥彖慱抟摶槫檲湍湪漙煓猯畽疃篿糰褖貒鏄鷒鷻𡁴𢣎𣶣𧐕𧓘𧰄𧳩𧽢𨪒𩃘𩘯𩜵𩠹𪈋𪏖',
+  tui: '㞂㢈㢑㦌㱣㷟㾯㾼㾽㿉㿗䀃䅪䍾䫋俀僓娧尵弚推橔煺穨腿蓷藬蘈蛻蜕螁褪蹆蹪退隤頹頺頽颓駾骽魋𠺙𡯵𡲾𡷜𢉭𢊮𢓇𢓴𢟴𢠮𤗴𤸉𥲣𥶐𦖦𦜄𧆸𧝋𧮓𨆨𨌴𨗞𨘃𨽟𩓬𩘺𩳕',
+  tun: '㖔㞘㩔㹠㼊吞呑噋坉屯忳旽暾朜氽涒焞臀臋芚蛌豘豚軘霕飩饨魨鲀黗𠭿𡉒𡉫𡱂𢞋𢥽𣋄𣵞𤶕𥴫𥸵𦍓𦜯𦜴𦟓𦟙𧑒𧰭𨁇𨙲𨧐𨳘𨹙𩂄𩖤𩷵𪌋𪎴𪎶𪏆𪑒',
+  tuo: '㟎㸰㸱㼠㾃䍫䓕䡐䪑䭾䰿䲊䴱乇仛佗侂侻咃咜唾坨堶妥媠嫷岮嶞庹彵托扡拓拕拖挩捝杔柁柝椭楕槖橐橢毤毻汑沰沱沲涶狏砣砤碢箨籜紽脫脱莌萚蘀袉袥託詑讬跅跎酡阤陀陁飥饦馱馲駄駝駞騨驒驝驮驼魠鮀鮵鰖鴕鵎鸵鼉鼍鼧𠇔𠰹𠴻𡐏𡛵𡩆𡹬𢄿𢏜𢑠𢓰𢩷𢩻𢸨𣗸𣟁𣟄𣮆𣶦𣷿𤝛𤣯𤤩𤱡𤱧𤵚𤹢𥓿𥞒𥩀𥹈𦑑𦚈𦚐𦝦𧔳𧕦𧘐𧜲𧣖𧤓𧦭𧧉𧿧𧿶𨁡𨂫𨈷𨉋𨒙𨞌𨹔𨺖𩃰𩃱𩅡𩉺𩎼𩟰𩢊𩢵𩧐𩱾𩿽𪌂',
+  wa: '㧚㰪㼘䎳䚴䠚䵷佤劸咓哇嗗嗢娃娲媧屲挖搲攨洼溛漥瓦瓾畖砙穵窊窐窪聉腽膃蛙袜襪邷韈韤鼃𠴺𠹁𡁌𡚟𡧗𣐎𣢉𣢚𤞇𤬦𤬿𤮰𤿗𥤺𥥟𥿉𦘵𦚩𦞭𦤙𦫪𧧊𨀄𨩶𩋘𩨚𩨾𩩤𩿺',
+  wai: '㖞䠿䶐呙咼喎外崴歪竵顡𠨃𠰻𢱉𤟷𤤫𤷹𥫀𦘍𨈕𨵞𩔀𩕕𩕺𪉭𪑷',
+  wan: '㝴㸘㽜㿸䂺䅋䖤䗕䘼䛷䝹䥑䩊䯈䳃万丸倇刓剜卍卐唍埦塆壪妧婉婠完宛岏帵弯彎忨惋抏挽捖捥晚晥晩晼杤梚椀汍涴湾潫澫灣烷玩琓琬畹皖盌睕瞣碗笂箢紈綩綰纨绾翫脕脘腕芄菀萖萬薍蜿蟃豌貦贃贎踠輐輓鋄鋔錽鎫頑顽𠁽𠒢𠝪𠠪𠣉𡆅𡇿𡟰𡤶𡩄𡸥𢀗𢓃𢓆𢛙𢨔𢯲𢺯𣡩𣥃𤗍𤥙𤧩𤻆𥆶𥝄𥟶𥤸𦂔𦙵𦜐𦣾𦲯𦽞𧚇𧠆𧯡𧲦𧿙𨈊𨉝𨌔𨞼𨥧𨩯𨩵𨩻𩅦𩈬𩊁𩢄𩣵𩧻𩾞𪂦𪂧𪋅𪎛𪐬𪑉',
+  wang: '㓁㲿㳹㴏䋄䋞䛃䤑䰣亡亾仼兦妄尣尩尪尫彺往徃徍忘惘旺暀望朢枉棢汪瀇王網网罒罓罔罖莣菵蚟蛧蝄誷輞辋迋魍𠕃𠕿𡔞𡝝𡯁𡷢𢁶𢛛𢼟𣢫𣥊𣶈𣷪𤷀𥆚𥆜𥲠𥾼𦉪𦓋𦖉𦣦𦣩𦬣𦯌𧈿𧎕𧧄𧧜𧫢𨕿𨳠𩖩𩵭𪁘',
+  wei: '㕒㖐㞇㞑㟪㠕㢻㣲㥜㦣㧑㨊㬙㭏㱬㷉䃬䈧䉠䑊䔺䗽䘙䙿䜅䜜䝐䞔䡺䥩䧦䪋䪘䬐䬑䬿䭳䮹䲁䵋䵳为亹伟伪位偉偎偽僞儰卫危厃叞味唯喂喡喴囗囲围圍圩墛壝委威娓媁媙媦寪尉尾屗峗峞崣嵔嵬嶉嶶巍帏帷幃徫微惟愄愇慰懀捤揋揻撱斖暐未桅梶椲椳楲欈沩洈洧浘涠渨渭湋溈溦潍潙潿濰濻瀢炜為烓煒煟煨熭燰爲犚犩猥猬玮琟瑋畏痏痿癓矀硊硙碨維緭緯縅纬维罻胃腲艉芛苇苿荱菋萎葦葨葳蒍蓶蔚蔿薇藯蘶蜲蜼蝛蝟螱衛衞褽覣覹詴諉謂讆讏诿谓踓躗躛軎轊违逶違鄬醀鍏鍡鏏闈闱隇隈隗霨霺韋韑韙韡韦韪頠颹餧餵饖骩骪骫魏鮇鮠鮪鰃鰄鲔鳂鳚𠄿𠆟𠙕𠥎𠳿𠹤𡂗𡇦𡔱𡚈𡶎𡷕𡼱𢉝𢊯𢍚𢑭𢣘𢯷𢲴𢸦𢼸𢾁𢾝𣄺𣈎𣨙𣩪𣫪𣲗𣽴𤀷𤁿𤈫𤛲𤜂𤸆𤺉𤻅𤼒𥅵𥉖𥊪𥌰𥒮𥧙𥯜𥯤𥶽𦇅𦓽𦝛𦠻𦢿𦩝𦩬𦪒𦳢𦾛𧍥𧍫𧐌𧔥𧕞𧚷𧛚𧛽𧝕𧞸𧟼𧢒𧢧𧤖𧲄𧲗𧲝𧳞𧳪𧴖𧸮𧸽𨃄𨖿𨗨𨚘𨝀𨟗𨠥𨢉𨪈𨴓𨵋𨻒𨾂𨿭𩀣𩀶𩁌𩋾𩎵𩏉𩏏𩏬𩑵𩗘𩗜𩜧𩟟𩠯𩤸𩲂𩲄𩴞𩹂𩹥𩹷𩼂𩼌𩽎𪂄𪑐𪑭',
+  wen: '㐎㒚㖧㗃㝧㳷䎹䎽䘇䦩䰚伆刎吻呅呡問塭妏彣抆揾搵文昷桽榅榲殟汶渂温溫炆珳瑥璺瘒瘟稳穏穩紊紋繧纹聞肳脗芠莬蚉蚊螡蟁豱輼轀辒鎾閺閿闅闦问闻阌雯鞰顐饂馼駇魰鰛鰮鳁鳼鴍鼤𠐢𡁋𢾿𣜺𣶌𤛁𤵒𥁕𥃮𥦊𥧚𥬼𦔵𦝮𦟕𦦯𦮶𨆲𨜵𨟸𨶭𨸩𩢌𩥈𩭋𪉸',
+  weng: '㘢㜲㹙㹚䈵䐥䤰䱵勜嗡塕奣嵡攚暡滃瓮甕瞈罋翁聬蓊蕹螉鎓鶲鹟齆𠰈𡍻𡩥𡻐𤌏𥕀𦉥𦞡𦧅𧚐𧛹𨜺𨞑𩄘𩔚𩡓𩮬𩰎',
+  wo: '㠛㦱㧴㱧䁊䠎䰀仴倭偓卧唩婐婑媉幄我捰捾握斡枂楃沃涡涹渥渦濣焥猧瓁瞃硪窝窩肟腛臒臥莴萵蜗蝸踒齷龌𠪧𠷏𠿟𡁮𡎔𡑟𡖲𢦴𢫷𣁳𣂽𣇫𣚝𣵽𤆏𤉦𤡓𤻌𥄗𥑣𥟿𥪍𦤨𦯏𦰖𦳹𦷵𧤒𧥋𧶕𨁟𨌝𩈱𩐦𩟓𩭏𩭝𩮑𩷯𪁕𪎤',
+  wu: '㐅㐏㐚㐳㑄㡔㬳㵲㷻㹳㻍㽾䃖䍢䎸䑁䒉䛩䟼䡧䦍䦜䫓䮏䳇䳱乄乌五仵伍侮俉倵儛兀剭务務勿午卼吳吴吾呉呜唔啎嗚圬坞塢墲奦妩娒娪娬婺嫵寤屋屼岉峿嵍嵨巫庑廡弙忢忤怃悞悟悮憮戊扤捂摀敄无旿晤杇杌梧橆歍武毋汙汚污洖洿浯溩潕烏焐無熃熓物牾玝珷珸瑦璑甒痦瞴矹碔祦窏窹箼粅舞芜芴茣莁蕪蘁蜈螐蟱誈誣誤譕诬误躌迕逜邬郚鄔鋈鋙鎢钨铻阢陚隖雺雾霚霧靰騖骛鯃鰞鴮鵐鵡鶩鷡鹀鹉鹜鼯鼿齀𠄡𠌥𠑶𠒄𠘻𠞆𠥢𠯃𠵦𠼘𡈎𡈞𡉦𡨂𡬫𡯇𡵉𡷤𡻒𢁢𢃀𢄓𢋹𢑟𢓲𢗳𢙁𢜮𢝴𢨂𢩈𢪱𢫸𣞤𣟒𣨓𣬽𣯎𣲘𣺀𣽏𤆡𤣬𤭑𤵐𤸼𥁡𥎈𥎮𥏒𥒀𥕻𥟽𥭠𥲐𥾕𦆞𦌬𦎦𦥁𦨉𦨳𦬂𦶀𦷽𦼇𧆹𧈭𧎻𧐙𧑕𧨆𧰈𧳎𧴇𧺴𧽋𨂣𨑥𨖴𨡡𨧗𨨡𨲬𨶇𨼊𨿏𩄯𩒾𩓦𩗽𩝕𩝷𩠟𩳌𩵱𩶭𩻚𪄝𪑱',
+  xi: '㐂㑶㔒㕧㗩㙾㚛㜎㞒㠄㣟㤴㤸㥡㦻㩗㭡㮩㯕㳧㵿㷩㸍㹫㺣㽯㿇䀘䈪䊠䏮䐼䓇䖒䙵䙽䚷䛥䜁䜣䢄䧍䨳䩤䫣䮎䲪习係俙傒僖兮凞匸卌卥厀吸呬唏唽喜喺嘻噏嚱囍墍壐夕奚娭媳嬆嬉屃屓屖屣屭嵠嶍巇希席徆徙徯忚忥怬怸恄恓息悉悕惁惜慀憘憙戏戯戱戲扱扸昔晞晰晳暿曦析枲桸椞椺榽槢樨橀橲檄欯欷歖歙氥汐洗浠淅渓溪漇漝潝潟澙烯焁焈焟焬煕熂熄熈熙熹熺熻燨爔牺犀犔犠犧狶玺琋璽瘜皙盻睎瞦矖矽硒磎磶礂禊禧稀稧穸窸粞糦系細綌緆縘縰繥繫细绤羲習翕翖肸肹膝舃舄舾莃菥葈葸蒠蒵蓆蓰蕮薂虩蜥螅螇蟋蟢蠵衋袭裼襲西覡覤觋觹觽觿諰謑謵譆谿豀豨豯貕赥赩趇趘蹝躧邜郋郗郤鄎酅醯釳釸鈢鉨鉩錫鎴鏭鐊鑴锡闟阋隙隟隰隵霫霼飁餏餼饎饩饻騱騽驨鬩鯑鰼鱚鳛鵗鸂黖鼷𠅤𠆱𠉢𠔃𠔍𠘕𠜗𠟊𠤴𠦜𠨚𠩺𠪙𠬬𠴭𠶨𠺒𡁱𡃢𡅕𡏛𡏲𡗞𡗳𡘐𡘡𡙋𡜧𡝧𡦎𡩤𡭴𡭽𡳚𡶯𡻎𢀊𢊚𢋼𢑧𢒩𢒲𢗴𢙅𢜣𢡁𢤋𢧽𢨟𢬾𢭁𢹍𣅾𣎮𣒃𣚔𣟵𣢁𣢂𣢍𣢎𣢑𣢓𣣉𣤢𣤳𣤴𣨗𣯪𣳦𣳬𣴁𤀠𤃪𤄎𤄬𤋮𤌷𤓔𤓚𤟧𤠓𤡡𤡬𤢀𤤱𤥒𤨐𤬕𤬘𤮆𤮙𤲺𤳥𤶈𤶰𤷡𤹊𤺊𥄖𥄛𥈜𥈻𥋁𥋟𥎃𥪦𥮬𥰝𥰥𥺚𥻥𥿭𦃝𦏁𦐠𦙝𦜱𦞝𦞽𦠪𦤈𦩭𦪿𦮐𦱓𦷲𦸚𦼗𧀬𧂙𧈅𧈍𧈼𧉁𧋐𧎵𧐔𧚃𧣩𧤟𧥤𧦁𧧹𧪢𧪷𧬈𧬊𧯈𧯊𧯗𧱲𧲘𧶖𧹨𧹶𧹽𧺨𧻶𧿅𧿝𨀙𨋦𨐛𨑭𨛳𨜐𨞘𨡂𨢘𨮪𨳛𨵎𨵤𨷘𨻁𨻥𩅖𩊿𩌦𩍆𩎉𩎥𩒽𩗊𩗱𩛹𩦇𩭡𩲁𩽨𩾼𩿛𪃼𪄛𪄶𪅲𪓷𪕯',
+  xia: '㗇㘡㙤㰺㽠䖎䖖䘥䛅䦖䪗䫗丅下乤侠俠傄匣吓呷圷埉夏夓峡峽懗敮暇柙梺炠烚煆狎狭狹珨瑕疜睱瞎硖硤碬磍祫筪縖罅翈舝舺蕸虲虾蝦諕谺赮轄辖遐鍜鎋鎼鏬閕閜陜陿霞颬騢魻鰕鶷黠𠄟𠇺𠢆𠩘𠽫𡈮𡏘𡨄𡺷𢈙𢈤𢑓𢗄𢘉𢚌𢝅𢩹𢻗𣢗𣹱𤗭𤙇𤟝𤪆𤪍𥁆𥕕𥯾𥰶𥻴𦦕𦵯𦾏𧆥𧇍𧈄𧔂𧕱𧦎𧪕𧪹𧫒𧯋𨩽𨲑𨳉𨻲𨽯𩄗𩉾𩎲𩏓𩝛𩮂𪄂',
+  xian: '㔵㘅㘋㛾㜪㡉㡾㢺㦓㧋㧥㩈㪇㫫㬎㬗㭠㭹㮭㯀㳄㳭㵪㶍㺌㿅䀏䁂䃱䃸䉯䉳䏹䒸䕔䗾䘆䚚䜢䝨䞁䢾䤼䥪䦥䧋䧟䧮䨘䨷䱤䲗䵇䵌䶟䶢仙仚伭佡僊僩僲僴先冼县咁咞咸哯啣嗛嘕垷埳塪壏奾妶姭娊娴娹婱嫌嫺嫻嬐孅宪尟尠屳岘峴崄嶮幰廯弦忺憪憲憸挦掀搟撊撏攇攕显晛暹杴枮橌橺櫶毨氙涀涎湺澖瀗灦烍燹狝猃献獫獮獻玁现珗現甉痫癇癎盷県睍瞯礥祆禒秈稴筅箲籼粯糮絃絤綫線縣繊纎纖纤线缐羡羨胘腺臔臽舷苋苮莧莶薟藓藖蘚蚬蚿蛝蜆衔衘褼襳誢誸諴譣豏賢贒贤赻跣跹蹮躚輱酰醎銑銛銜銽鋧錎鍁鍌鑦铣铦锨閑閒闲限陥险陷険險霰韅韯韱顕顯餡馅馦鮮鱻鲜鶱鷳鷴鷼鹇鹹麙麲鼸𠍦𠏓𠏡𠓌𠚆𠛑𠜎𠠁𠫄𠯟𠷢𠿢𡐖𡒓𡗏𡞣𡫹𡰲𡾮𡿤𢁗𢅮𢋮𢎙𢐐𢒆𢕖𢕭𢖋𢖎𢖝𢘁𢚀𢛆𢥌𢫿𢮂𢷑𢹚𣆕𣊺𣑹𣔙𣕎𣞘𣟲𣮾𣰷𤁦𤉌𤑃𤓤𤟅𤣔𤼂𥑻𥓒𥖄𥙆𥜲𥟕𥦶𥬍𥰳𥲋𥻇𥻧𥽏𦋈𦎵𦑘𦒜𦠹𦧐𦩢𦭶𦱁𦸊𦽭𧂞𧈁𧕇𧖙𧠒𧫹𧱀𧸂𧻒𧼏𧾨𨁅𨃩𨇤𨍒𨏥𨖱𨘙𨘞𨙡𨚾𨵬𨺘𩈖𩎍𩏩𩝈𩤊𩤥𩤦𩦂𩦹𩨡𩱆𩶤𪂶𪄏𪄷𪔩',
+  xiang: '㐔㖜㗽㟄㟟䊑䐟䔗䖮䜶䢽乡享亯佭像勨厢向响嚮姠嶑巷庠廂忀想晑曏栙楿橡欀湘珦瓖瓨相祥稥箱絴緗纕缃缿翔膷芗萫葙薌蚃蟓蠁衖襄襐詳详象跭郷鄉鄊鄕銄鐌鑲镶響項项飨餉饗饟饷香驤骧鮝鯗鱌鱜鱶鲞麘𠅠𠆝𠸮𡹷𢄵𢛖𢞡𢠷𢪷𢭎𣂝𣅰𣨳𤉪𤍀𤖽𤝷𤩪𤭬𤰅𤷼𥀾𥄢𥊾𥗵𥣟𥫖𥿧𦍲𦍴𦎈𦕺𦺣𦺨𧖿𧞻𧨢𧬰𨀘𨉽𨖶𨙵𨛜𨞠𨞰𨧑𨷄𩑇𩝾𩞥𩡌𩡠𩾬𪂼',
+  xiao: '㑾㔅㕾㗛㤊㬵㹲䊥䒕䒝䕧䥵侾俲傚削効呺咲哓哮啸嘋嘐嘨嘯嘵嚣嚻囂婋孝宯宵小崤庨彇恔憢揱撨效敩斅斆晓暁曉枭枵校梟櫹歊歗殽毊洨消涍淆潇瀟灱灲烋焇熽猇獢痚痟皛皢硝硣穘窙笑筱筿箫篠簘簫綃绡翛肖膮萧蕭藃虈虓蛸蟂蟏蟰蠨訤詨誟誵謏踃逍郩銷销霄颵驍骁髇髐魈鴞鴵鷍鸮𠈬𠏕𠑪𠴡𠴳𠸍𠹎𡟣𡣾𡥍𡦝𡦳𡧕𡯩𡱉𡷸𡼚𢓮𢛘𢪶𢭦𢹳𣂬𣏠𣔷𣕇𣟇𣠎𣤡𣱓𣿣𤑳𤕢𤞚𤟞𤠖𤡔𤣌𤣠𤷤𤺃𤽳𤿨𥆔𥔑𥕾𥽁𥾤𦏷𦐺𦟞𦢩𦦛𦯪𦱜𦺔𧄤𧍂𧡼𧢬𧩮𧱐𧳍𧵱𨅋𨊅𨠦𨴹𨶅𩋍𩙚𩧓𩫂𩫳𩱴𩵖𩾒𩾓𩾾𪁎𪊷',
+  xie: '㒠㓔㔎㕐㖑㖿㙝㙦㙰㝍㞕㣯㣰㥟㦪㨙㨝㩉㩦㩪㰔㰡㱔㳦㳿㴬㴮㴽㵼㸉㽊䉏䉣䊝䔑䕈䕵䙊䙎䙝䚳䚸䡡䢡䥱䥾䦏䦑䩧䪥䭎䲒䵦些亵伳偕偞偰僁写冩劦勰协協卨卸嗋噧嚡垥塮夑奊娎媟孈寫屑屟屧峫嶰廨徢恊愶懈拹挟挾揳携撷擕擷攜斜旪暬械楔榍榭歇泄泻洩渫澥瀉瀣灺炧炨烲焎熁燮燲爕猲獬瑎祄禼糏紲絏絜絬綊緤緳縀繲纈绁缬缷翓胁脅脇脋膎薢薤藛蝎蝢蟹蠍蠏血衺褉褻襭諧謝讗谐谢躞邂邪靾鞋鞢鞵韰齂齘齛齥龤𠅱𠑄𠖹𠗉𠨆𠲊𠸴𠿇𡀺𡃂𡄕𡗼𡛶𡞘𡟩𡣹𡤋𡭥𡰢𡸔𡽖𢂐𢌀𢓬𢖆𢗊𢜨𢞜𢣢𢤯𢤰𢥘𢬿𢯉𢴲𢹒𢿡𣆟𣊓𣒄𣕋𣞐𣣩𣣲𣣶𣫴𣬕𣷞𣹩𣻠𣽒𣿨𤏻𤑪𤗈𤙒𤞡𤡧𤢺𤣑𤫉𤮯𤱷𤺎𥀺𥆥𥇱𥊯𥌨𥍆𥎎𥗧𥢹𦁛𦋅𦔼𦖐𦚡𦚫𦞚𦩌𦪬𦳃𦵱𧀢𧀺𧌊𧌋𧌖𧍁𧏂𧏃𧐃𧑦𧒻𧓂𧓺𧖁𧛼𧜔𧝫𧟃𧭠𧭸𧳧𧷑𧷧𨁂𨇨𨈙𨏳𨤴𨧥𨳚𨵚𨵪𨷥𨼬𩂪𩃖𩋔𩋧𩍝𩎃𩐁𩐉𩙜𩤠𩫲𩰳𩷂𩺫𩽍𪆋',
+  xin: '㐰㚯㛛㭄䒖䚱䛨䜗䰼伈伩信俽噷噺囟妡嬜孞廞心忄忻惞新昕杺枔欣歆炘焮盺脪舋芯薪衅襑訢訫軐辛邤釁鈊鋅鐔鑫锌镡阠顖馨馫馸𠑰𠷓𡈏𡌜𢋆𢗀𢠝𢩲𢭧𣂗𣂜𣃄𣥇𤙖𤙣𤜢𤣲𤫨𤴾𤷓𤹩𦁍𦉝𦜓𦞤𦢯𦤟𦰸𧗹𧳄𧴢𨊳𨓇𩕄𩖣𩟍𩾽𩿃',
+  xing: '㐩㓑㓝㙚㝭㣜㨘㮐㼛㼬䁄䂔䓷䛭䣆䤯䰢䳙侀倖兴刑哘型垶姓娙婞嬹幸形性悻惺擤星曐杏洐涬滎煋猩瑆皨睲硎箵篂緈腥臖興荇荥莕葕蛵行觪觲謃邢郉醒鈃鉶銒鋞钘铏陉陘餳饧騂骍鮏鯹𠀦𠂷𠛬𠦡𠬋𡃳𡴘𡶭𢙼𢜫𣢝𣨾𣸝𤏽𤙡𤬐𤶲𥠀𥨕𦂅𦈨𦈵𦖤𦩠𧊞𧊽𧌚𧗦𧛟𨌍𨞾𨦕𩈡𩛿𩥍𩩋',
+  xiong: '㐫䧺兄兇凶匂匈哅夐忷恟敻汹洶焸焽熊熋胷胸芎訩詗詾讻诇賯雄𠓙𡨳𡪰𡬁𢢹𢿌𣅷𤔫𤛪𥃴𥥧𥦥𦈤𦓈𦙄𦬺𦵡𧘮𧞞𧰯𧵣𧽒𧿖𨥍𩌠𩧊𩴂𩿅',
+  xiu: '㗜㱙㾋休俢修咻嗅嚊岫峀庥朽樇溴滫潃烌珛琇璓秀糔綉繍繡绣羞脙脩臹苬螑袖褎褏貅銝銹鎀鏅鏥鏽锈飍饈馐髤髹鮴鱃鵂鸺齅𡔨𡜨𡟞𡯐𢊒𢓵𢕦𣧬𤚯𥌪𥞼𦟤𦪋𧌌𧙏𩘭𩛢𩡎𩢮𩭘𩮄𪀪𪁮𪕦',
+  xu: '㐨㑔㑯㕛㖅㗵㘧㚜㜅㜿㞊㞰㤢㥠㦽㰲㵰㷦㺷㾥䂆䅡䋶䍱䔓䘏䙒䛙䜡䢕䣱䣴䦗䦽䬔䱬䳳伵侐俆偦冔勖勗卹叙吁呴喣嘘噓垿墟壻姁婿媭嬃序徐怴恤慉戌揟敍敘旭旴昫晇暊朂栩楈槒欨欰欻歔歘殈汿沀洫湑溆漵潊烅烼煦燸獝珝珬畜疞盢盨盱瞁砉禑稰稸糈絮綇続緒緖縃續绪续聓聟胥芧蒣蓄蓿蕦藇藚虗虚虛蝑裇訏許訹詡諝諿譃许诩谞賉鄦酗醑銊鑐需須頊须顼驉鬚魆魖鱮𠆐𠕮𠜄𠧰𠮱𠷙𠹘𠾫𡡓𡦁𡱣𡹲𢄼𢖳𢨁𢨰𢩕𣅤𣆒𣊞𣚏𣢊𣨤𣰃𣸃𤆞𤇳𤚉𤟠𤡣𤡶𤬱𤭽𤲸𤷇𤸀𥄵𥅺𥆛𥇏𥇿𥈈𥊊𥍟𥎕𥎗𥕰𥚩𥮪𥳗𦄼𦅏𦅨𦑍𦕓𦘼𦜃𦝳𦠷𦪡𦯅𦰰𦰲𦲰𧁃𧆜𧆡𧊥𧏺𧕼𧙆𧟬𧧓𧪮𧶍𧹭𧹴𧼑𨂠𨅑𨋾𨌎𨍐𨜿𨞣𨣦𨬗𨴎𨵮𨷔𨹘𨻍𨼋𩂉𩌮𩌲𩍳𩑕𩒇𩒧𩓣𩔴𩔼𩝔𩣊𩪉𩰠𩽆𪆛',
+  xuan: '㘣㧦㳙㳬㹡㾌䁢䍗䍻䗠䘩䚙䚭䝮䠣䧎䩙䩰䮄䲂䲻䴉䴋儇吅咺喧塇媗嫙宣弲怰悬愃愋懁懸揎旋昍昡晅暄暅暶梋楥楦檈泫渲漩炫烜煊玄玹琁琄瑄璇璿痃癣癬眩眴睻矎碹禤箮絢縼繏绚翧翾萱萲蓒蔙蕿藼蘐蜁蝖蠉衒袨諠諼譞谖贙軒轩选選鉉鋗鍹鏇铉镟鞙颴駽鰚𠄢𠗻𠣖𠥞𠵓𠵷𡈣𡈴𡬳𡾥𢂄𢈋𢏧𢙂𢪂𢰊𢳄𣉖𣎓𣟳𤂿𤟿𤣥𥌭𥥾𥶷𦌔𦐽𦑙𦛔𧉎𧐗𧑩𧔤𧗳𧜽𧟨𧡚𧡢𧤎𧾆𧾎𨁁𨊼𨹆𩃚𩉥𩋢𩋫𩋱𩑹𩕖𩕪𩘒𩙢𩝑𩤡𪍧',
+  xue: '㔧㖸㗾㞽㡜㧒㶅㿱䎀䤕䨮䫻䫼䬂䭥䱑乴吷坹壆学學岤峃嶨斈桖樰泶澩瀥燢狘疶瞲穴膤艝茓蒆薛袕觷謔谑趐踅轌辥辪雪靴鞾鱈鳕鷽鸴𡕥𢪎𢯳𢼺𣧌𣧡𣧵𣪨𣺭𤀰𥀣𥄎𥄒𥄴𥅧𦐍𦥯𦰾𧀼𧉢𧔗𧮞𧸗𨑣𨭁𩌊𩖱𩖶𪃅',
+  xun: '㒐㜄㝁㢲㨚㰊㰬㽦䋸䖲䙉䛜䞊䭀伨侚偱勋勛勲勳卂噀噚嚑坃埙塤壎壦奞寻尋峋巡巺巽廵徇循恂愻揗攳旬曛杊栒桪樳殉殾毥汛洵浔潠潯灥焄熏燅燖燻爋狥獯珣璕畃矄稄紃纁臐荀蕈薫薰蘍蟳訊訓訙詢训讯询迅迿逊遜郇鄩醺鑂顨馴駨驯鱏鱘鲟𠊫𠹀𡑎𡺕𡿼𢏤𢒫𢓈𣌨𣎟𣖼𣹯𤃺𤑕𤛧𤿟𥒘𥙣𥳍𥾡𦅀𦅑𦘶𦠅𦫯𦳣𧥿𧰣𧸩𧾝𧾠𧾩𨀴𨺮𨼔𩊻𩖰𩪱𩷰𩾧𪀠𪀽𪇑',
+  ya: '㝞㧎㰳㿿䃁䄰䅉䊦䝟䢝䦪䪵䯉䰲䵝丫亚亜亞伢俹冴劜厊压厑厓吖呀哑唖啞圔圠圧垭埡堐壓娅婭孲岈崕崖庌庘押挜掗揠枒桠椏氩氬涯漄牙犽猚猰玡琊疨痖瘂睚砑稏窫笌聐芽蕥蚜衙襾覀訝讶軋轧迓錏鐚铔雅鴉鴨鵶鸦鸭齖齾𠃉𠄮𠋗𠜲𠮜𠵣𡇼𡴭𡶦𡷻𡸗𡹄𢛄𢛟𢮊𢵣𢹥𣉩𣏎𤘅𤘆𤴓𤵭𤹎𤺘𥇠𥏝𥐕𥒧𦉟𦉧𦜖𧈝𧓪𧧝𧬬𨁶𨓴𨖭𨨙𨸺𩃐𩨠𩭯𩮝𩿔𪆰',
+  yan: '㓧㕣㗴㘖㘙㚧㛪㢂㢛㦔㫃㫟㬫㭺㳂㶄㷔㷳㷼㿕㿼䀋䀽䁙䂩䂴䄋䅧䇾䊙䊻䌪䎦䑍䓂䕾䖗䗡䗺䜩䢥䢭䣍䤷䨄䭘䱲䲓䳛䳺䴏䶮严乵俨偃偐傿儼兖兗剡剦匽厌厣厭厳厴咽唁啱喦喭噞嚈嚥嚴囐埏堰塩墕壛壧夵奄妍妟姲姸娫娮嫣嬊嬮嬿孍宴岩崦嵃嵒嵓嶖巌巖巗巘巚延弇彥彦恹愝懕懨戭扊抁掩揅揜敥昖晏暥曕曣曮棪椻椼楌樮檐檿櫩欕歅沇沿淊淹渰渷湮溎滟演漹灎灔灧灩炎炏烟烻焉焑焔焰焱煙熖燄燕爓牪狿猒珚琂琰甗盐眼研砚硏硯硽碞礹筵篶簷綖縯罨胭臙艳艶艷莚菸萒蔅虤蜒蝘衍裺褗覎觃觾言訁訮詽諺讌讞讠谚谳豓豔贋贗赝躽軅遃郔郾鄢酀酓酽醃醶醼釅閆閹閻闫阉阎隁隒雁顏顔顩颜餍饜騐験騴驗驠验鬳魇魘鰋鳫鴈鴳鶠鷃鷰鹽麣黡黤黫黬黭黶鼴鼹齞齴龑𠆲𠍛𠘥𠛭𠝢𠰖𠻤𡙶𡚇𡣽𡹶𢅠𢇈𢇘𢈂𢉘𢌨𢔂𢜰𢤍𢯼𢸴𢾑𣃧𣃳𣃾𣄉𣄑𣄝𣝎𣡕𣡞𣡶𣥡𣩙𣭻𣼞𣼠𤂠𤅊𤅸𤆌𤋠𤎄𤖝𤗎𤜵𤞣𤟇𤟟𤡖𤡥𤢋𤥎𤥻𤫣𤬝𤯇𤯐𤲩𤸹𥀬𥂁𥃿𥍻𥕼𥜒𥣘𥤟𥤴𥯃𥴿𥶿𥷀𦁏𦁙𦌚𦎣𦏥𦏹𦑎𦖈𦖧𦛞𦛣𦝪𦧡𦫤𧇱𧊔𧍢𧎘𧞣𧠦𧥜𧩅𧬌𧴣𧹬𧺅𧻃𧽉𧽞𧾤𨀅𨁍𨁹𨂪𨃰𨒄𨟹𨠭𨡄𨡎𨡣𨣻𨤎𨪶𨴣𨶁𨷽𨸮𨺥𨻂𨻳𨽑𩃀𩈯𩒖𩗷𩜽𩣲𩩄𩩴𩩶𩪴𩳢𩷑𩸞𩻖𪁡𪂈𪑈𪒝𪒠',
+  yang: '㔦㟅㨾㬕㺊㿮䁑䇦䑆䒋䖹䬗䬬䬺䭐䵮仰佒佯傟养劷卬咉坱垟央姎岟崵崸徉怏恙慃懩扬抰揚攁敭旸昜暘杨柍样楊楧様樣殃氜氧氱泱洋漾瀁炀炴烊煬珜疡痒瘍癢眏眻礢秧紻羊羏羕胦蛘蝆詇諹軮輰鉠鍈鍚钖阦阳陽雵霷鞅颺飏飬養駚鰑鴦鴹鸉鸯𠍵𠢴𠨐𠮴𡠘𡡂𡩶𡹕𢏙𢟣𢵇𢽕𣃝𣉚𣐫𣗹𤞢𤢐𤢮𤸡𥂸𥃽𥒞𥠜𥥵𥬴𥳜𦍕𦍹𦏱𦭵𦯒𦴊𦼴𧓲𧥴𧫛𧲱𧵌𨋕𨋽𨎔𨒫𨖌𨱝𩊑𩋬𩗺𩤟𩲴𩴨𪓛𪕫',
+  yao: '㔽㝔㞁㟱㢓㨱㫏㫐㮁㴭㵸㿑㿢䁏䁘䂚䆙䆞䉰䋂䋤䌊䌛䍃䑬䔄䖴䙅䚺䚻䢣䬙䴠䶧仸倄偠傜吆咬喓嗂垚堯夭妖姚婹媱宎尧尭岆峣崾嶢嶤幺徭愮抭揺搖摇摿暚曜杳枖柼楆榚榣殀溔滧烑熎燿爻狕猺獟珧瑤瑶眑矅磘祅穾窅窈窑窔窯窰筄繇纅耀肴腰舀艞苭药葯葽蓔薬藥蘨袎要覞訞詏謠謡讑谣軺轺遙遥邀邎鎐闄靿顤颻飖餆餚騕鰩鱙鳐鴁鴢鷂鷕鹞鼼齩𠌠𠍩𠏈𠑐𠕻𠟋𠢩𠣑𠹑𡆩𡔜𡚸𡛙𡝛𡝩𡢹𡣠𡧮𡨇𡩸𡯣𡶂𡺯𢂊𢅹𢆷𢆽𢈆𢊙𢋇𢑈𢝍𢺇𣣳𣣵𣨘𤂼𤄶𤒝𤚭𤫺𤬔𤬖𤾫𥁒𥃯𥃺𥌺𥤣𥤹𥦖𥪯𥬓𥹱𦆸𦇬𦔷𦡱𦤋𦥝𦦌𦾺𦾾𧄎𧇠𧍔𧠽𧢢𧤮𧷋𧽎𨓳𨘔𨱧𨹋𩋃𩑗𩑴𩜸𩢒𩥣𩨴𩩼𩬗𩯛𩲻𩳔𩿕𪄼𪐯𪖐',
+  ye: '㐖㖡㖶㗼㙒㙪㝣㥷㩎㪑㭨㱉㸣䈎䓉䤳䤶䥟䥡䥺䧨䭟䲜业也亪亱倻僷冶叶吔嘢噎埜墷壄夜嶪嶫抴捓捙掖揶擛擨擪擫晔暍曄曅曗曳曵枼枽椰業歋殗洂液漜潱澲烨煠燁爗爷爺瑘璍皣瞱瞸礏耶腋葉蠮謁谒邺鄴野釾鋣鍱鎁鎑鐷铘靥靨頁页餣饁馌驜鵺鸈𠀸𠃒𠃟𠄅𠟪𠥇𠱝𡀽𡁁𡑀𡛌𡛽𡽣𢀘𢉥𢢜𢦣𢪧𢱴𣋌𣎩𣐂𣚋𣚕𣩫𣩯𣰛𤑷𤕓𤝇𤝉𤝱𤳪𥌅𥠍𥮧𥯘𦀕𦂡𦕆𦠜𦤪𦰳𧎭𧏽𧐓𧒐𧔦𧗖𨂒𨈺𨉅𨶮𨼥𨽀𩉂𩐱𩑃𩘏𩜺𩱝𩸾𩼋𩼴𪋫𪍅𪑦𪒲',
+  yi: '㐹㑊㑜㑥㓷㔴㕥㖂㘁㘈㘊㙠㙯㚤㚦㛄㛕㜋㜒㝖㞔㠯㡫㡼㢞㣂㣻㥋㥴㦉㦤㦾㩘㫊㰘㰝㰻㱅㱲㲼㳑㴁㴒㵝㵩㶠㹓㹭㺿㽈䄁䄬䄿䆿䇩䇵䉨䋚䋵䌻䎈䐅䐖䓃䓈䓹䔬䕍䖁䖊䗑䗟䗷䘝䘸䝘䝝䝯䞅䢃䣧䦴䧧䩟䬁䬥䬮䭂䭇䭞䭿䮊䯆䰙䱌䱒䲑䴊䴬一乁乂义乊乙乛亄亦亿仡以仪伇伊伿佁佚佾侇依俋倚偯儀億兿冝刈劓劮勚勩匇匜医吚呓呭呹咦咿唈嗌噫囈圛圯坄垼埶埸墿壱壹夁夷奕姨媐嫕嫛嬄嬑嬟宐宜宧寱寲屹峄峓崺嶧嶬嶷已巸帟帠幆庡廙异弈弋弌弬彛彜彝彞役忆忔怈怡怿恞悒悘悥意憶懌懿扅扆抑拸挹揖撎攺敡敼斁旑旖易晹暆曀曎杙杝枍枻柂栘栧桋棭椅椬椸榏槸檍檥檹欭歝殔殪殹毅毉沂沶泆洟洢浂浥浳渏湙溢漪潩澺瀷炈焲熠熤熪熼燚燡燱狋猗獈玴珆瑿瓵畩異疑疫痍痬瘗瘞瘱癔益眙睪瞖矣礒祎禕秇移稦穓竩笖篒簃籎縊繄繶繹绎缢羛羠義羿翊翌翳翼耴肄肊胰膉臆舣艗艤艺芅苅苡苢荑萓萟蓺薏藙藝蘙虉蚁蛜蛡蛦蜴螔螘螠蟻衣衤衪袘袣裔裛裿褹襼觺訲訳詍詒詣誃誼謻譩譯議讉讛议译诒诣谊豙豛豷貖貤貽贀贻跇跠軼輢轙轶辷迆迤迱迻逘逸遗遺邑郼鄓酏醫醳醷釔釴鈘鈠鉯銥鎰鏔鐿钇铱镒镱阣隿霬頉頤頥顊顗颐飴饐饴駅驛驿骮鮧鮨鯣鳦鴺鶂鶃鶍鷁鷊鷖鷧鷾鸃鹝鹢鹥黓黟黳齮齸𠁼𠂆𠂣𠄱𠅃𠅌𠈶𠋣𠍫𠍳𠏩𠐀𠓋𠗺𠚮𠛃𠜁𠡔𠡝𠤕𠤗𠤘𠥦𠨾𠩗𠩫𠪗𠮙𠯋𠰄𠲔𠲖𠲚𠲺𠲻𠶷𠼪𠽜𠿣𡄵𡄻𡉛𡊁𡊶𡍡𡎐𡕄𡜬𡥁𡬓𡱐𡷪𡻣𡼎𡾾𢀁𢂒𢂗𢂼𢄅𢄥𢇙𢇚𢇸𢈶𢊘𢍰𢎀𢎃𢎉𢎯𢏗𢑏𢑞𢑱𢓀𢓡𢕷𢖅𢖫𢖴𢖺𢗎𢘽𢙇𢞉𢡃𢣉𢦕𢨮𢨳𢩮𢩼𢱁𢷔𣎅𣐓𣐵𣐿𣕁𣘦𣙛𣚍𣚘𣞕𣡊𣢭𣢷𣤪𣦌𣧄𣨟𣫙𣷩𣸘𣿉𤆾𤇴𤈙𤑹𤖪𤘊𤝳𤝻𤣨𤣮𤤺𤥿𤧕𤬩𤴧𤶛𤷅𤸸𤻂𤼌𥃠𥃸𥄻𥄿𥅓𥌟𥍴𥏜𥑴𥒵𥘒𥘠𥙁𥙇𥜃𥜥𥟘𥡪𥥌𥥴𥩖𥫃𥫜𥫝𥰧𥱃𥸊𥹋𥾐𥿹𦂶𦌩𦎝𦏸𦐧𦓻𦔜𦔥𦘳𦙨𦚟𦟧𦠉𦡫𦣝𦣞𦥱𦨇𦭥𦮸𦶂𦺳𧃟𧅖𧆈𧆦𧈻𧉅𧊣𧊤𧋏𧑌𧓗𧔮𧘉𧙟𧙡𧜤𧡇𧢂𧣟𧣬𧦧𧫦𧬇𧮒𧱊𧱏𧳁𧷅𧷥𧺎𧺝𧾰𨋯𨙨𨛯𨜶𨜽𨠑𨠶𨣠𨣬𨦯𨳷𨹝𨻊𨻏𨽹𩂒𩂹𩈭𩋌𩍖𩎭𩎷𩓧𩔦𩕲𩖹𩖾𩗑𩘧𩙺𩚂𩚇𩛆𩛮𩟉𩡣𩣞𩤒𩥯𩪟𩪣𩮵𩳇𩴜𩴮𩷍𩷘𩸨𩼨𩾘𩾠𩾢𪀓𪀕𪁚𪁛𪆖𪈨𪐔𪐘𪐣𪒕𪕶',
+  yin: '㐆㕂㖗㙬㝙㞤㡥㣧㥯㥼㦩㧈㧢㪦㱃㴈㸒㹜㹞㼉㾙䇙䌥䒡䓄䕃䖜䚿䡛䤃䤺䨸䪩䲟乑侌冘凐印吟吲喑噖噾嚚囙因圁垔垠垽堙堷夤姻婣婬寅尹峾崟崯嶾廕廴引愔慇慭憖憗懚斦朄栶檃檭檼櫽殥殷氤泿洇洕淫淾湚溵滛濥濦烎犾狺猌珢璌瘖瘾癊癮碒磤禋秵窨筃粌絪緸胤茚茵荫荶蒑蔩蔭蘟蚓螾蟫裀訔訚訡誾諲讔赺趛輑鄞酳鈏鈝銀銦铟银闉阥阴陰陻隂隐隠隱霒霠霪靷鞇音韾飮飲饮駰骃鮣鷣齗齦龂龈𠃊𠆭𠖟𠪘𠪚𠽨𡆬𡇂𡈲𡋪𡐔𡓓𡓿𡖣𡩘𡸛𡼽𢂨𢉩𢋻𢌲𢓕𢓙𢙠𢛦𢝯𢪪𢳃𢷍𣍃𣓆𣔸𣦫𣱐𣱜𣸊𣽮𤂹𤔌𤝎𤢦𤯸𤵯𤷏𤻘𥖵𥤷𥬜𥮍𦙍𦜲𦝴𦟘𦾻𧊭𧥸𧦸𧦹𧩬𨈧𨋙𨏈𨐐𨒦𨓮𨛊𨟏𨟴𨡢𨢂𨦆𨽌𩂢𩂥𩃬𩐞𩖄𩚕𩬵𪔰𪔽',
+  ying: '㑞㢍㨕㯋㲟㴄㵬㶈㼆㿘䀴䁐䁝䃷䑉䕦䙬䤝䨍䪯䭊䭗偀僌営嘤噟嚶塋婴媖媵嫈嬰嬴孆孾巆巊应廮影応愥應摬撄攍攖映暎朠桜梬楹樱櫻櫿浧渶溁溋滢潁潆濙濚濴瀅瀛瀠瀯瀴灐灜煐熒營珱瑛瑩璎瓔甇甖瘿癭盁盈矨硬碤礯禜穎籝籯緓縈纓绬缨罂罃罌膡膺英茔荧莹莺萤营萦萾蓥藀蘡蛍蝇蝧蝿螢蠅蠳褮覮謍譍譻賏贏赢軈迎郢鎣鐛鑍锳霙韺頴颍颕颖鱦鴬鶑鶧鶯鷪鷹鸎鸚鹦鹰𠊶𠝟𠠜𠮳𠸄𡀘𡁊𡂚𡃅𡄖𡎘𡺡𢄋𢣙𢥏𣋋𣟤𣤵𣲜𤁽𤇾𤌌𤜉𤟣𤣎𤭫𤹜𤹥𥌽𥌾𥍼𥏎𥐑𥚿𦔃𦖽𦝚𦡺𦢆𦢻𦦿𦩩𧅋𧓀𧕄𧕍𧢛𧭓𧭭𧮆𧯀𨍞𨜏𨟙𨠸𨪄𨵛𨿳𩄪𩋹𩖍𩘑𩳍𩸥𩹅𩻷𪊵',
+  yo: '哟唷喲',
+  yong: '㙲㝘㞲㦷㴩㶲㷏㽫䗤䞻佣俑傭勇勈咏喁嗈噰埇塎墉壅嫞嵱庸廱彮怺恿悀惥愑愹慂慵拥擁柡栐永泳涌湧滽澭灉牅用甬痈癕癰砽硧臃苚蒏蛹詠踊踴邕郺鄘醟鏞镛雍雝顒颙饔鯒鰫鱅鲬鳙鷛𠆌𠳀𠹍𡃵𡵜𢀍𢢓𢧳𢫕𢹬𣋿𣏀𤛑𥁎𥑿𥥝𥧱𦃽𦤘𦨤𦨬𧖇𧗴𧙇𧝸𧲤𧴄𧴗𧺸𧻹𨓨𨤂𨦡𨴭𨶽𩆄𩍓𩔔𩜳𩟀𩟷𩤛𩬮𪄉𪅟𪇛',
+  you: '㒡㓜㕗㕱㘥㚭㛜㤑㫍㮋㰶㳺㹨㺠㻀㽕㾞䀁䅎䆜䑻䒴䖻䚃䛻䞥䢊䢟䬀䱂䳑丣亴优佑佦侑偤優卣又友右呦哊唀嚘囿姷孧宥尢尤峟峳幼幽庮忧怞怣怮悠憂懮攸有柚栯梄楢槱櫌櫾沋油泑浟游湵滺瀀牖牗牰犹狖猶猷由甴疣祐禉秞纋羑羪耰聈肬苃莜莠莸蕕蚰蚴蜏蝣訧誘诱貁輏輶迶逌逰遊邮郵鄾酉酭釉鈾銪铀铕駀魷鮋鱿鲉麀黝鼬𠅓𠖋𠘳𠢢𠧠𠧴𠨦𠮫𡇀𡈙𡈰𡈵𡊧𡋧𡜳𡯉𡯙𡺒𡺖𢆶𢈓𢋣𢓿𢖟𢝊𢟅𢪥𢿚𣁨𣅄𣅺𣏞𣓐𣓛𣢄𣢜𣣜𣣸𣤎𣧗𣧥𣸠𣿤𤄘𤍕𤘜𤣙𤤧𤤬𤪎𤱎𤴨𤸈𥙫𥙾𥜚𥝘𥣯𥯞𥴕𥽟𦎓𦏇𦑸𦥣𦩲𦳧𦳩𦳷𦵵𦷿𦸙𧀥𧅲𧆕𧆘𧍘𧠶𧡹𧰰𧳫𨑫𨗰𨘁𨘵𨙂𨛕𨡴𨸙𩑣𩗚𩘈𩘓𩜷𩤹𩥘𩲎𩳑𩴑𩴙𩹊𩽇𩿬',
+  yu: '㑨㒁㒜㔱㙑㚥㝢㝼㠘㠨㡰㣃㤤㥔㥚㥥㦛㪀㬂㬰㲾㳚㳛㶛㷒㺄㺞㺮㼌㼶㽣䁌䁩䂊䂛䃋䄏䄨䆷䈅䉛䋖䍂䍞䏸䐳䔡䖇䗨䘘䘱䙔䛕䜽䢓䢖䢩䣁䥏䨒䨞䩒䬄䮇䮙䰻䱷䲣䴁䵫与乻予于亐伃伛余俁俞俣俼偊傴僪儥兪匬唹喅喩喻噳圄圉圫域堉堣堬妤妪娛娯娱媀嫗嬩宇寓寙屿峪崳嵎嵛嶎嶼庽庾彧御忬悆惐愈愉愚慾懙戫扜扝扵挧揄敔斔斞於旟昱杅桙棛棜棫楀楡楰榆櫲欎欝欤欥欲歈歟歶毓浴淢淤淯渔渝湡滪漁潏澞澦灪焴煜燏燠爩牏狱狳獄玉玗玙琙瑀瑜璵瘀瘉瘐癒盂盓睮矞砡硢硲礇礖礜祤禦禹禺秗稢稶穥穻窬窳竽箊篽籅籞籲粖紆緎纡罭羭羽聿肀育腴臾舁舆與艅艈芋芌茟茰萭萮萸蒮蓣蓹蕍蕷薁蘌蘛虞虶蜟蜮蝓螸衧袬裕褕覦觎誉語諛諭謣譽语谀谕豫貐踰軉輍輿轝込迂迃逳逾遇遹邘郁鄅酑醧鈺銉鋊錥鍝鐭钰閾阈陓隃隅雓雤雨雩霱預頨预飫餘饇饫馀馭騟驈驭骬髃鬰鬱鬻魊魚魣鮽鯲鰅鱊鱼鳿鴥鴧鴪鵒鷠鷸鸆鸒鹆鹬麌齬齵龉羽𠀛𠄛𠄝𠊏𠋟𠎳𠏚𠒍𠓱𠔔𠕒𠕘𠕦𠕲𠧇𠫣𠱐𠸹𠽵𡁎𡂊𡇺𡈨𡋬𡑾𡒃𡒊𡔴𡨣𡨿𡬊𡬞𡷎𡻢𡿥𡿯𢊧𢋅𢌻𢎻𢒰𢔢𢔥𢔬𢔴𢖡𢛨𢡎𢮁𢯮𢹏𢺴𢾄𣋉𣍛𣕃𣝑𣟰𣡉𣢒𣢦𣣎𣨝𣩺𤀝𤕘𤗃𤚎𤜹𤞞𤟹𤥽𤧙𤳕𤸒𤹪𥆉𥉑𥎐𥒾𥔢𥘄𥙿𥛩𥝍𥝨𥯮𥷔𥷞𥸤𥸪𥹔𦀡𦈣𦈸𦋢𦋯𦎘𦏜𦏻𦒑𦡭𦥉𦦩𦦫𦦲𦩞𦭳𦱀𦱂𦱃𦳅𧃠𧈯𧉣𧊠𧍪𧐄𧑐𧗪𧙶𧞏𧫊𧰇𧱬𧶠𧼫𧾚𧿷𨄯𨊱𨖛𨗝𨘕𨜖𨝈𨞓𨨶𨩬𨪎𨮔𨰸𨵉𨵦𨶢𨾌𩁹𩂧𩃯𩈕𩊇𩋉𩋤𩎹𩏟𩏴𩘤𩘳𩘻𩚄𩚿𩛪𩛭𩜈𩝗𩟑𩟳𩡃𩢶𩤺𩥭𩦡𩦢𩨗𩨙𩩑𩩘𩰪𩱌𩱱𩲾𩵋𩵎𩺰𩼪𪁀𪂉𪂕𪂵𪃍𪃎𪇝𪇬𪊻𪋉𪋬𪋮𪑆𪑌𪑝𪓊',
+  yuan: '㟶㤪㥐㥳㭇㹉䅈䏍䖠䛄䛇䨊䩩䬇䬧䬼䲮䳒䳣傆元円冤剈原厡厵员員噮囦园圆圎園圓垣垸塬夗妴媛媴嫄嬽寃怨悁惌愿掾援杬棩榞榬橼櫞沅淵渁渆渊渕湲源溒灁爰猨猿瑗盶眢禐笎緣縁缘羱肙芫苑茒葾蒝蒬薗薳蚖蜎蜵蝝蝯螈衏袁裫裷褑褤謜貟贠轅辕远逺遠邍邧酛鈨鋺鎱院願駌騵魭鳶鴛鵷鶢鶰鸢鸳鹓黿鼋鼘鼝𠒜𠕤𠝳𠩠𠫐𠫒𡈒𡈓𡢊𡣬𡯱𡷡𢂱𢆀𢍈𢏮𢐄𢕋𢗯𢱽𢷻𣶒𣸼𣹠𤬌𥭞𥿎𦍼𦭘𦿂𧉗𧔞𧙮𧧁𧳭𧻚𨀮𨓯𨕗𨖳𨸘𨻣𩉯𩌑𩍻𩐘𩔃𩕾𩘍𩛟𩝸𩟁𩰵𪀈𪄁𪔅𪔗𪔙𪕀',
+  yue: '㜧㜰㬦㰛㹊䋐䖃䟠䠯䡇䢁䢲䤦䥃䶳刖哕啘噦妜嬳岄岳嶽恱悅悦戉抈捳曰曱月樾泧瀹爚玥矱礿禴箹篗籆籥籰粤粵約约蘥蚎蚏越跀跃躍軏鈅鉞鑰钥钺閱閲阅鸑鸙黦龠龯𠏃𠔠𠨲𠩉𠪶𠯲𠾲𠿋𡆦𡆽𡛟𡡕𢁞𢦰𢯵𢾔𣌗𣎱𣐋𣤰𣦏𣨡𣻮𤑓𤓝𥆟𥩡𥸘𦋩𦚢𦣜𦤕𧀲𧅚𧇓𧕋𧤽𧨄𧹊𨁑𨈋𨊸𨒋𨙄𨮁𨳕𨷲𨿁𩁯𩎙𩓥𩚈𩜌𩱪𩱲𩿠𪁑𪑲𪒥',
+  yun: '㚃㚺㛣㜏㞌㟦㾓䆬䇖䉙䚋䞫䡝䢵䤞䦾䨶䩵䪳䲰䵴云伝傊允勻匀喗囩夽奫妘孕恽惲愠愪慍抎抣昀晕暈枟橒殒殞氲氳沄涢溳澐煴熅熉熨狁畇眃磒秐筠筼篔紜緼縕縜纭缊耘耺腪芸荺蒀蒕蒷蕓蕰蕴薀藴蘊蝹褞賱贇赟运運郓郧鄆鄖酝醖醞鈗鋆阭陨隕雲霣韗韞韫韵韻餫馧馻齫齳𠈤𠚓𠣐𠱳𡅙𡖒𡢘𡲪𡴞𡽅𣂊𣖆𤸫𥐩𥠺𦅿𦔐𧉃𧡡𧥼𧬞𧶊𧼐𨍆𨛡𨷐𩁴𩂿𩏅𩏆𩴉𪍝𪏔𪏚',
+  za: '䕹䞙䪞匝咂咋囃囋帀扎拶杂桚沞沯砸臜臢襍迊鉔雑雜雥韴魳𠯗𠷿𠽷𡁕𢶍𢹼𢽜𣤷𣤺𣴖𣸐𤄔𤠀𥷩𦠛𦾬𧌃𧬩𧾁𨠿𩇺𩞶',
+  zai: '㞨㦲㱰㴓䏁䣬䮨䵧傤儎再哉在宰崽扗栽洅渽溨災灾烖甾畠睵縡賳載载酨𠎶𠕂𠕅𠳆𡉄𡨧𡿧𢎋𢦏𢦒𢦔𣅃𣔮𣪮𤌊𤝖𤞳𦞁𦳦𧯥𨀬𨚵𩛥𩛳',
+  zan: '㔆㜺㟛㣅㤰偺儧儹兂咱喒噆寁揝撍攅攒攢昝暂暫橵濽灒瓉瓒瓚禶簪簮糌襸讃讚賛贊赞趱趲蹔鄼錾鏨鐕鐟饡鵤𠼗𡡖𢄤𣸄𥎑𥜙𥳋𥸢𧄽𨖋𨘄𨙏𩛻𩯳',
+  zang: '㘸匨塟奘弉牂羘脏臓臟臧葬蔵賍賘贓贜赃銺駔驵髒𡁧𡅆𢈜𢍿𣻟𤃼𤛻𤞛𦟃𧕨𨌄𪓅',
+  zao: '㲧㷮䒃䖣䗢䜊䥣䲃傮凿唕唣喿噪慥早枣栆梍棗澡灶煰燥璅璪皁皂竃竈簉糟艁薻藻蚤譟趮蹧躁造遭醩鑿𠙬𠴵𡐋𡨗𢄀𢑖𢲵𢵥𣍖𣕤𣩒𣴢𤍜𤞋𤟀𤩨𥀛𥖨𦯑𦵩𧈹𧎮𨎮𨒽𨚰𨠷',
+  ze: '㖽㣱㳁㳻䇥䕉䕪䰹䶦仄则則啧嘖嫧崱帻幘庂択择捑擇昃昗樍歵汄沢泎泽溭滜澤皟瞔矠礋箦簀舴蔶蠌襗諎謮責賾责赜迮鸅齚齰𠟻𠨻𡵗𡸈𡸦𡹨𢧠𢮚𢯩𣆽𣛸𣤈𣬿𣼦𣿐𤖓𤢟𥍱𥎍𥟔𥼃𦔈𦟜𦣱𧶷𨕠𨖊𩂖𩄾𩌪𩔳𩾸𪌟',
+  zei: '戝蠈賊贼鰂鱡鲗𢨗𦽒𧒿𨆎',
+  zen: '䫈怎譖谮',
+  zeng: '㽪䙢䰝囎増增憎曽橧熷璔甑矰磳繒缯罾譄贈赠鄫鋥锃鬵鱛𡡑𡾽𤎯𦀓𦼏𧢐𨲯𪒟',
+  zha: '㒀㗬㡸㪥㱜㴙㷢䃎䋾䕢䖳䛽䞢䥷䵙䵵乍偧劄厏吒咤哳喳宱抯拃挓揸搾摣札柤栅楂榨樝渣溠灹炸牐痄皶皻眨砟箚紥紮耫蚱蚻觰詐譇譗诈醡鍘铡閘闸霅鮓鮺鲊鲝齄齇𠆦𠍹𠓣𠝚𠢙𠢡𠭯𠯩𠰏𠽣𡎫𡗸𡟢𢄄𢕮𢧖𢧻𢳛𣛽𣟦𣧖𣽛𤁳𤈩𤡨𤰦𤵦𤹡𥀈𥀉𥡧𥹁𦂉𦑯𦟰𦳏𧃹𧄠𧉫𧉹𧧻𧨊𧨿𧩫𧬅𧶇𧼰𧼶𧽅𧿌𨂵𨅓𨋘𨡗𩃡𩃹𩥠𩩥𩬟𩮎𩳶𩶱𩻢𩼫𩿤',
+  zhai: '㡯㩟债債夈宅寨捚摘斋斎榸檡瘵砦窄粂鉙齋𠏰𠑞𠞶𠵠𠷒𡅓𡍥𢋿𢯌𢴨𣩭𤞮𤢒𤻦𥍪𥞅𥰾𦑱𦤧𧲻𧻍𨅪𨝋𩏪𩝦𩝿𩬫𩱳𪀥𪑽',
+  zhan: '㞡㟞㠭㣶㺘㻵䁴䋎䎒䗃䘺䟋䡀䩅䪌䱠䱼佔偡僝占噡嫸展岾崭嶃嶄嶘嶦惉战戦戰搌斩斬旃旜枬栈栴桟棧榐橏毡氈氊沾湛琖盏盞瞻站綻绽菚薝蘸虥虦蛅覱詀詹譧譫讝谵趈輾轏辗邅醆閚霑颭飐飦饘驏驙魙鱣鳣鸇鹯龪𠌲𠟉𠟧𡁳𡅹𡓦𡕁𡭞𡽻𢅺𢈽𢤚𢧗𣀁𣛷𣢤𣮿𣳤𣺹𤖆𤘇𤜇𥙡𥴐𥶕𥿜𦈻𦗢𦧚𦪣𧀡𧂁𧋱𧎰𧒝𧔡𧖉𧙭𧝑𧬆𧮪𧮺𧲮𧸪𧽆𧾍𨇩𨊈𨣁𨣚𨫀𨭖𨺿𨼈𨼮𩆯𩉗𩔣𩕊𩥇𩰃𩱡𩼼𪃋𪉜𪏉',
+  zhang: '㕩㙣㽴丈仉仗傽墇嫜嶂帐帳幛幥张張彰慞扙掌暲杖樟涨涱漲漳獐璋痮瘬瘴瞕礃章粀粻胀脹蔁蟑賬账遧鄣鏱障餦騿鱆麞𠅹𠫝𡈠𡑄𡚹𢕎𢕔𢩰𢪾𢷢𣌞𣾦𤍤𤓯𤕄𥳶𦺡𧐊𧽣𨄰𩌬𩭫𪅂',
+  zhao: '㐍㐒㑿㕚㡽㨄㷖㺐䃍䈃䈇䍜䍮䝖䮓佋兆召垗妱巶找招旐昭曌枛棹櫂沼炤照燳爪爫狣瑵皽瞾笊箌罀罩羄肁肇肈詔诏赵趙釗鉊鍣钊駋鮡𠕖𠕭𠟅𠠄𠧞𠮦𠻥𡊥𡖎𡱜𢁬𢗈𢡰𣋍𣠜𤍒𤙔𤿘𥏨𥵤𦗔𦩻𦬔𦹫𦺓𦻐𧳝𧳻𨱻𨹸𩘀',
+  zhe: '㞏㪿㯰䂞䊞䎲䏳䐑䐲䓆䗪䝃䝕䠦䩾䮰䵭乽厇哲啠啫喆嗻嚞埑嫬悊折摺晢晣柘樜歽浙淛着矺砓磔籷粍者蔗虴蛰蜇蟄蟅袩褶襵詟謫謺讁讋谪赭踷輒輙轍辄辙这這遮銸鍺锗鮿鷓鹧𠌮𠚱𠝝𠞃𠯓𠽻𠾀𡂭𡄡𡇠𡘭𡜯𡝊𢟯𢢍𢫰𢬴𣇧𣙵𣠞𣶋𣻩𤜤𤟍𤮱𥏯𥐽𥑡𥕣𥛧𥤋𥧮𥭙𦅄𦔮𦗑𦗗𦞥𦠟𦠠𦠣𦬃𦯍𧀹𧎴𧑧𧤠𧲢𨅊𨐃𨰵𨵊𩊵𩐶𩢐𩣩𩤜𪐏',
+  zhen: '㐱㓄㣀㪛㮳㯢㴨䂦䂧䊶䏖䑐䝩䟴䨯䪴䫬䲴䳲侦侲偵圳塦姫嫃寊屒帧帪幀弫抮挋振揕搸斟昣朕枕栚桢椹楨榛樼殝浈湞溱潧澵獉珍珎瑧甄甽畛疹眕眞真眹砧碪祯禎禛稹箴籈紖紾絼縝縥纼缜聄胗臻萙葴蒖蓁薽袗裖覙診誫诊貞賑贞赈軫轃轸辴遉酙針鉁鋴錱鍼鎭鎮针镇阵陣震駗鬒鱵鴆鸩黰𠘱𠛶𠠹𠬓𠵧𠸸𡇑𡇖𡈿𡻈𢏈𣃵𣏖𣒅𣓀𣬻𣱽𣿎𤆤𤚨𤷌𥅘𥖘𥤤𥪘𦳳𦸮𧠝𧤛𧮬𨌑𨏤𨳌𨸬𩄛𩇜𩊡𩊨𩑘𩒀𩒈𩒪𩬖𩾺𪁧𪇳𪈁𪐲𪑳',
+  zheng: '㡠㡧㱏㽀䂻䈣䋊䋫䛫䡕䥌䥭䦛䦶争佂凧埩塣姃媜峥崝崢幁征徰怔愸抍拯挣掙掟揁撜政整晸正氶炡烝爭狰猙症癥眐睁睜筝箏篜糽聇脀蒸証諍證证诤踭郑鄭鉦錚鏳钲铮靕鬇鴊𠄙𠏫𠑅𠔻𠲜𡪺𢁿𢌛𢌦𢏰𢓞𢘫𢮐𢹑𢾧𤇏𤇶𤪡𤸲𤿆𥊼𥒛𦓺𦙫𦚦𦜎𦡅𦱊𧗆𧗲𧘿𧪣𧯫𧶄𨀧𨋬𨌢𨒌𨚣𨛰𨜓𨟃𨢹𨧭𨺟𩏠𩗲𩗵𩘼𩘽𩚫𩺄𪎻',
+  zhi: '㕄㗌㗧㘉㙷㛿㜼㝂㡶㣥㧻㨁㨖㩼㫖㮹㲛㴛䄺䅩䆈䇛䇽䉅䉜䌤䎺䏄䏯䐈䐭䑇䓌䓜䓡䕌䚦䛗䝷䞃䟈䡹䥍䦯䧴䫕䬹䭁䱥䱨䳅䵂䵹之乿侄俧倁値值偫傂儨凪制剬劕劧卮厔只吱咫址坁坧垁埴執墆墌夂妷姪娡嬂寘峙崻巵帋帙帜幟庢庤廌彘徏徝徴徵志忮恉慹憄懥懫戠执扺扻抧挃指挚掷搘搱摨摭摯擲擳支旘旨晊智枝枳柣栀栉栺桎梔梽植椥榰樴櫍櫛止歭殖汁汥汦沚治泜洔洷淔淽滍滞滯漐潌潪瀄炙熫犆狾猘璏瓆瓡畤疐疷疻痓痔痣瘈直知砋礩祇祉祑祗祬禃秓秖秩秷稙稚稺穉窒筫紙紩絷綕緻縶織纸织置翐聀职職肢胑胝脂膣膱至致臸芖芝芷茋藢蘵蛭蜘蟙衹衼袟袠製襧覟觗觯觶訨誌豑豒豸貭質贄质贽趾跖跱踬踯蹠躑躓軄軹輊轵轾迣郅酯釞銍鋕鑕铚锧阯陟隲隻雉馶馽駤騭騺驇骘鯯鳷鴙鴲鷙鸷黹鼅𠊤𠊷𠋤𠍜𠓶𠘖𠚅𠦧𠮡𠰅𠶜𠼠𡀹𡁉𡂒𡂣𡈊𡍶𡏀𡏚𡑘𡖧𡖻𡙑𡛰𡠗𡠹𡮞𡰹𡱔𡸜𡽆𢃜𢄢𢄱𢅁𢇨𢊁𢍧𢎈𢐂𢕞𢖇𢖽𢖿𢙺𢚨𢛍𢡒𢧜𢧤𢯶𢰙𢴠𢴧𢷸𢻙𢽃𢽗𢾫𣔐𣖌𣖭𣖿𣗻𣚠𣥰𣨋𣲵𣳀𣻞𣽚𤃲𤆒𤓕𤖞𤛱𤝼𤞂𤞌𤦄𤦮𤧜𤴟𤴢𤵋𤶓𤸓𤽁𤿙𥃫𥇕𥇭𥍭𥎹𥏄𥏅𥏊𥏰𥏷𥒓𥒗𥔊𥘡𥝑𥝮𥠈𥠽𥣮𥭡𥮖𥴒𥹩𥻬𥾣𥿮𦃘𦏤𦐖𦛧𦜋𦝔𦟔𦤻𦥎𦥏𦥐𦭜𦭮𦯫𦯯𦰘𦳙𦳮𦴀𧀿𧃐𧊙𧌔𧏸𧐉𧓸𧙁𧙋𧛢𧜚𧝉𧠫𧠴𧣭𧣾𧤡𧧬𧧰𧨰𧫡𧱒𧸅𧸕𧸲𧹛𧽦𧾂𨁷𨂂𨃉𨃯𨆋𨆧𨌌𨎉𨎌𨑨𨒉𨕕𨖹𨜎𨟊𨟾𨡐𨢮𨤱𨧵𨫔𨬚𨬝𨰛𨵂𨻆𨼓𨽥𨿛𩊝𩊴𩋩𩍲𩍵𩙾𩧄𩬺𩯈𩷓𩹈𩻉𩻼𪁊𪁓𪁩𪂅𪏀𪑜𪒊',
+  zhong: '㐺㣫㲴㹣䱰中仲伀众偅冢刣喠堹塚妐妕媑尰幒彸徸忠柊歱汷泈炂煄狆瘇盅眾祌种種筗籦終终肿腫舯茽蔠蚛蜙螤螽衆衳衶衷諥踵蹱重鈡銿鍾鐘钟锺鴤鼨𠁦𠁧𠁩𠂂𠊥𠔈𠔙𠔾𠛀𠱧𡖌𡥿𡰒𡻑𢁷𢃭𢝆𢨱𣱧𣷡𣹞𤚏𤝅𤯚𤺄𥗦𥷈𥻝𦉂𦌋𦔉𦬕𧆼𧍸𧑆𧬤𧳮𨉢𨳗𩅉𩅞𩅧𩿀',
+  zhou: '㑇㑳㔌㛩㥮㼙㾭䇠䈙䋓䎻䐍䖞䛆䩜䶇伷侜僽冑周呪咒咮啁喌噣嚋妯婤宙州帚徟昼晝晭洲淍炿烐珘甃疛皱皺盩睭矪碡箒籀籒籕粙粥紂縐纣绉肘胄舟荮菷葤詋謅譸诌诪賙赒軸輈輖轴辀週郮酎銂霌駎駲騆驟骤鯞鵃鸼𠃕𠄓𠄗𠊣𠚴𠣘𠤍𠱙𡀑𡊡𢃸𢏝𢐫𢓟𢫧𢷗𢼲𢽧𣅯𣆔𣥯𣻱𤏲𤭰𥀙𥌆𥑸𥖠𥣙𥲝𥺝𥺞𥼫𥾓𥿦𦁖𦂈𦅸𦈺𦩈𦭴𧇟𧛸𧣷𧧔𧭍𧳜𧻖𨂊𨉜𨏺𨥇𨦞𩊄𩋰𩍌𩍧𩗪𩢸𩧁𩶣𪆀𪇞',
+  zhu: '㑏㔉㝉㤖㧣㫂㵭㹥㺛㾻㿾䇡䇧䌵䍆䎷䐢䕽䘢䝒䝬䟉䥮䬡䭖䮱䰞丶主乼伫佇住侏劚助劯嘱囑坾墸壴孎宔嵀帾拀拄斸曯朱杼柱柷株槠樦橥櫧櫫欘殶注洙渚潴濐瀦灟炢炷烛煑煮燝燭爥猪珠疰瘃眝瞩矚砫硃祝祩秼窋竚竹竺笁笜筑筯箸築篫篴簗紵紸絑纻罜羜翥舳苎苧茱茿莇著蓫蕏藸蛀蛛蝫蠋蠩蠾袾褚註詝誅諸诛诸豬貯贮跓跦躅軴迬逐逫邾鉒銖鋳鑄钃铢铸陼飳馵駐駯驻鮢鯺鱁鴸鸀麆麈鼄𠧀𠩈𠮌𠰍𠴦𠷅𡎺𡤗𡧨𡱱𡴅𡸌𡺐𡻌𡻠𢁼𢔪𢚻𢥃𢩄𢲿𣔯𣤁𣥼𣵸𣽆𤆼𤋰𤎧𤕞𤝹𤥮𤲑𤳯𤾄𥋛𥛂𥞏𥩣𥯸𥵟𥹍𥾅𦅷𦉐𦙴𦧙𦬸𧈚𧉞𧏿𧑤𧵴𨆄𨈫𨙔𨞕𨭅𨲈𩊣𩋵𩒊𩞈𩨻𩲠𩲬𩳥𩴀𩶂𩶄𪊹𪋏𪋑𪋰𪏿',
+  zhua: '抓挝撾檛簻膼髽𡎬𣑃𥬲𥮣',
+  zhuai: '拽跩',
+  zhuan: '䉵䡱专僎叀啭囀堟塼嫥孨専專撰灷瑑瑼甎砖磗磚竱篆篹籑縳腞膞蒃蟤襈諯譔賺赚転轉转鄟顓颛饌馔鱄𠊩𠨎𡇰𡢀𡤛𡭇𡰞𢂘𢐎𢞬𣂵𣕏𣚢𤂤𤩄𤪪𤮳𥛥𥫛𦁆𦄯𦓚𦓝𦝏𦧸𧂍𧸖𨷱𩔊𩧜𩳏𩻝',
+  zhuang: '壮壯壵妆妝娤庄庒撞桩梉樁湷焋状狀粧糚荘莊装裝𠌴𢙳𢤤𣞝𣴣𣶍𣻛𤘲𤶜𦀜𦚏𨀵𩅃𩮱𩯲𪁈',
+  zhui: '䄌坠墜娷惴椎沝甀畷硾礈笍綴縋缀缒腏膇諈贅赘追醊錐錣鑆锥隹騅骓鵻𡑻𢊅𣝸𣦬𣨫𤺅𥟒𦥻𧿲𨪗𨺵𨾻𩛵𩜀𩪀𩬳𪋇',
+  zhun: '㡒准凖啍埻宒準稕窀綧肫衠訰諄谆迍𥇜𥚠',
+  zhuo: '㣿㪬㭬㺟䅵䕴䪼䶂丵倬劅卓叕啄啅圴妰娺彴拙捉撯擆擢斀斫斮斱斲斵晫桌梲棁棳椓槕櫡汋浊浞涿濁濯灂灼炪烵焯犳琢琸硺禚穛穱窡窧篧籗籱罬茁蠗蠿諁諑謶诼酌鋜鐯鐲镯鵫鷟龺𠡑𠭴𠿡𡷿𢁁𢢗𢧈𢳇𢺡𢽚𢽴𣃈𣃑𣄻𤃮𤉐𤏸𤓦𥇍𥋮𥐊𥗁𥞺𥢔𥮥𥯩𥷘𥷮𥼚𦅾𦜰𦰹𦳡𧂒𧃔𧘑𧞐𧢼𧨳𧱰𨑽𨖮𨡸𨢬𨧧𨮿𨺝𩆸𩋁𩑂𩩔𩲃𩷹',
+  zi: '㜽㧗㰣㰷㱴㺭㾅䅆䐉䔂䘣仔倳兹剚吇呰呲咨啙嗞嗭姉姊姕姿子孖字孜孳孶崰嵫恣杍栥梓椔榟橴淄渍湽滋滓漬澬牸玆眥眦矷禌秄秭秶稵笫籽粢紎紫緇緕纃缁耔胏胔胾自芓茈茊茡茲荢菑葘蓻虸觜訾訿諮谘貲資赀资赼趑趦輜輺辎鄑釨鈭錙鍿鎡锱镃頾頿髭鯔鰦鲻鶅鼒齍齜龇𠀢𠂔𠡸𡉗𡗈𡙛𡪒𡸟𡸪𢱆𢼱𣄮𣓊𣖨𣚀𣚁𣣊𣣌𣥨𣯃𣳩𣸆𥀖𥕁𥚉𥞎𥞑𥫞𥬳𥲕𥻍𥼩𥼻𥿩𦍺𦎸𦖺𦚙𦛹𦣹𦺱𧀗𧂐𧆰𧕓𧛏𧞓𧣤𧥕𧧕𧨴𧹌𧿞𨀥𨍢𨚖𨝳𨧫𨩲𨹀𩄚𩐍𩜊𪅵𪑿𪕊',
+  zong: '㚇㢔㯶㷓㹅䍟䗥䝋䰌倊倧偬傯堫宗嵏嵕嵸总惣惾捴揔搃摠昮朡棕椶焧熧燪猔猣疭瘲碂磫稯粽糉糭綜緃総緫緵縂縦縱總繌纵综翪腙葼蓗蝬豵踨踪蹤鍐鑁騌騣骔鬃鬉鬷鯮鯼𠂳𠏭𠕌𠡻𠵻𡕰𡞧𣀒𣯨𤡆𥍺𥓻𥚾𥠡𦖸𦡙𧺣𨌰𨍈𨎢𨺡𩋯𩤗𩦲𩭤𩮀𩰽𪖁',
+  zou: '㔿㵵䠫奏掫揍棷棸箃緅菆諏诹走赱邹郰鄒鄹陬騶驺鯐鯫鲰黀齱齺龰𠂑𣙻𣠏𥋜𥶈𧌗𧺆𨂡𨃘𨑿𨜗𨽁𩼦𪃆',
+  zu: '㞺㰵㲞䅸䔃䖕䘚䚝䯿䱣俎卆卒哫唨崒崪族椊爼珇祖租箤組组菹葅蒩詛诅足踤鎺鏃镞阻靻𠯁𠯣𠻏𡻬𢅪𢉺𢫵𢳈𣇙𣢰𣤶𣨛𤓵𤬧𤱌𤽱𥛜𥞯𥣆𥼀𥼪𦑋𦵬𧇈𧇿𧎲𧐈𧑙𧗎𧞰𧺒𨂀𨃭𨄕𨧰𨨳𨩰𩐡𩥿𩩠𩲲𩺯𪋍',
+  zuan: '䂎䌣䤸劗攥籫繤纂纉纘缵躜躦鉆鑚鑽钻𡉺𣀶𣪁𦆈𦙉𨉖𨰭𩎑',
+  zui: '㝡㠑㰎䘒䘹䮔冣厜嗺嘴噿嶊嶵晬最栬槜樶檇檌璻祽稡絊纗罪蕞蟕辠酔酻醉鋷錊𠲋𠾋𠿘𡙭𡡔𡽁𡽕𡽛𢈡𢊛𣖱𣩑𥍋𥳣𥳵𦈬𦏳𦙈𦸺𧎹𧻝𨢅𨿇𩚻𩣷𩲨𪋌𪓌',
+  zun: '僔噂墫尊嶟捘撙樽繜罇譐遵銌鐏鱒鳟鶎鷷𠟃𠱜𢍜𤮐𥊭𥞘𥢎𦢐𦨆𦪚𩯄',
+  zuo: '㑅㘀㘴㛗㝾㭮㸲䋏䎰䔘䝫䞰佐作侳做咗唑嘬坐岝岞左座怍捽昨柞祚秨稓穝笮筰糳繓胙苲莋葃葄蓙袏酢鈼阼飵𠂇𠇸𠱯𠹠𠻳𡉡𡋲𡪳𡯛𡯨𡹥𢂃𣠹𣹧𤿀𥅁𥙀𥥏𥽿𦁎𦥬𦦹𧃘𧮙𧲭𨀨𨐳𨝨𨞒𩛠𪎇𪎲'
+};
+
+export {
+  HAN_PINYIN
+};
@@ -0,0 +1,198 @@
+/**
+ * Utility functions for the MIME type Chrome reports for a download ({mime} placeholder, MIME-based category
+ * fallback and the optional extension repair)
+ */
+
+import { splitFilename, getCategoryForFile, DEFAULT_CATEGORY_RULES } from './filenameUtils.js';
+
+// Known MIME types with their extensions; the first extension is the one added when a name is repaired
+const MIME_EXTENSIONS = {
+  'application/pdf': ['pdf'],
+  'application/msword': ['doc', 'dot'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['docx'],
+  'application/vnd.oasis.opendocument.text': ['odt'],
+  'application/rtf': ['rtf'],
+  'text/rtf': ['rtf'],
+  'text/markdown': ['md', 'markdown'],
+  'text/csv': ['csv'],
+  'application/vnd.ms-excel': ['xls', 'xlt', 'csv'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['xlsx'],
+  'application/vnd.oasis.opendocument.spreadsheet': ['ods'],
+  'application/vnd.ms-powerpoint': ['ppt', 'pps', 'pot'],
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['pptx'],
+  'application/vnd.oasis.opendocument.presentation': ['odp'],
+  'image/jpeg': ['jpg', 'jpeg', 'jpe'],
+  'image/png': ['png'],
+  'image/gif': ['gif'],
+  'image/bmp': ['bmp'],
+  'image/svg+xml': ['svg'],
+  'image/webp': ['webp'],
+  'image/heic': ['heic'],
+  'image/heif': ['heif'],
+  'image/vnd.adobe.photoshop': ['psd'],
+  'audio/mpeg': ['mp3'],
+  'audio/wav': ['wav'],
+  'audio/x-wav': ['wav'],
+  'audio/aac': ['aac'],
+  'audio/flac': ['flac'],
+  'audio/mp4': ['m4a', 'mp4'],
+  'audio/ogg': ['ogg', 'oga'],
+  'video/mp4': ['mp4', 'm4v'],
+  'video/quicktime': ['mov'],
+  'video/x-msvideo': ['avi'],
+  'video/x-matroska': ['mkv'],
+  'video/x-ms-wmv': ['wmv'],
+  'video/webm': ['webm'],
+  'application/x-rar-compressed': ['rar'],
+  'application/vnd.rar': ['rar'],
+  'application/x-7z-compressed': ['7z'],
+  'application/x-tar': ['tar'],
+  'application/gzip': ['gz', 'tgz'],
+  'application/x-gzip': ['gz', 'tgz'],
+  'application/x-bzip2': ['bz2'],
+  'application/json': ['json'],
+  'text/css': ['css'],
+  'text/javascript': ['js', 'mjs'],
+  'application/javascript': ['js', 'mjs'],
+  'application/x-msdownload': ['exe', 'dll'],
+  'application/x-msi': ['msi'],
+  'application/x-apple-diskimage': ['dmg'],
+  'application/vnd.debian.binary-package': ['deb'],
+  'font/ttf': ['ttf'],
+  'font/otf': ['otf'],
+  'font/woff': ['woff'],
+  'font/woff2': ['woff2']
+};
+
+/**
+ * MIME types that say little about the content (or wrap many formats, like ZIP-based Office files),
+ * so they are never used to repair an extension
+ */
+const GENERIC_MIME_TYPES = [
+  'application/octet-stream',
+  'binary/octet-stream',
+  'application/force-download',
+  'application/x-download',
+  'application/download',
+  'application/unknown',
+  'application/zip',
+  'application/x-zip-compressed',
+  'application/xml',
+  'text/xml',
+  'text/plain',
+  'text/html'
+];
+
+// Default category names used when a MIME type isn't in the table, by top-level type
+const MIME_FAMILY_CATEGORIES = {
+  image: 'Images',
+  audio: 'Audio',
+  video: 'Videos',
+  font: 'Fonts'
+};
+
+/**
+ * How a filename whose extension doesn't fit its MIME type is treated:
+ * off leaves it alone, append only adds a missing extension, fix also replaces a contradicting one
+ */
+const EXTENSION_FIX_MODES = ['off', 'append', 'fix'];
+const DEFAULT_EXTENSION_FIX_MODE = 'off';
+
+// What counts as an extension when repairing names; 'Report v1.2' has none, so '.2' is kept
+const EXTENSION_PATTERN = /^(?=.*[a-z])[a-z0-9]{1,8}$/i;
+
+/**
+ * Normalizes a MIME type as reported by Chrome
+ * @param {string} mime - The MIME type (e.g., 'Application/PDF; charset=binary')
+ * @returns {string} The lowercase type without parameters (e.g., 'application/pdf'), or '' when missing
+ */
+function normalizeMimeType(mime) {
+  return String(mime || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Creates the {mime} placeholder formatter
+ * {mime} gives the whole type, {mime:type} the part before the slash and {mime:subtype} the part after it
+ * @param {string} mime - The download's MIME type
+ * @returns {Function} Formatter taking the optional part argument
+ */
+function createMimePlaceholder(mime) {
+  const normalized = normalizeMimeType(mime);
+  const [type, subtype = ''] = normalized.split('/');
+  return (arg) => {
+    if (arg === 'type') return type;
+    if (arg === 'subtype') return subtype;
+    return normalized;
+  };
+}
+
+/**
+ * Gets the extensions known for a MIME type
+ * @param {string} mime - The MIME type
+ * @returns {Array<string>} The extensions without dots, preferred one first; empty for unknown types
+ */
+function getExtensionsForMime(mime) {
+  return MIME_EXTENSIONS[normalizeMimeType(mime)] || [];
+}
+
+/**
+ * Determines a category from a MIME type, for files whose extension gives no category.
+ * The MIME type's extensions are looked up in the category rules first; otherwise image/, audio/, video/
+ * and font/ types map to the category of that name when the rules have one.
+ * @param {string} mime - The MIME type
+ * @param {Array<object>} customRules - Optional custom category rules from user settings
+ * @returns {string} The category name, or 'unknown' if no match
+ */
+function getCategoryForMime(mime, customRules = null) {
+  for (const extension of getExtensionsForMime(mime)) {
+    const category = getCategoryForFile(`file.${extension}`, customRules);
+    if (category !== 'unknown') {
+      return category;
+    }
+  }
+
+  const family = MIME_FAMILY_CATEGORIES[normalizeMimeType(mime).split('/')[0]];
+  const rules = (customRules && Array.isArray(customRules) && customRules.length > 0)
+    ? customRules
+    : DEFAULT_CATEGORY_RULES;
+  return family && rules.some(rule => rule && rule.name === family) ? family : 'unknown';
+}
+
+/**
+ * Adds or corrects the extension of a filename when it clearly contradicts the MIME type,
+ * e.g. 'download.php' served as application/pdf becomes 'download.pdf'.
+ * Generic and unknown MIME types never change the name.
+ * @param {string} filename - The filename (e.g., 'download.php')
+ * @param {string} mime - The MIME type
+ * @param {string} mode - One of EXTENSION_FIX_MODES
+ * @returns {Object} {filename, changed, from, to}: from/to are the old and new extensions (with dots)
+ */
+function fixFileExtension(filename, mime, mode) {
+  const unchanged = { filename, changed: false, from: '', to: '' };
+  const normalized = normalizeMimeType(mime);
+  const extensions = getExtensionsForMime(normalized);
+  if (mode === 'off' || !EXTENSION_FIX_MODES.includes(mode) || !filename || extensions.length === 0 || GENERIC_MIME_TYPES.includes(normalized)) {
+    return unchanged;
+  }
+
+  const { name, ext } = splitFilename(filename);
+  const current = EXTENSION_PATTERN.test(ext.slice(1)) ? ext.slice(1).toLowerCase() : '';
+  if (current && (mode === 'append' || extensions.includes(current))) {
+    return unchanged;
+  }
+
+  const to = `.${extensions[0]}`;
+  return { filename: `${current ? name : filename}${to}`, changed: true, from: current ? ext : '', to };
+}
+
+export {
+  MIME_EXTENSIONS,
+  GENERIC_MIME_TYPES,
+  EXTENSION_FIX_MODES,
+  DEFAULT_EXTENSION_FIX_MODE,
+  normalizeMimeType,
+  createMimePlaceholder,
+  getExtensionsForMime,
+  getCategoryForMime,
+  fixFileExtension
+};
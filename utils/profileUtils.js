@@ -0,0 +1,119 @@
+/**
+ * Utility functions for conditional rename profiles
+ * Used by the background service worker to pick the pattern that applies to a download
+ */
+
+// Profile ID that forces the global pattern, even when a profile would match
+const GLOBAL_PATTERN_ID = '__global__';
+
+/**
+ * Splits a comma-separated list into trimmed, non-empty entries
+ * @param {string|Array<string>} list - Comma-separated string (or an already split array)
+ * @returns {Array<string>} The list entries
+ */
+function splitList(list) {
+  if (Array.isArray(list)) {
+    return list.map(item => String(item).trim()).filter(item => item.length > 0);
+  }
+
+  return String(list || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item.length > 0);
+}
+
+/**
+ * Checks whether a value matches a simple glob pattern (case-insensitive)
+ * Supports `*` (any sequence of characters) and `?` (any single character)
+ * @param {string} value - The value to test (e.g., 'files.example.com')
+ * @param {string} glob - The glob pattern (e.g., '*.example.com')
+ * @returns {boolean} Whether the value matches
+ */
+function matchesGlob(value, glob) {
+  if (!glob) {
+    return false;
+  }
+
+  // Escape regex special characters, then translate glob wildcards
+  const source = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+
+  return new RegExp(`^${source}$`, 'i').test(String(value || ''));
+}
+
+/**
+ * Checks whether a value matches at least one glob in a comma-separated list
+ * @param {string} value - The value to test
+ * @param {string|Array<string>} globs - Comma-separated globs (e.g., 'example.com, *.example.org')
+ * @returns {boolean} Whether any glob matches
+ */
+function matchesAnyGlob(value, globs) {
+  return splitList(globs).some(glob => matchesGlob(value, glob));
+}
+
+/**
+ * Determines whether a profile's conditions all match the given download context.
+ * Empty conditions act as wildcards; a profile with no conditions matches every download.
+ * @param {Object} profile - The profile ({ enabled, conditions: { domains, categories, mimeTypes, urlRegex } })
+ * @param {Object} context - The download context ({ domain, category, mime, url })
+ * @returns {boolean} Whether the profile applies
+ */
+function profileMatches(profile, context) {
+  if (!profile || profile.enabled === false) {
+    return false;
+  }
+
+  const conditions = profile.conditions || {};
+
+  if (splitList(conditions.domains).length > 0 && !matchesAnyGlob(context.domain, conditions.domains)) {
+    return false;
+  }
+
+  const categories = splitList(conditions.categories).map(c => c.toLowerCase());
+  if (categories.length > 0 && !categories.includes(String(context.category || '').toLowerCase())) {
+    return false;
+  }
+
+  if (splitList(conditions.mimeTypes).length > 0 && !matchesAnyGlob(context.mime, conditions.mimeTypes)) {
+    return false;
+  }
+
+  if (conditions.urlRegex) {
+    try {
+      if (!new RegExp(conditions.urlRegex).test(String(context.url || ''))) {
+        return false;
+      }
+    } catch (error) {
+      console.error('Invalid profile URL regex:', profile.name, conditions.urlRegex, error);
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Finds the first profile (in list order) whose conditions match the download context
+ * @param {Array<Object>} profiles - Ordered list of rename profiles
+ * @param {Object} context - The download context ({ domain, category, mime, url })
+ * @returns {Object|null} The matching profile, or null to fall back to the global pattern
+ */
+function findMatchingProfile(profiles, context) {
+  if (!Array.isArray(profiles)) {
+    return null;
+  }
+
+  return profiles.find(profile => profileMatches(profile, context)) || null;
+}
+
+// Export functions for use in service-worker.js
+export {
+  GLOBAL_PATTERN_ID,
+  splitList,
+  matchesGlob,
+  matchesAnyGlob,
+  profileMatches,
+  findMatchingProfile
+};
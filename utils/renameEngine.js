@@ -0,0 +1,345 @@
+/**
+ * Rename engine shared by the background service worker and the offline rename simulator
+ * renameDownload() works out the filename for a download from plain settings, without Chrome APIs or storage
+ */
+
+import {
+  sanitizeFilename,
+  extractDomain,
+  createDatePlaceholders,
+  formatDate,
+  parsePlaceholderToken,
+  resolvePlaceholderValue,
+  splitFilename,
+  getCategoryForFile,
+  processPattern,
+  buildFolderPath,
+  CONFLICT_ACTIONS,
+  DEFAULT_CONFLICT_ACTION,
+  DEFAULT_COUNTER_FORMAT
+} from './filenameUtils.js';
+import { GLOBAL_PATTERN_ID, findMatchingProfile } from './profileUtils.js';
+import {
+  COUNTER_PLACEHOLDER,
+  getCounterScope,
+  getCounterSettings,
+  getCounterKey,
+  formatCounterValue
+} from './counterUtils.js';
+import { createUrlPlaceholders } from './urlUtils.js';
+import { checkSiteFilter } from './siteFilterUtils.js';
+import { createMimePlaceholder, getCategoryForMime, fixFileExtension } from './mimeUtils.js';
+import { applyReplaceRules } from './replaceRulesUtils.js';
+import { resolveCustomPlaceholders } from './customPlaceholderUtils.js';
+import { createDownloadInfoPlaceholders } from './downloadInfoUtils.js';
+
+// Default renaming pattern
+const DEFAULT_PATTERN = '{date}{originalFilename}{ext}';
+const DEFAULT_SEPARATOR = '_';
+
+// Name used when neither the generated name nor the original one has anything left after sanitizing
+const FALLBACK_BASENAME = 'download';
+
+/**
+ * Creates the {counter} placeholder formatter for one download.
+ * Each scope is asked for a value at most once per download, so a counter used in both the folder
+ * and the filename gets the same number.
+ * @param {Object} context - The download's {day, domain, category}
+ * @param {Object} counterSettings - Padding and start value per scope
+ * @param {Function} [nextCounter] - (scope, key, settings) => number; advances a counter sequence.
+ *   Without it every counter shows its start value.
+ * @returns {Function} Formatter taking the scope argument (e.g., 'daily')
+ */
+function createCounterPlaceholder(context, counterSettings, nextCounter) {
+  const issued = {};
+  return (arg) => {
+    const scope = getCounterScope(arg);
+    if (issued[scope] === undefined) {
+      const settings = getCounterSettings(counterSettings, scope);
+      const value = nextCounter ? nextCounter(scope, getCounterKey(scope, context), settings) : settings.start;
+      issued[scope] = formatCounterValue(value, settings.padding);
+    }
+    return issued[scope];
+  };
+}
+
+/**
+ * Adds the custom placeholders (derived from other placeholders through keywords and a regex) to the values
+ * @param {Object} placeholders - The placeholder values (changed in place)
+ * @param {Array<Object>} customPlaceholders - The custom placeholder definitions
+ *   ({name, base, regex, template, fallback, keywords, keywordMode, ignoreCase})
+ * @param {Array<string>} matchedRules - Descriptions of the rules that shaped the name (appended to)
+ * @param {Array<string>} warnings - Problems found while renaming (appended to)
+ */
+function applyCustomPlaceholders(placeholders, customPlaceholders, matchedRules, warnings) {
+  const custom = resolveCustomPlaceholders(placeholders, customPlaceholders);
+  Object.assign(placeholders, custom.values);
+  custom.matched.forEach(name => matchedRules.push(`Custom placeholder: ${name}`));
+  custom.warnings.forEach(warning => warnings.push(warning));
+}
+
+/**
+ * Gets the conflict handling for a download: the matched profile's override, or the global setting
+ * @param {Object|null} profile - The matched rename profile, if any
+ * @param {Object} settings - The settings ({conflictAction, counterFormat})
+ * @returns {Object} The {action, counterFormat} to use
+ */
+function getConflictSettings(profile, settings) {
+  const hasOverride = profile && CONFLICT_ACTIONS.includes(profile.conflictAction);
+  const globalAction = CONFLICT_ACTIONS.includes(settings.conflictAction) ? settings.conflictAction : DEFAULT_CONFLICT_ACTION;
+  const globalCounterFormat = settings.counterFormat || DEFAULT_COUNTER_FORMAT;
+  return {
+    action: hasOverride ? profile.conflictAction : globalAction,
+    counterFormat: hasOverride && profile.counterFormat ? profile.counterFormat : globalCounterFormat
+  };
+}
+
+/**
+ * Checks whether a sanitized filename can be saved: it must not be empty or made of dots only ('.', '..')
+ * @param {string} filename - The sanitized filename
+ * @returns {boolean} True when the name is usable
+ */
+function isUsableFilename(filename) {
+  return filename.trim() !== '' && !/^\.+$/.test(filename.trim());
+}
+
+/**
+ * Replaces a name that sanitizing left empty (e.g., '...' or '???' on Windows) with the original name,
+ * or with 'download' plus the extension when nothing is left of that either
+ * @param {string} filename - The sanitized filename
+ * @param {string} originalFilename - The filename Chrome suggested
+ * @param {string} ext - The extension (e.g., '.pdf')
+ * @param {Object} sanitizeOptions - The filename safety options
+ * @param {Array<string>} warnings - Problems found while renaming (appended to)
+ * @returns {string} A usable filename
+ */
+function ensureUsableFilename(filename, originalFilename, ext, sanitizeOptions, warnings) {
+  if (isUsableFilename(filename)) {
+    return filename;
+  }
+  const candidates = [
+    sanitizeFilename(originalFilename.split(/[\\/]/).pop(), sanitizeOptions),
+    sanitizeFilename(`${FALLBACK_BASENAME}${ext}`, sanitizeOptions)
+  ];
+  const fallback = candidates.find(isUsableFilename) || FALLBACK_BASENAME;
+  warnings.push(`The generated name is empty after sanitizing; using ${fallback}`);
+  return fallback;
+}
+
+/**
+ * Gets the placeholder tokens used by a pattern, without {ext}
+ * @param {string} pattern - The pattern (e.g., '{date:YYYY}{originalFilename|lower}{ext}')
+ * @returns {Array<string>} The tokens (e.g., ['date:YYYY', 'originalFilename|lower'])
+ */
+function getPatternTokens(pattern) {
+  return (String(pattern || '').match(/\{([^}]+)\}/g) || [])
+    .map(match => match.slice(1, -1))
+    .filter(token => parsePlaceholderToken(token).name !== 'ext');
+}
+
+/**
+ * Builds the result for a download that keeps its original name
+ * @param {string} originalFilename - The filename Chrome suggested
+ * @param {string} reason - Why the download isn't renamed, kept for the rename history
+ * @param {Object} settings - The settings (for the conflict handling)
+ * @param {Array<string>} warnings - Problems found so far
+ * @returns {Object} The rename result
+ */
+function createUnchangedResult(originalFilename, reason, settings, warnings) {
+  return {
+    renamed: false,
+    filename: originalFilename,
+    profile: null,
+    matchedRules: [reason],
+    conflict: getConflictSettings(null, settings),
+    values: {},
+    warnings
+  };
+}
+
+/**
+ * Builds the built-in placeholder values for a download (custom placeholders are not applied).
+ * The options page uses it to show the values a sample download would get.
+ * @param {Object} downloadItem - The download ({filename, url, referrer, mime, fileSize, totalBytes, startTime, finalUrl})
+ * @param {Object} settings - The settings (useUtc, categoryRules, counterSettings, extensionFixMode)
+ * @param {Object} [options] - {now, nextCounter, tab}, as for renameDownload
+ * @returns {Object} {placeholders, category, extensionCategory, extensionFix}: placeholders maps each built-in
+ *   name to its value (date, time and counter values are formatters)
+ */
+function createPlaceholderValues(downloadItem, settings, options = {}) {
+  const now = options.now || new Date();
+
+  // Add or correct the extension first when it contradicts the MIME type (if turned on)
+  const mime = downloadItem.mime || '';
+  const extensionFix = fixFileExtension(downloadItem.filename || '', mime, settings.extensionFixMode);
+  const workingFilename = extensionFix.filename;
+
+  // Get the original filename and split it
+  const { name: nameWithoutExt, ext } = splitFilename(workingFilename);
+
+  // Get download source URL and extract domain
+  const sourceUrl = downloadItem.url || '';
+  const domain = extractDomain(sourceUrl);
+
+  // Get referrer/tab URL if available
+  const tabUrl = downloadItem.referrer || '';
+
+  // Page details come from the originating tab; without one, fall back to the referrer's domain and no title
+  const tab = options.tab || null;
+  const pageUrl = tab && tab.url ? tab.url : tabUrl;
+  const pageTitle = tab && tab.title ? tab.title : '';
+  const tabDomain = pageUrl ? extractDomain(pageUrl) : '';
+
+  // Determine file category using custom rules; the MIME type decides when the extension doesn't
+  const useUtc = settings.useUtc === true;
+  const extensionCategory = getCategoryForFile(workingFilename, settings.categoryRules);
+  const category = extensionCategory !== 'unknown' ? extensionCategory : getCategoryForMime(mime, settings.categoryRules);
+
+  // Create placeholder values object; date/time values are formatted on demand
+  const placeholders = {
+    domain: domain,
+    ...createDatePlaceholders(now, useUtc),
+    originalFilename: nameWithoutExt,
+    category: category,
+    sourceUrl: sourceUrl,
+    tabUrl: tabUrl,
+    ...createUrlPlaceholders(sourceUrl, tabUrl),
+    pageTitle: pageTitle,
+    tabDomain: tabDomain,
+    mime: createMimePlaceholder(mime),
+    ...createDownloadInfoPlaceholders(downloadItem, now, useUtc),
+    [COUNTER_PLACEHOLDER]: createCounterPlaceholder({
+      day: formatDate(now, 'YYYY-MM-DD', useUtc),
+      domain: domain,
+      category: category
+    }, settings.counterSettings, options.nextCounter),
+    ext: ext
+  };
+
+  return { placeholders, category, extensionCategory, extensionFix };
+}
+
+/**
+ * Works out the new filename for a download.
+ * @param {Object} downloadItem - The download ({filename, url, referrer, mime, fileSize, totalBytes, startTime, finalUrl}),
+ *   as passed to onDeterminingFilename
+ * @param {Object} settings - Settings as stored in chrome.storage.local (enabled, pattern, separator, folderPattern,
+ *   useUtc, categoryRules, customPlaceholders, profiles, conflictAction, counterFormat, counterSettings, sanitizeOptions,
+ *   extensionFixMode, siteFilter, activeProfileId, replaceRules)
+ * @param {Object} [options] - Inputs that would otherwise make the result depend on the environment
+ * @param {Date} [options.now] - The download time (defaults to the current time)
+ * @param {Function} [options.nextCounter] - (scope, key, settings) => number; advances a counter sequence
+ * @param {Object|null} [options.tab] - The {title, url} of the tab that started the download, when known
+ * @param {string} [options.profileId] - Use this profile (or GLOBAL_PATTERN_ID for the global pattern) instead of
+ *   the first matching one; unknown IDs fall back to matching. Defaults to settings.activeProfileId, the profile
+ *   picked with the keyboard shortcut ('' matches as usual)
+ * @returns {Object} {renamed, filename, profile, matchedRules, conflict, values, warnings}: filename is the
+ *   relative path to suggest, values maps every placeholder token used to its resolved value
+ */
+function renameDownload(downloadItem, settings, options = {}) {
+  const originalFilename = downloadItem.filename || '';
+  const warnings = [];
+
+  // If renaming is disabled, keep original filename
+  if (settings.enabled === false) {
+    return createUnchangedResult(originalFilename, 'Renaming disabled', settings, warnings);
+  }
+
+  // Leave downloads from excluded sites alone; both the file host and the referrer's host count
+  const sourceUrl = downloadItem.url || '';
+  const domain = extractDomain(sourceUrl);
+  const tabUrl = downloadItem.referrer || '';
+  const siteCheck = checkSiteFilter(settings.siteFilter, [domain, tabUrl ? extractDomain(tabUrl) : '']);
+  if (!siteCheck.allowed) {
+    const reason = siteCheck.pattern ? `Site blocked: ${siteCheck.pattern}` : 'Site not on the allowlist';
+    return createUnchangedResult(originalFilename, reason, settings, warnings);
+  }
+
+  const { placeholders, category, extensionCategory, extensionFix } = createPlaceholderValues(downloadItem, settings, options);
+  const mime = downloadItem.mime || '';
+  const ext = placeholders.ext;
+
+  // Rules that shaped the final name, kept for the rename history
+  const matchedRules = [];
+  if (category !== 'unknown') {
+    matchedRules.push(extensionCategory !== 'unknown' ? `Category: ${category}` : `Category: ${category} (from MIME type)`);
+  }
+  if (extensionFix.changed) {
+    matchedRules.push(`Extension fixed: ${extensionFix.from || '(none)'} -> ${extensionFix.to}`);
+  }
+
+  // Apply custom placeholders derived from existing placeholders
+  applyCustomPlaceholders(placeholders, settings.customPlaceholders, matchedRules, warnings);
+
+  // Pick the first matching profile (or the one asked for, or the active one); the global pattern is the fallback
+  const profileList = Array.isArray(settings.profiles) ? settings.profiles : [];
+  const profileId = options.profileId !== undefined ? options.profileId : settings.activeProfileId;
+  const chosenProfile = profileId ? profileList.find(p => p && p.id === profileId) : undefined;
+  if (profileId && profileId !== GLOBAL_PATTERN_ID && !chosenProfile) {
+    warnings.push(`Unknown profile ${profileId}; using the matching profile instead`);
+  }
+  const profile = profileId === GLOBAL_PATTERN_ID ? null : chosenProfile || findMatchingProfile(profileList, {
+    domain: domain,
+    category: category,
+    mime: mime,
+    url: sourceUrl
+  });
+  const globalSeparator = settings.separator !== undefined ? settings.separator : DEFAULT_SEPARATOR;
+  const pattern = profile ? profile.pattern || DEFAULT_PATTERN : settings.pattern || DEFAULT_PATTERN;
+  const separator = profile && profile.separator !== undefined ? profile.separator : globalSeparator;
+  const folderPattern = profile ? profile.folderPattern || '' : settings.folderPattern || '';
+  matchedRules.unshift(profile ? `Profile: ${profile.name || 'Untitled'}` : 'Global pattern');
+
+  // Process the selected pattern, passing the separator, run the find-and-replace rules over the result
+  // and make it safe for the target platform
+  const sanitizeOptions = settings.sanitizeOptions || {};
+  const generatedFilename = processPattern(pattern, placeholders, separator);
+  const replaced = applyReplaceRules(generatedFilename, settings.replaceRules, { domain: domain, category: category });
+  replaced.errors.forEach(error => warnings.push(error));
+  let newFilename = replaced.filename;
+  if (replaced.applied.length > 0 && newFilename.trim() === '') {
+    // A rule that removes the whole name is ignored rather than leaving nothing to save
+    warnings.push(`Replace rules removed the whole name ${generatedFilename}; keeping it unchanged`);
+    newFilename = generatedFilename;
+  } else if (replaced.applied.length > 0) {
+    matchedRules.push(`Replaced: ${replaced.applied.join(', ')}`);
+  }
+  newFilename = ensureUsableFilename(sanitizeFilename(newFilename, sanitizeOptions), originalFilename, ext, sanitizeOptions, warnings);
+
+  // Build the optional subfolder path; unsafe folder templates are rejected and ignored
+  let folderPath = '';
+  try {
+    folderPath = buildFolderPath(folderPattern, placeholders, separator, sanitizeOptions);
+  } catch (error) {
+    warnings.push(`Rejected folder pattern ${folderPattern}: ${error.message}`);
+  }
+  if (folderPath) {
+    newFilename = `${folderPath}/${newFilename}`;
+  }
+
+  // Resolved value of every token in the patterns, for the simulator and debugging
+  const values = {};
+  getPatternTokens(folderPattern).concat(getPatternTokens(pattern)).forEach(token => {
+    values[token] = resolvePlaceholderValue(placeholders, token);
+  });
+  values.ext = ext;
+
+  return {
+    renamed: true,
+    filename: newFilename,
+    profile: profile,
+    matchedRules: matchedRules,
+    conflict: getConflictSettings(profile, settings),
+    values: values,
+    warnings: warnings
+  };
+}
+
+export {
+  DEFAULT_PATTERN,
+  DEFAULT_SEPARATOR,
+  GLOBAL_PATTERN_ID,
+  getConflictSettings,
+  createPlaceholderValues,
+  renameDownload
+};
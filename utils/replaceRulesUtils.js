@@ -0,0 +1,129 @@
+/**
+ * Utility functions for the find-and-replace rules run on the generated filename
+ * Rules run in list order after the pattern is filled in and before the name is sanitized, so they can strip
+ * things like ' (1)', 'Copy of ' or tracking suffixes that servers add
+ */
+
+import { splitList, matchesAnyGlob } from './profileUtils.js';
+
+// Regular expression flags a rule may use (sticky matching makes no sense for a whole-name replace)
+const REPLACE_RULE_FLAGS = 'gimsu';
+
+// Flags of a new rule: replace every occurrence, ignoring case
+const DEFAULT_REPLACE_RULE_FLAGS = 'gi';
+
+/**
+ * Keeps the supported flags of a flags string, each once, in a stable order
+ * @param {string} flags - The flags typed by the user (e.g., 'ig')
+ * @returns {string} The cleaned flags (e.g., 'gi')
+ */
+function normalizeReplaceFlags(flags) {
+  const text = String(flags || '');
+  return REPLACE_RULE_FLAGS.split('').filter(flag => text.includes(flag)).join('');
+}
+
+/**
+ * Creates a new, empty replace rule
+ * @returns {Object} The rule ({id, find, replace, flags, enabled, scope})
+ */
+function createReplaceRule() {
+  return {
+    id: `replace-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    find: '',
+    replace: '',
+    flags: DEFAULT_REPLACE_RULE_FLAGS,
+    enabled: true,
+    scope: { domains: '', categories: '' }
+  };
+}
+
+/**
+ * Compiles the regular expression of a rule
+ * @param {Object} rule - The replace rule
+ * @returns {RegExp} The regular expression
+ * @throws {SyntaxError} If the expression is empty or invalid
+ */
+function compileReplaceRule(rule) {
+  if (!rule || !rule.find) {
+    throw new SyntaxError('Empty expression');
+  }
+  return new RegExp(rule.find, normalizeReplaceFlags(rule.flags));
+}
+
+/**
+ * Checks a rule's expression for the options page
+ * @param {Object} rule - The replace rule
+ * @returns {string} The error message, or '' when the expression compiles
+ */
+function getReplaceRuleError(rule) {
+  try {
+    compileReplaceRule(rule);
+    return '';
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Checks whether a rule applies to a download. Empty scope fields match anything; domains accept
+ * wildcards like profile conditions.
+ * @param {Object} rule - The replace rule
+ * @param {Object} context - The download's {domain, category}
+ * @returns {boolean} Whether the rule applies
+ */
+function replaceRuleApplies(rule, context) {
+  const scope = rule.scope || {};
+  if (splitList(scope.domains).length > 0 && !matchesAnyGlob(context.domain, scope.domains)) {
+    return false;
+  }
+  const categories = splitList(scope.categories).map(c => c.toLowerCase());
+  if (categories.length > 0 && !categories.includes(String(context.category || '').toLowerCase())) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Runs the enabled, in-scope rules over a filename in list order
+ * @param {string} filename - The generated filename (with its extension)
+ * @param {Array<Object>} rules - The replace rules
+ * @param {Object} context - The download's {domain, category}
+ * @returns {Object} {filename, applied, errors}: applied lists the expressions that changed the name,
+ *   errors describes rules skipped because their expression is invalid
+ */
+function applyReplaceRules(filename, rules, context) {
+  const applied = [];
+  const errors = [];
+  let result = filename;
+
+  (Array.isArray(rules) ? rules : []).forEach(rule => {
+    if (!rule || rule.enabled === false || !rule.find || !replaceRuleApplies(rule, context)) {
+      return;
+    }
+    let regex;
+    try {
+      regex = compileReplaceRule(rule);
+    } catch (error) {
+      errors.push(`Invalid replace rule /${rule.find}/: ${error.message}`);
+      return;
+    }
+    const replaced = result.replace(regex, rule.replace || '');
+    if (replaced !== result) {
+      applied.push(`/${rule.find}/${normalizeReplaceFlags(rule.flags)}`);
+      result = replaced;
+    }
+  });
+
+  return { filename: result, applied, errors };
+}
+
+export {
+  REPLACE_RULE_FLAGS,
+  DEFAULT_REPLACE_RULE_FLAGS,
+  normalizeReplaceFlags,
+  createReplaceRule,
+  compileReplaceRule,
+  getReplaceRuleError,
+  replaceRuleApplies,
+  applyReplaceRules
+};
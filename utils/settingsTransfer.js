@@ -0,0 +1,345 @@
+/**
+ * Utility functions for exporting and importing the extension settings as a versioned JSON document
+ * Used by the options page; the document only holds settings, never history or counter values
+ */
+
+import { CONFLICT_ACTIONS } from './filenameUtils.js';
+import { EXTENSION_FIX_MODES } from './mimeUtils.js';
+import { KEYWORD_MODES } from './customPlaceholderUtils.js';
+import { REPLACE_RULE_FLAGS, normalizeReplaceFlags } from './replaceRulesUtils.js';
+
+// Identifies exported documents and the version of their layout
+const SETTINGS_EXPORT_FORMAT = 'general-download-renamer-settings';
+const SETTINGS_SCHEMA_VERSION = 1;
+
+/**
+ * Checks that an imported replace rule compiles with its flags, as the rename engine runs it
+ * @param {Object} rule - The replace rule
+ * @returns {string} The problem, starting with the field it concerns (e.g., '.find is ...'), or ''
+ */
+function getImportedReplaceRuleError(rule) {
+  const flags = rule.flags || '';
+  if (normalizeReplaceFlags(flags).length !== flags.length) {
+    return `.flags should only use the flags ${REPLACE_RULE_FLAGS.split('').join(', ')}, each once`;
+  }
+  if (!rule.find) {
+    return '';
+  }
+  try {
+    new RegExp(rule.find, flags);
+  } catch (e) {
+    return '.find is not a valid regular expression';
+  }
+  return '';
+}
+
+/**
+ * Settings stored in chrome.storage.local that are exported, with the shape each must have.
+ * Array settings name the field that identifies an entry (idKey), used to merge and diff them, and may
+ * check each entry as a whole (check returns the problem, or '').
+ */
+const SETTINGS_SCHEMA = {
+  enabled: { type: 'boolean' },
+  pattern: { type: 'string' },
+  separator: { type: 'string' },
+  folderPattern: { type: 'string' },
+  useUtc: { type: 'boolean' },
+  showFloatingIcon: { type: 'boolean' },
+  conflictAction: { type: 'string', enum: CONFLICT_ACTIONS },
+  counterFormat: { type: 'string' },
+  counterSettings: { type: 'object' },
+  sanitizeOptions: { type: 'object' },
+  extensionFixMode: { type: 'string', enum: EXTENSION_FIX_MODES },
+  siteFilter: { type: 'object' },
+  confirmSettings: { type: 'object' },
+  categoryRules: {
+    type: 'array',
+    idKey: 'name',
+    fields: {
+      name: { type: 'string', required: true },
+      extensions: { type: 'string', required: true }
+    }
+  },
+  customPlaceholders: {
+    type: 'array',
+    idKey: 'name',
+    fields: {
+      name: { type: 'string', required: true },
+      base: { type: 'string' },
+      regex: { type: 'string', regex: true },
+      template: { type: 'string' },
+      fallback: { type: 'string' },
+      keywords: { type: 'string' },
+      keywordMode: { type: 'string', enum: KEYWORD_MODES },
+      ignoreCase: { type: 'boolean' }
+    }
+  },
+  profiles: {
+    type: 'array',
+    idKey: 'id',
+    fields: {
+      id: { type: 'string', required: true },
+      name: { type: 'string' },
+      enabled: { type: 'boolean' },
+      conditions: { type: 'object' },
+      pattern: { type: 'string' },
+      separator: { type: 'string' },
+      folderPattern: { type: 'string' },
+      // '' uses the global conflict mode
+      conflictAction: { type: 'string', enum: ['', ...CONFLICT_ACTIONS] },
+      counterFormat: { type: 'string' }
+    }
+  },
+  replaceRules: {
+    type: 'array',
+    idKey: 'id',
+    fields: {
+      id: { type: 'string', required: true },
+      find: { type: 'string' },
+      replace: { type: 'string' },
+      flags: { type: 'string' },
+      enabled: { type: 'boolean' },
+      scope: { type: 'object' }
+    },
+    check: getImportedReplaceRuleError
+  }
+};
+
+// Storage keys covered by the export
+const SETTINGS_KEYS = Object.keys(SETTINGS_SCHEMA);
+
+/**
+ * Gets the JSON type name of a value ('array' and 'null' are told apart from 'object')
+ * @param {*} value - The value to inspect
+ * @returns {string} The type name
+ */
+function getValueType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Checks one value against its schema rule
+ * @param {*} value - The value to check
+ * @param {Object} rule - The schema rule ({type, enum, regex})
+ * @param {string} path - Where the value sits, used in error messages
+ * @returns {Array<string>} The problems found
+ */
+function validateValue(value, rule, path) {
+  const type = getValueType(value);
+  if (type !== rule.type) {
+    return [`${path} should be ${rule.type === 'array' || rule.type === 'object' ? 'an' : 'a'} ${rule.type}, got ${type}`];
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return [`${path} should be one of ${rule.enum.map(option => option || '""').join(', ')}`];
+  }
+  if (rule.regex && value) {
+    try {
+      new RegExp(value);
+    } catch (e) {
+      return [`${path} is not a valid regular expression`];
+    }
+  }
+  return [];
+}
+
+/**
+ * Checks the entries of an array setting against their field rules
+ * @param {Array} items - The entries
+ * @param {Object} rule - The schema rule of the setting
+ * @param {string} key - The setting name
+ * @returns {Array<string>} The problems found
+ */
+function validateItems(items, rule, key) {
+  const errors = [];
+  const seenIds = new Set();
+
+  items.forEach((item, index) => {
+    const path = `${key}[${index}]`;
+    if (getValueType(item) !== 'object') {
+      errors.push(`${path} should be an object`);
+      return;
+    }
+    const fieldErrors = [];
+    Object.keys(rule.fields).forEach(field => {
+      const fieldRule = rule.fields[field];
+      if (item[field] === undefined) {
+        if (fieldRule.required) fieldErrors.push(`${path}.${field} is missing`);
+        return;
+      }
+      fieldErrors.push(...validateValue(item[field], fieldRule, `${path}.${field}`));
+    });
+    errors.push(...fieldErrors);
+    // Entry checks rely on the fields having the right types
+    const problem = rule.check && fieldErrors.length === 0 ? rule.check(item) : '';
+    if (problem) {
+      errors.push(`${path}${problem}`);
+    }
+
+    const id = item[rule.idKey];
+    if (seenIds.has(id)) {
+      errors.push(`${path}.${rule.idKey} "${id}" is used more than once`);
+    }
+    seenIds.add(id);
+  });
+
+  return errors;
+}
+
+/**
+ * Builds the export document for the given settings
+ * @param {Object} settings - Settings read from chrome.storage.local (other keys are left out)
+ * @returns {Object} The versioned export document
+ */
+function createSettingsExport(settings) {
+  const exported = {};
+  SETTINGS_KEYS.forEach(key => {
+    if (settings[key] !== undefined) {
+      exported[key] = settings[key];
+    }
+  });
+
+  return {
+    format: SETTINGS_EXPORT_FORMAT,
+    version: SETTINGS_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: exported
+  };
+}
+
+/**
+ * Upgrades the settings of an older export document to the current schema version.
+ * Version 1 is the first version, so there is nothing to upgrade yet.
+ * @param {Object} settings - The settings from the document
+ * @param {number} version - The version the document was written with
+ * @returns {Object} The settings in the current layout
+ */
+function migrateSettings(settings, version) {
+  return settings;
+}
+
+/**
+ * Validates an import document against the schema
+ * @param {*} doc - The parsed JSON document
+ * @returns {Object} {valid, errors, warnings, settings}; settings holds only known keys
+ */
+function validateSettingsImport(doc) {
+  const errors = [];
+  const warnings = [];
+
+  if (getValueType(doc) !== 'object' || doc.format !== SETTINGS_EXPORT_FORMAT) {
+    return { valid: false, errors: ['This file is not a General Download Renamer settings export'], warnings, settings: {} };
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1) {
+    return { valid: false, errors: ['The export has no valid version number'], warnings, settings: {} };
+  }
+  if (doc.version > SETTINGS_SCHEMA_VERSION) {
+    return { valid: false, errors: [`The export was made by a newer version (schema ${doc.version}); please update the extension first`], warnings, settings: {} };
+  }
+  if (getValueType(doc.settings) !== 'object') {
+    return { valid: false, errors: ['The export has no settings object'], warnings, settings: {} };
+  }
+
+  const migrated = migrateSettings(doc.settings, doc.version);
+  const settings = {};
+  Object.keys(migrated).forEach(key => {
+    const rule = SETTINGS_SCHEMA[key];
+    if (!rule) {
+      warnings.push(`Unknown setting "${key}" will be ignored`);
+      return;
+    }
+    const problems = validateValue(migrated[key], rule, key);
+    if (problems.length === 0 && rule.type === 'array') {
+      problems.push(...validateItems(migrated[key], rule, key));
+    }
+    errors.push(...problems);
+    settings[key] = migrated[key];
+  });
+
+  return { valid: errors.length === 0, errors, warnings, settings };
+}
+
+/**
+ * Works out the settings that result from an import
+ * - replace: the imported settings become the settings; settings missing from the import are reset
+ * - merge: imported values win, list entries are matched by their id (category name, placeholder name,
+ *   profile id) and entries only present locally are kept
+ * @param {Object} current - The current settings
+ * @param {Object} imported - The validated imported settings
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Object} The settings after the import
+ */
+function applySettingsImport(current, imported, mode) {
+  if (mode === 'replace') {
+    return { ...imported };
+  }
+
+  const next = { ...current };
+  Object.keys(imported).forEach(key => {
+    const rule = SETTINGS_SCHEMA[key];
+    if (rule.type === 'array' && Array.isArray(current[key])) {
+      const merged = current[key].map(item => {
+        const match = imported[key].find(entry => entry[rule.idKey] === item[rule.idKey]);
+        return match || item;
+      });
+      imported[key].forEach(entry => {
+        if (!merged.some(item => item[rule.idKey] === entry[rule.idKey])) {
+          merged.push(entry);
+        }
+      });
+      next[key] = merged;
+    } else if (rule.type === 'object' && getValueType(current[key]) === 'object') {
+      next[key] = { ...current[key], ...imported[key] };
+    } else {
+      next[key] = imported[key];
+    }
+  });
+  return next;
+}
+
+/**
+ * Lists the differences between two sets of settings, entry by entry for list settings
+ * @param {Object} before - The current settings
+ * @param {Object} after - The settings after the import
+ * @returns {Array<Object>} Changes as {key, item, type ('added'|'removed'|'changed'), before, after}
+ */
+function diffSettings(before, after) {
+  const changes = [];
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  SETTINGS_KEYS.forEach(key => {
+    const rule = SETTINGS_SCHEMA[key];
+    const oldValue = before[key];
+    const newValue = after[key];
+    if (same(oldValue, newValue)) return;
+
+    if (rule.type === 'array' && Array.isArray(oldValue) && Array.isArray(newValue)) {
+      const ids = new Set([...oldValue, ...newValue].map(item => item[rule.idKey]));
+      ids.forEach(id => {
+        const oldItem = oldValue.find(item => item[rule.idKey] === id);
+        const newItem = newValue.find(item => item[rule.idKey] === id);
+        if (same(oldItem, newItem)) return;
+        const type = !oldItem ? 'added' : !newItem ? 'removed' : 'changed';
+        changes.push({ key, item: String((newItem || oldItem).name || id), type, before: oldItem, after: newItem });
+      });
+      return;
+    }
+
+    const type = oldValue === undefined ? 'added' : newValue === undefined ? 'removed' : 'changed';
+    changes.push({ key, item: '', type, before: oldValue, after: newValue });
+  });
+
+  return changes;
+}
+
+export {
+  SETTINGS_EXPORT_FORMAT,
+  SETTINGS_SCHEMA_VERSION,
+  SETTINGS_SCHEMA,
+  SETTINGS_KEYS,
+  createSettingsExport,
+  validateSettingsImport,
+  applySettingsImport,
+  diffSettings
+};
@@ -0,0 +1,104 @@
+/**
+ * Utility functions for the keyboard shortcuts (toggle renaming, cycle the active profile, skip the next download)
+ * Used by the service worker for the toolbar badge and by the floating icon and options page to show the same state
+ */
+
+import { GLOBAL_PATTERN_ID } from './profileUtils.js';
+
+// Command names, as declared under "commands" in manifest.json
+const SHORTCUT_COMMANDS = {
+  toggle: 'toggle-renaming',
+  cycleProfile: 'cycle-profile',
+  skipNext: 'skip-next-download'
+};
+
+// Badge colors, matching the floating icon's states
+const STATUS_COLORS = {
+  off: '#F44336',
+  skip: '#FF9800',
+  profile: '#2196F3'
+};
+
+/**
+ * Lists the choices the cycle shortcut steps through: automatic matching (''), every enabled profile in
+ * list order, then the global pattern
+ * @param {Array<Object>} profiles - The rename profiles
+ * @returns {Array<string>} The active profile IDs in cycle order
+ */
+function getActiveProfileCycle(profiles) {
+  const profileIds = (Array.isArray(profiles) ? profiles : [])
+    .filter(profile => profile && profile.id && profile.enabled !== false)
+    .map(profile => profile.id);
+  return ['', ...profileIds, GLOBAL_PATTERN_ID];
+}
+
+/**
+ * Gets the active profile that follows the current one. A deleted or disabled profile starts over at
+ * automatic matching.
+ * @param {Array<Object>} profiles - The rename profiles
+ * @param {string} activeProfileId - The current active profile ID ('' for automatic matching)
+ * @returns {string} The next active profile ID
+ */
+function getNextActiveProfileId(profiles, activeProfileId) {
+  const cycle = getActiveProfileCycle(profiles);
+  const index = cycle.indexOf(activeProfileId || '');
+  return index === -1 ? '' : cycle[(index + 1) % cycle.length];
+}
+
+/**
+ * Checks whether an active profile ID still refers to an enabled profile (or the global pattern)
+ * @param {Array<Object>} profiles - The rename profiles
+ * @param {string} activeProfileId - The active profile ID
+ * @returns {boolean} True when it can stay active; '' is always valid
+ */
+function isActiveProfileAvailable(profiles, activeProfileId) {
+  return getActiveProfileCycle(profiles).includes(activeProfileId || '');
+}
+
+/**
+ * Gets the display name of an active profile
+ * @param {Array<Object>} profiles - The rename profiles
+ * @param {string} activeProfileId - The active profile ID
+ * @returns {string} 'Automatic', 'Global pattern' or the profile's name
+ */
+function getActiveProfileLabel(profiles, activeProfileId) {
+  if (!activeProfileId) {
+    return 'Automatic';
+  }
+  if (activeProfileId === GLOBAL_PATTERN_ID) {
+    return 'Global pattern';
+  }
+  const profile = (Array.isArray(profiles) ? profiles : []).find(p => p && p.id === activeProfileId);
+  return profile ? profile.name || 'Untitled' : 'Automatic';
+}
+
+/**
+ * Describes the renamer state for the toolbar badge and the floating icon. Renaming off wins over a pending
+ * skip, which wins over the active profile; automatic matching shows no badge.
+ * @param {Object} state - {enabled, skipNextDownload, activeProfileId, profiles}
+ * @returns {Object} {status, badge, color, title}: status is 'off', 'skip', 'profile' or 'auto';
+ *   badge is at most four characters
+ */
+function getRenamerStatus(state) {
+  if (state.enabled === false) {
+    return { status: 'off', badge: 'OFF', color: STATUS_COLORS.off, title: 'Renaming is off' };
+  }
+  if (state.skipNextDownload === true) {
+    return { status: 'skip', badge: 'SKIP', color: STATUS_COLORS.skip, title: 'The next download keeps its original name' };
+  }
+  if (state.activeProfileId && isActiveProfileAvailable(state.profiles, state.activeProfileId)) {
+    const label = getActiveProfileLabel(state.profiles, state.activeProfileId);
+    const badge = state.activeProfileId === GLOBAL_PATTERN_ID ? 'GLOB' : Array.from(label.trim()).slice(0, 4).join('');
+    return { status: 'profile', badge: badge, color: STATUS_COLORS.profile, title: `Active profile: ${label}` };
+  }
+  return { status: 'auto', badge: '', color: STATUS_COLORS.profile, title: 'Renaming with the matching profile' };
+}
+
+export {
+  SHORTCUT_COMMANDS,
+  getActiveProfileCycle,
+  getNextActiveProfileId,
+  isActiveProfileAvailable,
+  getActiveProfileLabel,
+  getRenamerStatus
+};
@@ -0,0 +1,120 @@
+/**
+ * Utility functions for the per-site allowlist and blocklist
+ * A download is checked against both its file host and its referrer's host, so blocking a site also
+ * covers files it serves from a CDN
+ */
+
+import { matchesGlob } from './profileUtils.js';
+
+// blocklist: rename everywhere except the listed sites; allowlist: rename only on the listed sites
+const SITE_FILTER_MODES = ['blocklist', 'allowlist'];
+
+// An empty blocklist renames every download
+const DEFAULT_SITE_FILTER = { mode: 'blocklist', allowlist: [], blocklist: [] };
+
+/**
+ * Cleans up one site entry typed by the user: trims it, lowercases it and drops a scheme, path or port,
+ * so 'https://Intranet.example.com/wiki' becomes 'intranet.example.com'
+ * @param {string} entry - The site entry (a hostname or a glob such as '*.corp.example.com')
+ * @returns {string} The normalized entry ('' when nothing is left)
+ */
+function normalizeSitePattern(entry) {
+  return String(entry || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .split('/')[0]
+    .replace(/:\d+$/, '');
+}
+
+/**
+ * Normalizes a site filter read from storage
+ * @param {Object} saved - The saved filter (may be missing or partial)
+ * @returns {Object} A complete {mode, allowlist, blocklist} filter with normalized, unique entries
+ */
+function normalizeSiteFilter(saved) {
+  const filter = saved && typeof saved === 'object' ? saved : {};
+  const cleanList = (list) => Array.from(new Set((Array.isArray(list) ? list : [])
+    .map(normalizeSitePattern)
+    .filter(entry => entry.length > 0)));
+
+  return {
+    mode: SITE_FILTER_MODES.includes(filter.mode) ? filter.mode : DEFAULT_SITE_FILTER.mode,
+    allowlist: cleanList(filter.allowlist),
+    blocklist: cleanList(filter.blocklist)
+  };
+}
+
+/**
+ * Checks whether a host matches a site entry. '*.example.com' also matches example.com itself.
+ * @param {string} host - The hostname (e.g., 'wiki.example.com')
+ * @param {string} pattern - The site entry (e.g., '*.example.com')
+ * @returns {boolean} Whether the host matches
+ */
+function matchesSitePattern(host, pattern) {
+  if (!host || !pattern) {
+    return false;
+  }
+  return matchesGlob(host, pattern) || (pattern.startsWith('*.') && host.toLowerCase() === pattern.slice(2));
+}
+
+/**
+ * Finds the first site entry that matches any of the hosts
+ * @param {Array<string>} hosts - The hostnames to check
+ * @param {Array<string>} patterns - The site entries
+ * @returns {string} The matching entry, or '' when none matches
+ */
+function findMatchingSitePattern(hosts, patterns) {
+  return patterns.find(pattern => hosts.some(host => matchesSitePattern(host, pattern))) || '';
+}
+
+/**
+ * Decides whether downloads from the given hosts may be renamed
+ * @param {Object} siteFilter - The site filter ({mode, allowlist, blocklist})
+ * @param {Array<string>} hosts - The file host and the referrer host ('' and 'unknown' are ignored)
+ * @returns {Object} {allowed, pattern}: pattern is the list entry that decided, '' if none matched
+ */
+function checkSiteFilter(siteFilter, hosts) {
+  const filter = normalizeSiteFilter(siteFilter);
+  const knownHosts = hosts.filter(host => host && host !== 'unknown');
+
+  if (filter.mode === 'allowlist') {
+    const pattern = findMatchingSitePattern(knownHosts, filter.allowlist);
+    return { allowed: pattern !== '', pattern };
+  }
+
+  const pattern = findMatchingSitePattern(knownHosts, filter.blocklist);
+  return { allowed: pattern === '', pattern };
+}
+
+/**
+ * Turns renaming off or back on for one site by editing the list of the current mode.
+ * Only entries equal to the host are removed, so a wildcard entry still applies afterwards.
+ * @param {Object} siteFilter - The site filter
+ * @param {string} host - The hostname of the site (e.g., 'intranet.example.com')
+ * @param {boolean} exclude - True to stop renaming on the site, false to rename there again
+ * @returns {Object} The updated site filter
+ */
+function setSiteExcluded(siteFilter, host, exclude) {
+  const filter = normalizeSiteFilter(siteFilter);
+  const entry = normalizeSitePattern(host);
+  const listKey = filter.mode === 'allowlist' ? 'allowlist' : 'blocklist';
+  // Blocklist entries exclude a site, allowlist entries include it
+  const addEntry = filter.mode === 'allowlist' ? !exclude : exclude;
+
+  const list = filter[listKey].filter(item => item !== entry);
+  if (addEntry && entry) {
+    list.push(entry);
+  }
+  return { ...filter, [listKey]: list };
+}
+
+export {
+  SITE_FILTER_MODES,
+  DEFAULT_SITE_FILTER,
+  normalizeSitePattern,
+  normalizeSiteFilter,
+  matchesSitePattern,
+  checkSiteFilter,
+  setSiteExcluded
+};
@@ -0,0 +1,165 @@
+/**
+ * Utility functions for the optional settings sync through chrome.storage.sync
+ * chrome.storage.local stays the working copy every script reads; the service worker mirrors the synced
+ * settings into chrome.storage.sync as chunked items with a per-setting timestamp (last writer wins)
+ */
+
+import { SETTINGS_KEYS } from './settingsTransfer.js';
+
+// Settings that always stay on the device they were changed on
+const DEVICE_LOCAL_SETTINGS = ['enabled', 'showFloatingIcon'];
+
+// Settings mirrored to chrome.storage.sync when sync is turned on
+const SYNCED_SETTINGS = SETTINGS_KEYS.filter(key => !DEVICE_LOCAL_SETTINGS.includes(key));
+
+// Prefix of every item this extension writes to chrome.storage.sync
+const SYNC_ITEM_PREFIX = 'setting:';
+
+// chrome.storage.sync.QUOTA_BYTES_PER_ITEM is 8192 bytes (key plus JSON value); keep a margin for the key
+const MAX_SYNC_CHUNK_BYTES = 7800;
+
+/**
+ * Gets the sync item key holding a setting's metadata ({updatedAt, chunks, deleted})
+ * @param {string} setting - The setting name (e.g., 'categoryRules')
+ * @returns {string} The sync item key
+ */
+function getSyncMetaKey(setting) {
+  return `${SYNC_ITEM_PREFIX}${setting}`;
+}
+
+/**
+ * Gets the sync item key holding one chunk of a setting's value
+ * @param {string} setting - The setting name
+ * @param {number} index - The chunk index
+ * @returns {string} The sync item key
+ */
+function getSyncChunkKey(setting, index) {
+  return `${SYNC_ITEM_PREFIX}${setting}:${index}`;
+}
+
+/**
+ * Gets the setting a sync item belongs to
+ * @param {string} itemKey - A chrome.storage.sync key
+ * @returns {string|null} The synced setting name, or null for unrelated keys
+ */
+function getSettingForSyncKey(itemKey) {
+  if (!itemKey.startsWith(SYNC_ITEM_PREFIX)) {
+    return null;
+  }
+  const setting = itemKey.slice(SYNC_ITEM_PREFIX.length).split(':')[0];
+  return SYNCED_SETTINGS.includes(setting) ? setting : null;
+}
+
+/**
+ * Gets the number of bytes a string takes once stored as a JSON string value
+ * @param {string} text - The text to measure
+ * @returns {number} Its size in UTF-8 bytes, including quotes and escapes
+ */
+function getStoredSize(text) {
+  return new TextEncoder().encode(JSON.stringify(text)).length;
+}
+
+/**
+ * Splits text into chunks that each fit in one sync item.
+ * Splits on code points, so characters outside the BMP are never cut in half.
+ * @param {string} text - The text to split (a JSON-encoded setting value)
+ * @param {number} [maxBytes] - Maximum stored size of one chunk
+ * @returns {Array<string>} The chunks, at least one
+ */
+function chunkText(text, maxBytes = MAX_SYNC_CHUNK_BYTES) {
+  const chunks = [];
+  let current = '';
+  let currentSize = 2; // The surrounding quotes
+
+  for (const char of text) {
+    const charSize = getStoredSize(char) - 2;
+    if (currentSize + charSize > maxBytes && current) {
+      chunks.push(current);
+      current = '';
+      currentSize = 2;
+    }
+    current += char;
+    currentSize += charSize;
+  }
+  chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Builds the sync items for one setting
+ * @param {string} setting - The setting name
+ * @param {*} value - The setting value; undefined records a deletion
+ * @param {number} updatedAt - When the value was last changed (ms since epoch)
+ * @returns {Object} Sync items keyed by sync key (metadata plus chunks)
+ */
+function buildSyncItems(setting, value, updatedAt) {
+  if (value === undefined) {
+    return { [getSyncMetaKey(setting)]: { updatedAt, chunks: 0, deleted: true } };
+  }
+
+  const chunks = chunkText(JSON.stringify(value));
+  const items = { [getSyncMetaKey(setting)]: { updatedAt, chunks: chunks.length, deleted: false } };
+  chunks.forEach((chunk, index) => {
+    items[getSyncChunkKey(setting, index)] = chunk;
+  });
+  return items;
+}
+
+/**
+ * Reassembles one setting from the sync items
+ * @param {Object} items - Items read from chrome.storage.sync
+ * @param {string} setting - The setting name
+ * @returns {Object|null} {value, updatedAt, deleted}, or null when the setting isn't synced (or is incomplete)
+ */
+function readSyncedSetting(items, setting) {
+  const meta = items[getSyncMetaKey(setting)];
+  if (!meta || !Number.isFinite(meta.updatedAt)) {
+    return null;
+  }
+  if (meta.deleted) {
+    return { value: undefined, updatedAt: meta.updatedAt, deleted: true };
+  }
+
+  let text = '';
+  for (let index = 0; index < meta.chunks; index++) {
+    const chunk = items[getSyncChunkKey(setting, index)];
+    if (typeof chunk !== 'string') {
+      return null; // Another device is still writing this setting
+    }
+    text += chunk;
+  }
+
+  try {
+    return { value: JSON.parse(text), updatedAt: meta.updatedAt, deleted: false };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Lists the chunk keys of a setting that are no longer used after it was rewritten with fewer chunks
+ * @param {string} setting - The setting name
+ * @param {Object|undefined} oldMeta - The metadata before the write
+ * @param {number} newChunkCount - The number of chunks written now
+ * @returns {Array<string>} Sync keys to remove
+ */
+function getStaleChunkKeys(setting, oldMeta, newChunkCount) {
+  const keys = [];
+  const oldCount = oldMeta && Number.isInteger(oldMeta.chunks) ? oldMeta.chunks : 0;
+  for (let index = newChunkCount; index < oldCount; index++) {
+    keys.push(getSyncChunkKey(setting, index));
+  }
+  return keys;
+}
+
+export {
+  DEVICE_LOCAL_SETTINGS,
+  SYNCED_SETTINGS,
+  SYNC_ITEM_PREFIX,
+  getSyncMetaKey,
+  getSettingForSyncKey,
+  chunkText,
+  buildSyncItems,
+  readSyncedSetting,
+  getStaleChunkKeys
+};
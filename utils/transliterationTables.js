@@ -0,0 +1,87 @@
+/**
+ * Bundled transliteration tables used by transliterationUtils.js to fold filenames to ASCII offline.
+ * Latin letters with accents are folded through Unicode decomposition; these tables cover what decomposition
+ * can't: special Latin letters, Cyrillic, Greek, Japanese kana and Hangul jamo. Chinese characters are in the generated
+ * hanPinyinTable.js.
+ * Keys are lowercase; transliterateToAscii restores the case of the source letter.
+ */
+
+// Latin letters that don't decompose into a base letter and accents
+const LATIN_LETTERS = {
+  'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ı': 'i', 'ħ': 'h',
+  'ŋ': 'ng', 'ĸ': 'k', 'ŧ': 't', 'ƒ': 'f', 'ə': 'e'
+};
+
+// Punctuation and symbols with a common ASCII spelling (fullwidth forms are handled by NFKC normalization)
+const SYMBOLS = {
+  '‘': "'", '’': "'", '‚': "'", '′': "'",
+  '“': '"', '”': '"', '„': '"', '″': '"', '«': '"', '»': '"',
+  '‐': '-', '‑': '-', '‒': '-', '–': '-', '—': '-', '―': '-', '−': '-',
+  '•': '-', '·': '-', '・': ' ', 'ー': '-', '×': 'x', '°': 'deg',
+  '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₩': 'KRW', '₽': 'RUB', '₹': 'INR',
+  '©': '(c)', '®': '(R)',
+  '、': ',', '。': '.', '〜': '~', '「': '[', '」': ']', '『': '[', '』': ']',
+  '【': '[', '】': ']', '《': '[', '》': ']', '〈': '[', '〉': ']'
+};
+
+// Cyrillic (Russian, with the extra letters of Ukrainian, Belarusian, Serbian and Macedonian)
+const CYRILLIC = {
+  'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo', 'ж': 'zh', 'з': 'z', 'и': 'i',
+  'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't',
+  'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '',
+  'э': 'e', 'ю': 'yu', 'я': 'ya',
+  'є': 'ye', 'і': 'i', 'ї': 'yi', 'ґ': 'g', 'ў': 'u',
+  'ђ': 'dj', 'ј': 'j', 'љ': 'lj', 'њ': 'nj', 'ћ': 'c', 'џ': 'dz', 'ѓ': 'gj', 'ќ': 'kj', 'ѕ': 'dz'
+};
+
+// Greek (ELOT 743 style, without the context rules for αυ/ευ); accents are removed by decomposition first
+const GREEK = {
+  'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th', 'ι': 'i', 'κ': 'k',
+  'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p', 'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't',
+  'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o'
+};
+
+// Greek letter pairs spelled as one sound
+const GREEK_DIGRAPHS = {
+  'ου': 'ou'
+};
+
+// Hiragana (Hepburn); katakana are looked up through their hiragana counterpart
+const KANA = {
+  'あ': 'a', 'い': 'i', 'う': 'u', 'え': 'e', 'お': 'o',
+  'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o',
+  'か': 'ka', 'き': 'ki', 'く': 'ku', 'け': 'ke', 'こ': 'ko',
+  'ゕ': 'ka', 'ゖ': 'ke',
+  'が': 'ga', 'ぎ': 'gi', 'ぐ': 'gu', 'げ': 'ge', 'ご': 'go',
+  'さ': 'sa', 'し': 'shi', 'す': 'su', 'せ': 'se', 'そ': 'so',
+  'ざ': 'za', 'じ': 'ji', 'ず': 'zu', 'ぜ': 'ze', 'ぞ': 'zo',
+  'た': 'ta', 'ち': 'chi', 'つ': 'tsu', 'て': 'te', 'と': 'to',
+  'だ': 'da', 'ぢ': 'ji', 'づ': 'zu', 'で': 'de', 'ど': 'do',
+  'な': 'na', 'に': 'ni', 'ぬ': 'nu', 'ね': 'ne', 'の': 'no',
+  'は': 'ha', 'ひ': 'hi', 'ふ': 'fu', 'へ': 'he', 'ほ': 'ho',
+  'ば': 'ba', 'び': 'bi', 'ぶ': 'bu', 'べ': 'be', 'ぼ': 'bo',
+  'ぱ': 'pa', 'ぴ': 'pi', 'ぷ': 'pu', 'ぺ': 'pe', 'ぽ': 'po',
+  'ま': 'ma', 'み': 'mi', 'む': 'mu', 'め': 'me', 'も': 'mo',
+  'や': 'ya', 'ゆ': 'yu', 'よ': 'yo', 'ゃ': 'ya', 'ゅ': 'yu', 'ょ': 'yo',
+  'ら': 'ra', 'り': 'ri', 'る': 'ru', 'れ': 're', 'ろ': 'ro',
+  'わ': 'wa', 'ゎ': 'wa', 'ゐ': 'i', 'ゑ': 'e', 'を': 'o', 'ん': 'n', 'ゔ': 'vu'
+};
+
+// Hangul syllables are built from these jamo (Revised Romanization, without sound changes between syllables)
+const HANGUL_INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const HANGUL_VOWELS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we',
+  'wi', 'yu', 'eu', 'ui', 'i'];
+const HANGUL_FINALS = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l', 'p', 'l', 'm', 'p', 'p',
+  't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+
+export {
+  LATIN_LETTERS,
+  SYMBOLS,
+  CYRILLIC,
+  GREEK,
+  GREEK_DIGRAPHS,
+  KANA,
+  HANGUL_INITIALS,
+  HANGUL_VOWELS,
+  HANGUL_FINALS
+};
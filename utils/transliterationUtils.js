@@ -0,0 +1,235 @@
+/**
+ * Utility functions that fold filenames to ASCII and remove emoji, for systems that can't store other characters
+ * Used by sanitizeFilename (whole names) and by the ascii and noEmoji placeholder filters
+ */
+
+import {
+  LATIN_LETTERS,
+  SYMBOLS,
+  CYRILLIC,
+  GREEK,
+  GREEK_DIGRAPHS,
+  KANA,
+  HANGUL_INITIALS,
+  HANGUL_VOWELS,
+  HANGUL_FINALS
+} from './transliterationTables.js';
+import { HAN_PINYIN } from './hanPinyinTable.js';
+
+// Character → pinyin, built once from the syllable-grouped table
+const HAN_READINGS = {};
+Object.entries(HAN_PINYIN).forEach(([syllable, chars]) => {
+  Array.from(chars).forEach(char => { HAN_READINGS[char] = syllable; });
+});
+
+// Emoji (characters shown as emoji by default, or pictographs followed by the emoji variation selector) with
+// their skin tone and tag modifiers, joined sequences (e.g., family emoji), flags and keycaps. Symbols such as
+// ©, ™ or arrows written as plain text are kept.
+const EMOJI_PATTERN = /(?:\p{Emoji_Presentation}|\p{Extended_Pictographic}\uFE0F|\p{Regional_Indicator})[\u{1F3FB}-\u{1F3FF}\uFE0E\uFE0F\u{E0020}-\u{E007F}]*(?:\u200D\p{Extended_Pictographic}[\u{1F3FB}-\u{1F3FF}\uFE0E\uFE0F]*)*|\uFE0F?\u20E3/gu;
+
+// Hiragana, katakana and their iteration and long vowel marks; every kana in these ranges has a reading
+const KANA_RUN = /^[\u3041-\u3096\u309D\u309E\u30A1-\u30F6\u30FC-\u30FE]$/;
+
+// Kana that turn the syllable before them into a contracted sound (きゃ → kya, ファ → fa)
+const SMALL_YA = ['ゃ', 'ゅ', 'ょ'];
+const SMALL_VOWELS = ['ぁ', 'ぃ', 'ぅ', 'ぇ', 'ぉ'];
+
+/**
+ * Removes emoji from a text
+ * @param {string} text - The text
+ * @returns {string} The text without emoji (spaces around them are kept)
+ */
+function removeEmoji(text) {
+  return String(text || '').replace(EMOJI_PATTERN, '');
+}
+
+/**
+ * Gets the hiragana for a kana character (katakana are shifted onto hiragana)
+ * @param {string} char - A hiragana or katakana character
+ * @returns {string} The hiragana character
+ */
+function toHiragana(char) {
+  const code = char.codePointAt(0);
+  return code >= 0x30A1 && code <= 0x30F6 ? String.fromCodePoint(code - 0x60) : char;
+}
+
+/**
+ * Romanizes a run of kana (Hepburn): contracted sounds, small vowels, the small tsu that doubles the next
+ * consonant and the long vowel and iteration marks, which are dropped
+ * @param {Array<string>} run - Consecutive hiragana/katakana characters
+ * @returns {string} The romanized run
+ */
+function romanizeKana(run) {
+  const chars = run.map(toHiragana);
+  let result = '';
+  let doubleNext = false;
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    if (char === 'っ') {
+      doubleNext = true;
+      continue;
+    }
+    let romaji = KANA[char];
+    if (romaji === undefined) {
+      continue;
+    }
+
+    const next = chars[i + 1];
+    if (SMALL_YA.includes(next) && romaji.endsWith('i') && romaji.length > 1) {
+      // しゃ → sha, きゃ → kya
+      const stem = romaji.slice(0, -1);
+      romaji = /(sh|ch|j)$/.test(stem) ? stem + KANA[next].slice(1) : stem + KANA[next];
+      i++;
+    } else if (SMALL_VOWELS.includes(next)) {
+      // ファ → fa, ティ → ti, ウィ → wi
+      const stem = romaji.length > 1 ? romaji.slice(0, -1) : (romaji === 'u' ? 'w' : romaji);
+      romaji = stem + KANA[next];
+      i++;
+    }
+
+    if (doubleNext) {
+      romaji = romaji.startsWith('ch') ? `t${romaji}` : romaji[0] + romaji;
+      doubleNext = false;
+    }
+    result += romaji;
+  }
+  return result;
+}
+
+/**
+ * Romanizes a Hangul syllable from its jamo
+ * @param {number} code - The syllable's code point (U+AC00 to U+D7A3)
+ * @returns {string} The romanized syllable
+ */
+function romanizeHangulSyllable(code) {
+  const index = code - 0xAC00;
+  const initial = Math.floor(index / (21 * 28));
+  const vowel = Math.floor((index % (21 * 28)) / 28);
+  const final = index % 28;
+  return HANGUL_INITIALS[initial] + HANGUL_VOWELS[vowel] + HANGUL_FINALS[final];
+}
+
+/**
+ * Gives a transliteration the case of the source letter: 'Ж' → 'Zh', or 'ZH' inside an all-caps word
+ * @param {string} latin - The lowercase transliteration
+ * @param {string} char - The source character
+ * @param {boolean} allCaps - Whether the neighbouring letters are uppercase too
+ * @returns {string} The transliteration in the right case
+ */
+function matchCase(latin, char, allCaps) {
+  if (char === char.toLowerCase() || !latin) {
+    return latin;
+  }
+  return allCaps ? latin.toUpperCase() : latin[0].toUpperCase() + latin.slice(1);
+}
+
+/**
+ * Checks whether a character is an uppercase letter
+ * @param {string} char - The character (may be undefined)
+ * @returns {boolean} True for uppercase letters
+ */
+function isUpperCase(char) {
+  return Boolean(char) && char !== char.toLowerCase() && char === char.toUpperCase();
+}
+
+/**
+ * Removes accents and other combining marks (é → e, ά → α)
+ * @param {string} char - The character
+ * @returns {string} The base character(s)
+ */
+function stripMarks(char) {
+  return char.normalize('NFD').replace(/\p{M}/gu, '');
+}
+
+/**
+ * Transliterates a text to ASCII with the bundled tables: accents are folded (é → e), Cyrillic and Greek are
+ * transliterated (Привет → Privet), kana and Hangul are romanized and Chinese characters become
+ * capitalized pinyin syllables (北京 → BeiJing). Fullwidth forms and ligatures are normalized first (NFKC).
+ * @param {string} text - The text
+ * @param {string} [unknown=''] - Text used for each run of characters with no ASCII spelling ('' removes them)
+ * @returns {string} The ASCII text
+ */
+function transliterateToAscii(text, unknown = '') {
+  const chars = Array.from(String(text || '').normalize('NFKC'));
+  let result = '';
+  let pendingUnknown = false;
+
+  const append = (latin) => {
+    if (pendingUnknown) {
+      result += unknown;
+      pendingUnknown = false;
+    }
+    result += latin;
+  };
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    const code = char.codePointAt(0);
+
+    if (code < 0x80) {
+      append(char);
+      continue;
+    }
+
+    if (KANA_RUN.test(char)) {
+      let end = i;
+      while (end + 1 < chars.length && KANA_RUN.test(chars[end + 1])) end++;
+      append(romanizeKana(chars.slice(i, end + 1)));
+      i = end;
+      continue;
+    }
+    if (code >= 0xAC00 && code <= 0xD7A3) {
+      append(romanizeHangulSyllable(code));
+      continue;
+    }
+    if (HAN_READINGS[char]) {
+      const syllable = HAN_READINGS[char];
+      append(syllable[0].toUpperCase() + syllable.slice(1));
+      continue;
+    }
+    if (SYMBOLS[char] !== undefined) {
+      append(SYMBOLS[char]);
+      continue;
+    }
+
+    const allCaps = isUpperCase(chars[i - 1]) || isUpperCase(chars[i + 1]);
+    const base = stripMarks(char).toLowerCase();
+    const pair = base + stripMarks(chars[i + 1] || '').toLowerCase();
+    if (GREEK_DIGRAPHS[pair] !== undefined) {
+      append(matchCase(GREEK_DIGRAPHS[pair], char, allCaps));
+      i++;
+      continue;
+    }
+
+    const lower = char.toLowerCase();
+    const letter = [LATIN_LETTERS[lower], CYRILLIC[lower], LATIN_LETTERS[base], CYRILLIC[base], GREEK[base]]
+      .find(value => value !== undefined);
+    if (letter !== undefined) {
+      append(matchCase(letter, char, allCaps));
+      continue;
+    }
+
+    // Accented letters of any script that decompose into ASCII (é, ñ, ǅ)
+    const folded = stripMarks(char);
+    if (folded && /^[\x00-\x7F]+$/.test(folded)) {
+      append(folded);
+      continue;
+    }
+
+    // Combining marks left on their own disappear; anything else has no ASCII spelling
+    if (!/^\p{M}+$/u.test(char)) {
+      pendingUnknown = true;
+    }
+  }
+
+  if (pendingUnknown) {
+    result += unknown;
+  }
+  return result;
+}
+
+export {
+  removeEmoji,
+  transliterateToAscii
+};
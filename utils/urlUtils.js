@@ -0,0 +1,179 @@
+/**
+ * Utility functions for the URL-derived placeholders ({urlPath}, {urlLastSegment}, {urlParentSegment},
+ * {subdomain}, {registrableDomain} and {query:param})
+ * Each reads the download URL by default, or the referrer/tab URL with the 'tab' argument ({urlPath:tab}, {query:tab:page})
+ */
+
+import { extractDomain } from './filenameUtils.js';
+import { PUBLIC_SUFFIXES } from './publicSuffixList.js';
+
+// Placeholders derived from a URL, in the order they are listed in the builder
+const URL_PLACEHOLDERS = ['urlPath', 'urlLastSegment', 'urlParentSegment', 'subdomain', 'registrableDomain', 'query'];
+
+// Argument that switches a URL placeholder to the referrer/tab URL
+const TAB_URL_ARG = 'tab';
+
+// Public suffix rules split into plain rules, wildcard rules ('*.ck' stored as 'ck') and exceptions
+const SUFFIX_RULES = new Set(PUBLIC_SUFFIXES.filter(rule => !rule.startsWith('*.') && !rule.startsWith('!')));
+const WILDCARD_RULES = new Set(PUBLIC_SUFFIXES.filter(rule => rule.startsWith('*.')).map(rule => rule.slice(2)));
+const EXCEPTION_RULES = new Set(PUBLIC_SUFFIXES.filter(rule => rule.startsWith('!')).map(rule => rule.slice(1)));
+
+/**
+ * Parses a URL without throwing
+ * @param {string} url - The URL
+ * @returns {URL|null} The parsed URL, or null when it is empty or invalid
+ */
+function parseUrl(url) {
+  if (!url) {
+    return null;
+  }
+  try {
+    return new URL(url);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Decodes a percent-encoded URL part, keeping it as is when it isn't valid encoding
+ * @param {string} text - The URL part
+ * @returns {string} The decoded text
+ */
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+/**
+ * Checks whether a hostname is an IP address (IPv4 or bracketed IPv6)
+ * @param {string} hostname - The hostname
+ * @returns {boolean} True for IP addresses
+ */
+function isIpAddress(hostname) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.startsWith('[');
+}
+
+/**
+ * Finds the public suffix of a hostname with the Public Suffix List algorithm (longest matching rule,
+ * exceptions win over wildcards, and the default rule makes the last label a suffix)
+ * @param {string} hostname - The lowercase hostname (e.g., 'docs.example.co.uk')
+ * @returns {string} The public suffix (e.g., 'co.uk')
+ */
+function getPublicSuffix(hostname) {
+  const labels = hostname.split('.');
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (EXCEPTION_RULES.has(candidate)) {
+      return labels.slice(i + 1).join('.');
+    }
+    if (i < labels.length - 1 && WILDCARD_RULES.has(labels.slice(i + 1).join('.'))) {
+      return candidate;
+    }
+    if (SUFFIX_RULES.has(candidate)) {
+      return candidate;
+    }
+  }
+  return labels[labels.length - 1];
+}
+
+/**
+ * Splits the host of a URL into its subdomain and registrable domain (eTLD+1)
+ * @param {string} url - The URL
+ * @returns {Object} {subdomain, registrableDomain}; a leading 'www' is dropped from the subdomain,
+ *   IP addresses and single-label hosts are their own registrable domain
+ */
+function splitHostname(url) {
+  const hostname = url ? extractDomain(url).toLowerCase().replace(/\.$/, '') : '';
+  if (!hostname || hostname === 'unknown') {
+    return { subdomain: '', registrableDomain: '' };
+  }
+  if (isIpAddress(hostname) || !hostname.includes('.')) {
+    return { subdomain: '', registrableDomain: hostname };
+  }
+
+  const suffix = getPublicSuffix(hostname);
+  if (suffix === hostname) {
+    return { subdomain: '', registrableDomain: hostname };
+  }
+
+  const rest = hostname.slice(0, -(suffix.length + 1)).split('.');
+  const registrableDomain = `${rest.pop()}.${suffix}`;
+  if (rest[0] === 'www') {
+    rest.shift();
+  }
+  return { subdomain: rest.join('.'), registrableDomain };
+}
+
+/**
+ * Gets the decoded path segments of a URL, ignoring empty segments (e.g., from a trailing slash)
+ * @param {string} url - The URL
+ * @returns {Array<string>} The segments (e.g., ['files', '2024', 'report.pdf'])
+ */
+function getPathSegments(url) {
+  const parsed = parseUrl(url);
+  if (!parsed) {
+    return [];
+  }
+  return parsed.pathname.split('/').filter(segment => segment.length > 0).map(safeDecode);
+}
+
+/**
+ * Gets the value of a query parameter
+ * @param {string} url - The URL
+ * @param {string} param - The parameter name
+ * @returns {string} The first value of the parameter, or '' when it is missing
+ */
+function getQueryParam(url, param) {
+  const parsed = parseUrl(url);
+  if (!parsed || !param) {
+    return '';
+  }
+  return parsed.searchParams.get(param) || '';
+}
+
+/**
+ * Creates the URL-derived placeholder formatters for a download
+ * @param {string} sourceUrl - The download URL
+ * @param {string} tabUrl - The referrer/tab URL ('' when unknown)
+ * @returns {Object} Formatters keyed by placeholder name
+ */
+function createUrlPlaceholders(sourceUrl, tabUrl) {
+  // A leading 'tab' argument selects the tab URL; the rest of the argument is passed on
+  const select = (arg) => {
+    const text = arg === undefined ? '' : String(arg);
+    if (text === TAB_URL_ARG) return { url: tabUrl, rest: '' };
+    if (text.startsWith(`${TAB_URL_ARG}:`)) return { url: tabUrl, rest: text.slice(TAB_URL_ARG.length + 1) };
+    return { url: sourceUrl, rest: text };
+  };
+
+  return {
+    urlPath: (arg) => getPathSegments(select(arg).url).join('/'),
+    urlLastSegment: (arg) => {
+      const segments = getPathSegments(select(arg).url);
+      return segments.length > 0 ? segments[segments.length - 1] : '';
+    },
+    urlParentSegment: (arg) => {
+      const segments = getPathSegments(select(arg).url);
+      return segments.length > 1 ? segments[segments.length - 2] : '';
+    },
+    subdomain: (arg) => splitHostname(select(arg).url).subdomain,
+    registrableDomain: (arg) => splitHostname(select(arg).url).registrableDomain,
+    query: (arg) => {
+      const { url, rest } = select(arg);
+      return getQueryParam(url, rest);
+    }
+  };
+}
+
+export {
+  URL_PLACEHOLDERS,
+  TAB_URL_ARG,
+  getPublicSuffix,
+  splitHostname,
+  getPathSegments,
+  getQueryParam,
+  createUrlPlaceholders
+};